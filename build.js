@@ -0,0 +1,50 @@
+// Bundles src/ into the single nbn-re.com.au.userscript.user.js that userscript managers install.
+// No bundler: the modules are concatenated in dependency order inside one IIFE, with their import lines and
+// `export` keywords removed, so the output reads like a hand-written userscript. Run with: npm run build
+// `node build.js --check` fails instead of writing when the committed script is out of date.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = dirname(fileURLToPath(import.meta.url));
+export const OUTPUT = join(ROOT, 'nbn-re.com.au.userscript.user.js');
+
+// Top-level code runs in this order in the bundle, so a module's constants come before any module that reads them
+// while starting up. main.js (the start-up block) is last.
+export const MODULES = [
+  'config.js', 'settings.js', 'sites.js', 'db.js', 'scheduler.js', 'suburbs.js', 'suburb-cache.js', 'worker.js',
+  'history.js', 'address.js', 'schema.js', 'styles.js', 'dialog.js', 'legend.js', 'settings-dialog.js',
+  'cache-manager.js', 'results.js', 'shortlist.js', 'badge.js', 'quality.js', 'cards.js', 'detail.js', 'api.js', 'main.js'
+];
+
+const IMPORT_RE = /^import\s[^;]*?;\n/gm;
+const EXPORT_RE = /^export (?=(async function|function|const|let|class)\b)/gm;
+
+function moduleBody(name) {
+  const source = readFileSync(join(ROOT, 'src', name), 'utf8');
+  return source
+    .replace(IMPORT_RE, '')
+    .replace(EXPORT_RE, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+const indent = (text) => text.split('\n').map(line => (line ? `  ${line}` : line)).join('\n');
+
+export function bundle() {
+  const meta = readFileSync(join(ROOT, 'src', 'meta.js'), 'utf8').trim();
+  const body = MODULES.map(moduleBody).join('\n\n');
+  return `${meta}\n\n(function () {\n  'use strict';\n\n${indent(body)}\n})();\n`;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const output = bundle();
+  if (process.argv.includes('--check')) {
+    if (readFileSync(OUTPUT, 'utf8') !== output) {
+      console.error('nbn-re.com.au.userscript.user.js is out of date; run `npm run build`');
+      process.exit(1);
+    }
+  } else {
+    writeFileSync(OUTPUT, output);
+  }
+}
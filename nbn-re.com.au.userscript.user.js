@@ -1,39 +1,141 @@
 // ==UserScript==
-// @name         NBN quick badges (LukePrior repo) — realestate.com.au
+// @name         NBN quick badges (LukePrior repo) — realestate.com.au, domain.com.au & more
 // @namespace    https://github.com/dakomi/nbn-userscript
-// @version      0.2
-// @description  Inject NBN connection-type badges into realestate.com.au search results using per-suburb GeoJSON files from LukePrior/nbn-upgrade-map (cached in IndexedDB). Focused on suburb->address-level data supplied in the repo. Adaptable to other sites later.
+// @version      0.3
+// @description  Inject NBN connection-type badges into property listing search results using per-suburb GeoJSON files from LukePrior/nbn-upgrade-map (cached in IndexedDB). Focused on suburb->address-level data supplied in the repo. Sites are supported through small site adapters.
 // @author       dakomi
 // @match        https://www.realestate.com.au/*
+// @match        https://www.domain.com.au/*
+// @match        https://www.allhomes.com.au/*
+// @match        https://www.rent.com.au/*
 // @grant        GM_addStyle
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
+// @grant        unsafeWindow
 // @connect      raw.githubusercontent.com
 // ==/UserScript==
 
 /*
 What this script does (high level)
-- For each listing card on realestate.com.au search results, extract the displayed suburb/state from the listing DOM (not the page URL).
+- Pick a site adapter by hostname (realestate.com.au, domain.com.au, allhomes.com.au, rent.com.au).
+- For each listing card in the search results, extract the displayed suburb/state from the listing DOM (not the page URL).
 - Fetch the corresponding suburb GeoJSON from LukePrior/nbn-upgrade-map (raw.githubusercontent.com) and cache it in IndexedDB.
 - Summarise address-level connection types in that suburb and insert a concise colored badge into the listing.
 - Clicking the badge shows a small popup with counts per type and links to view the raw suburb file or refresh cache.
+  Badges are buttons labelled for screen readers (technology, match confidence); the popup is a dialog that keeps
+  focus while open, closes on Escape and stays inside the viewport as the page scrolls.
+- On a single-property page, render a panel under the address heading with the matched premise, its upgrade details,
+  the suburb breakdown and (when there is no exact match) the nearest known premises.
+- Listing addresses are matched to premises exactly, then by a scored fuzzy match on unit/number/street, then by
+  proximity when the listing exposes coordinates. Badges say which: "(Confirmed)", "(Likely 86%)" or "(Nearby ~25 m)".
+- Without a premise match, the badge uses the listing's street (or a radius around it) before the suburb majority.
+  The popup shows the suburb, street and premise tiers side by side, and a small offline map of the suburb's premises
+  coloured by technology with the listing marked.
+- The legend doubles as a filter panel: untick technologies to dim or hide their listings, and optionally sort
+  each results list so the best technology comes first. The choice is remembered. The legend can be collapsed to its
+  title bar and dragged elsewhere (double-click the title bar to put it back); it remembers both.
+- Badges can carry a 0-100 connection-quality score with typical speed ranges (a configurable table per technology);
+  confirmed premises count fully, street/suburb guesses are averaged. Sorting uses the score.
+- Cache lifetimes, download concurrency, the data source URL and badge colours (including a colour-blind safe
+  palette) are editable from the legend's Settings link or the userscript menu, and stored with GM_setValue.
+- Suburb files are checked against the upstream schema; the properties holding the address and technology can be
+  remapped in Settings. Unexpected fields or unrecognised technology values are reported in the console and popup.
+- The legend's "Export results" links download every processed listing on the page (including ones loaded later)
+  as CSV or JSON: link, address, technology, match confidence, suburb breakdown and data date.
+- Listings can be starred from the badge popup onto a shortlist kept in IndexedDB (legend → Shortlist). Each visit
+  re-checks shortlisted listings against the cached suburb data and flags any whose technology changed.
+- Client-side navigation is followed (History API, popstate, URL polling): pending lookups are cancelled and the
+  page rescanned. Cards the site re-renders get their badge re-attached once; refreshing a suburb updates every
+  badge showing it.
+- Other scripts can consume the results: a versioned window.nbnUserscript API (lookupAddress, getSuburbSummary,
+  getCardResult, cache controls), nbn:ready / nbn:badge-rendered / nbn:lookup-failed / nbn:data-updated events with
+  plain-data payloads, and data-nbn-* attributes on each card for CSS. See "Public API" near the end of the script.
 - Concurrency, caching and filename normalization are implemented for robustness.
+- Downloading, parsing, summarising and address-indexing suburb files happen in a Web Worker built from a Blob URL,
+  so large files don't stall scrolling; the page only receives compact digests and indexes. Where workers are
+  blocked (page CSP) or turned off in Settings, the same code runs on the page thread.
+- IndexedDB holds a compact digest per suburb (summary, address -> technology, point coordinates) rather than the raw
+  GeoJSON, with an in-memory LRU in front. Caches from the v1 schema are converted on first open.
+- The cache manager (legend → Cache, or the userscript menu) lists cached suburbs, refreshes/deletes them, prefetches
+  suburbs or whole states for offline use, and exports/imports the cache as a JSON file.
+- When a refresh replaces a cached suburb, per-address technology changes are diffed and kept as history in
+  IndexedDB. Badges flag recent changes ("FTTN → FTTP since March") and the popup lists them with counts over time.
+- Upgrade attributes (eligibility, target technology, planned date, program) are read per premise: confirmed-address
+  badges show the premise's upgrade status and the popup counts e.g. FTTN eligible vs. not eligible per technology.
+- Expired suburbs are shown from cache straight away and revalidated in the background (the browser sends
+  If-None-Match); badges update in place if the data changed. Each badge notes the date of the snapshot it shows.
 
 Notes:
-- Suburb filenames in the repo are lowercase, hyphenated (e.g. "acacia-ridge.geojson"). The script attempts multiple slug forms.
+- Suburb filenames in the repo are lowercase, hyphenated (e.g. "acacia-ridge.geojson"). Suburbs are resolved against the
+  repo's file list (cached weekly), handling St/Saint-style variants, state-from-postcode and duplicate names across
+  states. Only when that list can't be loaded does the script fall back to trying multiple slug forms.
 - The script uses the repo snapshot (not live NBN API). This is Approach 2 as requested.
-- You may need to tweak DOM selectors if realestate.com.au changes markup.
+- Data comes from providers tried in priority order (Settings → Data sources): the GitHub repo (default), the repo
+  pinned at a commit, or any mirror/local server given as a URL template such as http://localhost:8000/{STATE}/{slug}.geojson.
+- You may need to tweak DOM selectors in SITE_ADAPTERS if a site changes markup.
+- To support another site, add an adapter to SITE_ADAPTERS (and a matching @match line).
+- This file is built: the code lives in src/ as ES modules and `npm run build` bundles them back into one script.
+  `npm test` runs the Node tests in test/ (jsdom, fake-indexeddb and fixture suburb files, plus a run of the built
+  script against the saved results page in Rendered_page.html).
 */
 
 (function () {
   'use strict';
 
-  // Config
-  const REPO_RAW_BASE = 'https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/main/results';
+  // Config. The tunables live in DEFAULT_SETTINGS and can be changed from the settings dialog;
+  // user overrides are stored with GM_setValue so they survive script updates.
+  // The database name predates the digest schema; its version number tracks the schema (see openDb)
   const CACHE_DB = 'nbnRepoCache_v1';
-  const CACHE_STORE = 'suburbs';
-  const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
-  const CACHE_EXPIRY_MS = 4 * 7 * 24 * 60 * 60 * 1000; // 4 weeks
-  const MAX_CONCURRENT_FETCHES = 4;
-  const CACHE_MAX_ENTRIES = 100; // Limit the number of cached suburbs
+  const CACHE_DB_VERSION = 4;
+  const CACHE_STORE = 'digests';
+  const HISTORY_STORE = 'history';
+  const SHORTLIST_STORE = 'shortlist';
+  const LEGACY_CACHE_STORE = 'suburbs'; // v1: full GeoJSON per suburb
+  const MEMORY_CACHE_MAX = 30; // suburbs kept inflated in memory
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const SETTINGS_KEY = 'nbnSettings_v1';
+  // Connection-quality model: a 0-100 score per LEGEND technology and the typical download/upload range in Mbps
+  // across the retail tiers it supports. Rough real-world figures; editable in the settings dialog.
+  const QUALITY_MODEL = {
+    'FTTP': { score: 95, down: [25, 1000], up: [5, 400] },
+    'HFC': { score: 85, down: [25, 1000], up: [5, 50] },
+    'FTTC': { score: 70, down: [25, 100], up: [5, 40] },
+    'FTTB': { score: 65, down: [25, 100], up: [5, 40] },
+    'FTTN': { score: 45, down: [12, 100], up: [1, 40] },
+    'Fixed Wireless': { score: 40, down: [25, 200], up: [5, 20] },
+    'Satellite': { score: 20, down: [25, 100], up: [1, 5] },
+    'Non-NBN': { score: 0, down: null, up: null }
+  };
+  const DEFAULT_SETTINGS = {
+    repoRawBase: 'https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/main/results',
+    cacheTtlDays: 7, // re-fetch suburbs older than this
+    cacheExpiryDays: 28, // delete cached suburbs older than this
+    maxConcurrentFetches: 4,
+    cacheMaxEntries: 100, // Limit the number of cached suburbs
+    palette: 'default', // key of PALETTES
+    colors: {}, // per-technology colour overrides on top of the palette
+    providers: [{ type: 'github' }], // data-source providers in priority order, see PROVIDER_TYPES
+    // list of suburbs in the dataset; either the GitHub tree of the repo or a JSON table of
+    // { STATE: [name | { name, postcode }] }. Empty disables the index and falls back to guessing filenames.
+    suburbIndexUrl: 'https://api.github.com/repos/LukePrior/nbn-upgrade-map/git/trees/main?recursive=1',
+    qualityScore: true, // show the connection-quality score on badges and sort by it
+    qualityModel: QUALITY_MODEL,
+    useWorker: true, // fetch, parse and index suburb files in a background worker (falls back to the page thread)
+    // GeoJSON properties holding each field we read, tried in order (see UPSTREAM_SCHEMA)
+    propertyMapping: {
+      address: ['name', 'address', 'full_address', 'premise_address', 'ADDRESS', 'addr', 'street_address'],
+      technology: ['tech', 'nbn_technology', 'technology', 'connection_type', 'nbn_type', 'service_type']
+    }
+  };
+
+  // Numeric settings and their allowed ranges (used by the settings dialog for validation)
+  const NUMERIC_SETTINGS = {
+    cacheTtlDays: { label: 'Re-fetch suburbs after (days)', min: 0, max: 365 },
+    cacheExpiryDays: { label: 'Delete cached suburbs after (days)', min: 1, max: 365 },
+    maxConcurrentFetches: { label: 'Parallel downloads', min: 1, max: 16, integer: true },
+    cacheMaxEntries: { label: 'Max cached suburbs', min: 1, max: 5000, integer: true }
+  };
 
   // Legend mapping: connection type token -> { color, label, description }
   // These are modelled after the map legend in the repo README; adjust as needed.
@@ -48,67 +150,668 @@ Notes:
     'Non-NBN': { color: '#6b7280', label: 'Non-NBN/Unknown', desc: 'No NBN service or unknown technology' } // neutral
   };
 
-  // More specific and robust selector for listing cards
-  const LISTING_SELECTORS = ['[data-testid="residential-card-container"]'];
+  // Badge palettes. 'colorblind' is based on the Okabe-Ito palette, which stays distinguishable
+  // for the common forms of colour blindness.
+  const PALETTES = {
+    default: Object.fromEntries(Object.entries(LEGEND).map(([k, v]) => [k, v.color])),
+    colorblind: {
+      'FTTP': '#009e73',
+      'FTTN': '#d55e00',
+      'FTTC': '#b08800',
+      'HFC': '#cc79a7',
+      'FTTB': '#56b4e9',
+      'Fixed Wireless': '#0072b2',
+      'Satellite': '#000000',
+      'Non-NBN': '#6b7280'
+    }
+  };
+
+  // Settings: storage, data-source providers, validation and the live `settings` object
+
+  // Persistent storage: GM storage when the userscript manager grants it, localStorage otherwise
+  function storageGet(key, fallback) {
+    try {
+      const raw = typeof GM_getValue === 'function' ? GM_getValue(key, null) : localStorage.getItem(key);
+      return raw == null ? fallback : JSON.parse(raw);
+    } catch (e) {
+      console.warn('NBN storage read error', e);
+      return fallback;
+    }
+  }
+  function storageSet(key, value) {
+    try {
+      const raw = JSON.stringify(value);
+      if (typeof GM_setValue === 'function') GM_setValue(key, raw);
+      else localStorage.setItem(key, raw);
+    } catch (e) {
+      console.warn('NBN storage write error', e);
+    }
+  }
+
+  // Data-source providers. A provider turns a suburb into candidate URLs, parses what comes back and reports
+  // freshness metadata. fetchSuburbGeoJSON tries the configured providers in priority order and fails over
+  // to the next one when a provider has no file for the suburb or is unreachable.
+  //   id                         stable identifier, stored with cached entries
+  //   name                       shown in the popup and settings
+  //   urls(suburb, state, file)  candidate URLs, most likely first; `file` is the suburb's path in the dataset
+  //                              ("QLD/chermside.geojson", see indexedFilename) or null when it isn't known
+  //   parse(text, url)           parsed GeoJSON (throws on anything else)
+  //   freshness(data, res)       { generatedAt, etag, lastModified }
+  // Self-hosted mirrors must send CORS headers, since requests are made with the page's fetch.
+  const PROVIDER_TYPES = {
+    // the upstream repo (or a mirror of its results folder) via the base URL in settings
+    github: () => repoProvider('github', 'LukePrior/nbn-upgrade-map', settings.repoRawBase),
+    // the upstream repo frozen at a commit, for reproducible results
+    pinned: (cfg) => repoProvider(`pinned:${cfg.commit}`, `nbn-upgrade-map @ ${cfg.commit.slice(0, 7)}`,
+      `https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/${cfg.commit}/results`),
+    // any server laid out by state and suburb, e.g. "http://localhost:8000/{STATE}/{slug}.geojson"
+    template: (cfg) => ({
+      id: `template:${cfg.template}`,
+      name: cfg.template.replace(/^https?:\/\//, ''),
+      urls: (suburb, state) => [fillProviderTemplate(cfg.template, suburb, state)],
+      parse: parseGeoJSONText,
+      freshness: responseFreshness
+    })
+  };
+
+  function repoProvider(id, name, base) {
+    return {
+      id,
+      name,
+      urls: (suburb, state, file) => (file ? [file] : candidateFilenames(suburb, state)).map(p => `${base}/${p}`),
+      parse: parseGeoJSONText,
+      freshness: responseFreshness
+    };
+  }
+
+  // Placeholders: {STATE} (QLD), {state} (qld), {slug} (acacia-ridge), {suburb} (URL-encoded display name)
+  function fillProviderTemplate(template, suburb, state) {
+    return template
+      .replace(/\{STATE\}/g, encodeURIComponent((state || '').toUpperCase()))
+      .replace(/\{state\}/g, encodeURIComponent((state || '').toLowerCase()))
+      .replace(/\{slug\}/g, encodeURIComponent(toRepoSlug(suburb)))
+      .replace(/\{suburb\}/g, encodeURIComponent(suburb || ''));
+  }
+
+  function parseGeoJSONText(text, url) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.features)) throw new Error(`Not a GeoJSON FeatureCollection: ${url}`);
+    return data;
+  }
+
+  function responseFreshness(data, res) {
+    return {
+      generatedAt: data.generated || data.generated_at || null,
+      etag: (res && res.headers && res.headers.get('ETag')) || null,
+      lastModified: (res && res.headers && res.headers.get('Last-Modified')) || null
+    };
+  }
+
+  // Returns an error message for a bad provider config, or null
+  function validateProviderConfig(cfg) {
+    if (!cfg || !PROVIDER_TYPES[cfg.type]) return `Unknown data source type "${cfg && cfg.type}".`;
+    if (cfg.type === 'pinned' && !/^[0-9a-f]{7,40}$/i.test(cfg.commit || '')) return 'Pinned data source needs a git commit hash.';
+    if (cfg.type === 'template') {
+      if (!/^https?:\/\/\S+$/.test(cfg.template || '')) return 'Template data source must be an http(s) URL.';
+      if (!/\{(slug|suburb)\}/.test(cfg.template)) return 'Template data source must contain {slug} or {suburb}.';
+    }
+    return null;
+  }
+
+  // One provider per line in the settings dialog: "github", "pinned <commit>" or "template <url>"
+  function parseProviderLines(text) {
+    return String(text || '').split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+      const [type, ...rest] = line.split(/\s+/);
+      const arg = rest.join(' ');
+      if (type === 'pinned') return { type, commit: arg };
+      if (type === 'template') return { type, template: arg };
+      return { type };
+    });
+  }
+  function formatProviderLines(providers) {
+    return providers.map(p => p.type === 'pinned' ? `pinned ${p.commit}` : p.type === 'template' ? `template ${p.template}` : p.type).join('\n');
+  }
+
+  // One technology per line in the settings dialog: "FTTN: 45; 12-100 / 1-40" (score; down / up Mbps)
+  function parseQualityLines(text) {
+    const model = {};
+    for (const line of String(text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+      const m = line.match(/^(.+?)\s*:\s*([\d.]+)\s*(?:;\s*([\d.]+)\s*-\s*([\d.]+)\s*\/\s*([\d.]+)\s*-\s*([\d.]+))?$/);
+      if (!m) {
+        model[line] = null;
+        continue;
+      }
+      model[m[1]] = {
+        score: Number(m[2]),
+        down: m[3] ? [Number(m[3]), Number(m[4])] : null,
+        up: m[5] ? [Number(m[5]), Number(m[6])] : null
+      };
+    }
+    return model;
+  }
+  function formatQualityLines(model) {
+    return Object.entries(model).map(([type, q]) =>
+      `${type}: ${q.score}${q.down && q.up ? `; ${q.down[0]}-${q.down[1]} / ${q.up[0]}-${q.up[1]}` : ''}`).join('\n');
+  }
+
+  function getProviders() {
+    return settings.providers.map(cfg => PROVIDER_TYPES[cfg.type](cfg));
+  }
+
+  // Check a settings object; returns { settings, errors } with invalid fields reset to their defaults
+  function validateSettings(input) {
+    const errors = [];
+    const out = { ...DEFAULT_SETTINGS, colors: {} };
+    const src = input && typeof input === 'object' ? input : {};
+    for (const [key, rule] of Object.entries(NUMERIC_SETTINGS)) {
+      if (src[key] === undefined) continue;
+      const n = Number(src[key]);
+      if (!isFinite(n) || n < rule.min || n > rule.max || (rule.integer && !Number.isInteger(n))) {
+        errors.push(`${rule.label} must be ${rule.integer ? 'a whole number' : 'a number'} between ${rule.min} and ${rule.max}.`);
+      } else {
+        out[key] = n;
+      }
+    }
+    if (src.repoRawBase !== undefined) {
+      const base = String(src.repoRawBase).trim().replace(/\/+$/, '');
+      if (/^https?:\/\/[^\s/]+/.test(base)) out.repoRawBase = base;
+      else errors.push('Data source must be an http(s) URL.');
+    }
+    if (src.suburbIndexUrl !== undefined) {
+      const url = String(src.suburbIndexUrl).trim();
+      if (!url || /^https?:\/\/\S+$/.test(url)) out.suburbIndexUrl = url;
+      else errors.push('Suburb index must be an http(s) URL (or empty to disable it).');
+    }
+    if (src.palette !== undefined) {
+      if (PALETTES[src.palette]) out.palette = src.palette;
+      else errors.push(`Unknown palette "${src.palette}".`);
+    }
+    if (src.providers !== undefined) {
+      const providers = Array.isArray(src.providers) ? src.providers : [];
+      const problems = providers.map(validateProviderConfig).filter(Boolean);
+      if (!providers.length) errors.push('At least one data source is required.');
+      else if (problems.length) errors.push(...problems);
+      else out.providers = providers.map(p => ({ ...p }));
+    }
+    if (src.qualityScore !== undefined) out.qualityScore = !!src.qualityScore;
+    if (src.useWorker !== undefined) out.useWorker = !!src.useWorker;
+    if (src.qualityModel !== undefined) {
+      const model = src.qualityModel && typeof src.qualityModel === 'object' ? src.qualityModel : {};
+      const validRange = (r) => r === null || (Array.isArray(r) && r.length === 2 && r.every(n => isFinite(n) && n >= 0) && r[0] <= r[1]);
+      const problems = [];
+      for (const [type, q] of Object.entries(model)) {
+        if (!LEGEND[type]) problems.push(`Quality model: unknown technology "${type}".`);
+        else if (!q || !isFinite(q.score) || q.score < 0 || q.score > 100) problems.push(`Quality model: ${type} needs a score from 0 to 100.`);
+        else if (!validRange(q.down || null) || !validRange(q.up || null)) problems.push(`Quality model: ${type} has an invalid speed range.`);
+      }
+      if (problems.length) errors.push(...problems);
+      else out.qualityModel = Object.fromEntries(Object.entries(model).map(([type, q]) => [type, { score: Number(q.score), down: q.down || null, up: q.up || null }]));
+    }
+    if (src.propertyMapping !== undefined) {
+      const mapping = src.propertyMapping && typeof src.propertyMapping === 'object' ? src.propertyMapping : {};
+      const next = {};
+      for (const field of Object.keys(DEFAULT_SETTINGS.propertyMapping)) {
+        const names = Array.isArray(mapping[field]) ? mapping[field].map(n => String(n).trim()).filter(Boolean) : [];
+        if (!names.length) errors.push(`At least one ${field} property is required.`);
+        else if (names.some(n => !/^[\w.:-]+$/.test(n))) errors.push(`Invalid ${field} property name.`);
+        else next[field] = names;
+      }
+      if (Object.keys(next).length === Object.keys(DEFAULT_SETTINGS.propertyMapping).length) out.propertyMapping = next;
+    }
+    for (const [type, color] of Object.entries(src.colors || {})) {
+      if (LEGEND[type] && /^#[0-9a-f]{6}$/i.test(color)) out.colors[type] = color.toLowerCase();
+      else errors.push(`Invalid colour for ${type}.`);
+    }
+    return { settings: out, errors };
+  }
+
+  function loadSettings() {
+    const { settings: loaded, errors } = validateSettings(storageGet(SETTINGS_KEY, {}));
+    if (errors.length) console.warn('NBN settings: ignoring invalid values', errors);
+    return loaded;
+  }
+
+  const settings = loadSettings();
+  applyLegendColors();
+
+  // Copy the active palette (plus per-type overrides) into LEGEND
+  function applyLegendColors() {
+    const palette = PALETTES[settings.palette] || PALETTES.default;
+    for (const [type, entry] of Object.entries(LEGEND)) {
+      entry.color = settings.colors[type] || palette[type] || PALETTES.default[type];
+    }
+  }
+
+  // Site adapters and listing-card detection
+
+  // Site adapters: one per listing portal. The fetch/summarise/badge pipeline is shared; adapters only describe
+  // where things live in each site's markup.
+  //   hosts               hostnames (or parent domains) the adapter applies to
+  //   cardSelectors       listing cards on search-result pages, newest markup generation first; the first
+  //                       selector that matches anything on the page wins
+  //   listingLinkPattern  href pattern of a single-listing link, used by the heuristic card scanner
+  //   locationSelectors   element inside a card holding "Suburb, STATE postcode" (or the full address);
+  //                       alt/aria-label text is used when the element has no text (e.g. images)
+  //   streetSelectors     element inside a card holding the street address only
+  //   insertionSelectors  where to append the badge inside a card (first match wins, falls back to the card)
+  //   detail              detail-page handling: pathPattern identifies a single-property page,
+  //                       addressSelectors/insertionSelectors locate the address heading on it
+  //   parseListing        optional override returning { suburb, state, street } for a card
+  const SITE_ADAPTERS = [
+    {
+      id: 'realestate',
+      hosts: ['realestate.com.au'],
+      cardSelectors: [
+        '[data-testid="ResidentialCard"]',
+        '[data-testid="residential-card-container"]',
+        'article.residential-card',
+        'article.results-card'
+      ],
+      listingLinkPattern: /realestate\.com\.au\/property-[a-z0-9+%-]+-\d+/,
+      locationSelectors: [
+        '[data-testid="property-card-location"]',
+        'img.property-image__img[alt]',
+        '[data-testid="PropertyImage"] img[alt]'
+      ],
+      streetSelectors: ['[data-testid="property-card-street-address"]'],
+      insertionSelectors: [
+        '[data-testid="property-card-price"]',
+        '.listingCard__price',
+        '.property-price',
+        '.residential-card__header',
+        '.detail-card__head',
+        '.card__header',
+        '.card__info',
+        '.residential-card__content'
+      ],
+      detail: {
+        pathPattern: /^\/property-[a-z0-9+%-]+-\d+\/?$/,
+        addressSelectors: ['h1.property-info-address', '.property-info-address', 'h1'],
+        insertionSelectors: ['.property-info__header', '.property-info-address']
+      }
+    },
+    {
+      id: 'domain',
+      hosts: ['domain.com.au'],
+      cardSelectors: ['[data-testid^="listing-card-wrapper"]', 'li[data-testid^="listing-"]'],
+      listingLinkPattern: /domain\.com\.au\/[a-z0-9-]+-\d{7,}\/?$/,
+      locationSelectors: ['[data-testid="address-line2"]', '[data-testid="address-wrapper"]'],
+      streetSelectors: ['[data-testid="address-line1"]'],
+      insertionSelectors: ['[data-testid="listing-card-price-wrapper"]', '[data-testid="listing-card-price"]', '[data-testid="address-wrapper"]'],
+      detail: {
+        pathPattern: /-\d{7,}\/?$/,
+        addressSelectors: ['[data-testid="listing-details__button-copy-wrapper"] h1', 'h1'],
+        insertionSelectors: ['[data-testid="listing-details__button-copy-wrapper"]', '[data-testid="listing-details__summary-title"]']
+      }
+    },
+    {
+      id: 'allhomes',
+      hosts: ['allhomes.com.au'],
+      cardSelectors: ['[data-testid="listing-card"]', '.css-listing-card', 'article[class*="ListingCard"]'],
+      listingLinkPattern: /allhomes\.com\.au\/[a-z0-9-]+-\d{5,}\/?$/,
+      locationSelectors: ['[data-testid="listing-card-address"]', '[class*="Address"]'],
+      streetSelectors: [],
+      insertionSelectors: ['[data-testid="listing-card-price"]', '[class*="Price"]'],
+      detail: {
+        pathPattern: /^\/[a-z0-9-]+-\d{5,}\/?$/,
+        addressSelectors: ['[data-testid="listing-address"]', 'h1'],
+        insertionSelectors: ['[data-testid="listing-address"]']
+      }
+    },
+    {
+      id: 'rent',
+      hosts: ['rent.com.au'],
+      cardSelectors: ['article.property-cell', '.property-cell'],
+      listingLinkPattern: /rent\.com\.au\/property\//,
+      locationSelectors: ['.address', 'h2'],
+      streetSelectors: [],
+      insertionSelectors: ['.price', '.property-cell__price', '.address'],
+      detail: {
+        pathPattern: /^\/property\//,
+        addressSelectors: ['h1.address', 'h1'],
+        insertionSelectors: ['.price', 'h1']
+      }
+    }
+  ];
+
+  // Pick the adapter whose host list matches the current hostname (exact or subdomain match)
+  function getSiteAdapter(hostname = location.hostname) {
+    const host = (hostname || '').toLowerCase();
+    return SITE_ADAPTERS.find(a => a.hosts.some(h => host === h || host.endsWith(`.${h}`))) || null;
+  }
+
+  const SITE = getSiteAdapter();
+
+  // Return the first element inside root matching any selector in the list
+  function queryFirst(root, selectors) {
+    for (const sel of selectors || []) {
+      const el = root.querySelector(sel);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  // Visible text of an element, falling back to alt / aria-label for images and labelled containers
+  function elementText(el) {
+    if (!el) return '';
+    const text = (el.textContent || '').trim();
+    if (text) return text;
+    return (el.getAttribute('alt') || el.getAttribute('aria-label') || '').trim();
+  }
+
+  // Card detection. Selector generations are tried in order; if none match, a structural heuristic looks for
+  // "image + address line + single property link" containers. The active mode is remembered so the
+  // MutationObserver keeps using whatever worked for the initial scan.
+  const HEURISTIC_MAX_DEPTH = 8;
+  const ADDRESS_LINE_RE = /\d+[A-Za-z]?(?:[\/-]\d+[A-Za-z]?)?\s+[A-Za-z][A-Za-z'.\- ]+,\s*[A-Za-z]/;
+  const cardDetection = { via: null, count: 0 };
+
+  function heuristicFindCards(root, adapter = SITE) {
+    const pattern = adapter.listingLinkPattern;
+    if (!pattern || !root || !root.querySelectorAll) return [];
+    const cards = new Set();
+    const links = Array.from(root.querySelectorAll('a[href]')).filter(a => pattern.test(a.href));
+    if (root.matches && root.matches('a[href]') && pattern.test(root.href)) links.push(root);
+    for (const link of links) {
+      let best = null;
+      let el = link.parentElement;
+      for (let depth = 0; el && el !== document.body && depth < HEURISTIC_MAX_DEPTH; depth++, el = el.parentElement) {
+        // stop once the container holds more than one listing: we've climbed into the results list
+        const hrefs = new Set(Array.from(el.querySelectorAll('a[href]')).map(a => a.href).filter(h => pattern.test(h)));
+        if (hrefs.size > 1) break;
+        if (!el.querySelector('img')) continue;
+        const hasAddress = ADDRESS_LINE_RE.test(el.textContent || '') ||
+          Array.from(el.querySelectorAll('img[alt], [aria-label]')).some(n => ADDRESS_LINE_RE.test(elementText(n)));
+        if (hasAddress) best = el;
+      }
+      if (best) cards.add(best);
+    }
+    return Array.from(cards);
+  }
+
+  // Find cards in root (and root itself), using the detection mode chosen by the first successful scan
+  function findCards(root = document, adapter = SITE) {
+    const found = new Set();
+    const collect = (sel) => {
+      if (root.matches && root.matches(sel)) found.add(root);
+      if (root.querySelectorAll) root.querySelectorAll(sel).forEach(el => found.add(el));
+    };
+    if (cardDetection.via === 'heuristic') {
+      heuristicFindCards(root, adapter).forEach(el => found.add(el));
+      return { cards: Array.from(found), via: 'heuristic' };
+    }
+    if (cardDetection.via) {
+      collect(cardDetection.via);
+      return { cards: Array.from(found), via: cardDetection.via };
+    }
+    for (const sel of adapter.cardSelectors) {
+      collect(sel);
+      if (found.size) return { cards: Array.from(found), via: sel };
+    }
+    const cards = heuristicFindCards(root, adapter);
+    return { cards, via: cards.length ? 'heuristic' : null };
+  }
+
+  // Record detection results and reflect them in the legend's status line
+  function noteDetectedCards(result) {
+    if (result.via && !cardDetection.via) cardDetection.via = result.via;
+    cardDetection.count += result.cards.length;
+    updateDetectionStatus();
+  }
 
-  // More specific selector for the location element within a card
-  const SUBURB_CANDIDATES = ['[data-testid="property-card-location"]'];
+  // IndexedDB access for the suburb cache, history and shortlist stores
 
   // Utility: promisify IDB open/get/put
   function openDb() {
     return new Promise((resolve, reject) => {
-      const req = indexedDB.open(CACHE_DB, 1);
-      req.onupgradeneeded = () => {
+      const req = indexedDB.open(CACHE_DB, CACHE_DB_VERSION);
+      req.onupgradeneeded = (event) => {
         const db = req.result;
         if (!db.objectStoreNames.contains(CACHE_STORE)) {
           db.createObjectStore(CACHE_STORE);
         }
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          db.createObjectStore(HISTORY_STORE);
+        }
+        if (!db.objectStoreNames.contains(SHORTLIST_STORE)) {
+          db.createObjectStore(SHORTLIST_STORE);
+        }
+        if (event.oldVersion < 2 && db.objectStoreNames.contains(LEGACY_CACHE_STORE)) {
+          migrateLegacyStore(db, req.transaction);
+        }
       };
       req.onsuccess = () => resolve(req.result);
       req.onerror = () => reject(req.error);
     });
   }
-  async function idbGet(key) {
+  async function idbGet(key, storeName = CACHE_STORE) {
     const db = await openDb();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(CACHE_STORE, 'readonly');
-      const store = tx.objectStore(CACHE_STORE);
+      const tx = db.transaction(storeName, 'readonly');
+      const store = tx.objectStore(storeName);
       const req = store.get(key);
       req.onsuccess = () => { resolve(req.result); db.close(); };
       req.onerror = () => { reject(req.error); db.close(); };
     });
   }
-  async function idbSet(key, value) {
+  async function idbSet(key, value, storeName = CACHE_STORE) {
     const db = await openDb();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(CACHE_STORE, 'readwrite');
-      const store = tx.objectStore(CACHE_STORE);
+      const tx = db.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
       const req = store.put(value, key);
       req.onsuccess = () => { resolve(req.result); db.close(); };
       req.onerror = () => { reject(req.error); db.close(); };
     });
   }
+  async function idbDelete(key, storeName = CACHE_STORE) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readwrite');
+      const req = tx.objectStore(storeName).delete(key);
+      req.onsuccess = () => { resolve(); db.close(); };
+      req.onerror = () => { reject(req.error); db.close(); };
+    });
+  }
+  async function idbClear() {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      const req = tx.objectStore(CACHE_STORE).clear();
+      req.onsuccess = () => { resolve(); db.close(); };
+      req.onerror = () => { reject(req.error); db.close(); };
+    });
+  }
+  // All { key, value } pairs in the store
+  async function idbEntries(storeName = CACHE_STORE) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const tx = db.transaction(storeName, 'readonly');
+      const req = tx.objectStore(storeName).openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor) {
+          entries.push({ key: cursor.key, value: cursor.value });
+          cursor.continue();
+        } else {
+          resolve(entries);
+          db.close();
+        }
+      };
+      req.onerror = () => { reject(req.error); db.close(); };
+    });
+  }
+
+  // v1 -> v2: convert each cached GeoJSON into a digest, then drop the old store.
+  // Runs inside the upgrade transaction, so a failure rolls the whole upgrade back.
+  function migrateLegacyStore(db, tx) {
+    const legacy = tx.objectStore(LEGACY_CACHE_STORE);
+    const target = tx.objectStore(CACHE_STORE);
+    legacy.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        db.deleteObjectStore(LEGACY_CACHE_STORE);
+        return;
+      }
+      const value = cursor.value || {};
+      if (cursor.key === SUBURB_INDEX_KEY) {
+        target.put(value, cursor.key);
+      } else if (value.data && Array.isArray(value.data.features)) {
+        const { data, ...meta } = value;
+        target.put(buildSuburbDigest(data, meta), cursor.key);
+      }
+      cursor.continue();
+    };
+  }
 
-  // Concurrency queue for fetches
+  // Fetch scheduling, retries and navigation tracking
+
+  // Fetch scheduler: a priority queue with a concurrency limit.
+  // Each job has one or more priority callbacks (lower runs first), evaluated when a slot frees up so cards
+  // scrolled into view overtake off-screen ones. A callback returns null once its requester no longer wants the
+  // result (e.g. the card left the page); a queued job nobody wants any more is dropped. Jobs are tied to an AbortSignal: when it aborts (the user
+  // navigated away) queued jobs are dropped and running ones see the signal.
+  const FETCH_TIMEOUT_MS = 15000;
+  const FETCH_MAX_RETRIES = 3;
+  const FETCH_BACKOFF_BASE_MS = 1000;
   let active = 0;
   const queue = [];
-  function enqueue(fn) {
-    return new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
+  let navigation = new AbortController();
+  let lastHref = location.href;
+
+  function abortError() {
+    const err = new Error('NBN lookup cancelled');
+    err.name = 'AbortError';
+    return err;
+  }
+
+  function enqueue(fn, { priority = () => 0, signal = navigation.signal } = {}) {
+    const item = { fn, priorities: [priority], signal };
+    const promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+      if (signal.aborted) return reject(abortError());
+      signal.addEventListener('abort', () => {
+        const i = queue.indexOf(item);
+        if (i !== -1) {
+          queue.splice(i, 1);
+          reject(abortError());
+        }
+      }, { once: true });
+      queue.push(item);
       processQueue();
     });
+    promise.job = item;
+    return promise;
+  }
+
+  // Lowest priority among the job's requesters, or null when none of them wants it any more
+  function jobPriority(item) {
+    const wanted = item.priorities.map(p => {
+      try { return p(); } catch (e) { return Infinity; }
+    }).filter(p => p !== null);
+    return wanted.length ? Math.min(...wanted) : null;
   }
+
   function processQueue() {
-    if (active >= MAX_CONCURRENT_FETCHES) return;
-    const item = queue.shift();
-    if (!item) return;
-    active++;
-    item.fn().then(item.resolve).catch(item.reject).finally(() => {
-      active--;
-      processQueue();
-    });
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (jobPriority(queue[i]) === null) queue.splice(i, 1)[0].reject(abortError());
+    }
+    while (active < settings.maxConcurrentFetches && queue.length) {
+      let next = 0;
+      let best = Infinity;
+      queue.forEach((item, i) => {
+        const p = jobPriority(item);
+        if (p < best) { best = p; next = i; }
+      });
+      const [item] = queue.splice(next, 1);
+      active++;
+      item.fn(item.signal).then(item.resolve, item.reject).finally(() => {
+        active--;
+        processQueue();
+      });
+    }
+  }
+
+  // Distance in px from the viewport (0 when visible); detached elements sort last
+  function viewportDistance(el) {
+    if (!el || !el.isConnected) return Infinity;
+    const rect = el.getBoundingClientRect();
+    if (rect.bottom < 0) return -rect.bottom;
+    if (rect.top > window.innerHeight) return rect.top - window.innerHeight;
+    return 0;
+  }
+
+  // Cancel outstanding lookups and rescan when the page URL changes (client-side navigation to another search page)
+  function checkNavigation() {
+    if (location.href === lastHref) return;
+    lastHref = location.href;
+    navigation.abort();
+    navigation = new AbortController();
+    onNavigated();
+  }
+
+  // SPA route changes go through the History API. Wrapping it catches them immediately where the userscript shares
+  // the page's history object; the poll covers sandboxes where it doesn't.
+  const NAVIGATION_POLL_MS = 1000;
+  function watchNavigation() {
+    window.addEventListener('popstate', checkNavigation);
+    window.addEventListener('hashchange', checkNavigation);
+    window.addEventListener('pagehide', () => navigation.abort());
+    for (const method of ['pushState', 'replaceState']) {
+      try {
+        const original = history[method];
+        history[method] = function (...args) {
+          const result = original.apply(this, args);
+          setTimeout(checkNavigation, 0);
+          return result;
+        };
+      } catch (e) { /* not writable here; the poll still notices */ }
+    }
+    setInterval(checkNavigation, NAVIGATION_POLL_MS);
+  }
+
+  const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener('abort', () => { clearTimeout(t); reject(abortError()); }, { once: true });
+  });
+
+  // fetch() with a per-attempt timeout and exponential backoff on 429, 5xx and network errors.
+  // 4xx other than 429 are returned as-is (a missing suburb file isn't worth retrying).
+  async function fetchWithRetry(url, { signal, cache } = {}) {
+    let lastErr = null;
+    for (let attempt = 0; attempt <= FETCH_MAX_RETRIES; attempt++) {
+      if (signal && signal.aborted) throw abortError();
+      const controller = new AbortController();
+      const onAbort = () => controller.abort();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      let timedOut = false;
+      const timer = setTimeout(() => { timedOut = true; controller.abort(); }, FETCH_TIMEOUT_MS);
+      let retryAfterMs = 0;
+      try {
+        const res = await fetch(url, cache ? { signal: controller.signal, cache } : { signal: controller.signal });
+        if (res.status !== 429 && res.status < 500) return res;
+        lastErr = new Error(`HTTP ${res.status} for ${url}`);
+        const retryAfter = Number(res.headers && res.headers.get('Retry-After'));
+        if (retryAfter > 0) retryAfterMs = retryAfter * 1000;
+      } catch (err) {
+        if (signal && signal.aborted) throw abortError();
+        lastErr = timedOut ? new Error(`Timed out after ${FETCH_TIMEOUT_MS / 1000}s: ${url}`) : err;
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+      if (attempt < FETCH_MAX_RETRIES) {
+        const backoff = FETCH_BACKOFF_BASE_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+        await sleep(Math.max(backoff, retryAfterMs), signal);
+      }
+    }
+    throw lastErr;
   }
 
+  // Suburb names: repo filenames, the suburb index and state resolution
+
   // Normalize suburb to likely repo filename: lowercase, spaces -> '-', strip punctuation, simple diacritics removal
   function toRepoSlug(name) {
     if (!name) return '';
@@ -143,203 +846,1344 @@ Notes:
     return Array.from(new Set(names));
   }
 
-  // Fetch suburb GeoJSON (with cache & TTL). Returns parsed JSON or throws.
-  async function fetchSuburbGeoJSON(suburb, state, force = false) {
-    const key = `${state}|${toRepoSlug(suburb)}`;
-    try {
-      const cached = await idbGet(key);
-      if (cached && !force) {
-        const age = Date.now() - (cached.fetchedAt || 0);
-        // If repo file contains generated date inside cached.data.generated we can rely on that too.
-        if (age < CACHE_TTL_MS) return cached.data;
+  // Suburb resolution against the dataset's own suburb list, so we request exactly one file per suburb
+  // instead of guessing filenames. The index is cached in IndexedDB under SUBURB_INDEX_KEY.
+  const SUBURB_INDEX_KEY = 'index|suburbs';
+  const SUBURB_INDEX_TTL_MS = 7 * DAY_MS;
+  const STATES = ['NSW', 'VIC', 'QLD', 'SA', 'WA', 'TAS', 'ACT', 'NT'];
+  // Australia Post postcode ranges -> state ([from, to] inclusive)
+  const POSTCODE_RANGES = [
+    ['ACT', 200, 299], ['NT', 800, 999], ['NSW', 1000, 2599], ['ACT', 2600, 2618], ['NSW', 2619, 2899],
+    ['ACT', 2900, 2920], ['NSW', 2921, 2999], ['VIC', 3000, 3999], ['QLD', 4000, 4999], ['SA', 5000, 5999],
+    ['WA', 6000, 6999], ['TAS', 7000, 7999], ['VIC', 8000, 8999], ['QLD', 9000, 9999]
+  ];
+  // Interchangeable slug words: listings and the dataset don't always agree on abbreviations
+  const SLUG_VARIANTS = [['st', 'saint'], ['mt', 'mount'], ['pt', 'point'], ['nth', 'north'], ['sth', 'south'], ['ck', 'creek']];
+  const SUBURB_INDEX_RETRY_MS = 10 * 60 * 1000; // wait this long before retrying a failed index download
+  let suburbIndexPromise = null;
+  let suburbIndexFailedAt = 0;
+
+  function stateFromPostcode(postcode) {
+    const n = parseInt(postcode, 10);
+    if (isNaN(n)) return '';
+    const hit = POSTCODE_RANGES.find(([, from, to]) => n >= from && n <= to);
+    return hit ? hit[0] : '';
+  }
+
+  // Every spelling of a slug we should look up, the original first
+  function slugVariants(slug) {
+    const out = [slug];
+    for (const [a, b] of SLUG_VARIANTS) {
+      for (const current of out.slice()) {
+        const tokens = current.split('-');
+        if (tokens.includes(a)) out.push(tokens.map(t => t === a ? b : t).join('-'));
+        if (tokens.includes(b)) out.push(tokens.map(t => t === b ? a : t).join('-'));
       }
-    } catch (e) {
-      console.warn('NBN cache read error', e);
     }
+    return Array.from(new Set(out));
+  }
 
-    const candidates = candidateFilenames(suburb, state).map(p => `${REPO_RAW_BASE}/${p}`);
-    // try each candidate until success
-    const tryFetch = async () => {
-      let lastErr = null;
-      for (const url of candidates) {
-        try {
-          const res = await fetch(url);
-          if (!res.ok) {
-            lastErr = new Error(`HTTP ${res.status} for ${url}`);
-            continue;
-          }
-          const text = await res.text();
-          const data = JSON.parse(text);
-          // store cache
-          const cachedObj = { fetchedAt: Date.now(), generatedAt: data.generated || data.generated_at || null, source: url, data };
-          try { await idbSet(key, cachedObj); } catch (e) { console.warn('NBN cache set error', e); }
-          return data;
-        } catch (err) {
-          lastErr = err;
-          continue;
+  // Build { bySlug: { slug: [{ state, postcode, file }] } } from either a GitHub tree listing or a { STATE: [...] }
+  // table. `file` is the name of the suburb's file in its state folder, without ".geojson": as listed in the tree,
+  // else the slug.
+  function parseSuburbIndex(raw) {
+    const bySlug = {};
+    const add = (state, name, postcode, file) => {
+      const slug = toRepoSlug(name);
+      if (!slug || !STATES.includes(state)) return;
+      (bySlug[slug] = bySlug[slug] || []).push({ state, postcode: postcode ? String(postcode) : '', file: file || slug });
+    };
+    if (raw && Array.isArray(raw.tree)) {
+      for (const entry of raw.tree) {
+        const m = /^results\/([A-Z]+)\/(.+)\.geojson$/.exec(entry.path || '');
+        if (m) add(m[1], m[2].replace(/-/g, ' '), '', m[2]);
+      }
+    } else if (raw && typeof raw === 'object') {
+      for (const [state, list] of Object.entries(raw)) {
+        for (const item of Array.isArray(list) ? list : []) {
+          if (typeof item === 'string') add(state.toUpperCase(), item);
+          else if (item && (item.name || item.suburb)) add(state.toUpperCase(), item.name || item.suburb, item.postcode);
         }
       }
-      throw lastErr || new Error('No candidate returned');
-    };
-
-    return enqueue(tryFetch);
+    }
+    return { bySlug };
   }
 
-  // Parse suburb, state and street from a listing element.
-  function parseSuburbStateFromListing(cardEl) {
-    for (const sel of SUBURB_CANDIDATES) {
-      const node = cardEl.querySelector(sel);
-      if (node && node.textContent && node.textContent.trim()) {
-        const parsed = extractSuburbStateFromText(node.textContent);
-        if (parsed) {
-          // Attempt to find a more specific street address element
-          const streetEl = cardEl.querySelector('[data-testid="property-card-street-address"]');
-          if (streetEl) {
-            parsed.street = streetEl.textContent.trim();
-          }
-          return parsed;
+  // Load the suburb index from cache or network. Resolves to null when no index is available.
+  function loadSuburbIndex() {
+    if (!settings.suburbIndexUrl) return Promise.resolve(null);
+    if (suburbIndexPromise) return suburbIndexPromise;
+    if (Date.now() - suburbIndexFailedAt < SUBURB_INDEX_RETRY_MS) return Promise.resolve(null);
+    suburbIndexPromise = (async () => {
+      try {
+        const cached = await idbGet(SUBURB_INDEX_KEY);
+        if (cached && cached.url === settings.suburbIndexUrl && Date.now() - cached.fetchedAt < SUBURB_INDEX_TTL_MS) {
+          return cached.index;
         }
+      } catch (e) {
+        console.warn('NBN cache read error', e);
       }
-    }
-    // Fallback to searching the whole card
-    const text = cardEl.textContent || '';
-    return extractSuburbStateFromText(text);
+      try {
+        const res = await fetchWithRetry(settings.suburbIndexUrl);
+        if (!res.ok) throw new Error(`HTTP ${res.status} for ${settings.suburbIndexUrl}`);
+        const index = parseSuburbIndex(JSON.parse(await res.text()));
+        if (!Object.keys(index.bySlug).length) throw new Error('Suburb index is empty');
+        try { await idbSet(SUBURB_INDEX_KEY, { fetchedAt: Date.now(), url: settings.suburbIndexUrl, index }); } catch (e) { console.warn('NBN cache set error', e); }
+        return index;
+      } catch (e) {
+        console.warn('NBN suburb index unavailable, falling back to filename guessing', e);
+        suburbIndexPromise = null; // retry on a later card, after a cool-down
+        suburbIndexFailedAt = Date.now();
+        return null;
+      }
+    })();
+    return suburbIndexPromise;
   }
 
-  // Extract suburb/state from arbitrary text using regex patterns
-  function extractSuburbStateFromText(text) {
-    if (!text) return null;
-    const t = text.replace(/\s+/g, ' ').trim();
-    const stateAbbr = '(NSW|VIC|QLD|SA|WA|TAS|ACT|NT)';
-    // Pattern 1: "Street, Suburb, STATE"
-    const p1 = new RegExp(`^([^,]+),\\s+([A-Za-z-&'.\\s]{2,60})[,\\s]+(${stateAbbr})(?:\\s|$)`, 'i');
-    const m1 = t.match(p1);
-    if (m1) {
-      const street = m1[1].trim();
-      const suburb = m1[2].trim().replace(/[,|.]+$/, '');
-      const state = m1[3].toUpperCase();
-      return { suburb, state, street };
+  // The dataset's path for a suburb ("QLD/acacia-ridge.geojson") when the index lists it in that state, else null.
+  // Providers request just this file; they only guess filenames without an index.
+  async function indexedFilename(suburb, state) {
+    const index = await loadSuburbIndex();
+    const slug = toRepoSlug(suburb);
+    const entry = index && (index.bySlug[slug] || []).find(e => e.state === state);
+    return entry ? `${state}/${entry.file || slug}.geojson` : null;
+  }
+
+  // Forget the loaded (or failed) index so the next lookup fetches it again
+  function resetSuburbIndex() {
+    suburbIndexPromise = null;
+    suburbIndexFailedAt = 0;
+  }
+
+  // State mentioned in the page URL (e.g. realestate.com.au search URLs "in-chermside,+qld+4032")
+  function pageStateHint() {
+    const m = decodeURIComponent(location.href).toUpperCase().match(/[,+\s\/-](NSW|VIC|QLD|SA|WA|TAS|ACT|NT)[+\s-]\d{4}/);
+    return m ? m[1] : '';
+  }
+
+  // Resolve a listing's suburb to a file in the dataset.
+  // Returns { status: 'resolved' | 'unindexed' | 'not-found' | 'ambiguous', suburb, state, states? }.
+  // 'unindexed' means no index could be loaded: the caller should fall back to guessing filenames.
+  async function resolveSuburb(suburb, state, postcode = '') {
+    const hint = (state || '').toUpperCase() || stateFromPostcode(postcode);
+    const index = await loadSuburbIndex();
+    if (!index) return { status: 'unindexed', suburb, state: hint };
+    for (const slug of slugVariants(toRepoSlug(suburb))) {
+      const entries = index.bySlug[slug];
+      if (!entries) continue;
+      const name = slug === toRepoSlug(suburb) ? suburb : slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+      const states = Array.from(new Set(entries.map(e => e.state)));
+      const pick = (st) => ({ status: 'resolved', suburb: name, state: st });
+      if (hint && states.includes(hint)) return pick(hint);
+      // postcode listed in the index settles duplicates across states
+      const byPostcode = postcode && entries.find(e => e.postcode === String(postcode));
+      if (byPostcode) return pick(byPostcode.state);
+      if (states.length === 1 && !state) return pick(states[0]); // the hint only came from the postcode (border towns)
+      if (!hint) {
+        const pageHint = pageStateHint();
+        if (pageHint && states.includes(pageHint)) return pick(pageHint);
+        if (states.length > 1) return { status: 'ambiguous', suburb: name, state: '', states };
+      }
     }
-    // Pattern 2: "Suburb, STATE"
-    const p2 = new RegExp(`([A-Za-z-&'.\\s]{2,60})[,\\s]+(${stateAbbr})(?:\\s|$)`, 'i');
-    const m2 = t.match(p2);
-    if (m2) {
-      const suburb = m2[1].trim().replace(/[,|.]+$/,'');
-      const state = m2[2].toUpperCase();
-      return { suburb, state };
+    return { status: 'not-found', suburb, state: hint };
+  }
+
+  // Why a suburb couldn't be looked up, as { label, message }: the short badge text and the explanation behind it.
+  // `place` is a resolveSuburb() result; any other status counts as a failed download, with `err` saying why.
+  function describeLookupStatus(place, err = null) {
+    if (place.status === 'not-found') {
+      return { label: 'NBN: suburb not in dataset', message: `"${place.suburb}${place.state ? ` ${place.state}` : ''}" is not in the NBN upgrade dataset.` };
     }
-    // Pattern 3: "Suburb 4032" (postcode fallback)
-    const p3 = /([A-Za-z-&'\s]{2,60})\s+(\d{4})/;
-    const m3 = t.match(p3);
-    if (m3) {
-      const suburb = m3[1].trim();
-      return { suburb, state: '' }; // State can be inferred later
+    if (place.status === 'ambiguous') {
+      return { label: 'NBN: which state?', message: `"${place.suburb}" exists in ${place.states.join(', ')} and the listing doesn't say which.` };
     }
-    return null;
+    if (!place.state) return { label: 'NBN: state unknown', message: `Couldn't work out the state for "${place.suburb}".` };
+    return { label: 'NBN: unknown', message: err ? `Lookup failed: ${err.message}` : 'Lookup failed' };
   }
 
-  // Normalize address string for matching
-  function normalizeAddress(addr) {
-    if (!addr) return '';
-    let a = addr.toLowerCase();
-    // expand abbreviations
-    a = a.replace(/\b(st|str)\b/g, 'street')
-         .replace(/\b(rd)\b/g, 'road')
-         .replace(/\b(ave)\b/g, 'avenue')
-         .replace(/\b(ct)\b/g, 'court')
-         .replace(/\b(pl)\b/g, 'place')
-         .replace(/\b(ln)\b/g, 'lane')
-         .replace(/\b(dr)\b/g, 'drive');
-    // handle unit/flat variations like '1/10' -> 'unit 1 10'
-    a = a.replace(/(\d+)\/(\d+)/g, 'unit $1 $2');
-    // remove punctuation
-    a = a.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '');
-    // collapse whitespace
-    return a.replace(/\s+/g, ' ').trim();
-  }
+  // Suburb data: downloads, digests and the memory/IndexedDB cache
 
-  // Create an index of addresses from GeoJSON for quick lookup
-  function indexGeojsonAddresses(geojson) {
-    const index = new Map();
-    if (!geojson || !Array.isArray(geojson.features)) return index;
-    for (const feature of geojson.features) {
-      const props = feature.properties || {};
-      const address = props.full_address || props.address || props.premise_address || props.ADDRESS || props.addr || props.street_address;
-      if (address) {
-        index.set(normalizeAddress(address), feature);
+  // Downloads in flight, keyed like the cache: concurrent lookups of one suburb share a single request
+  const inflight = new Map();
+  // Downloads that failed, by key: the other cards of that suburb get the same error instead of another round of
+  // requests. Kept for the rest of the scan (until a navigation, or FAILED_DOWNLOAD_MS); a forced load retries.
+  const FAILED_DOWNLOAD_MS = 5 * 60 * 1000;
+  const failedDownloads = new Map();
+
+  // Cached suburbs are stored as digests rather than raw GeoJSON:
+  //   v, fetchedAt, generatedAt, etag, lastModified, provider, source   metadata
+  //   warnings   validateGeoJSON() findings for the file, if any
+  //   summary    precomputed summarizeGeoJSON() result
+  //   premises   [address, technology, lat, lng, upgradeProps | 0] per feature
+  // inflateDigest() turns a digest back into minimal Point features so the matching code can use it unchanged.
+  const DIGEST_VERSION = 2;
+  // inflated features carry the already-mapped address and technology under these keys, whatever the source schema
+  const DIGEST_ADDRESS_KEY = '_nbnAddress';
+  const DIGEST_TYPE_KEY = '_nbnType';
+
+  function buildSuburbDigest(geojson, meta = {}) {
+    const premises = [];
+    for (const f of (geojson && geojson.features) || []) {
+      const props = f.properties || {};
+      const pos = featureLatLng(f);
+      const extra = {};
+      for (const k of Object.keys(props)) {
+        if (UPGRADE_PROPERTY_PATTERN.test(k) && props[k] != null && props[k] !== '') extra[k] = props[k];
       }
+      premises.push([
+        featureAddress(props),
+        featureType(f),
+        pos ? Number(pos[0].toFixed(6)) : null,
+        pos ? Number(pos[1].toFixed(6)) : null,
+        Object.keys(extra).length ? extra : 0
+      ]);
     }
-    return index;
+    return { ...meta, v: DIGEST_VERSION, summary: summarizeGeoJSON(geojson), premises };
   }
 
-  // Match a listing's address to a feature in the indexed GeoJSON
-  function matchListingAddressToFeature(listingAddress, addressIndex) {
-    if (!listingAddress || !addressIndex) return null;
-    const normalized = normalizeAddress(listingAddress);
-    return addressIndex.get(normalized) || null;
+  function inflateDigest(digest) {
+    const features = (digest.premises || []).map(([address, type, lat, lng, extra]) => ({
+      type: 'Feature',
+      properties: { ...(extra || {}), [DIGEST_ADDRESS_KEY]: address, [DIGEST_TYPE_KEY]: type },
+      geometry: lat == null ? null : { type: 'Point', coordinates: [lng, lat] }
+    }));
+    return { type: 'FeatureCollection', generated: digest.generatedAt || null, features };
   }
 
-  // Summarize geojson features into counts per known type, and derive top types and sample addresses
-  function summarizeGeoJSON(geojson) {
-    const counts = {};
-    const examples = {};
-    if (!geojson || !Array.isArray(geojson.features)) return { counts, examples, total: 0 };
+  // A digest from outside this script (an imported cache file) checked against the shape buildSuburbDigest() gives;
+  // returns a copy with only the keys it sets, or throws saying what's wrong with it
+  const DIGEST_TEXT_KEYS = ['generatedAt', 'etag', 'lastModified', 'provider', 'source', 'contentHash'];
+
+  function checkDigest(digest) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isCount = (value) => Number.isFinite(value) && value >= 0;
+    const isCounts = (value) => isObject(value) && Object.values(value).every(isCount);
+    const fail = (message) => { throw new Error(message); };
+    if (!isObject(digest)) fail('not a digest');
+    if (digest.v !== DIGEST_VERSION) fail(`digest version ${digest.v}, expected ${DIGEST_VERSION}`);
+    if (!Number.isFinite(digest.fetchedAt)) fail('no download time');
+    for (const key of DIGEST_TEXT_KEYS) {
+      if (digest[key] != null && typeof digest[key] !== 'string') fail(`${key} is not text`);
+    }
+    const warnings = digest.warnings || [];
+    if (!Array.isArray(warnings) || !warnings.every(w => typeof w === 'string')) fail('warnings are not a list of text');
+    const { summary } = digest;
+    if (!isObject(summary) || !isCounts(summary.counts) || !isCount(summary.total)) fail('summary has no valid counts');
+    const { examples = {}, upgrades = {}, upgradeTargets = {} } = summary;
+    if (!isObject(examples) || !Object.values(examples).every(e => typeof e === 'string')) fail('summary examples are not text');
+    if (!isObject(upgrades) || !Object.values(upgrades).every(isCounts)) fail('summary upgrades have invalid counts');
+    if (!isObject(upgradeTargets) || !Object.values(upgradeTargets).every(isCounts)) fail('summary upgrade targets have invalid counts');
+    if (!Array.isArray(digest.premises)) fail('no premises');
+    const isCoordinate = (value) => value === null || Number.isFinite(value);
+    for (const p of digest.premises) {
+      if (!Array.isArray(p) || p.length !== 5 || typeof p[0] !== 'string' || typeof p[1] !== 'string' ||
+          !isCoordinate(p[2]) || !isCoordinate(p[3]) || !(p[4] === 0 || isObject(p[4]))) {
+        fail('premises are not [address, technology, lat, lng, upgrade]');
+      }
+    }
+    const clean = { v: digest.v, fetchedAt: digest.fetchedAt };
+    for (const key of DIGEST_TEXT_KEYS) if (digest[key] != null) clean[key] = digest[key];
+    return {
+      ...clean, warnings,
+      summary: { counts: summary.counts, examples, total: summary.total, upgrades, upgradeTargets },
+      premises: digest.premises
+    };
+  }
+
+  // Digest sources end up as link targets, and an imported cache file can carry anything: only http(s) URLs are used
+  function isHttpUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // In-memory LRU of inflated suburbs in front of IndexedDB: { digest, geojson, summary, source, indexes, indexing }
+  const memoryCache = new Map();
+
+  function rememberSuburb(key, digest) {
+    const entry = { digest, geojson: inflateDigest(digest), summary: digest.summary, source: digest.source || '', indexes: new Map(), indexing: new Map() };
+    memoryCache.delete(key);
+    memoryCache.set(key, entry);
+    while (memoryCache.size > MEMORY_CACHE_MAX) memoryCache.delete(memoryCache.keys().next().value);
+    return entry;
+  }
+
+  // Address index for a loaded suburb, built once per suburb spelling
+  function suburbAddressIndex(entry, suburb) {
+    if (!entry.indexes.has(suburb)) entry.indexes.set(suburb, indexGeojsonAddresses(entry.geojson, suburb));
+    return entry.indexes.get(suburb);
+  }
+
+  function isFresh(digest) {
+    return digest && digest.v === DIGEST_VERSION && Date.now() - (digest.fetchedAt || 0) < settings.cacheTtlDays * DAY_MS;
+  }
+
+  // Fetch suburb GeoJSON (with cache & TTL). Returns parsed JSON or throws.
+  async function fetchSuburbGeoJSON(suburb, state, force = false, options = {}) {
+    return (await loadSuburb(suburb, state, force, options)).geojson;
+  }
+
+  // Load a suburb as { digest, geojson, summary, source, indexes }: memory, then IndexedDB, then the network.
+  // Stale-while-revalidate: an expired cached copy is returned straight away and refreshed in the background;
+  // if the data changed, an nbn:data-updated event updates the badges in place.
+  // options.priority is a callback for the scheduler (lower = sooner), e.g. the card's distance from the viewport.
+  async function loadSuburb(suburb, state, force = false, options = {}) {
+    const key = `${state}|${toRepoSlug(suburb)}`;
+    const priority = options.priority || (() => 0);
+    if (force) failedDownloads.delete(key);
+    else {
+      let entry = memoryCache.get(key) || null;
+      if (entry) {
+        memoryCache.delete(key);
+        memoryCache.set(key, entry);
+      } else {
+        try {
+          const cached = await idbGet(key);
+          if (cached && cached.v === DIGEST_VERSION) entry = rememberSuburb(key, cached);
+        } catch (e) {
+          console.warn('NBN cache read error', e);
+        }
+      }
+      if (entry) {
+        if (!isFresh(entry.digest)) revalidateSuburb(suburb, state, entry.digest);
+        await prepareAddressIndex(entry, suburb);
+        return entry;
+      }
+    }
+    const entry = await downloadSuburb(suburb, state, { priority });
+    await prepareAddressIndex(entry, suburb);
+    return entry;
+  }
+
+  // Background refresh of a stale suburb, at most once per page load
+  const revalidated = new Set();
+  function revalidateSuburb(suburb, state, previous) {
+    const key = `${state}|${toRepoSlug(suburb)}`;
+    if (revalidated.has(key) || inflight.has(key)) return;
+    revalidated.add(key);
+    downloadSuburb(suburb, state, { priority: () => Number.MAX_SAFE_INTEGER, previous })
+      .then(entry => {
+        if (entry.changed) announceSuburbUpdate(suburb, state, entry);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') console.warn('NBN background refresh failed', key, err);
+      });
+  }
+
+  // Re-download a suburb now; every badge showing it is updated
+  async function refreshSuburb(suburb, state) {
+    const entry = await loadSuburb(suburb, state, true, { priority: () => -1 });
+    announceSuburbUpdate(suburb, state, entry);
+    return entry;
+  }
+
+  // nbn:data-updated: the page's badges for the suburb re-render from it, and other scripts get its new summary
+  function announceSuburbUpdate(suburb, state, entry) {
+    emitEvent(document, NBN_EVENTS.dataUpdated, suburbPayload(suburb, state, entry));
+  }
+
+  // Plain-data description of a loaded suburb, as given by getSuburbSummary() and nbn:data-updated
+  function suburbPayload(suburb, state, entry) {
+    const { counts = {}, examples = {}, total = 0, upgrades = {}, upgradeTargets = {} } = entry.summary || {};
+    const dataDate = digestDate(entry.digest);
+    return JSON.parse(JSON.stringify({
+      suburb, state,
+      source: entry.source,
+      dataDate: dataDate ? dataDate.toISOString() : null,
+      fetchedAt: entry.digest.fetchedAt ? new Date(entry.digest.fetchedAt).toISOString() : null,
+      total, counts, examples, upgrades, upgradeTargets,
+      technology: selectPrimaryType(counts),
+      score: settings.qualityScore ? Math.round(averageQuality(counts)) : null,
+      warnings: entry.digest.warnings || []
+    }));
+  }
+
+  // FNV-1a hash of a file's text, to tell whether a re-download actually changed anything
+  function hashText(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16);
+  }
+
+  // Download a suburb through the scheduler. With `previous` (a stale digest) this is a revalidation: its source URL
+  // is tried first with cache: 'no-cache', which lets the browser revalidate with If-None-Match/If-Modified-Since.
+  // An unchanged ETag or content hash only bumps fetchedAt. The resolved entry has `changed` set accordingly.
+  function downloadSuburb(suburb, state, { priority = () => 0, previous = null } = {}) {
+    const key = `${state}|${toRepoSlug(suburb)}`;
+    const pending = inflight.get(key);
+    if (pending) {
+      pending.job.priorities.push(priority);
+      return pending;
+    }
+    const failure = failedDownloads.get(key);
+    if (failure && Date.now() - failure.at < FAILED_DOWNLOAD_MS) return Promise.reject(failure.error);
+
+    // try each provider, and each of its candidate URLs, until one succeeds
+    const tryFetch = async (signal) => {
+      const targets = [];
+      const file = await indexedFilename(suburb, state);
+      for (const provider of getProviders()) {
+        for (const url of provider.urls(suburb, state, file)) targets.push({ provider, url });
+      }
+      if (previous && previous.source) {
+        targets.sort((a, b) => (b.url === previous.source) - (a.url === previous.source));
+      }
+      let lastErr = null;
+      for (const { provider, url } of targets) {
+        try {
+          const revalidating = !!previous && url === previous.source;
+          const result = await fetchDigest(provider, url, { signal, suburb, previous: revalidating ? previous : null });
+          if (!result.ok) {
+            lastErr = new Error(`HTTP ${result.status} for ${url}`);
+            continue;
+          }
+          if (result.unchanged) {
+            const digest = { ...previous, fetchedAt: Date.now() };
+            try { await idbSet(key, digest); } catch (e) { console.warn('NBN cache set error', e); }
+            return Object.assign(rememberSuburb(key, digest), { changed: false });
+          }
+          const { digest } = result;
+          if (digest.warnings.length) console.warn('NBN data warnings for', url, digest.warnings);
+          // store cache, keeping the copy it replaces long enough to record what changed
+          const replaced = previous || await cachedDigest(key);
+          try { await idbSet(key, digest); } catch (e) { console.warn('NBN cache set error', e); }
+          await recordSuburbHistory(key, replaced, digest);
+          const entry = rememberSuburb(key, digest);
+          if (result.index) entry.indexes.set(suburb, expandAddressIndex(result.index, entry.geojson.features));
+          return Object.assign(entry, { changed: true });
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          lastErr = err;
+          continue;
+        }
+      }
+      throw lastErr || new Error('No candidate returned');
+    };
+
+    const job = enqueue(tryFetch, { priority });
+    inflight.set(key, job);
+    const clear = () => { if (inflight.get(key) === job) inflight.delete(key); };
+    job.then(() => {
+      clear();
+      failedDownloads.delete(key);
+    }, err => {
+      clear();
+      if (err.name !== 'AbortError') failedDownloads.set(key, { error: err, at: Date.now() });
+    });
+    return job;
+  }
+
+  // A new page gets a fresh try at suburbs that failed on the last one
+  function forgetFailedDownloads() {
+    failedDownloads.clear();
+  }
+
+  // Fetch one candidate file and digest it. Resolves to { ok, status } plus, for a 2xx response, either
+  // unchanged: true (same content hash or ETag as `previous`) or the new digest. Self-contained apart from the
+  // parsing helpers so that the worker can run it as well.
+  async function fetchSuburbDigest(url, { signal, cache, previous = null, meta = {}, parse = parseGeoJSONText, freshness = responseFreshness } = {}) {
+    const res = await fetchWithRetry(url, { signal, cache });
+    if (!res.ok) return { ok: false, status: res.status };
+    const text = await res.text();
+    const contentHash = hashText(text);
+    const etag = (res.headers && res.headers.get('ETag')) || null;
+    if (previous && (contentHash === previous.contentHash || (etag && etag === previous.etag))) {
+      return { ok: true, status: res.status, unchanged: true };
+    }
+    const data = parse(text, url);
+    const { warnings } = validateGeoJSON(data);
+    const digest = buildSuburbDigest(data, { fetchedAt: Date.now(), ...freshness(data, res), contentHash, ...meta, warnings });
+    return { ok: true, status: res.status, digest };
+  }
+
+  // fetchSuburbDigest() in the worker, which also returns the address index for `suburb`; inline when the worker is
+  // unavailable or the provider parses files its own way. `previous` is the digest being revalidated, if any.
+  async function fetchDigest(provider, url, { signal, suburb, previous = null }) {
+    const options = {
+      cache: previous ? 'no-cache' : undefined,
+      previous: previous && { contentHash: previous.contentHash || null, etag: previous.etag || null },
+      meta: { provider: provider.id, source: url }
+    };
+    if (provider.parse === parseGeoJSONText && provider.freshness === responseFreshness) {
+      try {
+        return await callWorker({ op: 'fetch', url, suburb, ...options }, signal);
+      } catch (err) {
+        if (err.name !== 'WorkerError') throw err;
+      }
+    }
+    return fetchSuburbDigest(url, { ...options, signal, parse: provider.parse, freshness: provider.freshness });
+  }
+
+  async function cachedDigest(key) {
+    const mem = memoryCache.get(key);
+    if (mem) return mem.digest;
+    try {
+      const cached = await idbGet(key);
+      return cached && cached.v === DIGEST_VERSION ? cached : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // When a suburb's data is from: the dataset's generated timestamp, else the file's Last-Modified, else when we fetched it
+  function digestDate(digest) {
+    if (!digest) return null;
+    for (const v of [digest.generatedAt, digest.lastModified, digest.fetchedAt]) {
+      if (!v) continue;
+      const d = new Date(v);
+      if (!isNaN(d)) return d;
+    }
+    return null;
+  }
+
+  // Cache cleanup: delete suburbs older than cacheExpiryDays, then the least recently downloaded ones beyond
+  // cacheMaxEntries, in one transaction. Resolves to the number deleted.
+  async function cleanupCache() {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, 'readwrite');
+      const store = tx.objectStore(CACHE_STORE);
+      const now = Date.now();
+      const entries = [];
+      let deleted = 0;
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor) {
+          // the suburb index lives in the same store but isn't a suburb entry
+          if (cursor.key !== SUBURB_INDEX_KEY) entries.push({ key: cursor.key, fetchedAt: cursor.value.fetchedAt || 0 });
+          cursor.continue();
+          return;
+        }
+        // oldest first: expired entries, then any over the limit
+        entries.sort((a, b) => a.fetchedAt - b.fetchedAt);
+        const expired = entries.filter(e => now - e.fetchedAt > settings.cacheExpiryDays * DAY_MS).length;
+        const excess = Math.max(0, entries.length - expired - settings.cacheMaxEntries);
+        const toDelete = entries.slice(0, expired + excess);
+        for (const entry of toDelete) store.delete(entry.key);
+        deleted = toDelete.length;
+      };
+      tx.oncomplete = () => { resolve(deleted); db.close(); };
+      // a failed request aborts the transaction
+      tx.onabort = () => { reject(tx.error); db.close(); };
+    });
+  }
+
+  // Parsing and indexing suburb files off the main thread
+
+  // Background worker. Parsing a large suburb file and indexing its addresses takes long enough to make the page
+  // stutter while scrolling, so both run in a worker built from a Blob URL (userscripts have no worker file to
+  // point at). Its source is the pure functions below plus the constants they read; only digests and compact
+  // address indexes come back. When workers are unavailable (blocked by the page's CSP, or turned off in settings)
+  // callWorker() rejects with a WorkerError and callers run the same functions inline.
+  let worker; // undefined until first needed, null when unavailable
+  let workerCallId = 0;
+  const workerCalls = new Map(); // id -> { resolve, reject }
+
+  function workerError(message) {
+    const err = new Error(message);
+    err.name = 'WorkerError';
+    return err;
+  }
+
+  function workerValue(value) {
+    if (value instanceof Set) return `new Set(${JSON.stringify([...value])})`;
+    if (value instanceof RegExp) return String(value);
+    return JSON.stringify(value);
+  }
+
+  function workerSource() {
+    const constants = {
+      FETCH_TIMEOUT_MS, FETCH_MAX_RETRIES, FETCH_BACKOFF_BASE_MS, DIGEST_VERSION, DIGEST_ADDRESS_KEY, DIGEST_TYPE_KEY,
+      UPGRADE_PROPERTY_PATTERN, UPSTREAM_SCHEMA, TECHNOLOGY_ALIASES, TECHNOLOGY_ACRONYM_RE, LEGEND,
+      STREET_TYPES, UNIT_WORDS, STATE_WORDS
+    };
+    const functions = {
+      abortError, sleep, fetchWithRetry, hashText, parseGeoJSONText, responseFreshness, fetchSuburbDigest,
+      validateGeoJSON, buildSuburbDigest, inflateDigest, summarizeGeoJSON, summarizeFeatures, featureAddress,
+      featureTechnologyValue, featureType, featureLatLng, featureUpgrade, normalizeTypeString, toRepoSlug,
+      normalizeAddress, parseAddressParts, streetKeyOf, indexGeojsonAddresses, compactAddressIndex, indexDigest
+    };
+    return [
+      "'use strict';",
+      'let settings = {};',
+      ...Object.entries(constants).map(([name, value]) => `const ${name} = ${workerValue(value)};`),
+      ...Object.entries(functions).map(([name, fn]) => `const ${name} = ${fn};`),
+      `const controllers = new Map();
+      self.onmessage = async ({ data }) => {
+        if (data.op === 'abort') {
+          if (controllers.has(data.id)) controllers.get(data.id).abort();
+          return;
+        }
+        settings = { propertyMapping: data.propertyMapping };
+        const controller = new AbortController();
+        controllers.set(data.id, controller);
+        try {
+          let result;
+          if (data.op === 'fetch') {
+            result = await fetchSuburbDigest(data.url, { signal: controller.signal, cache: data.cache, previous: data.previous, meta: data.meta });
+            if (result.digest) result.index = indexDigest(result.digest, data.suburb);
+          } else {
+            result = { index: indexDigest({ premises: data.premises }, data.suburb) };
+          }
+          self.postMessage({ id: data.id, result });
+        } catch (err) {
+          self.postMessage({ id: data.id, error: { name: err.name, message: err.message } });
+        } finally {
+          controllers.delete(data.id);
+        }
+      };`
+    ].join('\n');
+  }
+
+  function getWorker() {
+    if (worker !== undefined) return worker;
+    worker = null;
+    if (!settings.useWorker || typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
+    try {
+      const url = URL.createObjectURL(new Blob([workerSource()], { type: 'text/javascript' }));
+      const w = new Worker(url);
+      w.onmessage = ({ data }) => {
+        const call = workerCalls.get(data.id);
+        if (!call) return;
+        workerCalls.delete(data.id);
+        if (!data.error) call.resolve(data.result);
+        else if (data.error.name === 'AbortError') call.reject(abortError());
+        else call.reject(new Error(data.error.message));
+      };
+      // the worker script failed to load or start (e.g. blob: workers are blocked); retry its calls inline
+      w.onerror = (ev) => {
+        console.warn('NBN worker failed, parsing on the page thread from now on', ev.message || ev);
+        stopWorker();
+        worker = null;
+      };
+      worker = w;
+    } catch (e) {
+      console.warn('NBN worker unavailable, parsing on the page thread', e);
+    }
+    return worker;
+  }
+
+  function stopWorker() {
+    if (worker) worker.terminate();
+    worker = undefined;
+    for (const call of workerCalls.values()) call.reject(workerError('NBN worker stopped'));
+    workerCalls.clear();
+  }
+
+  // Post a request to the worker; rejects with a WorkerError when there is no worker to run it
+  function callWorker(message, signal) {
+    const w = getWorker();
+    if (!w) return Promise.reject(workerError('NBN worker unavailable'));
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    const id = ++workerCallId;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        workerCalls.delete(id);
+        w.postMessage({ op: 'abort', id });
+        reject(abortError());
+      };
+      const done = (fn) => (value) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      workerCalls.set(id, { resolve: done(resolve), reject: done(reject) });
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      w.postMessage({ ...message, id, propertyMapping: settings.propertyMapping });
+    });
+  }
+
+  // Address indexes cross threads with each feature replaced by its position in the suburb's inflated feature list
+  function compactAddressIndex(index, features) {
+    const position = new Map(features.map((f, i) => [f, i]));
+    return {
+      exact: [...index.exact].map(([address, f]) => [address, position.get(f)]),
+      byNumber: [...index.byNumber].map(([num, list]) => [num, list.map(e => [position.get(e.feature), e.parts])]),
+      byStreet: [...index.byStreet].map(([key, street]) => [key, street.name, street.type, street.features.map(f => position.get(f))])
+    };
+  }
+
+  function expandAddressIndex(compact, features) {
+    return {
+      exact: new Map(compact.exact.map(([address, i]) => [address, features[i]])),
+      byNumber: new Map(compact.byNumber.map(([num, list]) => [num, list.map(([i, parts]) => ({ feature: features[i], parts }))])),
+      byStreet: new Map(compact.byStreet.map(([key, name, type, list]) => [key, { name, type, features: list.map(i => features[i]) }]))
+    };
+  }
+
+  // Compact address index of a digest's premises, in the same order inflateDigest() gives the main thread
+  function indexDigest(digest, suburb) {
+    const geojson = inflateDigest(digest);
+    return compactAddressIndex(indexGeojsonAddresses(geojson, suburb), geojson.features);
+  }
+
+  // Build a suburb's address index for `suburb` in the worker ahead of suburbAddressIndex(), which otherwise builds
+  // it inline. Concurrent requests for the same spelling share one worker call.
+  function prepareAddressIndex(entry, suburb) {
+    if (entry.indexes.has(suburb)) return Promise.resolve();
+    if (!entry.indexing.has(suburb)) {
+      const job = callWorker({ op: 'index', premises: entry.digest.premises || [], suburb })
+        .then(({ index }) => {
+          if (!entry.indexes.has(suburb)) entry.indexes.set(suburb, expandAddressIndex(index, entry.geojson.features));
+        })
+        .catch(err => {
+          if (err.name !== 'WorkerError') console.warn('NBN worker index error', err);
+        })
+        .finally(() => entry.indexing.delete(suburb));
+      entry.indexing.set(suburb, job);
+    }
+    return entry.indexing.get(suburb);
+  }
+
+  // Technology changes recorded across downloads of a suburb
+
+  // Technology history. Whenever a download replaces a cached suburb, the old and new digests are diffed per address
+  // and the result appended to the suburb's record in HISTORY_STORE (same key as the cache):
+  //   changes    [{ at, address, from, to }] oldest first; `at` is the snapshot date of the newer data
+  //   snapshots  [{ at, counts }] suburb counts for each distinct snapshot seen
+  // History outlives the cache: deleting or clearing cached suburbs leaves it alone.
+  const HISTORY_MAX_CHANGES = 1000;
+  const HISTORY_MAX_SNAPSHOTS = 52;
+  const HISTORY_RECENT_DAYS = 180;
+  const historyCache = new Map();
+
+  // Premises present in both digests whose technology differs
+  function diffDigests(prev, next) {
+    const before = new Map();
+    for (const [address, type] of prev.premises || []) {
+      if (address) before.set(String(address).toUpperCase().trim(), type);
+    }
+    const changes = [];
+    for (const [address, type] of next.premises || []) {
+      if (!address) continue;
+      const old = before.get(String(address).toUpperCase().trim());
+      if (old && type && old !== type) changes.push({ address, from: old, to: type });
+    }
+    return changes;
+  }
+
+  function sameCounts(a = {}, b = {}) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(k => (a[k] || 0) === (b[k] || 0));
+  }
+
+  // A file republished under the same data date can still have changed: it then replaces that date's snapshot
+  async function recordSuburbHistory(key, prev, next) {
+    try {
+      const record = (await getSuburbHistory(key)) || { changes: [], snapshots: [] };
+      const snapshot = (digest) => ({ at: (digestDate(digest) || new Date()).getTime(), counts: digest.summary.counts });
+      if (prev && !record.snapshots.length) record.snapshots.push(snapshot(prev));
+      const latest = snapshot(next);
+      const last = record.snapshots[record.snapshots.length - 1];
+      const changes = prev ? diffDigests(prev, next) : [];
+      const sameDate = last && last.at === latest.at;
+      if (sameDate && !changes.length && sameCounts(last.counts, latest.counts)) return;
+      if (sameDate) record.snapshots[record.snapshots.length - 1] = latest;
+      else record.snapshots.push(latest);
+      record.changes.push(...changes.map(c => ({ at: latest.at, ...c })));
+      record.snapshots = record.snapshots.slice(-HISTORY_MAX_SNAPSHOTS);
+      record.changes = record.changes.slice(-HISTORY_MAX_CHANGES);
+      historyCache.set(key, record);
+      await idbSet(key, record, HISTORY_STORE);
+    } catch (e) {
+      console.warn('NBN history error', e);
+    }
+  }
+
+  async function getSuburbHistory(key) {
+    if (!historyCache.has(key)) {
+      let record = null;
+      try { record = (await idbGet(key, HISTORY_STORE)) || null; } catch (e) { console.warn('NBN history read error', e); }
+      if (historyCache.has(key)) return historyCache.get(key);
+      historyCache.set(key, record);
+    }
+    return historyCache.get(key);
+  }
+
+  // Changes within the last HISTORY_RECENT_DAYS, newest first
+  function recentChanges(history) {
+    const since = Date.now() - HISTORY_RECENT_DAYS * DAY_MS;
+    return ((history && history.changes) || []).filter(c => c.at >= since).reverse();
+  }
+
+  function premiseChange(history, address) {
+    if (!address) return null;
+    const wanted = String(address).toUpperCase().trim();
+    return recentChanges(history).find(c => String(c.address).toUpperCase().trim() === wanted) || null;
+  }
+
+  // "March", or "March 2024" outside the current year
+  function formatSince(at) {
+    const d = new Date(at);
+    return d.toLocaleDateString('en-AU', d.getFullYear() === new Date().getFullYear() ? { month: 'long' } : { month: 'long', year: 'numeric' });
+  }
+
+  // Popup / detail panel section: recent per-premise changes, then suburb counts per snapshot
+  function makeHistorySection(history, limit = 8) {
+    const section = document.createElement('div');
+    section.className = 'nbn-history';
+    const recent = recentChanges(history);
+    const snapshots = (history && history.snapshots) || [];
+    if (!recent.length && snapshots.length < 2) return null;
+
+    const title = document.createElement('div');
+    title.className = 'nbn-history-title';
+    title.textContent = recent.length
+      ? `Recent changes (${recent.length} since ${formatSince(recent[recent.length - 1].at)})`
+      : 'Changes over time';
+    section.appendChild(title);
+    for (const c of recent.slice(0, limit)) {
+      const row = document.createElement('div');
+      row.className = 'nbn-history-row';
+      row.textContent = `${String(c.address).slice(0, 80)}: ${c.from} → ${c.to}`;
+      row.title = new Date(c.at).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' });
+      section.appendChild(row);
+    }
+    if (recent.length > limit) {
+      const more = document.createElement('div');
+      more.className = 'nbn-history-row';
+      more.textContent = `…and ${recent.length - limit} more`;
+      section.appendChild(more);
+    }
+
+    if (snapshots.length >= 2) {
+      const totals = {};
+      for (const snap of snapshots) {
+        for (const [type, n] of Object.entries(snap.counts || {})) totals[type] = (totals[type] || 0) + n;
+      }
+      const types = Object.keys(totals).sort((a, b) => totals[b] - totals[a]).slice(0, 4);
+      const table = document.createElement('table');
+      table.className = 'nbn-tiers';
+      const head = table.createTHead().insertRow();
+      for (const c of ['Snapshot', ...types]) {
+        const th = document.createElement('th');
+        th.textContent = c;
+        head.appendChild(th);
+      }
+      const body = table.createTBody();
+      for (const snap of snapshots.slice(-6).reverse()) {
+        const row = body.insertRow();
+        row.insertCell().textContent = new Date(snap.at).toLocaleDateString('en-AU', { month: 'short', year: 'numeric' });
+        for (const type of types) row.insertCell().textContent = String((snap.counts || {})[type] || 0);
+      }
+      section.appendChild(table);
+    }
+    return section;
+  }
+
+  // Address parsing and matching listings to premises
+
+  // Parse suburb, state and street from a listing element.
+  function parseSuburbStateFromListing(cardEl, adapter = SITE) {
+    if (adapter && typeof adapter.parseListing === 'function') {
+      const custom = adapter.parseListing(cardEl);
+      if (custom) return custom;
+    }
+    for (const sel of (adapter && adapter.locationSelectors) || []) {
+      const node = cardEl.querySelector(sel);
+      const nodeText = elementText(node);
+      if (nodeText) {
+        const parsed = extractSuburbStateFromText(nodeText);
+        if (parsed) {
+          // Attempt to find a more specific street address element
+          const streetEl = queryFirst(cardEl, adapter.streetSelectors);
+          if (streetEl) {
+            parsed.street = streetEl.textContent.trim();
+          }
+          return parsed;
+        }
+      }
+    }
+    // Fallback to searching the whole card, then its labelled elements / image alt text
+    const text = cardEl.textContent || '';
+    const fromText = extractSuburbStateFromText(text);
+    if (fromText && fromText.state) return fromText;
+    const labelled = [cardEl, ...cardEl.querySelectorAll('img[alt], [aria-label]')];
+    for (const node of labelled) {
+      const parsed = extractSuburbStateFromText(node.getAttribute('alt') || node.getAttribute('aria-label'));
+      if (parsed && parsed.state) return parsed;
+    }
+    return fromText;
+  }
+
+  // Extract suburb/state from arbitrary text using regex patterns
+  function extractSuburbStateFromText(text) {
+    if (!text) return null;
+    const t = text.replace(/\s+/g, ' ').trim();
+    const stateAbbr = '(NSW|VIC|QLD|SA|WA|TAS|ACT|NT)';
+    // Pattern 1: "Street, Suburb, STATE"
+    const p1 = new RegExp(`^([^,]+),\\s+([A-Za-z-&'.\\s]{2,60})[,\\s]+(${stateAbbr})(?:\\s+(\\d{4}))?(?:\\s|$)`, 'i');
+    const m1 = t.match(p1);
+    if (m1) {
+      const street = m1[1].trim();
+      const suburb = m1[2].trim().replace(/[,|.]+$/, '');
+      const state = m1[3].toUpperCase();
+      return { suburb, state, street, postcode: m1[5] || '' };
+    }
+    // Pattern 2: "Suburb, STATE"
+    const p2 = new RegExp(`([A-Za-z-&'.\\s]{2,60})[,\\s]+(${stateAbbr})(?:\\s+(\\d{4}))?(?:\\s|$)`, 'i');
+    const m2 = t.match(p2);
+    if (m2) {
+      const suburb = m2[1].trim().replace(/[,|.]+$/,'');
+      const state = m2[2].toUpperCase();
+      return { suburb, state, postcode: m2[4] || '' };
+    }
+    // Pattern 3: "Suburb 4032" (postcode fallback)
+    const p3 = /([A-Za-z-&'\s]{2,60})\s+(\d{4})/;
+    const m3 = t.match(p3);
+    if (m3) {
+      const suburb = m3[1].trim();
+      return { suburb, state: '', postcode: m3[2] }; // State is inferred from the postcode by resolveSuburb
+    }
+    return null;
+  }
+
+  // Normalize address string for matching
+  function normalizeAddress(addr) {
+    if (!addr) return '';
+    let a = addr.toLowerCase();
+    // expand abbreviations
+    a = a.replace(/\b(st|str)\b/g, 'street')
+         .replace(/\b(rd)\b/g, 'road')
+         .replace(/\b(ave)\b/g, 'avenue')
+         .replace(/\b(ct)\b/g, 'court')
+         .replace(/\b(pl)\b/g, 'place')
+         .replace(/\b(ln)\b/g, 'lane')
+         .replace(/\b(dr)\b/g, 'drive');
+    // handle unit/flat variations like '1/10' -> 'unit 1 10'
+    a = a.replace(/(\d+)\/(\d+)/g, 'unit $1 $2');
+    // remove punctuation
+    a = a.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '');
+    // collapse whitespace
+    return a.replace(/\s+/g, ' ').trim();
+  }
+
+  // Street type words and abbreviations -> canonical street type
+  const STREET_TYPES = {
+    street: 'street', st: 'street', str: 'street',
+    road: 'road', rd: 'road',
+    avenue: 'avenue', ave: 'avenue', av: 'avenue',
+    court: 'court', ct: 'court', crt: 'court',
+    place: 'place', pl: 'place',
+    lane: 'lane', ln: 'lane',
+    drive: 'drive', dr: 'drive',
+    terrace: 'terrace', tce: 'terrace', terr: 'terrace',
+    crescent: 'crescent', cres: 'crescent', cr: 'crescent',
+    circuit: 'circuit', cct: 'circuit',
+    close: 'close', cl: 'close',
+    parade: 'parade', pde: 'parade',
+    highway: 'highway', hwy: 'highway',
+    boulevard: 'boulevard', bvd: 'boulevard', blvd: 'boulevard',
+    grove: 'grove', gr: 'grove', gve: 'grove',
+    esplanade: 'esplanade', esp: 'esplanade',
+    way: 'way', wy: 'way',
+    parkway: 'parkway', pkwy: 'parkway',
+    square: 'square', sq: 'square',
+    circle: 'circle', cir: 'circle',
+    rise: 'rise', row: 'row', walk: 'walk', loop: 'loop', mews: 'mews', track: 'track', link: 'link', vista: 'vista'
+  };
+  const UNIT_WORDS = new Set(['unit', 'u', 'apt', 'apartment', 'flat', 'villa', 'townhouse', 'shop', 'suite']);
+  const STATE_WORDS = new Set(['nsw', 'vic', 'qld', 'sa', 'wa', 'tas', 'act', 'nt']);
+  const FUZZY_MATCH_MIN_CONFIDENCE = 0.75;
+  const PROXIMITY_MATCH_MAX_M = 40;
+  const STREET_RADIUS_M = 250; // radius used for the street tier when a listing has coordinates but no street match
+
+  // Split an address into { unit, number, lot, streetName, streetType }. Suburb/state/postcode suffixes are dropped,
+  // so "Unit 3 / 12 Smith St, Chermside QLD 4032" and "3/12 SMITH STREET CHERMSIDE QLD 4032" parse the same.
+  function parseAddressParts(addr, suburb = '') {
+    const parts = { unit: '', number: '', lot: false, streetName: '', streetType: '' };
+    if (!addr) return parts;
+    let a = String(addr).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    // "3/12", "3 / 12" or "unit 3/12" -> "unit 3 12"
+    a = a.replace(/(?:\b([a-z]+)\s+)?([a-z]?\d+[a-z]?)\s*\/\s*(\d+[a-z]?)/,
+      (m, word, unit, number) => `${word && !UNIT_WORDS.has(word) ? `${word} ` : ''}unit ${unit} ${number}`);
+    a = a.replace(/[^a-z0-9\s-]/g, ' ');
+    const tokens = a.split(/\s+/).filter(Boolean);
+    // drop trailing postcode/state, then the suburb name if it's still there
+    while (tokens.length && (/^\d{4}$/.test(tokens[tokens.length - 1]) || STATE_WORDS.has(tokens[tokens.length - 1]))) tokens.pop();
+    const suburbTokens = toRepoSlug(suburb).split('-').filter(Boolean);
+    if (suburbTokens.length && tokens.length > suburbTokens.length &&
+        tokens.slice(-suburbTokens.length).join(' ') === suburbTokens.join(' ')) {
+      tokens.splice(-suburbTokens.length);
+    }
+
+    let i = 0;
+    if (UNIT_WORDS.has(tokens[i]) && tokens[i + 1]) { parts.unit = tokens[i + 1]; i += 2; }
+    else if (/^u\d+[a-z]?$/.test(tokens[i] || '')) { parts.unit = tokens[i].slice(1); i++; }
+    if (tokens[i] === 'lot' && tokens[i + 1]) { parts.lot = true; parts.number = tokens[i + 1]; i += 2; }
+    else if (/^\d+[a-z]?(-\d+[a-z]?)?$/.test(tokens[i] || '')) { parts.number = tokens[i]; i++; }
+
+    // the street type is the first type word after at least one name word; anything after it is suburb text
+    let j = i + 1;
+    while (j < tokens.length && !STREET_TYPES[tokens[j]]) j++;
+    if (j < tokens.length) {
+      parts.streetName = tokens.slice(i, j).join(' ');
+      parts.streetType = STREET_TYPES[tokens[j]];
+    } else {
+      parts.streetName = tokens.slice(i).join(' ');
+    }
+    return parts;
+  }
+
+  // Similarity of two strings in [0, 1] from their Levenshtein distance
+  function stringSimilarity(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, k) => k);
+    for (let x = 1; x <= a.length; x++) {
+      const cur = [x];
+      for (let y = 1; y <= b.length; y++) {
+        cur[y] = Math.min(prev[y] + 1, cur[y - 1] + 1, prev[y - 1] + (a[x - 1] === b[y - 1] ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return 1 - prev[b.length] / Math.max(a.length, b.length);
+  }
+
+  // Score how well two parsed addresses agree, 0 (different premises) to 1 (identical)
+  function scoreAddressMatch(a, b) {
+    if (!a.number || !b.number || a.lot !== b.lot) return 0;
+    // two different units at one street number are different premises, however well the rest agrees
+    if (a.unit && b.unit && a.unit !== b.unit) return 0;
+    const numberScore = a.number === b.number ? 1 : (parseInt(a.number, 10) === parseInt(b.number, 10) ? 0.7 : 0);
+    if (!numberScore) return 0;
+    const nameScore = stringSimilarity(a.streetName, b.streetName);
+    if (nameScore < 0.6) return 0;
+    const typeScore = !a.streetType || !b.streetType ? 0.8 : (a.streetType === b.streetType ? 1 : 0.3);
+    const unitScore = a.unit === b.unit ? 1 : 0.6;
+    return 0.15 * numberScore + 0.5 * nameScore + 0.15 * typeScore + 0.2 * unitScore;
+  }
+
+  // Create an index of addresses from GeoJSON for quick lookup:
+  // exact normalized string -> feature, parsed premises bucketed by street number for fuzzy matching,
+  // and features grouped by street ("hamilton road") for street-level summaries
+  function indexGeojsonAddresses(geojson, suburb = '') {
+    const index = { exact: new Map(), byNumber: new Map(), byStreet: new Map() };
+    if (!geojson || !Array.isArray(geojson.features)) return index;
+    for (const feature of geojson.features) {
+      const props = feature.properties || {};
+      const address = featureAddress(props);
+      if (address) {
+        index.exact.set(normalizeAddress(address), feature);
+        const parts = parseAddressParts(address, suburb);
+        const num = parseInt(parts.number, 10);
+        if (!isNaN(num)) {
+          if (!index.byNumber.has(num)) index.byNumber.set(num, []);
+          index.byNumber.get(num).push({ feature, parts });
+        }
+        const streetKey = streetKeyOf(parts);
+        if (streetKey) {
+          if (!index.byStreet.has(streetKey)) {
+            index.byStreet.set(streetKey, { name: parts.streetName, type: parts.streetType, features: [] });
+          }
+          index.byStreet.get(streetKey).features.push(feature);
+        }
+      }
+    }
+    return index;
+  }
+
+  // Match a listing's address to a feature in the indexed GeoJSON.
+  // Returns { feature, method: 'exact' | 'fuzzy' | 'proximity', confidence (0-1), distance? } or null.
+  // options.latLng enables a nearest-premise fallback when the address can't be matched.
+  function matchListingAddressToFeature(listingAddress, addressIndex, options = {}) {
+    if (!addressIndex) return null;
+    if (listingAddress) {
+      const exact = addressIndex.exact.get(normalizeAddress(listingAddress));
+      if (exact) return { feature: exact, method: 'exact', confidence: 1 };
+      const parts = parseAddressParts(listingAddress, options.suburb || '');
+      let best = null;
+      let bestScore = 0;
+      for (const entry of addressIndex.byNumber.get(parseInt(parts.number, 10)) || []) {
+        const score = scoreAddressMatch(parts, entry.parts);
+        if (score > bestScore) { best = entry; bestScore = score; }
+      }
+      if (best && bestScore >= FUZZY_MATCH_MIN_CONFIDENCE) {
+        return { feature: best.feature, method: bestScore >= 0.999 ? 'exact' : 'fuzzy', confidence: bestScore };
+      }
+    }
+    if (options.latLng && options.geojson) {
+      const [nearest] = nearestFeatures(options.geojson, options.latLng, 1);
+      if (nearest && nearest.distance <= PROXIMITY_MATCH_MAX_M) {
+        const confidence = 0.6 * (1 - nearest.distance / PROXIMITY_MATCH_MAX_M);
+        return { feature: nearest.feature, method: 'proximity', confidence, distance: nearest.distance };
+      }
+    }
+    return null;
+  }
+
+  function streetKeyOf(parts) {
+    return `${parts.streetName} ${parts.streetType}`.trim();
+  }
+
+  // Street tier: summary of the premises on the listing's street. Falls back to the closest-named street
+  // (typos, missing street type) and then to premises within STREET_RADIUS_M of the listing's coordinates.
+  // Returns { label, counts, examples, total } or null.
+  function summarizeStreet(listingAddress, addressIndex, options = {}) {
+    if (!addressIndex) return null;
+    const parts = parseAddressParts(listingAddress, options.suburb || '');
+    const key = streetKeyOf(parts);
+    let street = key ? addressIndex.byStreet.get(key) : null;
+    if (!street && parts.streetName) {
+      let bestScore = 0.85;
+      for (const candidate of addressIndex.byStreet.values()) {
+        if (parts.streetType && candidate.type && candidate.type !== parts.streetType) continue;
+        const score = stringSimilarity(parts.streetName, candidate.name);
+        if (score >= bestScore) { bestScore = score; street = candidate; }
+      }
+    }
+    if (street) {
+      const label = `${street.name} ${street.type}`.trim().replace(/\b\w/g, c => c.toUpperCase());
+      return { label, ...summarizeFeatures(street.features) };
+    }
+    if (options.latLng && options.geojson) {
+      const nearby = options.geojson.features.filter(f => {
+        const pos = featureLatLng(f);
+        return pos && distanceMeters(options.latLng, pos) <= STREET_RADIUS_M;
+      });
+      if (nearby.length) return { label: `Within ${STREET_RADIUS_M} m`, ...summarizeFeatures(nearby) };
+    }
+    return null;
+  }
+
+  // Short human label for a match result, e.g. "Confirmed", "Likely 86%", "Nearby ~25 m"
+  function describeMatch(match) {
+    if (!match) return '';
+    if (match.method === 'exact') return 'Confirmed';
+    if (match.method === 'fuzzy') return `Likely ${Math.round(match.confidence * 100)}%`;
+    return `Nearby ~${Math.round(match.distance || 0)} m`;
+  }
+
+  // Address text of a feature, from the first mapped address property that has a value
+  function featureAddress(props) {
+    if (!props) return '';
+    if (props[DIGEST_ADDRESS_KEY] != null) return props[DIGEST_ADDRESS_KEY];
+    for (const key of settings.propertyMapping.address) {
+      if (props[key] != null && props[key] !== '') return String(props[key]);
+    }
+    return '';
+  }
+
+  // [lat, lng] of a feature: Point coordinates, or the first vertex of any other geometry
+  function featureLatLng(feature) {
+    const g = feature && feature.geometry;
+    if (!g || !g.coordinates) return null;
+    let c = g.coordinates;
+    while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+    if (!Array.isArray(c) || c.length < 2 || !isFinite(c[0]) || !isFinite(c[1])) return null;
+    return [Number(c[1]), Number(c[0])];
+  }
+
+  // Great-circle distance in metres between two [lat, lng] pairs
+  function distanceMeters(a, b) {
+    const toRad = d => d * Math.PI / 180;
+    const dLat = toRad(b[0] - a[0]);
+    const dLng = toRad(b[1] - a[1]);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+  }
+
+  // The n features closest to a [lat, lng] point, nearest first, as { feature, distance }
+  function nearestFeatures(geojson, latLng, n = 5) {
+    if (!geojson || !Array.isArray(geojson.features) || !latLng) return [];
+    const withDistance = [];
+    for (const feature of geojson.features) {
+      const pos = featureLatLng(feature);
+      if (pos) withDistance.push({ feature, distance: distanceMeters(latLng, pos) });
+    }
+    return withDistance.sort((a, b) => a.distance - b.distance).slice(0, n);
+  }
+
+  // GeoJSON schema: technology and upgrade properties, validation and summaries
+
+  // Summarize geojson features into counts per known type, and derive top types and sample addresses
+  function summarizeGeoJSON(geojson) {
+    if (!geojson || !Array.isArray(geojson.features)) return { counts: {}, examples: {}, total: 0 };
+    return summarizeFeatures(geojson.features);
+  }
+
+  // Upstream schema: per-suburb files from LukePrior/nbn-upgrade-map are FeatureCollections of Point features with
+  // these properties. settings.propertyMapping says where the address and technology live; validateGeoJSON() reports
+  // anything that doesn't fit so a format change upstream shows up as a warning rather than as odd badges.
+  const UPSTREAM_SCHEMA = {
+    properties: ['name', 'locID', 'tech', 'upgrade', 'gnaf_pid', 'tech_change_status', 'program_type', 'target_eligibility_quarter'],
+    technologies: ['FTTP', 'FTTN', 'FTTC', 'FTTB', 'HFC', 'WIRELESS', 'SATELLITE']
+  };
+
+  // Technology values (lowercased) -> LEGEND key. Acronyms are also recognised as whole words inside longer values.
+  const TECHNOLOGY_ALIASES = {
+    'fttp': 'FTTP', 'fibre to the premises': 'FTTP', 'fiber to the premises': 'FTTP',
+    'fttn': 'FTTN', 'fibre to the node': 'FTTN', 'fiber to the node': 'FTTN',
+    'fttc': 'FTTC', 'fibre to the curb': 'FTTC', 'fibre to the kerb': 'FTTC', 'fiber to the curb': 'FTTC',
+    'fttb': 'FTTB', 'fibre to the building': 'FTTB', 'fiber to the building': 'FTTB',
+    'hfc': 'HFC', 'hybrid fibre coaxial': 'HFC', 'hybrid fiber coaxial': 'HFC',
+    'wireless': 'Fixed Wireless', 'fixed wireless': 'Fixed Wireless', 'fixedwireless': 'Fixed Wireless', 'fw': 'Fixed Wireless',
+    'satellite': 'Satellite', 'sat': 'Satellite', 'sky muster': 'Satellite',
+    'non nbn': 'Non-NBN', 'no nbn': 'Non-NBN', 'not nbn': 'Non-NBN', 'none': 'Non-NBN', 'unknown': 'Non-NBN'
+  };
+  const TECHNOLOGY_ACRONYM_RE = /\b(fttp|fttn|fttc|fttb|hfc)\b/;
+
+  // Raw technology value of a feature from the first mapped technology property, or null
+  function featureTechnologyValue(props) {
+    for (const key of settings.propertyMapping.technology) {
+      const v = props[key];
+      if (v == null || v === '') continue;
+      return Array.isArray(v) ? v.join(', ') : String(v);
+    }
+    return null;
+  }
+
+  // Technology of a single feature, normalized to a LEGEND key when possible
+  function featureType(feature) {
+    const props = (feature && feature.properties) || {};
+    if (props[DIGEST_TYPE_KEY]) return props[DIGEST_TYPE_KEY];
+    return normalizeTypeString(featureTechnologyValue(props));
+  }
+
+  // Check a suburb file against UPSTREAM_SCHEMA and the property mapping. Returns
+  //   { warnings: [text], unexpected: [property], unmapped: { value: count }, missing: { address, technology } }
+  function validateGeoJSON(geojson) {
+    const report = { warnings: [], unexpected: [], unmapped: {}, missing: { address: 0, technology: 0 } };
+    if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+      report.warnings.push('Not a GeoJSON FeatureCollection.');
+      return report;
+    }
+    const known = new Set([...UPSTREAM_SCHEMA.properties, ...settings.propertyMapping.address, ...settings.propertyMapping.technology]);
+    const unexpected = new Set();
     for (const f of geojson.features) {
+      const props = (f && f.properties) || {};
+      for (const k of Object.keys(props)) {
+        if (!known.has(k) && !UPGRADE_PROPERTY_PATTERN.test(k)) unexpected.add(k);
+      }
+      if (!featureAddress(props)) report.missing.address++;
+      const raw = featureTechnologyValue(props);
+      if (raw == null) report.missing.technology++;
+      else if (!LEGEND[normalizeTypeString(raw)]) report.unmapped[raw] = (report.unmapped[raw] || 0) + 1;
+    }
+    report.unexpected = [...unexpected].sort();
+    const total = geojson.features.length;
+    if (report.unexpected.length) {
+      report.warnings.push(`Unexpected properties: ${report.unexpected.slice(0, 8).join(', ')}${report.unexpected.length > 8 ? '…' : ''}.`);
+    }
+    for (const field of ['address', 'technology']) {
+      if (report.missing[field]) {
+        report.warnings.push(`${report.missing[field]} of ${total} features have no ${field} (looked for ${settings.propertyMapping[field].join(', ')}).`);
+      }
+    }
+    const unmapped = Object.entries(report.unmapped).sort((a, b) => b[1] - a[1]);
+    if (unmapped.length) {
+      report.warnings.push(`Unrecognised technology values: ${unmapped.slice(0, 5).map(([v, n]) => `"${v}" (${n})`).join(', ')}.`);
+    }
+    return report;
+  }
+
+  // Upgrade outlook of a premise, from whichever upgrade attributes the file carries:
+  //   status       'eligible' (can order the upgrade now), 'planned', 'not-eligible' or 'unknown'
+  //   target       technology it would be upgraded to, e.g. 'FTTP'
+  //   date         planned / target eligibility date as given (e.g. 'Jun 2025')
+  //   program, serviceClass   passed through when present
+  // The upstream files use `upgrade` codes such as FTTP_SA / FTTP_NA / NULL_NA plus tech_change_status,
+  // program_type and target_eligibility_quarter; anything unrecognised leaves the field unknown.
+  const UPGRADE_STATUSES = ['eligible', 'planned', 'not-eligible', 'unknown'];
+  const UPGRADE_STATUS_LABELS = { eligible: 'eligible', planned: 'planned', 'not-eligible': 'not eligible', unknown: 'unknown' };
+
+  function featureUpgrade(feature) {
+    const props = (feature && feature.properties) || {};
+    const upgrade = { status: 'unknown', target: null, date: null, program: null, serviceClass: null };
+    const text = (v) => (v == null || v === '' ? null : String(v).trim());
+
+    const code = text(props.upgrade);
+    if (code) {
+      const m = code.match(/^([a-z ]+?)[_ -]([a-z]{2})$/i);
+      if (m) {
+        if (!/^(null|none)$/i.test(m[1])) upgrade.target = normalizeTypeString(m[1]);
+        upgrade.status = /^na$/i.test(m[2]) || !upgrade.target ? 'not-eligible' : 'eligible';
+      } else if (/^(true|yes|eligible)$/i.test(code)) {
+        upgrade.status = 'eligible';
+      } else if (/^(false|no|not eligible|none)$/i.test(code)) {
+        upgrade.status = 'not-eligible';
+      }
+    }
+    for (const k of ['upgrade_eligible', 'eligible', 'fttp_eligible']) {
+      if (typeof props[k] === 'boolean' && upgrade.status === 'unknown') upgrade.status = props[k] ? 'eligible' : 'not-eligible';
+    }
+
+    const changeStatus = text(props.tech_change_status || props.upgrade_status);
+    if (changeStatus) {
+      if (/eligible to order|available|complete/i.test(changeStatus)) upgrade.status = 'eligible';
+      else if (/not (planned|eligible)|ineligible|excluded/i.test(changeStatus)) upgrade.status = 'not-eligible';
+      else if (upgrade.status !== 'eligible') upgrade.status = 'planned';
+    }
+
+    upgrade.target = upgrade.target || (text(props.target_technology || props.upgrade_technology) && normalizeTypeString(props.target_technology || props.upgrade_technology));
+    upgrade.date = text(props.target_eligibility_quarter || props.target_eligibility_date || props.planned_date || props.upgrade_date);
+    upgrade.program = text(props.program_type || props.program);
+    upgrade.serviceClass = text(props.service_class || props.serviceClass);
+    if (upgrade.status === 'unknown' && upgrade.date) upgrade.status = 'planned';
+    return upgrade;
+  }
+
+  // "eligible for FTTP upgrade", "FTTP upgrade planned (Jun 2025)", "not eligible for upgrade"
+  function describeUpgrade(upgrade) {
+    if (!upgrade || upgrade.status === 'unknown') return '';
+    const target = upgrade.target ? `${upgrade.target} ` : '';
+    if (upgrade.status === 'eligible') return `eligible for ${target}upgrade`;
+    if (upgrade.status === 'planned') return `${target}upgrade planned${upgrade.date ? ` (${upgrade.date})` : ''}`;
+    return 'not eligible for upgrade';
+  }
+
+  // Summarize any list of features (a suburb, a street, a radius) into counts per type and sample addresses.
+  // upgrades[type] counts premises of that type by upgrade status (FTTP premises have nothing to upgrade to);
+  // upgradeTargets[type] counts the technologies they'd be upgraded to.
+  function summarizeFeatures(features) {
+    const counts = {};
+    const examples = {};
+    const upgrades = {};
+    const upgradeTargets = {};
+    for (const f of features || []) {
       const props = f.properties || {};
-      // Candidate keys for technology/type/status
-      const candidates = [
-        props.nbn_technology,
-        props.technology,
-        props.connection_type,
-        props.type,
-        props.nbn_type,
-        props.status,
-        props.service_type,
-        props.network
-      ];
-      let type = null;
-      for (const c of candidates) {
-        if (!c) continue;
-        if (Array.isArray(c)) type = c.join(', ');
-        else type = String(c);
-        break;
-      }
-      // fallback: sometimes technology is encoded in a 'colour' or 'label' property
-      if (!type) {
-        if (props.preset) type = props.preset;
-        else if (props.label) type = props.label;
-        else type = 'Non-NBN';
-      }
-      // normalize common names
-      type = normalizeTypeString(type);
+      const type = featureType(f);
 
       counts[type] = (counts[type] || 0) + 1;
+      if (type !== 'FTTP') {
+        const upgrade = featureUpgrade(f);
+        upgrades[type] = upgrades[type] || { eligible: 0, planned: 0, 'not-eligible': 0, unknown: 0 };
+        upgrades[type][upgrade.status]++;
+        if (upgrade.target && upgrade.status !== 'not-eligible') {
+          upgradeTargets[type] = upgradeTargets[type] || {};
+          upgradeTargets[type][upgrade.target] = (upgradeTargets[type][upgrade.target] || 0) + 1;
+        }
+      }
       if (!examples[type]) {
-        // attempt to get address text
-        const address = props.full_address || props.address || props.premise_address || props.ADDRESS || props.addr || props.street_address || '';
-        examples[type] = address || (f.geometry ? JSON.stringify(f.geometry) : '');
+        // attempt to get address text, else say where the premise is
+        const address = featureAddress(props);
+        const pos = address ? null : featureLatLng(f);
+        examples[type] = address || (pos ? `unnamed premise at ${pos[0].toFixed(5)}, ${pos[1].toFixed(5)}` : '');
       }
     }
     const total = Object.values(counts).reduce((s, v) => s + v, 0);
-    return { counts, examples, total };
+    return { counts, examples, total, upgrades, upgradeTargets };
   }
 
-  // Normalize type strings into keys that match LEGEND when possible
+  // Normalize type strings into keys that match LEGEND; unrecognised values are returned as given
+  // (validateGeoJSON reports them)
   function normalizeTypeString(s) {
     if (!s) return 'Non-NBN';
-    const t = String(s).toLowerCase();
-    if (t.includes('fttp') || t.includes('fibre to the premises')) return 'FTTP';
-    if (t.includes('fttn') || t.includes('fibre to the node')) return 'FTTN';
-    if (t.includes('fttc') || t.includes('fibre to the curb')) return 'FTTC';
-    if (t.includes('hfc') || t.includes('hybrid')) return 'HFC';
-    if (t.includes('fttb') || t.includes('fibre to the building')) return 'FTTB';
-    if (t.includes('fixed wireless') || t.includes('fixedwireless') || t.includes('fixed-wireless')) return 'Fixed Wireless';
-    if (t.includes('satellite') || t.includes('sat')) return 'Satellite';
-    if (t.includes('non') || t.includes('unknown') || t.includes('not') || t.includes('no nbn')) return 'Non-NBN';
-    // fallback: capitalize first letters and use raw
-    return s;
+    const t = String(s).toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim().replace(/^nbn /, '');
+    if (TECHNOLOGY_ALIASES[t]) return TECHNOLOGY_ALIASES[t];
+    const acronym = t.match(TECHNOLOGY_ACRONYM_RE);
+    if (acronym) return TECHNOLOGY_ALIASES[acronym[1]];
+    return String(s).trim();
   }
 
+  // Property names that carry upgrade details (eligibility, target technology, planned date, program)
+  const UPGRADE_PROPERTY_PATTERN = /upgrade|eligib|program|target|tech_change|planned|quarter|service_?class/i;
+
   // UI helpers: style injection
   const styles = `
     .nbn-badge {
@@ -352,9 +2196,14 @@ Notes:
       margin-left:6px;
       cursor:pointer;
       box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      border:0;
+      font-family:inherit;
+      line-height:inherit;
+      text-align:left;
     }
+    .nbn-badge[data-status] { cursor:default; }
     .nbn-popup {
-      position: absolute;
+      position: fixed;
       z-index: 9999999;
       background: #fff;
       color: #111;
@@ -363,10 +2212,40 @@ Notes:
       border-radius: 6px;
       padding: 8px 10px;
       min-width:220px;
+      max-width:calc(100vw - 16px);
+      max-height:calc(100vh - 16px);
+      overflow:auto;
+      box-sizing:border-box;
       font-size:13px;
     }
+    .nbn-popup .nbn-popup-header { display:flex; justify-content:space-between; align-items:center; gap:8px; }
+    .nbn-popup .nbn-popup-close, .nbn-settings .nbn-popup-close { background:none; border:0; padding:0 4px; font-size:20px; line-height:1; color:inherit; cursor:pointer; }
+    .nbn-popup button.small-link, .nbn-legend button.small-link, .nbn-settings button.small-link { background:none; border:0; padding:0; font-family:inherit; }
+    .nbn-badge:focus-visible, .nbn-popup :focus-visible, .nbn-legend :focus-visible, .nbn-settings :focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+    .nbn-popup:focus, .nbn-settings:focus { outline:none; }
     .nbn-popup .row { margin:4px 0; display:flex; justify-content:space-between; align-items:center; }
     .nbn-popup .type-dot { width:10px; height:10px; border-radius:50%; display:inline-block; margin-right:8px; vertical-align:middle; }
+    .nbn-badge .nbn-asof { font-weight:400; opacity:0.85; font-size:11px; }
+    .nbn-popup .nbn-popup-asof { color:#6b7280; font-size:12px; margin-top:2px; }
+    .nbn-badge .nbn-change { font-weight:700; }
+    .nbn-badge .nbn-upgrade { font-weight:400; }
+    .nbn-badge .nbn-score { font-weight:700; }
+    .nbn-popup .nbn-quality { margin:6px 0; font-size:12px; }
+    .nbn-popup .nbn-minimap { display:block; margin:6px 0; background:#f8fafc; border:1px solid #e5e7eb; border-radius:4px; }
+    .nbn-popup .nbn-minimap .nbn-minimap-focus { fill:none; stroke:#111; stroke-width:2; }
+    .nbn-popup .nbn-warnings { margin-top:8px; font-size:12px; color:#92400e; }
+    .nbn-upgrades { margin-top:8px; }
+    .nbn-upgrades .nbn-upgrades-title { font-weight:700; margin-bottom:2px; }
+    .nbn-upgrades .nbn-upgrades-row { font-size:12px; margin:2px 0; }
+    .nbn-upgrades .type-dot { width:8px; height:8px; border-radius:50%; display:inline-block; margin-right:6px; }
+    .nbn-history { margin-top:8px; }
+    .nbn-history .nbn-history-title { font-weight:700; margin-bottom:2px; }
+    .nbn-history .nbn-history-row { font-size:12px; margin:2px 0; }
+    .nbn-history .nbn-tiers { border-collapse:collapse; margin-top:6px; }
+    .nbn-history .nbn-tiers th, .nbn-history .nbn-tiers td { text-align:left; font-size:12px; padding:2px 8px 2px 0; }
+    .nbn-popup .nbn-tiers { border-collapse:collapse; width:100%; margin:6px 0; }
+    .nbn-popup .nbn-tiers th { text-align:left; font-size:11px; color:#6b7280; font-weight:600; padding:2px 6px 2px 0; }
+    .nbn-popup .nbn-tiers td { padding:2px 6px 2px 0; white-space:nowrap; }
     .nbn-popup .small-link { color: #2563eb; text-decoration: underline; cursor:pointer; margin-left:8px; font-size:12px; }
     .nbn-legend {
       position: fixed;
@@ -382,49 +2261,1294 @@ Notes:
       max-width:260px;
       box-shadow: 0 8px 24px rgba(0,0,0,0.12);
     }
-    .nbn-legend .legend-row { display:flex; gap:8px; align-items:center; margin:6px 0; }
-    .nbn-legend .dot { width:12px; height:12px; border-radius:3px; display:inline-block; }
-  `;
-  if (typeof GM_addStyle === 'function') {
-    GM_addStyle(styles);
-  } else {
-    const styleEl = document.createElement('style');
-    styleEl.textContent = styles;
-    document.head.appendChild(styleEl);
+    .nbn-legend .nbn-legend-header { display:flex; align-items:center; gap:6px; cursor:move; user-select:none; touch-action:none; }
+    .nbn-legend .nbn-legend-title { flex:1; font-weight:700; }
+    .nbn-legend .nbn-legend-toggle { background:none; border:0; padding:0 2px; font-size:14px; line-height:1; color:inherit; cursor:pointer; }
+    .nbn-legend .nbn-legend-links { margin-top:6px; }
+    .nbn-legend .nbn-legend-links .small-link:first-child { margin-left:0; }
+    .nbn-legend.dragging { opacity:0.85; }
+    .nbn-legend .legend-row { display:flex; gap:8px; align-items:center; margin:6px 0; }
+    .nbn-legend .dot { width:12px; height:12px; border-radius:3px; display:inline-block; }
+    .nbn-detail-panel {
+      margin: 10px 0;
+      padding: 10px 12px;
+      border: 1px solid #e5e7eb;
+      border-radius: 8px;
+      background: #fff;
+      color: #111;
+      font-size: 13px;
+      max-width: 560px;
+    }
+    .nbn-detail-panel h3 { font-size:14px; font-weight:700; margin:8px 0 4px; }
+    .nbn-detail-panel .row { margin:3px 0; display:flex; justify-content:space-between; gap:12px; }
+    .nbn-detail-panel .type-dot { width:10px; height:10px; border-radius:50%; display:inline-block; margin-right:8px; vertical-align:middle; }
+    .nbn-detail-panel .muted { color:#6b7280; }
+    .nbn-legend .legend-row input { margin:0; }
+    .nbn-legend .small-link { color: #2563eb; text-decoration: underline; cursor:pointer; margin-left:8px; font-size:12px; font-weight:400; }
+    .nbn-settings {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      z-index: 10000000;
+      background: #fff;
+      color: #111;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      box-shadow: 0 12px 32px rgba(0,0,0,0.2);
+      padding: 12px 14px;
+      font-size: 13px;
+      width: 360px;
+      max-height: 90vh;
+      overflow: auto;
+    }
+    .nbn-settings .field { display:flex; justify-content:space-between; align-items:center; gap:10px; margin:6px 0; }
+    .nbn-settings .field input[type=url], .nbn-settings .field textarea { flex:1; min-width:0; font-family:monospace; font-size:12px; }
+    .nbn-settings .field input[type=number] { width:80px; }
+    .nbn-settings .errors { color:#b91c1c; margin:6px 0; }
+    .nbn-settings .actions { display:flex; gap:8px; justify-content:flex-end; margin-top:8px; }
+    .nbn-settings .muted { color:#6b7280; margin-top:6px; }
+    .nbn-cache-manager { width:620px; max-width:95vw; }
+    .nbn-cache-table { border-collapse:collapse; width:100%; margin:8px 0; font-size:12px; }
+    .nbn-cache-table th { text-align:left; color:#6b7280; font-weight:600; border-bottom:1px solid #e5e7eb; padding:3px 6px 3px 0; }
+    .nbn-cache-table td { padding:3px 6px 3px 0; border-bottom:1px solid #f3f4f6; white-space:nowrap; }
+    .nbn-settings .small-link { color:#2563eb; text-decoration:underline; cursor:pointer; margin-right:8px; font-size:12px; }
+    .nbn-badge[data-shortlisted]::before { content:'★ '; }
+    .nbn-legend .nbn-shortlist-link.changed { color:#b91c1c; font-weight:600; }
+    .nbn-shortlist tr.changed td { background:#fef2f2; }
+    .nbn-cache-manager .prefetch { display:flex; gap:8px; align-items:flex-start; margin-top:8px; }
+    .nbn-cache-manager .prefetch textarea { flex:1; min-width:0; }
+    .nbn-legend .nbn-filter-controls { display:flex; gap:8px; align-items:center; margin-top:6px; }
+    .nbn-legend .nbn-export-controls { margin-top:6px; font-size:12px; }
+    .nbn-filter-dim { opacity:0.35; transition:opacity .2s; }
+    .nbn-filter-dim:hover { opacity:1; }
+    .nbn-filter-hide { display:none !important; }
+    .nbn-legend .nbn-legend-status { margin-top:6px; padding-top:6px; border-top:1px solid #e5e7eb; color:#374151; }
+    .nbn-legend .nbn-legend-status.warning { color:#b91c1c; font-weight:600; }
+  `;
+
+  function injectStyles() {
+    if (typeof GM_addStyle === 'function') {
+      GM_addStyle(styles);
+    } else {
+      const styleEl = document.createElement('style');
+      styleEl.textContent = styles;
+      document.head.appendChild(styleEl);
+    }
+  }
+
+  // Dialogs: the badge popup and the settings, cache and shortlist windows
+
+  // The open dialog: { dialog, close }. Only one is shown at a time.
+  let activeDialog = null;
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  function closeDialog() {
+    if (activeDialog) activeDialog.close({ restoreFocus: false });
+  }
+
+  // Show an element as a dialog labelled by its `title` element: focus moves into it and Tab cycles inside it,
+  // Escape closes it, and focus returns to `opener` (by default whatever had focus when it opened). Opening another
+  // dialog closes this one. `onClose` runs once it has been removed. Pass modal: false for a dialog that leaves the
+  // page usable (the badge popup). Returns close({ restoreFocus = true }).
+  function openDialog(dialog, { title, opener = document.activeElement, onClose = null, modal = true }) {
+    closeDialog();
+    dialog.setAttribute('role', 'dialog');
+    if (modal) dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', title.id);
+    dialog.tabIndex = -1;
+    const onKeyDown = (ev) => {
+      if (ev.key === 'Escape') {
+        ev.preventDefault();
+        ev.stopPropagation();
+        close();
+      } else if (ev.key === 'Tab') {
+        trapFocus(dialog, ev);
+      }
+    };
+    function close({ restoreFocus = true } = {}) {
+      if (!activeDialog || activeDialog.dialog !== dialog) return;
+      activeDialog = null;
+      document.removeEventListener('keydown', onKeyDown, true);
+      dialog.remove();
+      if (onClose) onClose();
+      if (restoreFocus && opener && opener.isConnected) opener.focus();
+    }
+    activeDialog = { dialog, close };
+    if (!dialog.isConnected) document.body.appendChild(dialog);
+    document.addEventListener('keydown', onKeyDown, true);
+    dialog.focus();
+    return close;
+  }
+
+  // The × button in a dialog's header
+  function makeCloseButton(onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'nbn-popup-close';
+    button.textContent = '×';
+    button.setAttribute('aria-label', 'Close');
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Keep Tab and Shift+Tab within the dialog
+  function trapFocus(dialog, ev) {
+    const focusable = [...dialog.querySelectorAll(FOCUSABLE)].filter(el => !el.closest('[hidden]'));
+    if (!focusable.length) {
+      ev.preventDefault();
+      dialog.focus();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const current = document.activeElement;
+    if (!dialog.contains(current) || (ev.shiftKey ? current === first || current === dialog : current === last)) {
+      ev.preventDefault();
+      (ev.shiftKey ? last : first).focus();
+    }
+  }
+
+  // Legend, card filtering/sorting and detection status
+
+  // Create or reuse a small persistent legend in the corner. It can be collapsed to its title bar and dragged
+  // elsewhere by it (double-click the title bar to put it back); both are remembered, see legendState.
+  function ensureLegend() {
+    if (document.querySelector('.nbn-legend')) return;
+    const box = document.createElement('div');
+    box.className = 'nbn-legend';
+    box.setAttribute('role', 'region');
+    box.setAttribute('aria-label', 'NBN badge legend');
+    const header = document.createElement('div');
+    header.className = 'nbn-legend-header';
+    header.title = 'Drag to move; double-click to put back in the corner';
+    const title = document.createElement('div');
+    title.className = 'nbn-legend-title';
+    title.textContent = 'NBN badge legend';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'nbn-legend-toggle';
+    toggle.setAttribute('aria-controls', LEGEND_BODY_ID);
+    header.appendChild(title);
+    header.appendChild(toggle);
+    box.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'nbn-legend-body';
+    body.id = LEGEND_BODY_ID;
+    const links = document.createElement('div');
+    links.className = 'nbn-legend-links';
+    for (const [text, action, extraClass] of [['Settings', openSettingsDialog, ''], ['Cache', openCacheManager, ''],
+      ['Shortlist', openShortlist, ' nbn-shortlist-link']]) {
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = `small-link${extraClass}`;
+      link.textContent = text;
+      link.addEventListener('click', action);
+      links.appendChild(link);
+    }
+    body.appendChild(links);
+    for (const [k, v] of Object.entries(LEGEND)) {
+      const row = document.createElement('label');
+      row.className = 'legend-row';
+      // unchecked technologies are hidden or dimmed in the results
+      const include = document.createElement('input');
+      include.type = 'checkbox';
+      include.checked = !filterState.excluded.includes(k);
+      include.title = `Show listings with ${v.label}`;
+      include.addEventListener('change', () => {
+        filterState.excluded = filterState.excluded.filter(t => t !== k);
+        if (!include.checked) filterState.excluded.push(k);
+        saveFilterState();
+        applyFilters();
+      });
+      const dot = document.createElement('span');
+      dot.className = 'dot';
+      dot.style.background = v.color;
+      const label = document.createElement('div');
+      label.style.flex = '1';
+      label.textContent = `${v.label} — ${v.desc}`;
+      row.appendChild(include);
+      row.appendChild(dot);
+      row.appendChild(label);
+      body.appendChild(row);
+    }
+    body.appendChild(makeFilterControls());
+    if (!isDetailPage()) body.appendChild(makeExportControls());
+    box.appendChild(body);
+    // outside the collapsible part, so detection warnings still show when the legend is collapsed
+    const status = document.createElement('div');
+    status.className = 'nbn-legend-status';
+    status.hidden = true;
+    box.appendChild(status);
+
+    const setCollapsed = (collapsed) => {
+      body.hidden = collapsed;
+      box.classList.toggle('collapsed', collapsed);
+      toggle.textContent = collapsed ? '▸' : '▾';
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+      toggle.setAttribute('aria-label', collapsed ? 'Expand legend' : 'Collapse legend');
+    };
+    setCollapsed(legendState.collapsed);
+    toggle.addEventListener('click', () => {
+      legendState.collapsed = !legendState.collapsed;
+      saveLegendState();
+      setCollapsed(legendState.collapsed);
+      placeLegend(box);
+    });
+    document.body.appendChild(box);
+    placeLegend(box);
+    makeLegendDraggable(box, header);
+    updateShortlistLink();
+  }
+
+  // Legend position and collapsed state, kept across page loads:
+  //   collapsed   only the title bar is shown
+  //   position    { left, top } in viewport pixels once dragged; null for the default bottom-right corner
+  const LEGEND_STORAGE_KEY = 'nbnLegendState_v1';
+  const LEGEND_BODY_ID = 'nbn-legend-body';
+  const LEGEND_MARGIN = 4; // the legend is kept at least this far inside the viewport
+  const legendState = loadLegendState();
+
+  function loadLegendState() {
+    const saved = storageGet(LEGEND_STORAGE_KEY, null);
+    const position = saved && saved.position;
+    return {
+      collapsed: !!(saved && saved.collapsed),
+      position: position && Number.isFinite(position.left) && Number.isFinite(position.top)
+        ? { left: position.left, top: position.top }
+        : null
+    };
+  }
+
+  function saveLegendState() {
+    storageSet(LEGEND_STORAGE_KEY, legendState);
+  }
+
+  // Apply the saved position, pulled back inside the viewport (the window may be smaller than when it was saved)
+  function placeLegend(box) {
+    if (!legendState.position) {
+      box.style.left = box.style.top = box.style.right = box.style.bottom = '';
+      return;
+    }
+    const maxLeft = (document.documentElement.clientWidth || window.innerWidth) - box.offsetWidth - LEGEND_MARGIN;
+    const maxTop = window.innerHeight - box.offsetHeight - LEGEND_MARGIN;
+    box.style.left = `${Math.round(Math.max(LEGEND_MARGIN, Math.min(legendState.position.left, maxLeft)))}px`;
+    box.style.top = `${Math.round(Math.max(LEGEND_MARGIN, Math.min(legendState.position.top, maxTop)))}px`;
+    box.style.right = box.style.bottom = 'auto';
+  }
+
+  // Drag the legend by its title bar with a mouse, pen or finger
+  function makeLegendDraggable(box, handle) {
+    handle.addEventListener('pointerdown', (ev) => {
+      if (ev.button !== 0 || ev.target.closest('button')) return;
+      ev.preventDefault();
+      const rect = box.getBoundingClientRect();
+      const offsetX = ev.clientX - rect.left;
+      const offsetY = ev.clientY - rect.top;
+      const onMove = (move) => {
+        legendState.position = { left: move.clientX - offsetX, top: move.clientY - offsetY };
+        placeLegend(box);
+      };
+      const onUp = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        document.removeEventListener('pointercancel', onUp);
+        box.classList.remove('dragging');
+        if (legendState.position) {
+          // store where it ended up rather than where the pointer tried to take it
+          legendState.position = { left: parseInt(box.style.left, 10), top: parseInt(box.style.top, 10) };
+        }
+        saveLegendState();
+      };
+      box.classList.add('dragging');
+      document.addEventListener('pointermove', onMove);
+      document.addEventListener('pointerup', onUp);
+      document.addEventListener('pointercancel', onUp);
+    });
+    handle.addEventListener('dblclick', (ev) => {
+      if (ev.target.closest('button')) return;
+      legendState.position = null;
+      saveLegendState();
+      placeLegend(box);
+    });
+    const onResize = () => {
+      if (box.isConnected) placeLegend(box);
+      else window.removeEventListener('resize', onResize);
+    };
+    window.addEventListener('resize', onResize);
+  }
+
+  // Filtering and sorting of result cards by badge technology. State persists across page loads.
+  //   excluded  LEGEND keys whose cards are hidden/dimmed
+  //   mode      'dim' or 'hide'
+  //   sort      reorder cards so the best technology comes first
+  const FILTER_STORAGE_KEY = 'nbnFilterState_v1';
+  const TECH_RANK = ['FTTP', 'HFC', 'FTTC', 'FTTB', 'FTTN', 'Fixed Wireless', 'Satellite', 'Non-NBN'];
+  const filterState = loadFilterState();
+  let cardOrderCounter = 0;
+  let sortTimer = null;
+
+  function loadFilterState() {
+    const saved = storageGet(FILTER_STORAGE_KEY, null);
+    if (!saved || typeof saved !== 'object') return { excluded: [], mode: 'dim', sort: false };
+    return {
+      excluded: Array.isArray(saved.excluded) ? saved.excluded.filter(t => LEGEND[t]) : [],
+      mode: saved.mode === 'hide' ? 'hide' : 'dim',
+      sort: !!saved.sort
+    };
+  }
+
+  function saveFilterState() {
+    storageSet(FILTER_STORAGE_KEY, filterState);
+  }
+
+  // Mode selector and sort toggle shown under the legend rows
+  function makeFilterControls() {
+    const controls = document.createElement('div');
+    controls.className = 'nbn-filter-controls';
+    const mode = document.createElement('select');
+    mode.setAttribute('aria-label', 'Listings whose technology is unchecked');
+    for (const [value, text] of [['dim', 'Dim unchecked'], ['hide', 'Hide unchecked']]) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      mode.appendChild(opt);
+    }
+    mode.value = filterState.mode;
+    mode.addEventListener('change', () => {
+      filterState.mode = mode.value;
+      saveFilterState();
+      applyFilters();
+    });
+    const sortLabel = document.createElement('label');
+    const sort = document.createElement('input');
+    sort.type = 'checkbox';
+    sort.checked = filterState.sort;
+    sort.addEventListener('change', () => {
+      filterState.sort = sort.checked;
+      saveFilterState();
+      applyFilters();
+    });
+    sortLabel.appendChild(sort);
+    sortLabel.appendChild(document.createTextNode(' Best technology first'));
+    controls.appendChild(mode);
+    controls.appendChild(sortLabel);
+    return controls;
+  }
+
+  // Record a card's badge technology (and quality score, if shown) so filters and sorting can use it
+  function setCardType(card, type, score = null) {
+    if (!card.dataset.nbnOrder) card.dataset.nbnOrder = String(cardOrderCounter++);
+    card.dataset.nbnType = type;
+    if (score == null) delete card.dataset.nbnScore;
+    else card.dataset.nbnScore = String(score);
+    applyFilters();
+  }
+
+  // The element to hide/move for a card: climb while the parent wraps only this card
+  // (e.g. realestate.com.au nests each card in li > div > div)
+  function cardListItem(card) {
+    let el = card;
+    for (let depth = 0; depth < 4; depth++) {
+      if (!el.parentElement || el.parentElement === document.body || el.parentElement.children.length !== 1) break;
+      el = el.parentElement;
+    }
+    return el;
+  }
+
+  function applyFilters() {
+    const cards = document.querySelectorAll('[data-nbn-type]');
+    for (const card of cards) {
+      const item = cardListItem(card);
+      const excluded = filterState.excluded.includes(card.dataset.nbnType);
+      item.classList.toggle('nbn-filter-dim', excluded && filterState.mode === 'dim');
+      item.classList.toggle('nbn-filter-hide', excluded && filterState.mode === 'hide');
+    }
+    // cards keep streaming in; batch the reordering
+    clearTimeout(sortTimer);
+    sortTimer = setTimeout(sortCards, 150);
+  }
+
+  // Reorder cards within each results list when sorting is on: by quality score where cards have one, then by
+  // technology rank; original order when off
+  function sortCards() {
+    const groups = new Map();
+    for (const card of document.querySelectorAll('[data-nbn-order]')) {
+      const item = cardListItem(card);
+      if (!item.parentElement) continue;
+      if (!groups.has(item.parentElement)) groups.set(item.parentElement, []);
+      groups.get(item.parentElement).push({ item, card });
+    }
+    const rank = (type) => {
+      const i = TECH_RANK.indexOf(type);
+      return i === -1 ? TECH_RANK.length : i;
+    };
+    for (const [parent, entries] of groups) {
+      const sorted = entries.slice().sort((a, b) => {
+        if (filterState.sort) {
+          const score = (card) => (card.dataset.nbnScore === undefined ? -1 : Number(card.dataset.nbnScore));
+          const diff = (score(b.card) - score(a.card)) || (rank(a.card.dataset.nbnType) - rank(b.card.dataset.nbnType));
+          if (diff) return diff;
+        }
+        return Number(a.card.dataset.nbnOrder) - Number(b.card.dataset.nbnOrder);
+      });
+      // only touch the DOM when the order actually changes
+      const current = Array.from(parent.children).filter(c => entries.some(e => e.item === c));
+      if (sorted.every((e, i) => e.item === current[i])) continue;
+      const anchor = current[0].previousSibling;
+      let ref = anchor ? anchor.nextSibling : parent.firstChild;
+      for (const { item } of sorted) {
+        parent.insertBefore(item, ref);
+        ref = item.nextSibling;
+      }
+    }
+  }
+
+  // Show a warning in the legend when card detection finds nothing (usually a site redesign),
+  // and a note when only the heuristic scanner is finding cards
+  function updateDetectionStatus() {
+    const status = document.querySelector('.nbn-legend .nbn-legend-status');
+    if (!status) return;
+    status.classList.remove('warning');
+    if (cardDetection.count === 0 && !isDetailPage()) {
+      status.hidden = false;
+      status.classList.add('warning');
+      status.textContent = `⚠ 0 cards matched on ${location.hostname} — the site markup may have changed.`;
+    } else if (cardDetection.via === 'heuristic') {
+      status.hidden = false;
+      status.textContent = `${cardDetection.count} cards found by heuristic scan (selectors out of date).`;
+    } else {
+      status.hidden = true;
+      status.textContent = '';
+    }
+  }
+
+  // Settings dialog
+
+  // Settings dialog: edits DEFAULT_SETTINGS overrides, validates them and applies them without a reload
+  function openSettingsDialog() {
+    document.querySelectorAll('.nbn-settings').forEach(n => n.remove());
+    const dialog = document.createElement('div');
+    dialog.className = 'nbn-settings';
+    const form = document.createElement('form');
+    const heading = document.createElement('div');
+    heading.id = 'nbn-settings-title';
+    heading.style.fontWeight = '700';
+    heading.textContent = 'NBN badge settings';
+    form.appendChild(heading);
+
+    const addField = (labelText, input) => {
+      const row = document.createElement('label');
+      row.className = 'field';
+      const span = document.createElement('span');
+      span.textContent = labelText;
+      row.appendChild(span);
+      row.appendChild(input);
+      form.appendChild(row);
+      return input;
+    };
+
+    const base = document.createElement('input');
+    base.type = 'url';
+    base.value = settings.repoRawBase;
+    addField('GitHub results folder URL', base);
+
+    const providers = document.createElement('textarea');
+    providers.rows = 3;
+    providers.value = formatProviderLines(settings.providers);
+    providers.title = 'One per line, highest priority first: github | pinned <commit> | template <url with {STATE} and {slug}>';
+    addField('Data sources (in priority order)', providers);
+
+    const suburbIndex = document.createElement('input');
+    suburbIndex.type = 'url';
+    suburbIndex.value = settings.suburbIndexUrl;
+    suburbIndex.placeholder = 'empty = guess filenames';
+    addField('Suburb index URL', suburbIndex);
+
+    // property mapping: comma-separated property names, tried in order
+    const mappingInputs = {};
+    for (const [field, label] of [['address', 'Address properties'], ['technology', 'Technology properties']]) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = settings.propertyMapping[field].join(', ');
+      input.title = 'Comma-separated GeoJSON property names, tried in order';
+      mappingInputs[field] = addField(label, input);
+    }
+
+    const numbers = {};
+    for (const [key, rule] of Object.entries(NUMERIC_SETTINGS)) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(rule.min);
+      input.max = String(rule.max);
+      input.step = rule.integer ? '1' : 'any';
+      input.value = String(settings[key]);
+      numbers[key] = addField(rule.label, input);
+    }
+
+    const palette = document.createElement('select');
+    for (const [value, text] of [['default', 'Default'], ['colorblind', 'Colour-blind safe (Okabe-Ito)']]) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      palette.appendChild(opt);
+    }
+    palette.value = settings.palette;
+    addField('Badge palette', palette);
+
+    const qualityToggle = document.createElement('input');
+    qualityToggle.type = 'checkbox';
+    qualityToggle.checked = settings.qualityScore;
+    addField('Show connection-quality score', qualityToggle);
+
+    const qualityModel = document.createElement('textarea');
+    qualityModel.rows = 4;
+    qualityModel.value = formatQualityLines({ ...QUALITY_MODEL, ...settings.qualityModel });
+    qualityModel.title = 'One technology per line: "FTTN: 45; 12-100 / 1-40" = score 0-100; download range / upload range in Mbps';
+    addField('Quality model (score; down / up Mbps)', qualityModel);
+
+    const workerToggle = document.createElement('input');
+    workerToggle.type = 'checkbox';
+    workerToggle.checked = settings.useWorker;
+    addField('Parse suburb files in a background worker', workerToggle);
+
+    // colour pickers start from the palette; only colours that differ from it are saved as overrides
+    const colorInputs = {};
+    const paletteColor = (type) => (PALETTES[palette.value] || PALETTES.default)[type];
+    for (const [type, entry] of Object.entries(LEGEND)) {
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.value = entry.color;
+      colorInputs[type] = addField(`${entry.label} colour`, input);
+    }
+    palette.addEventListener('change', () => {
+      for (const [type, input] of Object.entries(colorInputs)) input.value = paletteColor(type);
+    });
+
+    const errorBox = document.createElement('div');
+    errorBox.className = 'errors';
+    form.appendChild(errorBox);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.textContent = 'Save';
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.textContent = 'Reset to defaults';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    actions.appendChild(save);
+    actions.appendChild(reset);
+    actions.appendChild(cancel);
+    form.appendChild(actions);
+
+    cancel.addEventListener('click', () => close());
+    reset.addEventListener('click', () => {
+      saveSettings({ ...DEFAULT_SETTINGS, colors: {} });
+      close();
+    });
+    form.addEventListener('submit', (ev) => {
+      ev.preventDefault();
+      const candidate = {
+        repoRawBase: base.value,
+        suburbIndexUrl: suburbIndex.value,
+        palette: palette.value,
+        colors: {},
+        providers: parseProviderLines(providers.value),
+        propertyMapping: {},
+        qualityScore: qualityToggle.checked,
+        qualityModel: parseQualityLines(qualityModel.value),
+        useWorker: workerToggle.checked
+      };
+      for (const [field, input] of Object.entries(mappingInputs)) candidate.propertyMapping[field] = input.value.split(',');
+      for (const [key, input] of Object.entries(numbers)) candidate[key] = input.value === '' ? NaN : Number(input.value);
+      for (const [type, input] of Object.entries(colorInputs)) {
+        if (input.value.toLowerCase() !== paletteColor(type)) candidate.colors[type] = input.value;
+      }
+      const { settings: valid, errors } = validateSettings(candidate);
+      if (errors.length) {
+        errorBox.textContent = errors.join(' ');
+        return;
+      }
+      saveSettings(valid);
+      close();
+    });
+
+    dialog.appendChild(form);
+    const close = openDialog(dialog, { title: heading });
+  }
+
+  // Persist new settings and apply them to the running page
+  function saveSettings(next) {
+    const mappingChanged = JSON.stringify(next.propertyMapping) !== JSON.stringify(settings.propertyMapping);
+    Object.assign(settings, next);
+    storageSet(SETTINGS_KEY, settings);
+    applyLegendColors();
+    // recolour existing badges and rebuild the legend with the new colours
+    document.querySelectorAll('.nbn-badge[data-type]').forEach(b => {
+      const entry = LEGEND[b.dataset.type];
+      if (entry) b.style.background = entry.color;
+    });
+    const legend = document.querySelector('.nbn-legend');
+    if (legend) {
+      legend.remove();
+      ensureLegend();
+      updateDetectionStatus();
+    }
+    // the suburb index URL may have changed
+    resetSuburbIndex();
+    // cached digests were built with the old property mapping; drop them so suburbs are re-read with the new one
+    if (mappingChanged) {
+      memoryCache.clear();
+      idbClear().catch(e => console.warn('NBN cache clear error', e));
+    }
+    if (!settings.useWorker) stopWorker();
+    // a higher concurrency limit can start queued downloads straight away
+    processQueue();
+  }
+
+  // Cache manager dialog, prefetch and cache export/import
+
+  // Cache manager: list cached suburbs, refresh/delete them, prefetch suburbs for offline use and
+  // export/import the whole cache as one JSON file
+  const CACHE_EXPORT_FORMAT = 'nbn-userscript-cache';
+
+  function formatAge(ms) {
+    if (ms < 60 * 60 * 1000) return `${Math.max(1, Math.round(ms / 60000))} min`;
+    if (ms < DAY_MS) return `${Math.round(ms / 3600000)} h`;
+    return `${Math.round(ms / DAY_MS)} d`;
+  }
+
+  function formatBytes(n) {
+    return n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // "QLD|acacia-ridge" -> { state: 'QLD', suburb: 'Acacia Ridge' }
+  function parseCacheKey(key) {
+    const [state, slug = ''] = String(key).split('|');
+    return { state, suburb: slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) };
+  }
+
+  function downloadFile(filename, text, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function exportCache() {
+    const entries = {};
+    for (const { key, value } of await idbEntries()) {
+      if (key !== SUBURB_INDEX_KEY) entries[key] = value;
+    }
+    const payload = { format: CACHE_EXPORT_FORMAT, version: DIGEST_VERSION, exportedAt: new Date().toISOString(), entries };
+    downloadFile(`nbn-cache-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(payload));
+  }
+
+  // Import an exported cache; resolves to { imported, skipped: ['KEY: why', ...] }. Entries that aren't digests of
+  // this version (see checkDigest) are skipped, and a source that isn't an http(s) URL is dropped.
+  async function importCache(text) {
+    const payload = JSON.parse(text);
+    if (!payload || payload.format !== CACHE_EXPORT_FORMAT || typeof payload.entries !== 'object') {
+      throw new Error('Not an NBN cache export file.');
+    }
+    let imported = 0;
+    const skipped = [];
+    for (const [key, value] of Object.entries(payload.entries)) {
+      if (!/^[A-Z]+\|[a-z0-9-]+$/.test(key)) {
+        skipped.push(`${key}: not a suburb key`);
+        continue;
+      }
+      let digest;
+      try {
+        digest = checkDigest(value);
+      } catch (e) {
+        skipped.push(`${key}: ${e.message}`);
+        continue;
+      }
+      await idbSet(key, isHttpUrl(digest.source) ? digest : { ...digest, source: '' });
+      memoryCache.delete(key);
+      imported++;
+    }
+    return { imported, skipped };
+  }
+
+  // Download a list of { suburb, state } in the background, PREFETCH_CHUNK at a time so that a whole state doesn't
+  // queue thousands of jobs at once. Reports progress as onProgress(done, failed, total); aborting `signal` stops
+  // after the current chunk. Resolves to { done, failed, failures: ["Suburb STATE", ...], cancelled }.
+  const PREFETCH_CHUNK = 8;
+
+  async function prefetchSuburbs(list, onProgress = () => {}, { signal } = {}) {
+    let done = 0;
+    const failures = [];
+    for (let i = 0; i < list.length; i += PREFETCH_CHUNK) {
+      if (signal && signal.aborted) break;
+      const chunk = list.slice(i, i + PREFETCH_CHUNK);
+      const results = await Promise.allSettled(chunk.map(({ suburb, state }) =>
+        loadSuburb(suburb, state, false, { priority: () => Number.MAX_SAFE_INTEGER })));
+      results.forEach((r, k) => {
+        if (r.status === 'fulfilled') done++;
+        else failures.push(`${chunk[k].suburb} ${chunk[k].state}`);
+      });
+      onProgress(done, failures.length, list.length);
+    }
+    return { done, failed: failures.length, failures, cancelled: done + failures.length < list.length };
+  }
+
+  async function openCacheManager() {
+    document.querySelectorAll('.nbn-cache-manager').forEach(n => n.remove());
+    const dialog = document.createElement('div');
+    dialog.className = 'nbn-settings nbn-cache-manager';
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    const heading = document.createElement('div');
+    heading.id = 'nbn-cache-manager-title';
+    heading.style.fontWeight = '700';
+    const close = openDialog(dialog, { title: heading });
+    header.appendChild(heading);
+    header.appendChild(makeCloseButton(() => close()));
+    dialog.appendChild(header);
+
+    const status = document.createElement('div');
+    status.className = 'muted';
+    const table = document.createElement('table');
+    table.className = 'nbn-cache-table';
+    dialog.appendChild(table);
+
+    const render = async () => {
+      let entries = [];
+      try {
+        entries = (await idbEntries()).filter(e => e.key !== SUBURB_INDEX_KEY);
+      } catch (e) {
+        status.textContent = `Couldn't read the cache: ${e.message}`;
+      }
+      entries.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+      const totalBytes = entries.reduce((sum, e) => sum + JSON.stringify(e.value).length, 0);
+      heading.textContent = `NBN cache — ${entries.length} suburbs, ${formatBytes(totalBytes)}`;
+      table.textContent = '';
+      const head = table.createTHead().insertRow();
+      for (const c of ['Suburb', 'Age', 'Size', 'Data date', 'Source', '']) {
+        const th = document.createElement('th');
+        th.textContent = c;
+        head.appendChild(th);
+      }
+      const body = table.createTBody();
+      for (const { key, value } of entries) {
+        const { suburb, state } = parseCacheKey(key);
+        const row = body.insertRow();
+        row.insertCell().textContent = `${suburb} ${state}`;
+        row.insertCell().textContent = formatAge(Date.now() - (value.fetchedAt || 0));
+        row.insertCell().textContent = formatBytes(JSON.stringify(value).length);
+        row.insertCell().textContent = value.generatedAt ? String(value.generatedAt).slice(0, 10) : '–';
+        const sourceCell = row.insertCell();
+        if (isHttpUrl(value.source)) {
+          const link = document.createElement('a');
+          link.href = value.source;
+          link.target = '_blank';
+          link.textContent = value.provider || 'file';
+          link.title = value.source;
+          sourceCell.appendChild(link);
+        }
+        const actions = row.insertCell();
+        const refresh = document.createElement('button');
+        refresh.type = 'button';
+        refresh.className = 'small-link';
+        refresh.textContent = 'Refresh';
+        refresh.addEventListener('click', async () => {
+          refresh.textContent = 'Refreshing...';
+          try {
+            await refreshSuburb(suburb, state);
+          } catch (e) {
+            status.textContent = `Refresh of ${suburb} failed: ${e.message}`;
+          }
+          render();
+        });
+        const del = document.createElement('button');
+        del.type = 'button';
+        del.className = 'small-link';
+        del.textContent = 'Delete';
+        del.addEventListener('click', async () => {
+          try {
+            await idbDelete(key);
+            memoryCache.delete(key);
+          } catch (e) {
+            status.textContent = `Delete of ${suburb} failed: ${e.message}`;
+          }
+          render();
+        });
+        actions.appendChild(refresh);
+        actions.appendChild(del);
+      }
+    };
+
+    // prefetch: explicit list, or every suburb of a state from the suburb index
+    const prefetch = document.createElement('div');
+    prefetch.className = 'prefetch';
+    const list = document.createElement('textarea');
+    list.rows = 3;
+    list.placeholder = 'Prefetch suburbs, one per line: "Chermside, QLD"';
+    const stateSelect = document.createElement('select');
+    const noState = document.createElement('option');
+    noState.value = '';
+    noState.textContent = '…or every suburb in';
+    stateSelect.appendChild(noState);
+    for (const st of STATES) {
+      const opt = document.createElement('option');
+      opt.value = st;
+      opt.textContent = st;
+      stateSelect.appendChild(opt);
+    }
+    const go = document.createElement('button');
+    go.type = 'button';
+    go.textContent = 'Prefetch';
+    // the running prefetch, which the same button stops
+    let prefetching = null;
+    go.addEventListener('click', async () => {
+      if (prefetching) {
+        prefetching.abort();
+        go.disabled = true;
+        return;
+      }
+      let targets = list.value.split('\n').map(l => extractSuburbStateFromText(l.trim())).filter(p => p && p.suburb && p.state);
+      if (stateSelect.value) {
+        const index = await loadSuburbIndex();
+        if (!index) {
+          status.textContent = 'The suburb index is unavailable, so a whole state can\'t be listed.';
+          return;
+        }
+        const st = stateSelect.value;
+        targets = targets.concat(Object.entries(index.bySlug)
+          .filter(([, entries]) => entries.some(e => e.state === st))
+          .map(([slug]) => ({ suburb: slug.replace(/-/g, ' '), state: st })));
+      }
+      if (!targets.length) {
+        status.textContent = 'Nothing to prefetch: enter "Suburb, STATE" lines or pick a state.';
+        return;
+      }
+      if (targets.length > settings.cacheMaxEntries &&
+          !window.confirm(`${targets.length} suburbs is more than the cache limit (${settings.cacheMaxEntries}). ` +
+            'Older entries will be removed on the next page load unless you raise the limit in Settings. Continue?')) {
+        return;
+      }
+      prefetching = new AbortController();
+      go.textContent = 'Stop';
+      const result = await prefetchSuburbs(targets, (done, failed, total) => {
+        status.textContent = `Prefetching… ${done + failed}/${total}${failed ? ` (${failed} failed)` : ''}`;
+      }, { signal: prefetching.signal });
+      prefetching = null;
+      go.textContent = 'Prefetch';
+      go.disabled = false;
+      const failedList = result.failures.slice(0, 5).join(', ') + (result.failed > 5 ? ', …' : '');
+      status.textContent = `${result.cancelled ? 'Stopped: prefetched' : 'Prefetched'} ${result.done} of ${targets.length} suburbs` +
+        `${result.failed ? `; ${result.failed} failed (${failedList})` : ''}.`;
+      render();
+    });
+    prefetch.appendChild(list);
+    prefetch.appendChild(stateSelect);
+    prefetch.appendChild(go);
+    dialog.appendChild(prefetch);
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.textContent = 'Export';
+    exportBtn.addEventListener('click', () => exportCache().catch(e => { status.textContent = `Export failed: ${e.message}`; }));
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = 'application/json,.json';
+    importInput.hidden = true;
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files && importInput.files[0];
+      if (!file) return;
+      try {
+        const { imported, skipped } = await importCache(await file.text());
+        status.textContent = `Imported ${imported} suburbs.` + (skipped.length
+          ? ` Skipped ${skipped.length} invalid: ${skipped.slice(0, 3).join('; ')}${skipped.length > 3 ? '; …' : ''}.` : '');
+        if (skipped.length) console.warn('NBN cache import skipped', skipped);
+      } catch (e) {
+        status.textContent = `Import failed: ${e.message}`;
+      }
+      importInput.value = '';
+      render();
+    });
+    const importBtn = document.createElement('button');
+    importBtn.type = 'button';
+    importBtn.textContent = 'Import';
+    importBtn.addEventListener('click', () => importInput.click());
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.textContent = 'Clear all';
+    clearBtn.addEventListener('click', async () => {
+      if (!window.confirm('Delete every cached suburb?')) return;
+      await idbClear();
+      memoryCache.clear();
+      resetSuburbIndex();
+      render();
+    });
+    actions.appendChild(exportBtn);
+    actions.appendChild(importBtn);
+    actions.appendChild(importInput);
+    actions.appendChild(clearBtn);
+    dialog.appendChild(actions);
+    dialog.appendChild(status);
+
+    await render();
+  }
+
+  // Per-card results, nbn:* events and the results export
+
+  // Export of the search results with their NBN data. processCard records every card it finishes (including cards
+  // added later by infinite scroll); the export covers the ones still on the page, in page order.
+  //   url, address, suburb, state, technology, match ('exact' | 'fuzzy' | 'proximity' | 'street' | 'suburb' or a
+  //   lookup status), confidence, score (connection quality), premise (matched premise address), upgrade (its upgrade
+  //   status), counts (suburb breakdown), total, dataDate, error (why a lookup failed)
+  // The same records are what the public API returns and the events carry (see publicResult).
+  const resultRecords = new Map();
+
+  // Events for other scripts, all CustomEvents that bubble, with plain-data detail:
+  //   nbn:ready           on document once window.nbnUserscript is installed; detail { version }
+  //   nbn:badge-rendered  from a card when its badge is drawn or redrawn; detail is the card's result
+  //   nbn:lookup-failed   from a card whose suburb couldn't be resolved or downloaded; detail is the result, with error
+  //   nbn:data-updated    on document when a suburb's data is refreshed and changed; detail as getSuburbSummary()
+  const NBN_EVENTS = {
+    ready: 'nbn:ready',
+    badgeRendered: 'nbn:badge-rendered',
+    lookupFailed: 'nbn:lookup-failed',
+    dataUpdated: 'nbn:data-updated'
+  };
+
+  function emitEvent(target, name, detail) {
+    target.dispatchEvent(new CustomEvent(name, { detail: toPage(detail), bubbles: true }));
+  }
+
+  // Firefox userscript managers run the script in a sandbox, and page scripts can't read objects (or call functions)
+  // created there. Event details and the public API are cloned into the page's window where cloneInto exists;
+  // elsewhere they are handed over as they are.
+  const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+
+  function toPage(value) {
+    if (typeof cloneInto !== 'function' || value === null || typeof value !== 'object') return value;
+    return cloneInto(value, pageWindow, { cloneFunctions: true });
+  }
+
+  const LOOKUP_FAILURES = new Set(['not-found', 'ambiguous', 'state-unknown', 'failed']);
+
+  function listingUrl(card, adapter = SITE) {
+    for (const a of card.querySelectorAll('a[href]')) {
+      if (adapter.listingLinkPattern && adapter.listingLinkPattern.test(a.getAttribute('href'))) return a.href;
+    }
+    const first = card.querySelector('a[href]');
+    return first ? first.href : '';
+  }
+
+  function makeResult(parsed, record) {
+    return {
+      url: '',
+      address: parsed.street || '',
+      suburb: parsed.suburb || '',
+      state: parsed.state || '',
+      technology: '',
+      match: '',
+      confidence: null,
+      score: null,
+      premise: null,
+      upgrade: null,
+      counts: {},
+      total: 0,
+      dataDate: null,
+      error: null,
+      ...record
+    };
+  }
+
+  // Plain-data copy of a result for other scripts: no Dates or shared objects, so it survives sandbox boundaries
+  function publicResult(result) {
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  // Publish a card's outcome: its export row, data-nbn-* attributes on the card, and an nbn:badge-rendered or
+  // nbn:lookup-failed event dispatched from the card
+  function recordResult(card, parsed, record) {
+    const result = makeResult(parsed, { url: listingUrl(card), ...record });
+    resultRecords.set(card, result);
+    const attributes = {
+      nbnMatch: result.match,
+      nbnSuburb: result.suburb,
+      nbnState: result.state,
+      nbnConfidence: result.confidence == null ? null : result.confidence.toFixed(2),
+      nbnUpgrade: result.upgrade,
+      nbnDataDate: result.dataDate ? result.dataDate.toISOString().slice(0, 10) : null
+    };
+    for (const [name, value] of Object.entries(attributes)) {
+      if (value == null || value === '') delete card.dataset[name];
+      else card.dataset[name] = value;
+    }
+    const failed = LOOKUP_FAILURES.has(result.match);
+    emitEvent(card, failed ? NBN_EVENTS.lookupFailed : NBN_EVENTS.badgeRendered, publicResult(result));
+  }
+
+  function resultRows() {
+    return [...resultRecords.entries()]
+      .filter(([card]) => card.isConnected)
+      .sort((a, b) => Number(a[0].dataset.nbnOrder || 0) - Number(b[0].dataset.nbnOrder || 0))
+      .map(([, record]) => record);
+  }
+
+  // Text from listing pages could start a spreadsheet formula: such cells get a leading ' and are quoted
+  function csvCell(value) {
+    let text = value == null ? '' : String(value);
+    const formula = typeof value === 'string' && /^[=+\-@\t\r]/.test(text);
+    if (formula) text = `'${text}`;
+    return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function resultsToCsv(rows) {
+    const types = Object.keys(LEGEND);
+    const header = ['url', 'address', 'suburb', 'state', 'technology', 'match', 'confidence', 'quality_score', 'data_date', 'suburb_total',
+      ...types.map(t => `suburb_${t.replace(/\W+/g, '_')}`)];
+    const lines = [header.join(',')];
+    for (const r of rows) {
+      lines.push([
+        r.url, r.address, r.suburb, r.state, r.technology, r.match,
+        r.confidence == null ? '' : r.confidence.toFixed(2),
+        r.score == null ? '' : r.score,
+        r.dataDate ? r.dataDate.toISOString().slice(0, 10) : '',
+        r.total,
+        ...types.map(t => r.counts[t] || 0)
+      ].map(csvCell).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  function exportResults(format) {
+    const rows = resultRows();
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadFile(`nbn-results-${stamp}.csv`, resultsToCsv(rows), 'text/csv');
+    } else {
+      const data = { page: location.href, exportedAt: new Date().toISOString(), results: rows };
+      downloadFile(`nbn-results-${stamp}.json`, JSON.stringify(data, null, 2));
+    }
+    return rows.length;
+  }
+
+  function makeExportControls() {
+    const controls = document.createElement('div');
+    controls.className = 'nbn-export-controls';
+    controls.appendChild(document.createTextNode('Export results:'));
+    for (const [format, text] of [['csv', 'CSV'], ['json', 'JSON']]) {
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'small-link';
+      link.textContent = text;
+      link.addEventListener('click', () => {
+        const n = exportResults(format);
+        link.title = `${n} listing${n === 1 ? '' : 's'} exported`;
+      });
+      controls.appendChild(link);
+    }
+    return controls;
+  }
+
+  // Shortlist of starred listings
+
+  // Shortlist: listings starred from their badge popup, kept in SHORTLIST_STORE keyed by listing URL:
+  //   url, address, suburb, state, technology, match, confidence, dataDate, savedAt, checkedAt
+  //   latLng     the listing's coordinates, if it had any: re-checks find the same nearby premise without an address
+  //   changedFrom, changedAt   set when a later check classifies the listing differently
+  // On each visit shortlisted listings are re-checked against the cached suburb data (no downloads), and again
+  // whenever one of them shows up in the results.
+  let shortlistPromise = null;
+
+  function loadShortlist() {
+    if (!shortlistPromise) {
+      shortlistPromise = idbEntries(SHORTLIST_STORE)
+        .then(entries => new Map(entries.map(e => [e.key, e.value])))
+        .catch(e => {
+          console.warn('NBN shortlist read error', e);
+          return new Map();
+        });
+    }
+    return shortlistPromise;
+  }
+
+  async function saveShortlistItem(item) {
+    const list = await loadShortlist();
+    list.set(item.url, item);
+    try { await idbSet(item.url, item, SHORTLIST_STORE); } catch (e) { console.warn('NBN shortlist write error', e); }
+    updateShortlistLink();
+    return item;
+  }
+
+  async function removeShortlistItem(url) {
+    const list = await loadShortlist();
+    list.delete(url);
+    try { await idbDelete(url, SHORTLIST_STORE); } catch (e) { console.warn('NBN shortlist write error', e); }
+    updateShortlistLink();
+  }
+
+  // Record a fresh classification of a shortlisted listing, flagging a change of technology
+  async function checkShortlistItem(url, result) {
+    const list = await loadShortlist();
+    const item = list.get(url);
+    if (!item) return null;
+    const next = { ...item, ...result, checkedAt: Date.now() };
+    if (result.technology && item.technology && result.technology !== item.technology) {
+      next.changedFrom = item.technology;
+      next.changedAt = Date.now();
+    }
+    return saveShortlistItem(next);
   }
 
-  // Create or reuse a small persistent legend in the corner
-  function ensureLegend() {
-    if (document.querySelector('.nbn-legend')) return;
-    const box = document.createElement('div');
-    box.className = 'nbn-legend';
-    const title = document.createElement('div');
-    title.style.fontWeight = '700';
-    title.style.marginBottom = '6px';
-    title.textContent = 'NBN badge legend';
-    box.appendChild(title);
-    for (const [k, v] of Object.entries(LEGEND)) {
-      const row = document.createElement('div');
-      row.className = 'legend-row';
-      const dot = document.createElement('span');
-      dot.className = 'dot';
-      dot.style.background = v.color;
-      const label = document.createElement('div');
-      label.style.flex = '1';
-      label.textContent = `${v.label} — ${v.desc}`;
-      row.appendChild(dot);
-      row.appendChild(label);
-      box.appendChild(row);
+  // What a listing's badge would say against a loaded suburb, using the same premise -> street -> suburb tiers:
+  //   { technology, match, confidence, score, premise, upgrade } as in the result records
+  function classifyListing(entry, suburb, street, latLng = null) {
+    const addressIndex = suburbAddressIndex(entry, suburb);
+    const opts = { suburb, geojson: entry.geojson, latLng };
+    const match = matchListingAddressToFeature(street, addressIndex, opts);
+    const streetSummary = summarizeStreet(street, addressIndex, opts);
+    const quality = settings.qualityScore ? estimateQuality(entry.summary, streetSummary, match) : null;
+    const score = quality ? quality.score : null;
+    if (match) {
+      const technology = featureType(match.feature);
+      const upgrade = technology !== 'FTTP' ? featureUpgrade(match.feature).status : 'unknown';
+      return {
+        technology, match: match.method, confidence: match.confidence, score,
+        premise: featureAddress(match.feature.properties), upgrade: upgrade === 'unknown' ? null : upgrade
+      };
     }
-    document.body.appendChild(box);
+    const area = streetSummary && streetSummary.total ? streetSummary : null;
+    return {
+      technology: selectPrimaryType((area || entry.summary).counts), match: area ? 'street' : 'suburb', confidence: null, score,
+      premise: null, upgrade: null
+    };
+  }
+
+  async function recheckShortlist() {
+    const list = await loadShortlist();
+    for (const item of [...list.values()]) {
+      const key = `${item.state}|${toRepoSlug(item.suburb)}`;
+      const digest = await cachedDigest(key);
+      if (!digest) continue;
+      const entry = memoryCache.get(key) || rememberSuburb(key, digest);
+      const date = digestDate(digest);
+      const result = classifyListing(entry, item.suburb, item.address, item.latLng || null);
+      await checkShortlistItem(item.url, { ...result, dataDate: date ? date.toISOString() : null });
+    }
+    updateShortlistLink();
+  }
+
+  // Legend link, with the number of shortlisted listings whose technology changed
+  async function updateShortlistLink() {
+    const link = document.querySelector('.nbn-legend .nbn-shortlist-link');
+    if (!link) return;
+    const list = await loadShortlist();
+    const changed = [...list.values()].filter(i => i.changedFrom).length;
+    link.textContent = `Shortlist (${list.size})${changed ? ` · ${changed} changed` : ''}`;
+    link.classList.toggle('changed', changed > 0);
+  }
+
+  async function openShortlist() {
+    document.querySelectorAll('.nbn-shortlist').forEach(n => n.remove());
+    const dialog = document.createElement('div');
+    dialog.className = 'nbn-settings nbn-cache-manager nbn-shortlist';
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    const heading = document.createElement('div');
+    heading.id = 'nbn-shortlist-title';
+    heading.style.fontWeight = '700';
+    const close = openDialog(dialog, { title: heading });
+    header.appendChild(heading);
+    header.appendChild(makeCloseButton(() => close()));
+    dialog.appendChild(header);
+
+    const table = document.createElement('table');
+    table.className = 'nbn-cache-table';
+    dialog.appendChild(table);
+
+    const render = async () => {
+      const items = [...(await loadShortlist()).values()].sort((a, b) => b.savedAt - a.savedAt);
+      heading.textContent = `NBN shortlist — ${items.length} listing${items.length === 1 ? '' : 's'}`;
+      table.textContent = '';
+      if (!items.length) {
+        table.insertRow().insertCell().textContent = 'Nothing shortlisted yet: use "☆ Shortlist" in a badge popup.';
+        return;
+      }
+      const head = table.createTHead().insertRow();
+      for (const c of ['Listing', 'Suburb', 'NBN', 'Checked', '']) {
+        const th = document.createElement('th');
+        th.textContent = c;
+        head.appendChild(th);
+      }
+      const body = table.createTBody();
+      for (const item of items) {
+        const row = body.insertRow();
+        if (item.changedFrom) row.className = 'changed';
+        const link = document.createElement('a');
+        link.href = item.url;
+        link.target = '_blank';
+        link.textContent = item.address || item.url;
+        row.insertCell().appendChild(link);
+        row.insertCell().textContent = `${item.suburb} ${item.state}`;
+        const tech = row.insertCell();
+        tech.textContent = item.changedFrom ? `${item.changedFrom} → ${item.technology}` : item.technology;
+        tech.title = `Matched by ${item.match}${item.dataDate ? `; data as of ${item.dataDate.slice(0, 10)}` : ''}` +
+          (item.changedAt ? `; changed ${new Date(item.changedAt).toLocaleDateString('en-AU')}` : '');
+        row.insertCell().textContent = item.checkedAt ? `${formatAge(Date.now() - item.checkedAt)} ago` : '–';
+        const actions = row.insertCell();
+        if (item.changedFrom) {
+          const ack = document.createElement('button');
+          ack.type = 'button';
+          ack.className = 'small-link';
+          ack.textContent = 'Dismiss change';
+          ack.addEventListener('click', async () => {
+            const { changedFrom, changedAt, ...rest } = item;
+            await saveShortlistItem(rest);
+            render();
+          });
+          actions.appendChild(ack);
+        }
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'small-link';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', async () => {
+          await removeShortlistItem(item.url);
+          document.querySelectorAll('.nbn-badge[data-shortlisted]').forEach(b => {
+            if (b.dataset.listingUrl === item.url) delete b.dataset.shortlisted;
+          });
+          render();
+        });
+        actions.appendChild(remove);
+      }
+    };
+    render();
   }
 
+  // Badges and their popups
+
   // Create badge DOM element for a listing given summary (counts)
-  function makeBadgeElement(summary, suburb, state, sourceUrl, matchedFeature = null) {
+  // details: { match, streetSummary, dataDate, history, warnings, geojson, latLng, listing: { url, address } }, all optional
+  function makeBadgeElement(summary, suburb, state, sourceUrl, details = {}) {
+    const { match = null, streetSummary = null, dataDate = null, history = null, warnings = [], geojson = null, latLng = null, listing = null } = details;
     let primaryType, labelText;
-    if (matchedFeature) {
-      primaryType = normalizeTypeString(matchedFeature.properties.nbn_technology || matchedFeature.properties.technology);
-      labelText = `${primaryType} (Confirmed)`;
+    if (match) {
+      primaryType = featureType(match.feature);
+      labelText = `${primaryType} (${describeMatch(match)})`;
+    } else if (streetSummary && streetSummary.total) {
+      primaryType = selectPrimaryType(streetSummary.counts);
+      labelText = `${primaryType} (street ${streetSummary.counts[primaryType]}/${streetSummary.total})`;
     } else {
       primaryType = selectPrimaryType(summary.counts);
       const total = summary.total || Object.values(summary.counts || {}).reduce((s, v) => s + v, 0);
@@ -432,68 +3556,117 @@ Notes:
     }
 
     const legendEntry = LEGEND[primaryType] || { color: '#6b7280', label: primaryType || 'Unknown', desc: '' };
-    const badge = document.createElement('span');
+    const badge = document.createElement('button');
+    badge.type = 'button';
     badge.className = 'nbn-badge';
+    badge.setAttribute('aria-haspopup', 'dialog');
+    badge.setAttribute('aria-expanded', 'false');
     badge.style.background = legendEntry.color;
     badge.textContent = labelText;
+    if (dataDate) {
+      // small "data as of" marker so it's obvious how current the snapshot is
+      const asOf = document.createElement('span');
+      asOf.className = 'nbn-asof';
+      asOf.textContent = ` · ${dataDate.toLocaleDateString('en-AU', { month: 'short', year: '2-digit' })}`;
+      badge.appendChild(asOf);
+      badge.dataset.asOf = dataDate.toISOString();
+    }
+    // flag recent technology changes: this premise's own, else a count for the suburb
+    const change = match ? premiseChange(history, featureAddress(match.feature.properties)) : null;
+    const recent = recentChanges(history);
+    let changeText = '';
+    if (change) {
+      changeText = `${change.from} → ${change.to} since ${formatSince(change.at)}`;
+      badge.dataset.changed = 'premise';
+    } else if (recent.length) {
+      changeText = `${recent.length} changed since ${formatSince(recent[recent.length - 1].at)}`;
+      badge.dataset.changed = 'suburb';
+    }
+    if (changeText) {
+      const note = document.createElement('span');
+      note.className = 'nbn-change';
+      note.textContent = ` · ${changeText}`;
+      badge.appendChild(note);
+    }
+    // upgrade outlook of a matched premise
+    const upgrade = match && primaryType !== 'FTTP' ? featureUpgrade(match.feature) : null;
+    if (upgrade && upgrade.status !== 'unknown') {
+      const note = document.createElement('span');
+      note.className = 'nbn-upgrade';
+      note.textContent = ` · ${describeUpgrade(upgrade)}`;
+      badge.appendChild(note);
+      badge.dataset.upgrade = upgrade.status;
+    }
+    const quality = settings.qualityScore ? estimateQuality(summary, streetSummary, match) : null;
+    if (quality) {
+      const score = document.createElement('span');
+      score.className = 'nbn-score';
+      score.textContent = ` · ${quality.score}/100`;
+      badge.appendChild(score);
+      badge.dataset.score = String(quality.score);
+    }
     // attach metadata
+    if (listing && listing.url) badge.dataset.listingUrl = listing.url;
     badge.dataset.suburb = suburb;
     badge.dataset.state = state;
     badge.dataset.source = sourceUrl || '';
-    badge.title = `${legendEntry.label}: ${legendEntry.desc}`;
-    // click -> show popup
+    badge.title = `${legendEntry.label}: ${legendEntry.desc}` +
+      (match ? `\nMatched ${match.method} (${Math.round(match.confidence * 100)}% confidence): ${featureAddress(match.feature.properties)}`
+        : streetSummary && streetSummary.total ? `\nStreet majority: ${streetSummary.label} (address not matched)`
+        : '\nSuburb majority (address not matched)') +
+      (dataDate ? `\nData as of ${dataDate.toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' })}` : '') +
+      (change ? `\nThis premise changed from ${change.from} to ${change.to} since ${formatSince(change.at)}`
+        : recent.length ? `\n${recent.length} premise${recent.length === 1 ? '' : 's'} in ${suburb} changed technology recently` : '') +
+      (upgrade && upgrade.status !== 'unknown'
+        ? `\nUpgrade: ${describeUpgrade(upgrade)}${upgrade.program ? ` — ${upgrade.program}` : ''}${upgrade.serviceClass ? ` (service class ${upgrade.serviceClass})` : ''}`
+        : '') +
+      (quality ? `\n${describeQuality(quality)}` : '');
+    badge.dataset.type = primaryType;
+    badge.dataset.match = match ? match.method : (streetSummary && streetSummary.total ? 'street' : 'suburb');
+    badge.setAttribute('aria-label', describeBadge({ legendEntry, suburb, match, streetSummary, dataDate, changeText, upgrade, quality }));
+    // click, Enter or Space -> toggle the popup
     badge.addEventListener('click', (ev) => {
+      ev.preventDefault(); // badges often sit inside the listing's link
       ev.stopPropagation();
-      // remove any existing popups
-      document.querySelectorAll('.nbn-popup').forEach(n=>n.remove());
+      if (activePopup && activePopup.badge === badge) {
+        activePopup.close();
+        return;
+      }
       const popup = document.createElement('div');
       popup.className = 'nbn-popup';
-      // position near badge
-      const rect = badge.getBoundingClientRect();
-      popup.style.top = `${window.scrollY + rect.bottom + 6}px`;
-      popup.style.left = `${Math.min(window.scrollX + rect.left, window.innerWidth - 300)}px`;
 
       const header = document.createElement('div');
-      header.style.display = 'flex';
-      header.style.justifyContent = 'space-between';
-      header.style.alignItems = 'center';
+      header.className = 'nbn-popup-header';
       const title = document.createElement('div');
+      title.id = POPUP_TITLE_ID;
       title.style.fontWeight = '700';
       title.textContent = `${suburb || 'Unknown'} ${state || ''} — NBN summary`;
-      const closeBtn = document.createElement('span');
-      closeBtn.textContent = '×';
-      closeBtn.style.cursor = 'pointer';
-      closeBtn.style.fontSize = '20px';
-      closeBtn.style.lineHeight = '1';
-      closeBtn.addEventListener('click', () => popup.remove());
       header.appendChild(title);
-      header.appendChild(closeBtn);
+      header.appendChild(makeCloseButton(() => activePopup.close()));
       popup.appendChild(header);
+      if (dataDate) {
+        const asOf = document.createElement('div');
+        asOf.className = 'nbn-popup-asof';
+        asOf.textContent = `Data as of ${dataDate.toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+        popup.appendChild(asOf);
+      }
 
       if (summary.total === 0) {
         const n = document.createElement('div');
         n.textContent = 'No address data in suburb file.';
         popup.appendChild(n);
       } else {
-        // show counts sorted desc
-        const entries = Object.entries(summary.counts).sort((a,b)=>b[1]-a[1]);
-        for (const [type, cnt] of entries) {
-          const row = document.createElement('div');
-          row.className = 'row';
-          const left = document.createElement('div');
-          const dot = document.createElement('span');
-          dot.className = 'type-dot';
-          dot.style.background = (LEGEND[type] && LEGEND[type].color) || '#6b7280';
-          left.appendChild(dot);
-          const txt = document.createElement('span');
-          txt.textContent = ` ${type}`;
-          left.appendChild(txt);
-          const cntEl = document.createElement('div');
-          cntEl.textContent = String(cnt);
-          row.appendChild(left);
-          row.appendChild(cntEl);
-          popup.appendChild(row);
+        popup.appendChild(makeTierTable(summary, streetSummary, match));
+        if (quality) {
+          const q = document.createElement('div');
+          q.className = 'nbn-quality';
+          q.textContent = describeQuality(quality);
+          popup.appendChild(q);
         }
+        const map = makeMiniMap(geojson, { match, latLng });
+        if (map) popup.appendChild(map);
+        const upgradeSection = makeUpgradeSection(summary);
+        if (upgradeSection) popup.appendChild(upgradeSection);
         // sample addresses (first 3)
         const sampleTitle = document.createElement('div');
         sampleTitle.style.marginTop = '6px';
@@ -518,33 +3691,40 @@ Notes:
         }
         popup.appendChild(sampleList);
       }
+      const historySection = makeHistorySection(history);
+      if (historySection) popup.appendChild(historySection);
+      if (warnings.length) {
+        const box = document.createElement('div');
+        box.className = 'nbn-warnings';
+        box.textContent = `⚠ Data file warnings: ${warnings.join(' ')}`;
+        popup.appendChild(box);
+      }
 
       // actions: view raw, refresh
       const actions = document.createElement('div');
       actions.style.marginTop = '8px';
       actions.style.display = 'flex';
       actions.style.gap = '10px';
-      const rawLink = document.createElement('a');
-      rawLink.href = summary.source || badge.dataset.source || '';
-      rawLink.target = '_blank';
-      rawLink.className = 'small-link';
-      rawLink.textContent = 'View source file';
-      actions.appendChild(rawLink);
-
-      const refresh = document.createElement('span');
+      const rawUrl = [summary.source, badge.dataset.source].find(isHttpUrl);
+      if (rawUrl) {
+        const rawLink = document.createElement('a');
+        rawLink.href = rawUrl;
+        rawLink.target = '_blank';
+        rawLink.className = 'small-link';
+        rawLink.textContent = 'View source file';
+        actions.appendChild(rawLink);
+      }
+
+      const refresh = document.createElement('button');
+      refresh.type = 'button';
       refresh.className = 'small-link';
       refresh.textContent = 'Refresh cache';
-      refresh.style.cursor = 'pointer';
       refresh.addEventListener('click', async () => {
         refresh.textContent = 'Refreshing...';
         try {
-          // force fetch and update badge/popup content (caller should manage updating UI)
-          const dd = await fetchSuburbGeoJSON(badge.dataset.suburb, badge.dataset.state, true);
-          const newSummary = summarizeGeoJSON(dd);
-          // close popup and trigger a re-render by emitting an event
-          popup.remove();
-          const ev = new CustomEvent('nbn_suburb_refreshed', { detail: { suburb: badge.dataset.suburb, state: badge.dataset.state, summary: newSummary, source: dd } });
-          window.dispatchEvent(ev);
+          // force fetch; the nbn:data-updated event it sends re-renders the badges
+          await refreshSuburb(badge.dataset.suburb, badge.dataset.state);
+          if (activePopup && activePopup.popup === popup) activePopup.close();
         } catch (e) {
           refresh.textContent = 'Refresh failed';
           setTimeout(()=>refresh.textContent = 'Refresh cache', 1500);
@@ -552,20 +3732,300 @@ Notes:
       });
       actions.appendChild(refresh);
 
+      if (listing && listing.url) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.className = 'small-link';
+        const label = () => { star.textContent = badge.dataset.shortlisted ? '★ Shortlisted' : '☆ Shortlist'; };
+        label();
+        star.title = 'Keep this listing on the NBN shortlist';
+        star.addEventListener('click', async () => {
+          if (badge.dataset.shortlisted) {
+            await removeShortlistItem(listing.url);
+            delete badge.dataset.shortlisted;
+          } else {
+            await saveShortlistItem({
+              url: listing.url,
+              address: listing.address || '',
+              suburb, state,
+              technology: primaryType,
+              match: badge.dataset.match,
+              confidence: match ? match.confidence : null,
+              latLng,
+              dataDate: dataDate ? dataDate.toISOString() : null,
+              savedAt: Date.now(),
+              checkedAt: Date.now()
+            });
+            badge.dataset.shortlisted = 'true';
+          }
+          label();
+        });
+        actions.appendChild(star);
+      }
+
       popup.appendChild(actions);
+      openPopup(popup, badge);
+    });
+    return badge;
+  }
 
-      document.body.appendChild(popup);
+  // Spoken label for a badge: technology, how it was matched and the notes shown after it
+  function describeBadge({ legendEntry, suburb, match, streetSummary, dataDate, changeText, upgrade, quality }) {
+    const parts = [`NBN ${legendEntry.label}`];
+    if (match && match.method === 'exact') parts.push('confirmed for this address');
+    else if (match && match.method === 'fuzzy') parts.push(`likely for this address, ${Math.round(match.confidence * 100)}% confidence`);
+    else if (match) parts.push(`nearest premise, about ${Math.round(match.distance || 0)} metres away, ${Math.round(match.confidence * 100)}% confidence`);
+    else if (streetSummary && streetSummary.total) parts.push(`most common on ${streetSummary.label}, address not matched`);
+    else parts.push(`most common in ${suburb || 'the suburb'}, address not matched`);
+    if (upgrade && upgrade.status !== 'unknown') parts.push(describeUpgrade(upgrade));
+    if (changeText) parts.push(changeText.replace('→', 'to'));
+    if (quality) parts.push(`connection quality ${quality.score} out of 100`);
+    if (dataDate) parts.push(`data as of ${dataDate.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' })}`);
+    return `${parts.join(', ')}. Show details`;
+  }
 
-      // click outside to close
-      const closer = (ev) => {
-        if (!popup.contains(ev.target) && ev.target !== badge) {
-          popup.remove();
-          document.removeEventListener('click', closer, true);
-        }
-      };
-      document.addEventListener('click', closer, true);
+  // The open badge popup: { popup, badge, close }. Only one is shown at a time.
+  let activePopup = null;
+  const POPUP_TITLE_ID = 'nbn-popup-title';
+  const POPUP_MARGIN = 8; // minimum gap to the viewport edges
+
+  function closeBadgePopup() {
+    if (activePopup) activePopup.close({ restoreFocus: false });
+  }
+
+  // Show a popup as a dialog for its badge (see openDialog): besides Escape and the close button, a click elsewhere or
+  // a second click on the badge close it, and focus returns to the badge. The popup follows the badge on scroll and
+  // resize, and closes if the badge goes away (e.g. the site re-rendered the card).
+  function openPopup(popup, badge) {
+    let frame = 0;
+    const reposition = () => {
+      frame = 0;
+      if (!badge.isConnected) close({ restoreFocus: false });
+      else positionPopup(popup, badge);
+    };
+    const onViewportChange = () => {
+      if (!frame) frame = requestAnimationFrame(reposition);
+    };
+    const onOutsideClick = (ev) => {
+      if (!popup.contains(ev.target) && !badge.contains(ev.target)) close({ restoreFocus: false });
+    };
+    const close = openDialog(popup, {
+      title: popup.querySelector(`#${POPUP_TITLE_ID}`),
+      opener: badge,
+      modal: false,
+      onClose: () => {
+        activePopup = null;
+        if (frame) cancelAnimationFrame(frame);
+        window.removeEventListener('scroll', onViewportChange, true);
+        window.removeEventListener('resize', onViewportChange);
+        document.removeEventListener('click', onOutsideClick, true);
+        badge.setAttribute('aria-expanded', 'false');
+      }
     });
-    return badge;
+    activePopup = { popup, badge, close };
+    positionPopup(popup, badge);
+    badge.setAttribute('aria-expanded', 'true');
+    window.addEventListener('scroll', onViewportChange, true);
+    window.addEventListener('resize', onViewportChange);
+    document.addEventListener('click', onOutsideClick, true);
+  }
+
+  // Below the badge, or above it when it doesn't fit below and there's more room above; always inside the viewport
+  function positionPopup(popup, anchor) {
+    const rect = anchor.getBoundingClientRect();
+    const viewWidth = document.documentElement.clientWidth || window.innerWidth;
+    const viewHeight = window.innerHeight;
+    const width = popup.offsetWidth;
+    const height = popup.offsetHeight;
+    const spaceBelow = viewHeight - rect.bottom - POPUP_MARGIN;
+    const spaceAbove = rect.top - POPUP_MARGIN;
+    let top = height <= spaceBelow || spaceBelow >= spaceAbove ? rect.bottom + 6 : rect.top - 6 - height;
+    top = Math.max(POPUP_MARGIN, Math.min(top, viewHeight - height - POPUP_MARGIN));
+    const left = Math.max(POPUP_MARGIN, Math.min(rect.left, viewWidth - width - POPUP_MARGIN));
+    popup.style.top = `${Math.round(top)}px`;
+    popup.style.left = `${Math.round(left)}px`;
+  }
+
+  // Suburb / street / premise tiers side by side: one row per technology, counts per tier
+  function makeTierTable(summary, streetSummary, match) {
+    const table = document.createElement('table');
+    table.className = 'nbn-tiers';
+    const head = table.createTHead().insertRow();
+    const premiseType = match ? featureType(match.feature) : null;
+    const columns = ['Type', `Suburb (${summary.total})`, streetSummary ? `${streetSummary.label} (${streetSummary.total})` : 'Street', 'Premise'];
+    for (const c of columns) {
+      const th = document.createElement('th');
+      th.textContent = c;
+      head.appendChild(th);
+    }
+    const types = new Set(Object.keys(summary.counts).sort((a, b) => summary.counts[b] - summary.counts[a]));
+    if (streetSummary) Object.keys(streetSummary.counts).forEach(t => types.add(t));
+    if (premiseType) types.add(premiseType);
+    const body = table.createTBody();
+    for (const type of types) {
+      const row = body.insertRow();
+      const typeCell = row.insertCell();
+      const dot = document.createElement('span');
+      dot.className = 'type-dot';
+      dot.style.background = (LEGEND[type] && LEGEND[type].color) || '#6b7280';
+      typeCell.appendChild(dot);
+      typeCell.appendChild(document.createTextNode(type));
+      row.insertCell().textContent = String(summary.counts[type] || 0);
+      row.insertCell().textContent = streetSummary ? String(streetSummary.counts[type] || 0) : '–';
+      row.insertCell().textContent = premiseType === type ? `● ${describeMatch(match)}` : '';
+    }
+    return table;
+  }
+
+  // Offline scatter plot of a suburb's premises coloured by technology, as an SVG. The matched premise is ringed;
+  // without one, the listing's own coordinates (if any) are marked with a cross. Null when nothing has coordinates.
+  const MINI_MAP_WIDTH = 260;
+  const MINI_MAP_HEIGHT = 170;
+  const MINI_MAP_MAX_POINTS = 4000;
+
+  function makeMiniMap(geojson, { match = null, latLng = null } = {}) {
+    const points = [];
+    for (const f of (geojson && geojson.features) || []) {
+      const pos = featureLatLng(f);
+      if (pos) points.push({ pos, type: featureType(f), feature: f });
+    }
+    if (!points.length) return null;
+    const focus = match ? featureLatLng(match.feature) : latLng;
+
+    // equirectangular projection, longitude scaled by cos(latitude) so the suburb keeps its shape
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    for (const { pos } of points) {
+      minLat = Math.min(minLat, pos[0]); maxLat = Math.max(maxLat, pos[0]);
+      minLng = Math.min(minLng, pos[1]); maxLng = Math.max(maxLng, pos[1]);
+    }
+    if (focus) {
+      minLat = Math.min(minLat, focus[0]); maxLat = Math.max(maxLat, focus[0]);
+      minLng = Math.min(minLng, focus[1]); maxLng = Math.max(maxLng, focus[1]);
+    }
+    const kx = Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+    const spanX = Math.max((maxLng - minLng) * kx, 1e-4);
+    const spanY = Math.max(maxLat - minLat, 1e-4);
+    const pad = 6;
+    const scale = Math.min((MINI_MAP_WIDTH - 2 * pad) / spanX, (MINI_MAP_HEIGHT - 2 * pad) / spanY);
+    const offsetX = (MINI_MAP_WIDTH - spanX * scale) / 2;
+    const offsetY = (MINI_MAP_HEIGHT - spanY * scale) / 2;
+    const project = ([lat, lng]) => [offsetX + (lng - minLng) * kx * scale, offsetY + (maxLat - lat) * scale];
+
+    const NS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(NS, 'svg');
+    svg.setAttribute('class', 'nbn-minimap');
+    svg.setAttribute('width', String(MINI_MAP_WIDTH));
+    svg.setAttribute('height', String(MINI_MAP_HEIGHT));
+    svg.setAttribute('viewBox', `0 0 ${MINI_MAP_WIDTH} ${MINI_MAP_HEIGHT}`);
+    const label = document.createElementNS(NS, 'title');
+    label.textContent = `${points.length} premises by technology${focus ? (match ? '; ringed: this listing' : '; cross: listing location') : ''}`;
+    svg.appendChild(label);
+
+    // big suburbs are thinned evenly rather than truncated
+    const step = Math.ceil(points.length / MINI_MAP_MAX_POINTS);
+    const radius = points.length > 1500 ? 1.2 : 2;
+    for (let i = 0; i < points.length; i += step) {
+      const [x, y] = project(points[i].pos);
+      const dot = document.createElementNS(NS, 'circle');
+      dot.setAttribute('cx', x.toFixed(1));
+      dot.setAttribute('cy', y.toFixed(1));
+      dot.setAttribute('r', String(radius));
+      dot.setAttribute('fill', (LEGEND[points[i].type] && LEGEND[points[i].type].color) || '#6b7280');
+      svg.appendChild(dot);
+    }
+
+    if (focus) {
+      const [x, y] = project(focus);
+      if (match) {
+        const ring = document.createElementNS(NS, 'circle');
+        ring.setAttribute('cx', x.toFixed(1));
+        ring.setAttribute('cy', y.toFixed(1));
+        ring.setAttribute('r', '6');
+        ring.setAttribute('class', 'nbn-minimap-focus');
+        svg.appendChild(ring);
+      } else {
+        const cross = document.createElementNS(NS, 'path');
+        cross.setAttribute('d', `M${x - 6} ${y}H${x + 6}M${x} ${y - 6}V${y + 6}`);
+        cross.setAttribute('class', 'nbn-minimap-focus');
+        svg.appendChild(cross);
+      }
+    }
+    return svg;
+  }
+
+  // Per technology: how many premises can upgrade, are planned, can't, or are unknown. Null when nothing is known.
+  function makeUpgradeSection(summary) {
+    const upgrades = (summary && summary.upgrades) || {};
+    const known = Object.entries(upgrades).filter(([, c]) => c.eligible || c.planned || c['not-eligible']);
+    if (!known.length) return null;
+    const section = document.createElement('div');
+    section.className = 'nbn-upgrades';
+    const title = document.createElement('div');
+    title.className = 'nbn-upgrades-title';
+    title.textContent = 'Upgrade eligibility';
+    section.appendChild(title);
+    for (const [type, c] of known.sort((a, b) => (summary.counts[b[0]] || 0) - (summary.counts[a[0]] || 0))) {
+      const targets = Object.entries((summary.upgradeTargets || {})[type] || {}).sort((a, b) => b[1] - a[1]);
+      const target = targets.length ? ` for ${targets[0][0]}` : '';
+      const parts = [];
+      for (const status of UPGRADE_STATUSES) {
+        if (c[status]) parts.push(`${c[status]} ${UPGRADE_STATUS_LABELS[status]}${status === 'eligible' ? target : ''}`);
+      }
+      const row = document.createElement('div');
+      row.className = 'nbn-upgrades-row';
+      const dot = document.createElement('span');
+      dot.className = 'type-dot';
+      dot.style.background = (LEGEND[type] && LEGEND[type].color) || '#6b7280';
+      row.appendChild(dot);
+      row.appendChild(document.createTextNode(`${type}: ${parts.join(' · ')}`));
+      section.appendChild(row);
+    }
+    return section;
+  }
+
+  // Connection-quality scores
+
+  // Connection quality (see QUALITY_MODEL). Suburb and street estimates are the count-weighted average score of the
+  // technologies there; a fuzzy or proximity match is blended with that average by its confidence, so only a
+  // confirmed premise gets its technology's full score (or lack of it).
+  function qualityOf(type) {
+    return settings.qualityModel[type] || QUALITY_MODEL[type] || QUALITY_MODEL['Non-NBN'];
+  }
+
+  function averageQuality(counts) {
+    let sum = 0, n = 0;
+    for (const [type, c] of Object.entries(counts || {})) {
+      sum += qualityOf(type).score * c;
+      n += c;
+    }
+    return n ? sum / n : 0;
+  }
+
+  // { score, basis: 'confirmed' | 'likely' | 'street' | 'suburb', type, down, up }
+  function estimateQuality(summary, streetSummary, match) {
+    const area = streetSummary && streetSummary.total ? streetSummary : summary;
+    const areaBasis = area === summary ? 'suburb' : 'street';
+    let type, score, basis;
+    if (match) {
+      type = featureType(match.feature);
+      const c = match.method === 'exact' ? 1 : Math.max(0, Math.min(1, match.confidence || 0));
+      score = c * qualityOf(type).score + (1 - c) * averageQuality(area.counts);
+      basis = match.method === 'exact' ? 'confirmed' : 'likely';
+    } else {
+      type = selectPrimaryType(area.counts);
+      score = averageQuality(area.counts);
+      basis = areaBasis;
+    }
+    const q = qualityOf(type);
+    return { score: Math.round(score), basis, type, down: q.down, up: q.up };
+  }
+
+  function describeQuality(quality) {
+    const speeds = quality.down && quality.up
+      ? `${quality.type} typically ${quality.down[0]}–${quality.down[1]} Mbps down / ${quality.up[0]}–${quality.up[1]} Mbps up`
+      : `no NBN speed tiers for ${quality.type}`;
+    const basis = { confirmed: 'this premise', likely: 'likely premise match', street: 'street estimate', suburb: 'suburb estimate' }[quality.basis];
+    return `Connection quality ${quality.score}/100 (${basis}) — ${speeds}`;
   }
 
   function selectPrimaryType(counts) {
@@ -574,155 +4034,622 @@ Notes:
     return entries[0][0];
   }
 
-  // Process a single listing card element: get suburb/state, fetch geojson, summarise and inject badge
-  const processed = new WeakSet();
-  async function processCard(card) {
-    if (processed.has(card)) return;
-    processed.add(card);
+  // Search-result cards: processing, registry and page scanning
+
+  // Card lifecycle. Each card we pick up gets an entry in cardEntries:
+  //   signature   which listing the card shows; a card re-rendered in place with another listing starts over
+  //   parsed      suburb/state/street read from the card
+  //   key         suburb cache key once resolved
+  //   badge       the badge currently attached, and type/score as given to setCardType
+  // Cards are marked data-nbn-card="pending" | "done" and badges data-nbn-badge, so a rescan can tell a card whose
+  // badge the site wiped (re-attach it) from a new card (process it) and never leaves two badges on one card.
+  // badgeRegistry groups cards by suburb: when a suburb is refreshed, every card showing it is re-rendered.
+  const cardEntries = new WeakMap();
+  const badgeRegistry = new Map();
+
+  function listingSignature(parsed) {
+    return [parsed.street, parsed.suburb, parsed.state].join('|').toLowerCase();
+  }
+
+  function forgetCard(card, entry) {
+    if (cardEntries.get(card) === entry) cardEntries.delete(card);
+    const cards = entry.key && badgeRegistry.get(entry.key);
+    if (cards) cards.delete(card);
+    delete card.dataset.nbnCard;
+  }
+
+  // Put a card's badge in place, dropping any other badge in the card
+  function attachBadge(card, entry, badge, type, score = null) {
+    card.querySelectorAll('.nbn-badge').forEach(b => { if (b !== badge) b.remove(); });
+    badge.dataset.nbnBadge = '';
+    (queryFirst(card, SITE.insertionSelectors) || card).appendChild(badge);
+    Object.assign(entry, { badge, type, score });
+    card.dataset.nbnCard = 'done';
+    setCardType(card, type, score);
+  }
 
-    const parsed = parseSuburbStateFromListing(card);
+  // Process a single listing card element: get suburb/state, fetch geojson, summarise and inject badge.
+  // Safe to call again for the same card: an up-to-date card only has its badge re-attached if needed.
+  async function processCard(card) {
+    const parsed = parseSuburbStateFromListing(card, SITE);
     if (!parsed || !parsed.suburb) return;
-    const suburb = parsed.suburb;
-    const state = (parsed.state || '').toUpperCase();
-
-    // Use a more specific insertion point for the badge
-    const insertionCandidates = [
-      '[data-testid="property-card-price"]',
-      '.listingCard__price',
-      '.property-price',
-      '.residential-card__header',
-      '.detail-card__head',
-      '.card__header',
-      '.card__info',
-      '.residential-card__content'
-    ];
-    let insertTarget = null;
-    for (const sel of insertionCandidates) {
-      const el = card.querySelector(sel);
-      if (el) { insertTarget = el; break; }
+    const signature = listingSignature(parsed);
+    const existing = cardEntries.get(card);
+    if (existing && existing.signature === signature) {
+      if (existing.badge && (!card.contains(existing.badge) || card.querySelectorAll('.nbn-badge').length > 1 || !card.dataset.nbnType)) {
+        attachBadge(card, existing, existing.badge, existing.type, existing.score);
+      }
+      return;
     }
-    if (!insertTarget) insertTarget = card;
+    if (existing) forgetCard(card, existing);
+    const entry = { signature, parsed, key: null, badge: null, type: null, score: null };
+    cardEntries.set(card, entry);
+    card.dataset.nbnCard = 'pending';
+    const current = () => card.isConnected && cardEntries.get(card) === entry;
 
-    // fetch and summarise
-    try {
-      const geojson = await fetchSuburbGeoJSON(suburb, state);
-      const summary = summarizeGeoJSON(geojson);
-      const addressIndex = indexGeojsonAddresses(geojson);
-      const matchedFeature = matchListingAddressToFeature(parsed.street, addressIndex);
-
-      // attach source url if available from cached object (we stored source when caching)
-      const key = `${state}|${toRepoSlug(suburb)}`;
-      let sourceUrl = '';
-      try {
-        const cached = await idbGet(key);
-        if (cached && cached.source) sourceUrl = cached.source;
-      } catch (e) { /* ignore */ }
-
-      const badge = makeBadgeElement(summary, suburb, state, sourceUrl, matchedFeature);
-      // avoid multiple badges
-      // place before the first link so it doesn't break layout
-      insertTarget.appendChild(badge);
-
-      // when refreshed externally, update badge text
-      const onRefreshed = (ev) => {
-        const d = ev.detail || {};
-        if (d.suburb === suburb && d.state === state) {
-          try {
-            const newSummary = d.summary;
-            badge.remove();
-            const newBadge = makeBadgeElement(newSummary, suburb, state, d.source || sourceUrl);
-            insertTarget.appendChild(newBadge);
-          } catch (e) { /* ignore */ }
-        }
-      };
-      window.addEventListener('nbn_suburb_refreshed', onRefreshed, { once: true });
+    const place = await resolveSuburb(parsed.suburb, parsed.state, parsed.postcode);
+    if (!current()) return forgetCard(card, entry);
+    if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) {
+      const badge = makeStatusBadge(place);
+      attachBadge(card, entry, badge, 'Non-NBN');
+      recordResult(card, parsed, { match: place.status === 'not-found' || place.status === 'ambiguous' ? place.status : 'state-unknown', error: badge.title });
+      return;
+    }
+    entry.suburb = place.suburb;
+    entry.state = place.state;
+    entry.key = `${place.state}|${toRepoSlug(place.suburb)}`;
+    if (!badgeRegistry.has(entry.key)) badgeRegistry.set(entry.key, new Set());
+    badgeRegistry.get(entry.key).add(card);
 
+    // fetch and summarise; a card that leaves the page stops asking for its suburb
+    try {
+      const suburbEntry = await loadSuburb(entry.suburb, entry.state, false, { priority: () => (current() ? viewportDistance(card) : null) });
+      if (!current()) return forgetCard(card, entry);
+      await renderCard(card, entry, suburbEntry);
     } catch (err) {
-      // no suburb file or fetch failed: optionally add small gray badge 'NBN: unknown'
-      const unknownBadge = document.createElement('span');
-      unknownBadge.className = 'nbn-badge';
-      unknownBadge.style.background = '#6b7280';
-      unknownBadge.textContent = 'NBN: unknown';
-      insertTarget.appendChild(unknownBadge);
+      // cancelled (navigation, or the card went away): forget the card so a later scan can pick it up again
+      if (err.name === 'AbortError') return forgetCard(card, entry);
+      // no suburb file or fetch failed: add a small gray badge
+      attachBadge(card, entry, makeStatusBadge({ status: 'failed', suburb: entry.suburb, state: entry.state }, err), 'Non-NBN');
+      recordResult(card, { ...parsed, suburb: entry.suburb, state: entry.state }, { match: 'failed', error: err.message });
+    }
+  }
+
+  // Match the card's listing against a loaded suburb and (re)draw its badge
+  async function renderCard(card, entry, suburbEntry) {
+    const { parsed, suburb, state } = entry;
+    const { geojson, summary } = suburbEntry;
+    const addressIndex = suburbAddressIndex(suburbEntry, suburb);
+    const latLng = extractListingCoordinates(card);
+    const match = matchListingAddressToFeature(parsed.street, addressIndex, { suburb, geojson, latLng });
+    const streetSummary = summarizeStreet(parsed.street, addressIndex, { suburb, geojson, latLng });
+    const history = await getSuburbHistory(entry.key);
+    const listing = { url: listingUrl(card), address: parsed.street || '' };
+    const dataDate = digestDate(suburbEntry.digest);
+    const badge = makeBadgeElement(summary, suburb, state, suburbEntry.source, {
+      match, streetSummary, history, geojson, latLng, listing, dataDate, warnings: suburbEntry.digest.warnings || []
+    });
+    const score = badge.dataset.score === undefined ? null : Number(badge.dataset.score);
+    const shortlisted = listing.url && (await loadShortlist()).has(listing.url);
+    if (shortlisted) badge.dataset.shortlisted = 'true';
+    if (cardEntries.get(card) !== entry) return;
+    attachBadge(card, entry, badge, badge.dataset.type, score);
+
+    const record = {
+      suburb, state,
+      technology: badge.dataset.type,
+      match: badge.dataset.match,
+      confidence: match ? match.confidence : null,
+      score,
+      premise: match ? featureAddress(match.feature.properties) : null,
+      upgrade: badge.dataset.upgrade || null,
+      counts: summary.counts,
+      total: summary.total,
+      dataDate
+    };
+    recordResult(card, parsed, record);
+    if (shortlisted) {
+      checkShortlistItem(listing.url, {
+        technology: record.technology, match: record.match, confidence: record.confidence,
+        dataDate: dataDate ? dataDate.toISOString() : null
+      });
+    }
+  }
+
+  // nbn:data-updated listener for all cards: a refreshed suburb re-renders every card showing it, matches included
+  async function onSuburbUpdated(ev) {
+    const d = ev.detail || {};
+    const key = `${d.state}|${toRepoSlug(d.suburb || '')}`;
+    const cards = badgeRegistry.get(key);
+    if (!cards || !cards.size) return;
+    let suburbEntry;
+    try {
+      suburbEntry = await loadSuburb(d.suburb, d.state);
+    } catch (e) {
+      console.warn('NBN refresh: reload failed', key, e);
+      return;
+    }
+    for (const card of [...cards]) {
+      const entry = cardEntries.get(card);
+      if (!card.isConnected || !entry || entry.key !== key) {
+        cards.delete(card);
+        continue;
+      }
+      renderCard(card, entry, suburbEntry).catch(e => console.warn('NBN refresh: render failed', e));
     }
   }
 
+  // Gray badge for cards we couldn't look up, saying why
+  function makeStatusBadge(place, err = null) {
+    const badge = document.createElement('span');
+    badge.className = 'nbn-badge';
+    badge.style.background = '#6b7280';
+    badge.dataset.status = place.status;
+    const { label, message } = describeLookupStatus(place, err);
+    badge.textContent = label;
+    badge.title = message;
+    // nothing to open, so not a button; the reason is part of the label since the title only shows on hover
+    badge.setAttribute('role', 'note');
+    badge.setAttribute('aria-label', `${badge.textContent}. ${badge.title}`);
+    return badge;
+  }
+
   // Initial scan + MutationObserver to catch dynamically loaded results
   function initialScan() {
     ensureLegend();
-    const cards = new Set();
-    for (const sel of LISTING_SELECTORS) {
-      document.querySelectorAll(sel).forEach(el => cards.add(el));
+    scanPage();
+  }
+
+  // Process new cards and re-check known ones (badge wiped by a re-render, card now showing another listing)
+  function scanPage() {
+    const result = findCards(document, SITE);
+    const fresh = result.cards.filter(card => !cardEntries.has(card));
+    if (fresh.length || !cardDetection.count) noteDetectedCards({ cards: fresh, via: result.via });
+    result.cards.forEach(card => processCard(card));
+    for (const [key, cards] of badgeRegistry) {
+      for (const card of cards) if (!card.isConnected) cards.delete(card);
+      if (!cards.size) badgeRegistry.delete(key);
     }
-    cards.forEach(card => processCard(card));
+  }
+
+  // Rescans are batched: sites re-render in bursts of mutations
+  const RESCAN_DELAY_MS = 300;
+  let rescanTimer = null;
+  function scheduleScan(delay = RESCAN_DELAY_MS) {
+    clearTimeout(rescanTimer);
+    rescanTimer = setTimeout(scanPage, delay);
+  }
+
+  // After a client-side navigation: drop what belonged to the old page and scan the new one once it has rendered
+  const NAVIGATION_SCAN_DELAY_MS = 800;
+  function onNavigated() {
+    closeBadgePopup();
+    document.querySelectorAll('.nbn-detail-panel').forEach(n => n.remove());
+    for (const card of resultRecords.keys()) if (!card.isConnected) resultRecords.delete(card);
+    cardDetection.via = null;
+    cardDetection.count = 0;
+    forgetFailedDownloads();
+    scheduleScan(NAVIGATION_SCAN_DELAY_MS);
+    setTimeout(() => {
+      processDetailPage();
+      updateDetectionStatus();
+    }, NAVIGATION_SCAN_DELAY_MS);
   }
 
   // Observe the results container and body for additions
-  const mo = new MutationObserver((mutations) => {
-    for (const m of mutations) {
-      for (const n of m.addedNodes) {
-        if (!(n instanceof HTMLElement)) continue;
-        // if the added node matches a listing selector or contains listings, process them
-        for (const sel of LISTING_SELECTORS) {
-          if (n.matches && n.matches(sel)) processCard(n);
-          n.querySelectorAll && n.querySelectorAll(sel).forEach(el => processCard(el));
+  function observePage() {
+    const mo = new MutationObserver((mutations) => {
+      checkNavigation();
+      for (const m of mutations) {
+        // a badge wiped by the site re-rendering a card: put it back
+        for (const n of m.removedNodes) {
+          if (n instanceof HTMLElement && (n.classList.contains('nbn-badge') || n.querySelector('.nbn-badge'))) scheduleScan();
+        }
+        for (const n of m.addedNodes) {
+          if (!(n instanceof HTMLElement)) continue;
+          if (n.closest('.nbn-legend, .nbn-popup, .nbn-settings, .nbn-detail-panel') || n.classList.contains('nbn-badge')) continue;
+          // new cards are picked up straight away; anything else may be a card re-rendering in place
+          const result = findCards(n, SITE);
+          const fresh = result.cards.filter(card => !cardEntries.has(card));
+          if (fresh.length) {
+            noteDetectedCards({ cards: fresh, via: result.via });
+            fresh.forEach(card => processCard(card));
+          } else {
+            scheduleScan();
+          }
         }
       }
-    }
-  });
-  mo.observe(document.body, { childList: true, subtree: true });
+    });
+    mo.observe(document.body, { childList: true, subtree: true });
+  }
 
-  // Cache cleanup logic
-  function cleanupCache() {
-    return new Promise(async (resolve, reject) => {
+  // Detail-page mode: a single property page gets a full per-address panel instead of a card badge
+
+  function isDetailPage(adapter = SITE) {
+    return !!(adapter.detail && adapter.detail.pathPattern && adapter.detail.pathPattern.test(location.pathname));
+  }
+
+  // Find the listing's coordinates on a detail page: JSON-LD geo, geo meta tags, data attributes or a maps link
+  function extractListingCoordinates(root = document) {
+    for (const script of root.querySelectorAll('script[type="application/ld+json"]')) {
       try {
-        const db = await openDb();
-        const tx = db.transaction(CACHE_STORE, 'readwrite');
-        const store = tx.objectStore(CACHE_STORE);
-        const now = Date.now();
-        const entries = [];
-
-        store.openCursor().onsuccess = (event) => {
-          const cursor = event.target.result;
-          if (cursor) {
-            entries.push({ key: cursor.key, value: cursor.value });
-            cursor.continue();
-          } else {
-            // Sort by last access time (oldest first)
-            entries.sort((a, b) => (a.value.fetchedAt || 0) - (b.value.fetchedAt || 0));
-
-            // Remove expired entries and excess entries
-            const toDelete = entries.filter(e => (now - (e.value.fetchedAt || 0)) > CACHE_EXPIRY_MS);
-            const excessCount = entries.length - toDelete.length - CACHE_MAX_ENTRIES;
-            if (excessCount > 0) {
-              toDelete.push(...entries.slice(toDelete.length, toDelete.length + excessCount));
-            }
-
-            for (const entry of toDelete) {
-              store.delete(entry.key);
-            }
-            resolve();
+        const stack = [JSON.parse(script.textContent)];
+        while (stack.length) {
+          const node = stack.pop();
+          if (!node || typeof node !== 'object') continue;
+          if (node.latitude != null && node.longitude != null && isFinite(node.latitude) && isFinite(node.longitude)) {
+            return [Number(node.latitude), Number(node.longitude)];
           }
-        };
-      } catch (e) {
-        console.warn('NBN cache cleanup error', e);
-        reject(e);
+          stack.push(...Object.values(node));
+        }
+      } catch (e) { /* ignore malformed JSON-LD */ }
+    }
+    const metaLat = root.querySelector('meta[property="place:location:latitude"], meta[name="geo.position"]');
+    if (metaLat) {
+      const parts = metaLat.name === 'geo.position'
+        ? metaLat.content.split(/[;,]/)
+        : [metaLat.content, (root.querySelector('meta[property="place:location:longitude"]') || {}).content];
+      if (parts.length === 2 && isFinite(parts[0]) && isFinite(parts[1])) return [Number(parts[0]), Number(parts[1])];
+    }
+    const dataEl = root.querySelector('[data-lat][data-lng], [data-latitude][data-longitude]');
+    if (dataEl) {
+      const lat = dataEl.dataset.lat || dataEl.dataset.latitude;
+      const lng = dataEl.dataset.lng || dataEl.dataset.longitude;
+      if (isFinite(lat) && isFinite(lng)) return [Number(lat), Number(lng)];
+    }
+    for (const a of root.querySelectorAll('a[href*="maps"]')) {
+      const m = a.href.match(/[?&@=](-?\d{1,2}\.\d+),\s*(-?\d{2,3}\.\d+)/);
+      if (m) return [Number(m[1]), Number(m[2])];
+    }
+    return null;
+  }
+
+  function appendDetailRow(parent, type, text, right = '') {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const left = document.createElement('div');
+    const dot = document.createElement('span');
+    dot.className = 'type-dot';
+    dot.style.background = (LEGEND[type] && LEGEND[type].color) || '#6b7280';
+    left.appendChild(dot);
+    left.appendChild(document.createTextNode(text));
+    row.appendChild(left);
+    if (right) {
+      const r = document.createElement('div');
+      r.className = 'muted';
+      r.textContent = right;
+      row.appendChild(r);
+    }
+    parent.appendChild(row);
+  }
+
+  function appendDetailHeading(parent, text) {
+    const h = document.createElement('h3');
+    h.textContent = text;
+    parent.appendChild(h);
+  }
+
+  // Build the detail panel for a parsed address and its loaded suburb (see loadSuburb)
+  function makeDetailPanel(parsed, entry, listingLatLng, history = null) {
+    const { geojson, summary, source: sourceUrl } = entry;
+    const addressIndex = suburbAddressIndex(entry, parsed.suburb);
+    const matchOptions = { suburb: parsed.suburb, geojson, latLng: listingLatLng };
+    const match = matchListingAddressToFeature(parsed.street, addressIndex, matchOptions);
+    const streetSummary = summarizeStreet(parsed.street, addressIndex, matchOptions);
+
+    const panel = document.createElement('div');
+    panel.className = 'nbn-detail-panel';
+    const title = document.createElement('div');
+    title.style.fontWeight = '700';
+    title.textContent = `NBN — ${parsed.street ? `${parsed.street}, ` : ''}${parsed.suburb} ${parsed.state}`;
+    panel.appendChild(title);
+
+    appendDetailHeading(panel, 'This address');
+    if (match) {
+      const props = match.feature.properties || {};
+      const type = featureType(match.feature);
+      appendDetailRow(panel, type, ` ${type} (${describeMatch(match)})`, featureAddress(props));
+      const change = premiseChange(history, featureAddress(props));
+      if (change) appendDetailRow(panel, change.to, ` Changed ${change.from} → ${change.to}`, `since ${formatSince(change.at)}`);
+      const upgrade = type !== 'FTTP' ? featureUpgrade(match.feature) : null;
+      if (upgrade && upgrade.status !== 'unknown') {
+        appendDetailRow(panel, upgrade.target || type, ` Upgrade: ${describeUpgrade(upgrade)}`, upgrade.program || upgrade.serviceClass || '');
       }
-    });
+      const upgradeKeys = Object.keys(props).filter(k => UPGRADE_PROPERTY_PATTERN.test(k) && props[k] != null && props[k] !== '');
+      if (upgradeKeys.length) {
+        appendDetailHeading(panel, 'Upgrade / eligibility');
+        for (const k of upgradeKeys) {
+          const row = document.createElement('div');
+          row.className = 'row';
+          const key = document.createElement('div');
+          key.className = 'muted';
+          key.textContent = k;
+          const val = document.createElement('div');
+          val.textContent = String(props[k]);
+          row.appendChild(key);
+          row.appendChild(val);
+          panel.appendChild(row);
+        }
+      }
+    } else {
+      const p = document.createElement('div');
+      p.className = 'muted';
+      p.textContent = 'No match for this address in the suburb file.';
+      panel.appendChild(p);
+    }
+
+    if (streetSummary) {
+      appendDetailHeading(panel, `Street breakdown — ${streetSummary.label} (${streetSummary.total} premises)`);
+      for (const [type, cnt] of Object.entries(streetSummary.counts).sort((a, b) => b[1] - a[1])) {
+        appendDetailRow(panel, type, ` ${type}`, `${cnt} (${Math.round(cnt / streetSummary.total * 100)}%)`);
+      }
+    }
+
+    appendDetailHeading(panel, `Suburb breakdown (${summary.total} premises)`);
+    if (summary.total === 0) {
+      const p = document.createElement('div');
+      p.textContent = 'No address data in suburb file.';
+      panel.appendChild(p);
+    }
+    for (const [type, cnt] of Object.entries(summary.counts).sort((a, b) => b[1] - a[1])) {
+      const pct = summary.total ? Math.round(cnt / summary.total * 100) : 0;
+      appendDetailRow(panel, type, ` ${type}`, `${cnt} (${pct}%)`);
+    }
+    const upgradeSection = makeUpgradeSection(summary);
+    if (upgradeSection) panel.appendChild(upgradeSection);
+
+    if (!match || match.method !== 'exact') {
+      appendDetailHeading(panel, 'Nearest known premises');
+      const nearest = nearestFeatures(geojson, listingLatLng, 5);
+      if (!nearest.length) {
+        const p = document.createElement('div');
+        p.className = 'muted';
+        p.textContent = listingLatLng ? 'No premises with coordinates in the suburb file.' : 'Listing coordinates not found on this page.';
+        panel.appendChild(p);
+      }
+      for (const { feature, distance } of nearest) {
+        const type = featureType(feature);
+        appendDetailRow(panel, type, ` ${type} — ${featureAddress(feature.properties) || 'unnamed premise'}`, `${Math.round(distance)} m`);
+      }
+    }
+
+    const historySection = makeHistorySection(history, 15);
+    if (historySection) panel.appendChild(historySection);
+
+    const warnings = (entry.digest && entry.digest.warnings) || [];
+    if (warnings.length) {
+      const p = document.createElement('div');
+      p.className = 'muted';
+      p.style.marginTop = '8px';
+      p.textContent = `⚠ Data file warnings: ${warnings.join(' ')}`;
+      panel.appendChild(p);
+    }
+
+    if (isHttpUrl(sourceUrl)) {
+      const link = document.createElement('a');
+      link.href = sourceUrl;
+      link.target = '_blank';
+      link.textContent = 'View source file';
+      link.style.display = 'inline-block';
+      link.style.marginTop = '8px';
+      link.style.color = '#2563eb';
+      panel.appendChild(link);
+    }
+    return panel;
   }
 
-  // run initial scan and cache cleanup after a small delay
-  setTimeout(() => {
-    initialScan();
-    cleanupCache();
-  }, 1200);
+  // The listing shown in the detail panel, { parsed, key }, once its suburb has loaded
+  let detailListing = null;
 
-  // Expose a small debug API on window for manual inspection
-  window.__nbn_repo_userscript = {
-    fetchSuburbGeoJSON,
-    summarizeGeoJSON,
-    toRepoSlug,
-    candidateFilenames
-  };
+  // Read the property's address from the page, fetch its suburb and render the panel under the address heading
+  async function processDetailPage(adapter = SITE) {
+    if (!isDetailPage(adapter) || document.querySelector('.nbn-detail-panel')) return;
+    const addressEl = queryFirst(document, adapter.detail.addressSelectors);
+    const parsed = extractSuburbStateFromText(elementText(addressEl));
+    if (!parsed || !parsed.suburb) return;
+    const anchor = queryFirst(document, adapter.detail.insertionSelectors) || addressEl;
+    const place = await resolveSuburb(parsed.suburb, parsed.state, parsed.postcode);
+    parsed.suburb = place.suburb;
+    parsed.state = place.state;
+
+    let panel;
+    detailListing = null;
+    try {
+      if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) {
+        throw new Error(describeLookupStatus(place).message);
+      }
+      const key = `${parsed.state}|${toRepoSlug(parsed.suburb)}`;
+      const entry = await loadSuburb(parsed.suburb, parsed.state, false, { priority: () => -1 });
+      const history = await getSuburbHistory(key);
+      panel = makeDetailPanel(parsed, entry, extractListingCoordinates(document), history);
+      detailListing = { parsed, key };
+    } catch (err) {
+      panel = document.createElement('div');
+      panel.className = 'nbn-detail-panel';
+      panel.textContent = `NBN: no data found for ${parsed.suburb} ${parsed.state}. ${err.message}`;
+    }
+    if (document.querySelector('.nbn-detail-panel')) return;
+    anchor.insertAdjacentElement('afterend', panel);
+  }
+
+  // nbn:data-updated listener for the detail panel: a refreshed suburb redraws the panel from the new data
+  async function onDetailSuburbUpdated(ev) {
+    const d = ev.detail || {};
+    const listing = detailListing;
+    const panel = document.querySelector('.nbn-detail-panel');
+    if (!listing || !panel || listing.key !== `${d.state}|${toRepoSlug(d.suburb || '')}`) return;
+    const { parsed, key } = listing;
+    let next;
+    try {
+      const entry = await loadSuburb(parsed.suburb, parsed.state);
+      next = makeDetailPanel(parsed, entry, extractListingCoordinates(document), await getSuburbHistory(key));
+    } catch (e) {
+      console.warn('NBN refresh: detail panel reload failed', key, e);
+      return;
+    }
+    if (panel.isConnected && detailListing === listing) panel.replaceWith(next);
+  }
+
+  // Public and debug APIs
+
+  // Public API for other scripts, on window.nbnUserscript (the page's window where the userscript manager sandboxes
+  // this one). `version` is bumped only for incompatible changes to these methods or the payloads they return.
+  //   lookupAddress(address, { suburb, state, postcode, latLng }?)  -> Promise of a result, as for a card
+  //   getSuburbSummary(suburb, state)  -> Promise of { suburb, state, technology, score, counts, total, dataDate, ... }
+  //   getCardResult(element)           -> result of the listing card containing the element, or null if not done yet
+  //   cache.list() / refresh(suburb, state) / remove(suburb, state) / clear()
+  //   cache.prefetch([{ suburb, state }])  -> Promise of { done, failed, failures: ['Suburb STATE', ...], cancelled }
+  // Everything returned is plain data. Events are listed at NBN_EVENTS; cards also carry data-nbn-* attributes
+  // (card, type, score, match, confidence, suburb, state, upgrade, data-date).
+  const API_VERSION = 1;
+
+  // Resolve a suburb name against the dataset, or throw saying why it can't be looked up
+  async function resolvePlace(suburb, state, postcode = '') {
+    const place = await resolveSuburb(suburb, state, postcode);
+    if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) throw new Error(describeLookupStatus(place).message);
+    return place;
+  }
+
+  // Look up a free-text address such as "12 Smith St, Chermside QLD 4032". Suburbs that can't be resolved give a
+  // result with the lookup status as `match` (like a card's); download failures reject.
+  async function lookupAddress(address, hint = {}) {
+    const parsed = { ...(extractSuburbStateFromText(String(address || '')) || {}) };
+    for (const field of ['suburb', 'state', 'postcode']) if (hint[field]) parsed[field] = hint[field];
+    if (!parsed.suburb) throw new Error(`No suburb found in "${address}".`);
+    if (!parsed.street) parsed.street = String(address || '').split(',')[0].trim();
+    const place = await resolveSuburb(parsed.suburb, parsed.state, parsed.postcode);
+    if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) {
+      const match = place.status === 'not-found' || place.status === 'ambiguous' ? place.status : 'state-unknown';
+      return publicResult(makeResult(parsed, { match, error: describeLookupStatus(place).message }));
+    }
+    const entry = await loadSuburb(place.suburb, place.state, false, { priority: () => -1 });
+    const located = { ...parsed, suburb: place.suburb, state: place.state };
+    return publicResult(makeResult(located, {
+      ...classifyListing(entry, place.suburb, parsed.street, hint.latLng || null),
+      counts: entry.summary.counts,
+      total: entry.summary.total,
+      dataDate: digestDate(entry.digest)
+    }));
+  }
+
+  async function getSuburbSummary(suburb, state) {
+    const place = await resolvePlace(suburb, state);
+    return suburbPayload(place.suburb, place.state, await loadSuburb(place.suburb, place.state, false, { priority: () => -1 }));
+  }
+
+  function getCardResult(element) {
+    for (let node = element; node; node = node.parentElement) {
+      if (resultRecords.has(node)) return publicResult(resultRecords.get(node));
+    }
+    return null;
+  }
+
+  async function listCache() {
+    return (await idbEntries())
+      .filter(e => e.key !== SUBURB_INDEX_KEY)
+      .map(({ key, value }) => {
+        const dataDate = digestDate(value);
+        return {
+          ...parseCacheKey(key),
+          key,
+          fetchedAt: value.fetchedAt ? new Date(value.fetchedAt).toISOString() : null,
+          dataDate: dataDate ? dataDate.toISOString() : null,
+          fresh: isFresh(value),
+          source: value.source || ''
+        };
+      });
+  }
+
+  async function removeCachedSuburb(suburb, state) {
+    const place = await resolvePlace(suburb, state);
+    const key = `${place.state}|${toRepoSlug(place.suburb)}`;
+    await idbDelete(key);
+    memoryCache.delete(key);
+  }
+
+  // An API method as page scripts can use it from a sandbox (see toPage): results are cloned into the page, and
+  // promises are the page's own, rejecting with the page's Error
+  function pageFunction(fn) {
+    if (typeof exportFunction !== 'function') return fn;
+    return (...args) => {
+      const result = fn(...args);
+      if (!result || typeof result.then !== 'function') return toPage(result);
+      return new pageWindow.Promise(exportFunction((resolve, reject) => {
+        result.then(value => resolve(toPage(value)), err => reject(new pageWindow.Error(err && err.message)));
+      }, pageWindow));
+    };
+  }
 
-})();
\ No newline at end of file
+  // Install window.nbnUserscript, announce it with nbn:ready, and expose a small debug API for manual inspection
+  function installApi() {
+    pageWindow.nbnUserscript = toPage(Object.freeze({
+      version: API_VERSION,
+      events: Object.freeze({ ...NBN_EVENTS }),
+      lookupAddress: pageFunction(lookupAddress),
+      getSuburbSummary: pageFunction(getSuburbSummary),
+      getCardResult: pageFunction(getCardResult),
+      cache: Object.freeze({
+        list: pageFunction(listCache),
+        refresh: pageFunction(async (suburb, state) => {
+          const place = await resolvePlace(suburb, state);
+          return suburbPayload(place.suburb, place.state, await refreshSuburb(place.suburb, place.state));
+        }),
+        remove: pageFunction(removeCachedSuburb),
+        clear: pageFunction(async () => {
+          await idbClear();
+          memoryCache.clear();
+        }),
+        prefetch: pageFunction((list) => prefetchSuburbs(list))
+      })
+    }));
+    emitEvent(document, NBN_EVENTS.ready, { version: API_VERSION });
+
+    window.__nbn_repo_userscript = {
+      fetchSuburbGeoJSON,
+      loadSuburb,
+      summarizeGeoJSON,
+      validateGeoJSON,
+      featureType,
+      featureUpgrade,
+      normalizeTypeString,
+      UPSTREAM_SCHEMA,
+      toRepoSlug,
+      candidateFilenames,
+      resolveSuburb,
+      exportCache,
+      importCache,
+      exportResults,
+      prefetchSuburbs,
+      PROVIDER_TYPES,
+      getProviders,
+      site: SITE,
+      SITE_ADAPTERS
+    };
+  }
+
+  // Entry point
+
+  // Start-up: styles, watchers and the API straight away; the first scan after a small delay.
+  // Nothing to do on hosts without an adapter (the @match list should prevent this).
+  if (!SITE) {
+    console.warn('NBN: no site adapter for', location.hostname);
+  } else {
+    injectStyles();
+    watchNavigation();
+    observePage();
+    document.addEventListener(NBN_EVENTS.dataUpdated, onSuburbUpdated);
+    document.addEventListener(NBN_EVENTS.dataUpdated, onDetailSuburbUpdated);
+    if (typeof GM_registerMenuCommand === 'function') {
+      GM_registerMenuCommand('NBN badge settings…', openSettingsDialog);
+      GM_registerMenuCommand('NBN cache manager…', openCacheManager);
+      GM_registerMenuCommand('NBN shortlist…', openShortlist);
+    }
+    installApi();
+    setTimeout(() => {
+      initialScan();
+      processDetailPage();
+      cleanupCache().catch(e => console.warn('NBN cache cleanup error', e));
+      recheckShortlist().catch(e => console.warn('NBN shortlist check error', e));
+    }, 1200);
+  }
+})();
@@ -0,0 +1,327 @@
+// Address parsing and matching listings to premises
+import { settings } from './settings.js';
+import { elementText, queryFirst, SITE } from './sites.js';
+import { toRepoSlug } from './suburbs.js';
+import { DIGEST_ADDRESS_KEY } from './suburb-cache.js';
+import { summarizeFeatures } from './schema.js';
+
+// Parse suburb, state and street from a listing element.
+export function parseSuburbStateFromListing(cardEl, adapter = SITE) {
+  if (adapter && typeof adapter.parseListing === 'function') {
+    const custom = adapter.parseListing(cardEl);
+    if (custom) return custom;
+  }
+  for (const sel of (adapter && adapter.locationSelectors) || []) {
+    const node = cardEl.querySelector(sel);
+    const nodeText = elementText(node);
+    if (nodeText) {
+      const parsed = extractSuburbStateFromText(nodeText);
+      if (parsed) {
+        // Attempt to find a more specific street address element
+        const streetEl = queryFirst(cardEl, adapter.streetSelectors);
+        if (streetEl) {
+          parsed.street = streetEl.textContent.trim();
+        }
+        return parsed;
+      }
+    }
+  }
+  // Fallback to searching the whole card, then its labelled elements / image alt text
+  const text = cardEl.textContent || '';
+  const fromText = extractSuburbStateFromText(text);
+  if (fromText && fromText.state) return fromText;
+  const labelled = [cardEl, ...cardEl.querySelectorAll('img[alt], [aria-label]')];
+  for (const node of labelled) {
+    const parsed = extractSuburbStateFromText(node.getAttribute('alt') || node.getAttribute('aria-label'));
+    if (parsed && parsed.state) return parsed;
+  }
+  return fromText;
+}
+
+// Extract suburb/state from arbitrary text using regex patterns
+export function extractSuburbStateFromText(text) {
+  if (!text) return null;
+  const t = text.replace(/\s+/g, ' ').trim();
+  const stateAbbr = '(NSW|VIC|QLD|SA|WA|TAS|ACT|NT)';
+  // Pattern 1: "Street, Suburb, STATE"
+  const p1 = new RegExp(`^([^,]+),\\s+([A-Za-z-&'.\\s]{2,60})[,\\s]+(${stateAbbr})(?:\\s+(\\d{4}))?(?:\\s|$)`, 'i');
+  const m1 = t.match(p1);
+  if (m1) {
+    const street = m1[1].trim();
+    const suburb = m1[2].trim().replace(/[,|.]+$/, '');
+    const state = m1[3].toUpperCase();
+    return { suburb, state, street, postcode: m1[5] || '' };
+  }
+  // Pattern 2: "Suburb, STATE"
+  const p2 = new RegExp(`([A-Za-z-&'.\\s]{2,60})[,\\s]+(${stateAbbr})(?:\\s+(\\d{4}))?(?:\\s|$)`, 'i');
+  const m2 = t.match(p2);
+  if (m2) {
+    const suburb = m2[1].trim().replace(/[,|.]+$/,'');
+    const state = m2[2].toUpperCase();
+    return { suburb, state, postcode: m2[4] || '' };
+  }
+  // Pattern 3: "Suburb 4032" (postcode fallback)
+  const p3 = /([A-Za-z-&'\s]{2,60})\s+(\d{4})/;
+  const m3 = t.match(p3);
+  if (m3) {
+    const suburb = m3[1].trim();
+    return { suburb, state: '', postcode: m3[2] }; // State is inferred from the postcode by resolveSuburb
+  }
+  return null;
+}
+
+// Normalize address string for matching
+export function normalizeAddress(addr) {
+  if (!addr) return '';
+  let a = addr.toLowerCase();
+  // expand abbreviations
+  a = a.replace(/\b(st|str)\b/g, 'street')
+       .replace(/\b(rd)\b/g, 'road')
+       .replace(/\b(ave)\b/g, 'avenue')
+       .replace(/\b(ct)\b/g, 'court')
+       .replace(/\b(pl)\b/g, 'place')
+       .replace(/\b(ln)\b/g, 'lane')
+       .replace(/\b(dr)\b/g, 'drive');
+  // handle unit/flat variations like '1/10' -> 'unit 1 10'
+  a = a.replace(/(\d+)\/(\d+)/g, 'unit $1 $2');
+  // remove punctuation
+  a = a.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '');
+  // collapse whitespace
+  return a.replace(/\s+/g, ' ').trim();
+}
+
+// Street type words and abbreviations -> canonical street type
+export const STREET_TYPES = {
+  street: 'street', st: 'street', str: 'street',
+  road: 'road', rd: 'road',
+  avenue: 'avenue', ave: 'avenue', av: 'avenue',
+  court: 'court', ct: 'court', crt: 'court',
+  place: 'place', pl: 'place',
+  lane: 'lane', ln: 'lane',
+  drive: 'drive', dr: 'drive',
+  terrace: 'terrace', tce: 'terrace', terr: 'terrace',
+  crescent: 'crescent', cres: 'crescent', cr: 'crescent',
+  circuit: 'circuit', cct: 'circuit',
+  close: 'close', cl: 'close',
+  parade: 'parade', pde: 'parade',
+  highway: 'highway', hwy: 'highway',
+  boulevard: 'boulevard', bvd: 'boulevard', blvd: 'boulevard',
+  grove: 'grove', gr: 'grove', gve: 'grove',
+  esplanade: 'esplanade', esp: 'esplanade',
+  way: 'way', wy: 'way',
+  parkway: 'parkway', pkwy: 'parkway',
+  square: 'square', sq: 'square',
+  circle: 'circle', cir: 'circle',
+  rise: 'rise', row: 'row', walk: 'walk', loop: 'loop', mews: 'mews', track: 'track', link: 'link', vista: 'vista'
+};
+export const UNIT_WORDS = new Set(['unit', 'u', 'apt', 'apartment', 'flat', 'villa', 'townhouse', 'shop', 'suite']);
+export const STATE_WORDS = new Set(['nsw', 'vic', 'qld', 'sa', 'wa', 'tas', 'act', 'nt']);
+const FUZZY_MATCH_MIN_CONFIDENCE = 0.75;
+const PROXIMITY_MATCH_MAX_M = 40;
+const STREET_RADIUS_M = 250; // radius used for the street tier when a listing has coordinates but no street match
+
+// Split an address into { unit, number, lot, streetName, streetType }. Suburb/state/postcode suffixes are dropped,
+// so "Unit 3 / 12 Smith St, Chermside QLD 4032" and "3/12 SMITH STREET CHERMSIDE QLD 4032" parse the same.
+export function parseAddressParts(addr, suburb = '') {
+  const parts = { unit: '', number: '', lot: false, streetName: '', streetType: '' };
+  if (!addr) return parts;
+  let a = String(addr).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  // "3/12", "3 / 12" or "unit 3/12" -> "unit 3 12"
+  a = a.replace(/(?:\b([a-z]+)\s+)?([a-z]?\d+[a-z]?)\s*\/\s*(\d+[a-z]?)/,
+    (m, word, unit, number) => `${word && !UNIT_WORDS.has(word) ? `${word} ` : ''}unit ${unit} ${number}`);
+  a = a.replace(/[^a-z0-9\s-]/g, ' ');
+  const tokens = a.split(/\s+/).filter(Boolean);
+  // drop trailing postcode/state, then the suburb name if it's still there
+  while (tokens.length && (/^\d{4}$/.test(tokens[tokens.length - 1]) || STATE_WORDS.has(tokens[tokens.length - 1]))) tokens.pop();
+  const suburbTokens = toRepoSlug(suburb).split('-').filter(Boolean);
+  if (suburbTokens.length && tokens.length > suburbTokens.length &&
+      tokens.slice(-suburbTokens.length).join(' ') === suburbTokens.join(' ')) {
+    tokens.splice(-suburbTokens.length);
+  }
+
+  let i = 0;
+  if (UNIT_WORDS.has(tokens[i]) && tokens[i + 1]) { parts.unit = tokens[i + 1]; i += 2; }
+  else if (/^u\d+[a-z]?$/.test(tokens[i] || '')) { parts.unit = tokens[i].slice(1); i++; }
+  if (tokens[i] === 'lot' && tokens[i + 1]) { parts.lot = true; parts.number = tokens[i + 1]; i += 2; }
+  else if (/^\d+[a-z]?(-\d+[a-z]?)?$/.test(tokens[i] || '')) { parts.number = tokens[i]; i++; }
+
+  // the street type is the first type word after at least one name word; anything after it is suburb text
+  let j = i + 1;
+  while (j < tokens.length && !STREET_TYPES[tokens[j]]) j++;
+  if (j < tokens.length) {
+    parts.streetName = tokens.slice(i, j).join(' ');
+    parts.streetType = STREET_TYPES[tokens[j]];
+  } else {
+    parts.streetName = tokens.slice(i).join(' ');
+  }
+  return parts;
+}
+
+// Similarity of two strings in [0, 1] from their Levenshtein distance
+function stringSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, k) => k);
+  for (let x = 1; x <= a.length; x++) {
+    const cur = [x];
+    for (let y = 1; y <= b.length; y++) {
+      cur[y] = Math.min(prev[y] + 1, cur[y - 1] + 1, prev[y - 1] + (a[x - 1] === b[y - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// Score how well two parsed addresses agree, 0 (different premises) to 1 (identical)
+function scoreAddressMatch(a, b) {
+  if (!a.number || !b.number || a.lot !== b.lot) return 0;
+  // two different units at one street number are different premises, however well the rest agrees
+  if (a.unit && b.unit && a.unit !== b.unit) return 0;
+  const numberScore = a.number === b.number ? 1 : (parseInt(a.number, 10) === parseInt(b.number, 10) ? 0.7 : 0);
+  if (!numberScore) return 0;
+  const nameScore = stringSimilarity(a.streetName, b.streetName);
+  if (nameScore < 0.6) return 0;
+  const typeScore = !a.streetType || !b.streetType ? 0.8 : (a.streetType === b.streetType ? 1 : 0.3);
+  const unitScore = a.unit === b.unit ? 1 : 0.6;
+  return 0.15 * numberScore + 0.5 * nameScore + 0.15 * typeScore + 0.2 * unitScore;
+}
+
+// Create an index of addresses from GeoJSON for quick lookup:
+// exact normalized string -> feature, parsed premises bucketed by street number for fuzzy matching,
+// and features grouped by street ("hamilton road") for street-level summaries
+export function indexGeojsonAddresses(geojson, suburb = '') {
+  const index = { exact: new Map(), byNumber: new Map(), byStreet: new Map() };
+  if (!geojson || !Array.isArray(geojson.features)) return index;
+  for (const feature of geojson.features) {
+    const props = feature.properties || {};
+    const address = featureAddress(props);
+    if (address) {
+      index.exact.set(normalizeAddress(address), feature);
+      const parts = parseAddressParts(address, suburb);
+      const num = parseInt(parts.number, 10);
+      if (!isNaN(num)) {
+        if (!index.byNumber.has(num)) index.byNumber.set(num, []);
+        index.byNumber.get(num).push({ feature, parts });
+      }
+      const streetKey = streetKeyOf(parts);
+      if (streetKey) {
+        if (!index.byStreet.has(streetKey)) {
+          index.byStreet.set(streetKey, { name: parts.streetName, type: parts.streetType, features: [] });
+        }
+        index.byStreet.get(streetKey).features.push(feature);
+      }
+    }
+  }
+  return index;
+}
+
+// Match a listing's address to a feature in the indexed GeoJSON.
+// Returns { feature, method: 'exact' | 'fuzzy' | 'proximity', confidence (0-1), distance? } or null.
+// options.latLng enables a nearest-premise fallback when the address can't be matched.
+export function matchListingAddressToFeature(listingAddress, addressIndex, options = {}) {
+  if (!addressIndex) return null;
+  if (listingAddress) {
+    const exact = addressIndex.exact.get(normalizeAddress(listingAddress));
+    if (exact) return { feature: exact, method: 'exact', confidence: 1 };
+    const parts = parseAddressParts(listingAddress, options.suburb || '');
+    let best = null;
+    let bestScore = 0;
+    for (const entry of addressIndex.byNumber.get(parseInt(parts.number, 10)) || []) {
+      const score = scoreAddressMatch(parts, entry.parts);
+      if (score > bestScore) { best = entry; bestScore = score; }
+    }
+    if (best && bestScore >= FUZZY_MATCH_MIN_CONFIDENCE) {
+      return { feature: best.feature, method: bestScore >= 0.999 ? 'exact' : 'fuzzy', confidence: bestScore };
+    }
+  }
+  if (options.latLng && options.geojson) {
+    const [nearest] = nearestFeatures(options.geojson, options.latLng, 1);
+    if (nearest && nearest.distance <= PROXIMITY_MATCH_MAX_M) {
+      const confidence = 0.6 * (1 - nearest.distance / PROXIMITY_MATCH_MAX_M);
+      return { feature: nearest.feature, method: 'proximity', confidence, distance: nearest.distance };
+    }
+  }
+  return null;
+}
+
+export function streetKeyOf(parts) {
+  return `${parts.streetName} ${parts.streetType}`.trim();
+}
+
+// Street tier: summary of the premises on the listing's street. Falls back to the closest-named street
+// (typos, missing street type) and then to premises within STREET_RADIUS_M of the listing's coordinates.
+// Returns { label, counts, examples, total } or null.
+export function summarizeStreet(listingAddress, addressIndex, options = {}) {
+  if (!addressIndex) return null;
+  const parts = parseAddressParts(listingAddress, options.suburb || '');
+  const key = streetKeyOf(parts);
+  let street = key ? addressIndex.byStreet.get(key) : null;
+  if (!street && parts.streetName) {
+    let bestScore = 0.85;
+    for (const candidate of addressIndex.byStreet.values()) {
+      if (parts.streetType && candidate.type && candidate.type !== parts.streetType) continue;
+      const score = stringSimilarity(parts.streetName, candidate.name);
+      if (score >= bestScore) { bestScore = score; street = candidate; }
+    }
+  }
+  if (street) {
+    const label = `${street.name} ${street.type}`.trim().replace(/\b\w/g, c => c.toUpperCase());
+    return { label, ...summarizeFeatures(street.features) };
+  }
+  if (options.latLng && options.geojson) {
+    const nearby = options.geojson.features.filter(f => {
+      const pos = featureLatLng(f);
+      return pos && distanceMeters(options.latLng, pos) <= STREET_RADIUS_M;
+    });
+    if (nearby.length) return { label: `Within ${STREET_RADIUS_M} m`, ...summarizeFeatures(nearby) };
+  }
+  return null;
+}
+
+// Short human label for a match result, e.g. "Confirmed", "Likely 86%", "Nearby ~25 m"
+export function describeMatch(match) {
+  if (!match) return '';
+  if (match.method === 'exact') return 'Confirmed';
+  if (match.method === 'fuzzy') return `Likely ${Math.round(match.confidence * 100)}%`;
+  return `Nearby ~${Math.round(match.distance || 0)} m`;
+}
+
+// Address text of a feature, from the first mapped address property that has a value
+export function featureAddress(props) {
+  if (!props) return '';
+  if (props[DIGEST_ADDRESS_KEY] != null) return props[DIGEST_ADDRESS_KEY];
+  for (const key of settings.propertyMapping.address) {
+    if (props[key] != null && props[key] !== '') return String(props[key]);
+  }
+  return '';
+}
+
+// [lat, lng] of a feature: Point coordinates, or the first vertex of any other geometry
+export function featureLatLng(feature) {
+  const g = feature && feature.geometry;
+  if (!g || !g.coordinates) return null;
+  let c = g.coordinates;
+  while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+  if (!Array.isArray(c) || c.length < 2 || !isFinite(c[0]) || !isFinite(c[1])) return null;
+  return [Number(c[1]), Number(c[0])];
+}
+
+// Great-circle distance in metres between two [lat, lng] pairs
+function distanceMeters(a, b) {
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+// The n features closest to a [lat, lng] point, nearest first, as { feature, distance }
+export function nearestFeatures(geojson, latLng, n = 5) {
+  if (!geojson || !Array.isArray(geojson.features) || !latLng) return [];
+  const withDistance = [];
+  for (const feature of geojson.features) {
+    const pos = featureLatLng(feature);
+    if (pos) withDistance.push({ feature, distance: distanceMeters(latLng, pos) });
+  }
+  return withDistance.sort((a, b) => a.distance - b.distance).slice(0, n);
+}
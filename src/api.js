@@ -0,0 +1,152 @@
+// Public and debug APIs
+import { getProviders, PROVIDER_TYPES } from './settings.js';
+import { SITE, SITE_ADAPTERS } from './sites.js';
+import { idbClear, idbDelete, idbEntries } from './db.js';
+import { candidateFilenames, describeLookupStatus, resolveSuburb, SUBURB_INDEX_KEY, toRepoSlug } from './suburbs.js';
+import {
+  digestDate, fetchSuburbGeoJSON, isFresh, loadSuburb, memoryCache, refreshSuburb, suburbPayload
+} from './suburb-cache.js';
+import { extractSuburbStateFromText } from './address.js';
+import {
+  featureType, featureUpgrade, normalizeTypeString, summarizeGeoJSON, UPSTREAM_SCHEMA, validateGeoJSON
+} from './schema.js';
+import { exportCache, importCache, parseCacheKey, prefetchSuburbs } from './cache-manager.js';
+import {
+  emitEvent, exportResults, makeResult, NBN_EVENTS, pageWindow, publicResult, resultRecords, toPage
+} from './results.js';
+import { classifyListing } from './shortlist.js';
+
+// Public API for other scripts, on window.nbnUserscript (the page's window where the userscript manager sandboxes
+// this one). `version` is bumped only for incompatible changes to these methods or the payloads they return.
+//   lookupAddress(address, { suburb, state, postcode, latLng }?)  -> Promise of a result, as for a card
+//   getSuburbSummary(suburb, state)  -> Promise of { suburb, state, technology, score, counts, total, dataDate, ... }
+//   getCardResult(element)           -> result of the listing card containing the element, or null if not done yet
+//   cache.list() / refresh(suburb, state) / remove(suburb, state) / clear()
+//   cache.prefetch([{ suburb, state }])  -> Promise of { done, failed, failures: ['Suburb STATE', ...], cancelled }
+// Everything returned is plain data. Events are listed at NBN_EVENTS; cards also carry data-nbn-* attributes
+// (card, type, score, match, confidence, suburb, state, upgrade, data-date).
+const API_VERSION = 1;
+
+// Resolve a suburb name against the dataset, or throw saying why it can't be looked up
+async function resolvePlace(suburb, state, postcode = '') {
+  const place = await resolveSuburb(suburb, state, postcode);
+  if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) throw new Error(describeLookupStatus(place).message);
+  return place;
+}
+
+// Look up a free-text address such as "12 Smith St, Chermside QLD 4032". Suburbs that can't be resolved give a
+// result with the lookup status as `match` (like a card's); download failures reject.
+async function lookupAddress(address, hint = {}) {
+  const parsed = { ...(extractSuburbStateFromText(String(address || '')) || {}) };
+  for (const field of ['suburb', 'state', 'postcode']) if (hint[field]) parsed[field] = hint[field];
+  if (!parsed.suburb) throw new Error(`No suburb found in "${address}".`);
+  if (!parsed.street) parsed.street = String(address || '').split(',')[0].trim();
+  const place = await resolveSuburb(parsed.suburb, parsed.state, parsed.postcode);
+  if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) {
+    const match = place.status === 'not-found' || place.status === 'ambiguous' ? place.status : 'state-unknown';
+    return publicResult(makeResult(parsed, { match, error: describeLookupStatus(place).message }));
+  }
+  const entry = await loadSuburb(place.suburb, place.state, false, { priority: () => -1 });
+  const located = { ...parsed, suburb: place.suburb, state: place.state };
+  return publicResult(makeResult(located, {
+    ...classifyListing(entry, place.suburb, parsed.street, hint.latLng || null),
+    counts: entry.summary.counts,
+    total: entry.summary.total,
+    dataDate: digestDate(entry.digest)
+  }));
+}
+
+async function getSuburbSummary(suburb, state) {
+  const place = await resolvePlace(suburb, state);
+  return suburbPayload(place.suburb, place.state, await loadSuburb(place.suburb, place.state, false, { priority: () => -1 }));
+}
+
+function getCardResult(element) {
+  for (let node = element; node; node = node.parentElement) {
+    if (resultRecords.has(node)) return publicResult(resultRecords.get(node));
+  }
+  return null;
+}
+
+async function listCache() {
+  return (await idbEntries())
+    .filter(e => e.key !== SUBURB_INDEX_KEY)
+    .map(({ key, value }) => {
+      const dataDate = digestDate(value);
+      return {
+        ...parseCacheKey(key),
+        key,
+        fetchedAt: value.fetchedAt ? new Date(value.fetchedAt).toISOString() : null,
+        dataDate: dataDate ? dataDate.toISOString() : null,
+        fresh: isFresh(value),
+        source: value.source || ''
+      };
+    });
+}
+
+async function removeCachedSuburb(suburb, state) {
+  const place = await resolvePlace(suburb, state);
+  const key = `${place.state}|${toRepoSlug(place.suburb)}`;
+  await idbDelete(key);
+  memoryCache.delete(key);
+}
+
+// An API method as page scripts can use it from a sandbox (see toPage): results are cloned into the page, and
+// promises are the page's own, rejecting with the page's Error
+function pageFunction(fn) {
+  if (typeof exportFunction !== 'function') return fn;
+  return (...args) => {
+    const result = fn(...args);
+    if (!result || typeof result.then !== 'function') return toPage(result);
+    return new pageWindow.Promise(exportFunction((resolve, reject) => {
+      result.then(value => resolve(toPage(value)), err => reject(new pageWindow.Error(err && err.message)));
+    }, pageWindow));
+  };
+}
+
+// Install window.nbnUserscript, announce it with nbn:ready, and expose a small debug API for manual inspection
+export function installApi() {
+  pageWindow.nbnUserscript = toPage(Object.freeze({
+    version: API_VERSION,
+    events: Object.freeze({ ...NBN_EVENTS }),
+    lookupAddress: pageFunction(lookupAddress),
+    getSuburbSummary: pageFunction(getSuburbSummary),
+    getCardResult: pageFunction(getCardResult),
+    cache: Object.freeze({
+      list: pageFunction(listCache),
+      refresh: pageFunction(async (suburb, state) => {
+        const place = await resolvePlace(suburb, state);
+        return suburbPayload(place.suburb, place.state, await refreshSuburb(place.suburb, place.state));
+      }),
+      remove: pageFunction(removeCachedSuburb),
+      clear: pageFunction(async () => {
+        await idbClear();
+        memoryCache.clear();
+      }),
+      prefetch: pageFunction((list) => prefetchSuburbs(list))
+    })
+  }));
+  emitEvent(document, NBN_EVENTS.ready, { version: API_VERSION });
+
+  window.__nbn_repo_userscript = {
+    fetchSuburbGeoJSON,
+    loadSuburb,
+    summarizeGeoJSON,
+    validateGeoJSON,
+    featureType,
+    featureUpgrade,
+    normalizeTypeString,
+    UPSTREAM_SCHEMA,
+    toRepoSlug,
+    candidateFilenames,
+    resolveSuburb,
+    exportCache,
+    importCache,
+    exportResults,
+    prefetchSuburbs,
+    PROVIDER_TYPES,
+    getProviders,
+    site: SITE,
+    SITE_ADAPTERS
+  };
+}
@@ -0,0 +1,455 @@
+// Badges and their popups
+import { LEGEND } from './config.js';
+import { settings } from './settings.js';
+import { isHttpUrl, refreshSuburb } from './suburb-cache.js';
+import { formatSince, makeHistorySection, premiseChange, recentChanges } from './history.js';
+import { describeMatch, featureAddress, featureLatLng } from './address.js';
+import { describeUpgrade, featureType, featureUpgrade, UPGRADE_STATUS_LABELS, UPGRADE_STATUSES } from './schema.js';
+import { removeShortlistItem, saveShortlistItem } from './shortlist.js';
+import { describeQuality, estimateQuality, selectPrimaryType } from './quality.js';
+import { makeCloseButton, openDialog } from './dialog.js';
+
+// Create badge DOM element for a listing given summary (counts)
+// details: { match, streetSummary, dataDate, history, warnings, geojson, latLng, listing: { url, address } }, all optional
+export function makeBadgeElement(summary, suburb, state, sourceUrl, details = {}) {
+  const { match = null, streetSummary = null, dataDate = null, history = null, warnings = [], geojson = null, latLng = null, listing = null } = details;
+  let primaryType, labelText;
+  if (match) {
+    primaryType = featureType(match.feature);
+    labelText = `${primaryType} (${describeMatch(match)})`;
+  } else if (streetSummary && streetSummary.total) {
+    primaryType = selectPrimaryType(streetSummary.counts);
+    labelText = `${primaryType} (street ${streetSummary.counts[primaryType]}/${streetSummary.total})`;
+  } else {
+    primaryType = selectPrimaryType(summary.counts);
+    const total = summary.total || Object.values(summary.counts || {}).reduce((s, v) => s + v, 0);
+    labelText = primaryType + (total ? ` (${total})` : '');
+  }
+
+  const legendEntry = LEGEND[primaryType] || { color: '#6b7280', label: primaryType || 'Unknown', desc: '' };
+  const badge = document.createElement('button');
+  badge.type = 'button';
+  badge.className = 'nbn-badge';
+  badge.setAttribute('aria-haspopup', 'dialog');
+  badge.setAttribute('aria-expanded', 'false');
+  badge.style.background = legendEntry.color;
+  badge.textContent = labelText;
+  if (dataDate) {
+    // small "data as of" marker so it's obvious how current the snapshot is
+    const asOf = document.createElement('span');
+    asOf.className = 'nbn-asof';
+    asOf.textContent = ` · ${dataDate.toLocaleDateString('en-AU', { month: 'short', year: '2-digit' })}`;
+    badge.appendChild(asOf);
+    badge.dataset.asOf = dataDate.toISOString();
+  }
+  // flag recent technology changes: this premise's own, else a count for the suburb
+  const change = match ? premiseChange(history, featureAddress(match.feature.properties)) : null;
+  const recent = recentChanges(history);
+  let changeText = '';
+  if (change) {
+    changeText = `${change.from} → ${change.to} since ${formatSince(change.at)}`;
+    badge.dataset.changed = 'premise';
+  } else if (recent.length) {
+    changeText = `${recent.length} changed since ${formatSince(recent[recent.length - 1].at)}`;
+    badge.dataset.changed = 'suburb';
+  }
+  if (changeText) {
+    const note = document.createElement('span');
+    note.className = 'nbn-change';
+    note.textContent = ` · ${changeText}`;
+    badge.appendChild(note);
+  }
+  // upgrade outlook of a matched premise
+  const upgrade = match && primaryType !== 'FTTP' ? featureUpgrade(match.feature) : null;
+  if (upgrade && upgrade.status !== 'unknown') {
+    const note = document.createElement('span');
+    note.className = 'nbn-upgrade';
+    note.textContent = ` · ${describeUpgrade(upgrade)}`;
+    badge.appendChild(note);
+    badge.dataset.upgrade = upgrade.status;
+  }
+  const quality = settings.qualityScore ? estimateQuality(summary, streetSummary, match) : null;
+  if (quality) {
+    const score = document.createElement('span');
+    score.className = 'nbn-score';
+    score.textContent = ` · ${quality.score}/100`;
+    badge.appendChild(score);
+    badge.dataset.score = String(quality.score);
+  }
+  // attach metadata
+  if (listing && listing.url) badge.dataset.listingUrl = listing.url;
+  badge.dataset.suburb = suburb;
+  badge.dataset.state = state;
+  badge.dataset.source = sourceUrl || '';
+  badge.title = `${legendEntry.label}: ${legendEntry.desc}` +
+    (match ? `\nMatched ${match.method} (${Math.round(match.confidence * 100)}% confidence): ${featureAddress(match.feature.properties)}`
+      : streetSummary && streetSummary.total ? `\nStreet majority: ${streetSummary.label} (address not matched)`
+      : '\nSuburb majority (address not matched)') +
+    (dataDate ? `\nData as of ${dataDate.toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' })}` : '') +
+    (change ? `\nThis premise changed from ${change.from} to ${change.to} since ${formatSince(change.at)}`
+      : recent.length ? `\n${recent.length} premise${recent.length === 1 ? '' : 's'} in ${suburb} changed technology recently` : '') +
+    (upgrade && upgrade.status !== 'unknown'
+      ? `\nUpgrade: ${describeUpgrade(upgrade)}${upgrade.program ? ` — ${upgrade.program}` : ''}${upgrade.serviceClass ? ` (service class ${upgrade.serviceClass})` : ''}`
+      : '') +
+    (quality ? `\n${describeQuality(quality)}` : '');
+  badge.dataset.type = primaryType;
+  badge.dataset.match = match ? match.method : (streetSummary && streetSummary.total ? 'street' : 'suburb');
+  badge.setAttribute('aria-label', describeBadge({ legendEntry, suburb, match, streetSummary, dataDate, changeText, upgrade, quality }));
+  // click, Enter or Space -> toggle the popup
+  badge.addEventListener('click', (ev) => {
+    ev.preventDefault(); // badges often sit inside the listing's link
+    ev.stopPropagation();
+    if (activePopup && activePopup.badge === badge) {
+      activePopup.close();
+      return;
+    }
+    const popup = document.createElement('div');
+    popup.className = 'nbn-popup';
+
+    const header = document.createElement('div');
+    header.className = 'nbn-popup-header';
+    const title = document.createElement('div');
+    title.id = POPUP_TITLE_ID;
+    title.style.fontWeight = '700';
+    title.textContent = `${suburb || 'Unknown'} ${state || ''} — NBN summary`;
+    header.appendChild(title);
+    header.appendChild(makeCloseButton(() => activePopup.close()));
+    popup.appendChild(header);
+    if (dataDate) {
+      const asOf = document.createElement('div');
+      asOf.className = 'nbn-popup-asof';
+      asOf.textContent = `Data as of ${dataDate.toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+      popup.appendChild(asOf);
+    }
+
+    if (summary.total === 0) {
+      const n = document.createElement('div');
+      n.textContent = 'No address data in suburb file.';
+      popup.appendChild(n);
+    } else {
+      popup.appendChild(makeTierTable(summary, streetSummary, match));
+      if (quality) {
+        const q = document.createElement('div');
+        q.className = 'nbn-quality';
+        q.textContent = describeQuality(quality);
+        popup.appendChild(q);
+      }
+      const map = makeMiniMap(geojson, { match, latLng });
+      if (map) popup.appendChild(map);
+      const upgradeSection = makeUpgradeSection(summary);
+      if (upgradeSection) popup.appendChild(upgradeSection);
+      // sample addresses (first 3)
+      const sampleTitle = document.createElement('div');
+      sampleTitle.style.marginTop = '6px';
+      sampleTitle.style.fontWeight = '700';
+      sampleTitle.textContent = 'Example addresses';
+      popup.appendChild(sampleTitle);
+      const sampleList = document.createElement('div');
+      let shown = 0;
+      for (const [type, addr] of Object.entries(summary.examples || {})) {
+        if (!addr) continue;
+        const p = document.createElement('div');
+        p.style.marginTop = '4px';
+        p.textContent = `${type}: ${String(addr).slice(0,120)}`;
+        sampleList.appendChild(p);
+        shown++;
+        if (shown >= 3) break;
+      }
+      if (shown === 0) {
+        const p = document.createElement('div');
+        p.textContent = 'No address text available.';
+        sampleList.appendChild(p);
+      }
+      popup.appendChild(sampleList);
+    }
+    const historySection = makeHistorySection(history);
+    if (historySection) popup.appendChild(historySection);
+    if (warnings.length) {
+      const box = document.createElement('div');
+      box.className = 'nbn-warnings';
+      box.textContent = `⚠ Data file warnings: ${warnings.join(' ')}`;
+      popup.appendChild(box);
+    }
+
+    // actions: view raw, refresh
+    const actions = document.createElement('div');
+    actions.style.marginTop = '8px';
+    actions.style.display = 'flex';
+    actions.style.gap = '10px';
+    const rawUrl = [summary.source, badge.dataset.source].find(isHttpUrl);
+    if (rawUrl) {
+      const rawLink = document.createElement('a');
+      rawLink.href = rawUrl;
+      rawLink.target = '_blank';
+      rawLink.className = 'small-link';
+      rawLink.textContent = 'View source file';
+      actions.appendChild(rawLink);
+    }
+
+    const refresh = document.createElement('button');
+    refresh.type = 'button';
+    refresh.className = 'small-link';
+    refresh.textContent = 'Refresh cache';
+    refresh.addEventListener('click', async () => {
+      refresh.textContent = 'Refreshing...';
+      try {
+        // force fetch; the nbn:data-updated event it sends re-renders the badges
+        await refreshSuburb(badge.dataset.suburb, badge.dataset.state);
+        if (activePopup && activePopup.popup === popup) activePopup.close();
+      } catch (e) {
+        refresh.textContent = 'Refresh failed';
+        setTimeout(()=>refresh.textContent = 'Refresh cache', 1500);
+      }
+    });
+    actions.appendChild(refresh);
+
+    if (listing && listing.url) {
+      const star = document.createElement('button');
+      star.type = 'button';
+      star.className = 'small-link';
+      const label = () => { star.textContent = badge.dataset.shortlisted ? '★ Shortlisted' : '☆ Shortlist'; };
+      label();
+      star.title = 'Keep this listing on the NBN shortlist';
+      star.addEventListener('click', async () => {
+        if (badge.dataset.shortlisted) {
+          await removeShortlistItem(listing.url);
+          delete badge.dataset.shortlisted;
+        } else {
+          await saveShortlistItem({
+            url: listing.url,
+            address: listing.address || '',
+            suburb, state,
+            technology: primaryType,
+            match: badge.dataset.match,
+            confidence: match ? match.confidence : null,
+            latLng,
+            dataDate: dataDate ? dataDate.toISOString() : null,
+            savedAt: Date.now(),
+            checkedAt: Date.now()
+          });
+          badge.dataset.shortlisted = 'true';
+        }
+        label();
+      });
+      actions.appendChild(star);
+    }
+
+    popup.appendChild(actions);
+    openPopup(popup, badge);
+  });
+  return badge;
+}
+
+// Spoken label for a badge: technology, how it was matched and the notes shown after it
+function describeBadge({ legendEntry, suburb, match, streetSummary, dataDate, changeText, upgrade, quality }) {
+  const parts = [`NBN ${legendEntry.label}`];
+  if (match && match.method === 'exact') parts.push('confirmed for this address');
+  else if (match && match.method === 'fuzzy') parts.push(`likely for this address, ${Math.round(match.confidence * 100)}% confidence`);
+  else if (match) parts.push(`nearest premise, about ${Math.round(match.distance || 0)} metres away, ${Math.round(match.confidence * 100)}% confidence`);
+  else if (streetSummary && streetSummary.total) parts.push(`most common on ${streetSummary.label}, address not matched`);
+  else parts.push(`most common in ${suburb || 'the suburb'}, address not matched`);
+  if (upgrade && upgrade.status !== 'unknown') parts.push(describeUpgrade(upgrade));
+  if (changeText) parts.push(changeText.replace('→', 'to'));
+  if (quality) parts.push(`connection quality ${quality.score} out of 100`);
+  if (dataDate) parts.push(`data as of ${dataDate.toLocaleDateString('en-AU', { month: 'long', year: 'numeric' })}`);
+  return `${parts.join(', ')}. Show details`;
+}
+
+// The open badge popup: { popup, badge, close }. Only one is shown at a time.
+let activePopup = null;
+const POPUP_TITLE_ID = 'nbn-popup-title';
+const POPUP_MARGIN = 8; // minimum gap to the viewport edges
+
+export function closeBadgePopup() {
+  if (activePopup) activePopup.close({ restoreFocus: false });
+}
+
+// Show a popup as a dialog for its badge (see openDialog): besides Escape and the close button, a click elsewhere or
+// a second click on the badge close it, and focus returns to the badge. The popup follows the badge on scroll and
+// resize, and closes if the badge goes away (e.g. the site re-rendered the card).
+function openPopup(popup, badge) {
+  let frame = 0;
+  const reposition = () => {
+    frame = 0;
+    if (!badge.isConnected) close({ restoreFocus: false });
+    else positionPopup(popup, badge);
+  };
+  const onViewportChange = () => {
+    if (!frame) frame = requestAnimationFrame(reposition);
+  };
+  const onOutsideClick = (ev) => {
+    if (!popup.contains(ev.target) && !badge.contains(ev.target)) close({ restoreFocus: false });
+  };
+  const close = openDialog(popup, {
+    title: popup.querySelector(`#${POPUP_TITLE_ID}`),
+    opener: badge,
+    modal: false,
+    onClose: () => {
+      activePopup = null;
+      if (frame) cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', onViewportChange, true);
+      window.removeEventListener('resize', onViewportChange);
+      document.removeEventListener('click', onOutsideClick, true);
+      badge.setAttribute('aria-expanded', 'false');
+    }
+  });
+  activePopup = { popup, badge, close };
+  positionPopup(popup, badge);
+  badge.setAttribute('aria-expanded', 'true');
+  window.addEventListener('scroll', onViewportChange, true);
+  window.addEventListener('resize', onViewportChange);
+  document.addEventListener('click', onOutsideClick, true);
+}
+
+// Below the badge, or above it when it doesn't fit below and there's more room above; always inside the viewport
+function positionPopup(popup, anchor) {
+  const rect = anchor.getBoundingClientRect();
+  const viewWidth = document.documentElement.clientWidth || window.innerWidth;
+  const viewHeight = window.innerHeight;
+  const width = popup.offsetWidth;
+  const height = popup.offsetHeight;
+  const spaceBelow = viewHeight - rect.bottom - POPUP_MARGIN;
+  const spaceAbove = rect.top - POPUP_MARGIN;
+  let top = height <= spaceBelow || spaceBelow >= spaceAbove ? rect.bottom + 6 : rect.top - 6 - height;
+  top = Math.max(POPUP_MARGIN, Math.min(top, viewHeight - height - POPUP_MARGIN));
+  const left = Math.max(POPUP_MARGIN, Math.min(rect.left, viewWidth - width - POPUP_MARGIN));
+  popup.style.top = `${Math.round(top)}px`;
+  popup.style.left = `${Math.round(left)}px`;
+}
+
+// Suburb / street / premise tiers side by side: one row per technology, counts per tier
+function makeTierTable(summary, streetSummary, match) {
+  const table = document.createElement('table');
+  table.className = 'nbn-tiers';
+  const head = table.createTHead().insertRow();
+  const premiseType = match ? featureType(match.feature) : null;
+  const columns = ['Type', `Suburb (${summary.total})`, streetSummary ? `${streetSummary.label} (${streetSummary.total})` : 'Street', 'Premise'];
+  for (const c of columns) {
+    const th = document.createElement('th');
+    th.textContent = c;
+    head.appendChild(th);
+  }
+  const types = new Set(Object.keys(summary.counts).sort((a, b) => summary.counts[b] - summary.counts[a]));
+  if (streetSummary) Object.keys(streetSummary.counts).forEach(t => types.add(t));
+  if (premiseType) types.add(premiseType);
+  const body = table.createTBody();
+  for (const type of types) {
+    const row = body.insertRow();
+    const typeCell = row.insertCell();
+    const dot = document.createElement('span');
+    dot.className = 'type-dot';
+    dot.style.background = (LEGEND[type] && LEGEND[type].color) || '#6b7280';
+    typeCell.appendChild(dot);
+    typeCell.appendChild(document.createTextNode(type));
+    row.insertCell().textContent = String(summary.counts[type] || 0);
+    row.insertCell().textContent = streetSummary ? String(streetSummary.counts[type] || 0) : '–';
+    row.insertCell().textContent = premiseType === type ? `● ${describeMatch(match)}` : '';
+  }
+  return table;
+}
+
+// Offline scatter plot of a suburb's premises coloured by technology, as an SVG. The matched premise is ringed;
+// without one, the listing's own coordinates (if any) are marked with a cross. Null when nothing has coordinates.
+const MINI_MAP_WIDTH = 260;
+const MINI_MAP_HEIGHT = 170;
+const MINI_MAP_MAX_POINTS = 4000;
+
+function makeMiniMap(geojson, { match = null, latLng = null } = {}) {
+  const points = [];
+  for (const f of (geojson && geojson.features) || []) {
+    const pos = featureLatLng(f);
+    if (pos) points.push({ pos, type: featureType(f), feature: f });
+  }
+  if (!points.length) return null;
+  const focus = match ? featureLatLng(match.feature) : latLng;
+
+  // equirectangular projection, longitude scaled by cos(latitude) so the suburb keeps its shape
+  let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+  for (const { pos } of points) {
+    minLat = Math.min(minLat, pos[0]); maxLat = Math.max(maxLat, pos[0]);
+    minLng = Math.min(minLng, pos[1]); maxLng = Math.max(maxLng, pos[1]);
+  }
+  if (focus) {
+    minLat = Math.min(minLat, focus[0]); maxLat = Math.max(maxLat, focus[0]);
+    minLng = Math.min(minLng, focus[1]); maxLng = Math.max(maxLng, focus[1]);
+  }
+  const kx = Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+  const spanX = Math.max((maxLng - minLng) * kx, 1e-4);
+  const spanY = Math.max(maxLat - minLat, 1e-4);
+  const pad = 6;
+  const scale = Math.min((MINI_MAP_WIDTH - 2 * pad) / spanX, (MINI_MAP_HEIGHT - 2 * pad) / spanY);
+  const offsetX = (MINI_MAP_WIDTH - spanX * scale) / 2;
+  const offsetY = (MINI_MAP_HEIGHT - spanY * scale) / 2;
+  const project = ([lat, lng]) => [offsetX + (lng - minLng) * kx * scale, offsetY + (maxLat - lat) * scale];
+
+  const NS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(NS, 'svg');
+  svg.setAttribute('class', 'nbn-minimap');
+  svg.setAttribute('width', String(MINI_MAP_WIDTH));
+  svg.setAttribute('height', String(MINI_MAP_HEIGHT));
+  svg.setAttribute('viewBox', `0 0 ${MINI_MAP_WIDTH} ${MINI_MAP_HEIGHT}`);
+  const label = document.createElementNS(NS, 'title');
+  label.textContent = `${points.length} premises by technology${focus ? (match ? '; ringed: this listing' : '; cross: listing location') : ''}`;
+  svg.appendChild(label);
+
+  // big suburbs are thinned evenly rather than truncated
+  const step = Math.ceil(points.length / MINI_MAP_MAX_POINTS);
+  const radius = points.length > 1500 ? 1.2 : 2;
+  for (let i = 0; i < points.length; i += step) {
+    const [x, y] = project(points[i].pos);
+    const dot = document.createElementNS(NS, 'circle');
+    dot.setAttribute('cx', x.toFixed(1));
+    dot.setAttribute('cy', y.toFixed(1));
+    dot.setAttribute('r', String(radius));
+    dot.setAttribute('fill', (LEGEND[points[i].type] && LEGEND[points[i].type].color) || '#6b7280');
+    svg.appendChild(dot);
+  }
+
+  if (focus) {
+    const [x, y] = project(focus);
+    if (match) {
+      const ring = document.createElementNS(NS, 'circle');
+      ring.setAttribute('cx', x.toFixed(1));
+      ring.setAttribute('cy', y.toFixed(1));
+      ring.setAttribute('r', '6');
+      ring.setAttribute('class', 'nbn-minimap-focus');
+      svg.appendChild(ring);
+    } else {
+      const cross = document.createElementNS(NS, 'path');
+      cross.setAttribute('d', `M${x - 6} ${y}H${x + 6}M${x} ${y - 6}V${y + 6}`);
+      cross.setAttribute('class', 'nbn-minimap-focus');
+      svg.appendChild(cross);
+    }
+  }
+  return svg;
+}
+
+// Per technology: how many premises can upgrade, are planned, can't, or are unknown. Null when nothing is known.
+export function makeUpgradeSection(summary) {
+  const upgrades = (summary && summary.upgrades) || {};
+  const known = Object.entries(upgrades).filter(([, c]) => c.eligible || c.planned || c['not-eligible']);
+  if (!known.length) return null;
+  const section = document.createElement('div');
+  section.className = 'nbn-upgrades';
+  const title = document.createElement('div');
+  title.className = 'nbn-upgrades-title';
+  title.textContent = 'Upgrade eligibility';
+  section.appendChild(title);
+  for (const [type, c] of known.sort((a, b) => (summary.counts[b[0]] || 0) - (summary.counts[a[0]] || 0))) {
+    const targets = Object.entries((summary.upgradeTargets || {})[type] || {}).sort((a, b) => b[1] - a[1]);
+    const target = targets.length ? ` for ${targets[0][0]}` : '';
+    const parts = [];
+    for (const status of UPGRADE_STATUSES) {
+      if (c[status]) parts.push(`${c[status]} ${UPGRADE_STATUS_LABELS[status]}${status === 'eligible' ? target : ''}`);
+    }
+    const row = document.createElement('div');
+    row.className = 'nbn-upgrades-row';
+    const dot = document.createElement('span');
+    dot.className = 'type-dot';
+    dot.style.background = (LEGEND[type] && LEGEND[type].color) || '#6b7280';
+    row.appendChild(dot);
+    row.appendChild(document.createTextNode(`${type}: ${parts.join(' · ')}`));
+    section.appendChild(row);
+  }
+  return section;
+}
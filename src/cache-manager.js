@@ -0,0 +1,300 @@
+// Cache manager dialog, prefetch and cache export/import
+import { DAY_MS } from './config.js';
+import { settings } from './settings.js';
+import { idbClear, idbDelete, idbEntries, idbSet } from './db.js';
+import { loadSuburbIndex, resetSuburbIndex, STATES, SUBURB_INDEX_KEY } from './suburbs.js';
+import { checkDigest, DIGEST_VERSION, isHttpUrl, loadSuburb, memoryCache, refreshSuburb } from './suburb-cache.js';
+import { extractSuburbStateFromText } from './address.js';
+import { makeCloseButton, openDialog } from './dialog.js';
+
+// Cache manager: list cached suburbs, refresh/delete them, prefetch suburbs for offline use and
+// export/import the whole cache as one JSON file
+const CACHE_EXPORT_FORMAT = 'nbn-userscript-cache';
+
+export function formatAge(ms) {
+  if (ms < 60 * 60 * 1000) return `${Math.max(1, Math.round(ms / 60000))} min`;
+  if (ms < DAY_MS) return `${Math.round(ms / 3600000)} h`;
+  return `${Math.round(ms / DAY_MS)} d`;
+}
+
+function formatBytes(n) {
+  return n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// "QLD|acacia-ridge" -> { state: 'QLD', suburb: 'Acacia Ridge' }
+export function parseCacheKey(key) {
+  const [state, slug = ''] = String(key).split('|');
+  return { state, suburb: slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) };
+}
+
+export function downloadFile(filename, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function exportCache() {
+  const entries = {};
+  for (const { key, value } of await idbEntries()) {
+    if (key !== SUBURB_INDEX_KEY) entries[key] = value;
+  }
+  const payload = { format: CACHE_EXPORT_FORMAT, version: DIGEST_VERSION, exportedAt: new Date().toISOString(), entries };
+  downloadFile(`nbn-cache-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(payload));
+}
+
+// Import an exported cache; resolves to { imported, skipped: ['KEY: why', ...] }. Entries that aren't digests of
+// this version (see checkDigest) are skipped, and a source that isn't an http(s) URL is dropped.
+export async function importCache(text) {
+  const payload = JSON.parse(text);
+  if (!payload || payload.format !== CACHE_EXPORT_FORMAT || typeof payload.entries !== 'object') {
+    throw new Error('Not an NBN cache export file.');
+  }
+  let imported = 0;
+  const skipped = [];
+  for (const [key, value] of Object.entries(payload.entries)) {
+    if (!/^[A-Z]+\|[a-z0-9-]+$/.test(key)) {
+      skipped.push(`${key}: not a suburb key`);
+      continue;
+    }
+    let digest;
+    try {
+      digest = checkDigest(value);
+    } catch (e) {
+      skipped.push(`${key}: ${e.message}`);
+      continue;
+    }
+    await idbSet(key, isHttpUrl(digest.source) ? digest : { ...digest, source: '' });
+    memoryCache.delete(key);
+    imported++;
+  }
+  return { imported, skipped };
+}
+
+// Download a list of { suburb, state } in the background, PREFETCH_CHUNK at a time so that a whole state doesn't
+// queue thousands of jobs at once. Reports progress as onProgress(done, failed, total); aborting `signal` stops
+// after the current chunk. Resolves to { done, failed, failures: ["Suburb STATE", ...], cancelled }.
+const PREFETCH_CHUNK = 8;
+
+export async function prefetchSuburbs(list, onProgress = () => {}, { signal } = {}) {
+  let done = 0;
+  const failures = [];
+  for (let i = 0; i < list.length; i += PREFETCH_CHUNK) {
+    if (signal && signal.aborted) break;
+    const chunk = list.slice(i, i + PREFETCH_CHUNK);
+    const results = await Promise.allSettled(chunk.map(({ suburb, state }) =>
+      loadSuburb(suburb, state, false, { priority: () => Number.MAX_SAFE_INTEGER })));
+    results.forEach((r, k) => {
+      if (r.status === 'fulfilled') done++;
+      else failures.push(`${chunk[k].suburb} ${chunk[k].state}`);
+    });
+    onProgress(done, failures.length, list.length);
+  }
+  return { done, failed: failures.length, failures, cancelled: done + failures.length < list.length };
+}
+
+export async function openCacheManager() {
+  document.querySelectorAll('.nbn-cache-manager').forEach(n => n.remove());
+  const dialog = document.createElement('div');
+  dialog.className = 'nbn-settings nbn-cache-manager';
+  const header = document.createElement('div');
+  header.style.display = 'flex';
+  header.style.justifyContent = 'space-between';
+  const heading = document.createElement('div');
+  heading.id = 'nbn-cache-manager-title';
+  heading.style.fontWeight = '700';
+  const close = openDialog(dialog, { title: heading });
+  header.appendChild(heading);
+  header.appendChild(makeCloseButton(() => close()));
+  dialog.appendChild(header);
+
+  const status = document.createElement('div');
+  status.className = 'muted';
+  const table = document.createElement('table');
+  table.className = 'nbn-cache-table';
+  dialog.appendChild(table);
+
+  const render = async () => {
+    let entries = [];
+    try {
+      entries = (await idbEntries()).filter(e => e.key !== SUBURB_INDEX_KEY);
+    } catch (e) {
+      status.textContent = `Couldn't read the cache: ${e.message}`;
+    }
+    entries.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+    const totalBytes = entries.reduce((sum, e) => sum + JSON.stringify(e.value).length, 0);
+    heading.textContent = `NBN cache — ${entries.length} suburbs, ${formatBytes(totalBytes)}`;
+    table.textContent = '';
+    const head = table.createTHead().insertRow();
+    for (const c of ['Suburb', 'Age', 'Size', 'Data date', 'Source', '']) {
+      const th = document.createElement('th');
+      th.textContent = c;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const { key, value } of entries) {
+      const { suburb, state } = parseCacheKey(key);
+      const row = body.insertRow();
+      row.insertCell().textContent = `${suburb} ${state}`;
+      row.insertCell().textContent = formatAge(Date.now() - (value.fetchedAt || 0));
+      row.insertCell().textContent = formatBytes(JSON.stringify(value).length);
+      row.insertCell().textContent = value.generatedAt ? String(value.generatedAt).slice(0, 10) : '–';
+      const sourceCell = row.insertCell();
+      if (isHttpUrl(value.source)) {
+        const link = document.createElement('a');
+        link.href = value.source;
+        link.target = '_blank';
+        link.textContent = value.provider || 'file';
+        link.title = value.source;
+        sourceCell.appendChild(link);
+      }
+      const actions = row.insertCell();
+      const refresh = document.createElement('button');
+      refresh.type = 'button';
+      refresh.className = 'small-link';
+      refresh.textContent = 'Refresh';
+      refresh.addEventListener('click', async () => {
+        refresh.textContent = 'Refreshing...';
+        try {
+          await refreshSuburb(suburb, state);
+        } catch (e) {
+          status.textContent = `Refresh of ${suburb} failed: ${e.message}`;
+        }
+        render();
+      });
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'small-link';
+      del.textContent = 'Delete';
+      del.addEventListener('click', async () => {
+        try {
+          await idbDelete(key);
+          memoryCache.delete(key);
+        } catch (e) {
+          status.textContent = `Delete of ${suburb} failed: ${e.message}`;
+        }
+        render();
+      });
+      actions.appendChild(refresh);
+      actions.appendChild(del);
+    }
+  };
+
+  // prefetch: explicit list, or every suburb of a state from the suburb index
+  const prefetch = document.createElement('div');
+  prefetch.className = 'prefetch';
+  const list = document.createElement('textarea');
+  list.rows = 3;
+  list.placeholder = 'Prefetch suburbs, one per line: "Chermside, QLD"';
+  const stateSelect = document.createElement('select');
+  const noState = document.createElement('option');
+  noState.value = '';
+  noState.textContent = '…or every suburb in';
+  stateSelect.appendChild(noState);
+  for (const st of STATES) {
+    const opt = document.createElement('option');
+    opt.value = st;
+    opt.textContent = st;
+    stateSelect.appendChild(opt);
+  }
+  const go = document.createElement('button');
+  go.type = 'button';
+  go.textContent = 'Prefetch';
+  // the running prefetch, which the same button stops
+  let prefetching = null;
+  go.addEventListener('click', async () => {
+    if (prefetching) {
+      prefetching.abort();
+      go.disabled = true;
+      return;
+    }
+    let targets = list.value.split('\n').map(l => extractSuburbStateFromText(l.trim())).filter(p => p && p.suburb && p.state);
+    if (stateSelect.value) {
+      const index = await loadSuburbIndex();
+      if (!index) {
+        status.textContent = 'The suburb index is unavailable, so a whole state can\'t be listed.';
+        return;
+      }
+      const st = stateSelect.value;
+      targets = targets.concat(Object.entries(index.bySlug)
+        .filter(([, entries]) => entries.some(e => e.state === st))
+        .map(([slug]) => ({ suburb: slug.replace(/-/g, ' '), state: st })));
+    }
+    if (!targets.length) {
+      status.textContent = 'Nothing to prefetch: enter "Suburb, STATE" lines or pick a state.';
+      return;
+    }
+    if (targets.length > settings.cacheMaxEntries &&
+        !window.confirm(`${targets.length} suburbs is more than the cache limit (${settings.cacheMaxEntries}). ` +
+          'Older entries will be removed on the next page load unless you raise the limit in Settings. Continue?')) {
+      return;
+    }
+    prefetching = new AbortController();
+    go.textContent = 'Stop';
+    const result = await prefetchSuburbs(targets, (done, failed, total) => {
+      status.textContent = `Prefetching… ${done + failed}/${total}${failed ? ` (${failed} failed)` : ''}`;
+    }, { signal: prefetching.signal });
+    prefetching = null;
+    go.textContent = 'Prefetch';
+    go.disabled = false;
+    const failedList = result.failures.slice(0, 5).join(', ') + (result.failed > 5 ? ', …' : '');
+    status.textContent = `${result.cancelled ? 'Stopped: prefetched' : 'Prefetched'} ${result.done} of ${targets.length} suburbs` +
+      `${result.failed ? `; ${result.failed} failed (${failedList})` : ''}.`;
+    render();
+  });
+  prefetch.appendChild(list);
+  prefetch.appendChild(stateSelect);
+  prefetch.appendChild(go);
+  dialog.appendChild(prefetch);
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const exportBtn = document.createElement('button');
+  exportBtn.type = 'button';
+  exportBtn.textContent = 'Export';
+  exportBtn.addEventListener('click', () => exportCache().catch(e => { status.textContent = `Export failed: ${e.message}`; }));
+  const importInput = document.createElement('input');
+  importInput.type = 'file';
+  importInput.accept = 'application/json,.json';
+  importInput.hidden = true;
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files && importInput.files[0];
+    if (!file) return;
+    try {
+      const { imported, skipped } = await importCache(await file.text());
+      status.textContent = `Imported ${imported} suburbs.` + (skipped.length
+        ? ` Skipped ${skipped.length} invalid: ${skipped.slice(0, 3).join('; ')}${skipped.length > 3 ? '; …' : ''}.` : '');
+      if (skipped.length) console.warn('NBN cache import skipped', skipped);
+    } catch (e) {
+      status.textContent = `Import failed: ${e.message}`;
+    }
+    importInput.value = '';
+    render();
+  });
+  const importBtn = document.createElement('button');
+  importBtn.type = 'button';
+  importBtn.textContent = 'Import';
+  importBtn.addEventListener('click', () => importInput.click());
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.textContent = 'Clear all';
+  clearBtn.addEventListener('click', async () => {
+    if (!window.confirm('Delete every cached suburb?')) return;
+    await idbClear();
+    memoryCache.clear();
+    resetSuburbIndex();
+    render();
+  });
+  actions.appendChild(exportBtn);
+  actions.appendChild(importBtn);
+  actions.appendChild(importInput);
+  actions.appendChild(clearBtn);
+  dialog.appendChild(actions);
+  dialog.appendChild(status);
+
+  await render();
+}
@@ -0,0 +1,241 @@
+// Search-result cards: processing, registry and page scanning
+import { cardDetection, findCards, noteDetectedCards, queryFirst, SITE } from './sites.js';
+import { checkNavigation, viewportDistance } from './scheduler.js';
+import { describeLookupStatus, resolveSuburb, toRepoSlug } from './suburbs.js';
+import { digestDate, forgetFailedDownloads, loadSuburb, suburbAddressIndex } from './suburb-cache.js';
+import { getSuburbHistory } from './history.js';
+import {
+  featureAddress, matchListingAddressToFeature, parseSuburbStateFromListing, summarizeStreet
+} from './address.js';
+import { ensureLegend, setCardType, updateDetectionStatus } from './legend.js';
+import { listingUrl, recordResult, resultRecords } from './results.js';
+import { checkShortlistItem, loadShortlist } from './shortlist.js';
+import { closeBadgePopup, makeBadgeElement } from './badge.js';
+import { extractListingCoordinates, processDetailPage } from './detail.js';
+
+// Card lifecycle. Each card we pick up gets an entry in cardEntries:
+//   signature   which listing the card shows; a card re-rendered in place with another listing starts over
+//   parsed      suburb/state/street read from the card
+//   key         suburb cache key once resolved
+//   badge       the badge currently attached, and type/score as given to setCardType
+// Cards are marked data-nbn-card="pending" | "done" and badges data-nbn-badge, so a rescan can tell a card whose
+// badge the site wiped (re-attach it) from a new card (process it) and never leaves two badges on one card.
+// badgeRegistry groups cards by suburb: when a suburb is refreshed, every card showing it is re-rendered.
+const cardEntries = new WeakMap();
+const badgeRegistry = new Map();
+
+function listingSignature(parsed) {
+  return [parsed.street, parsed.suburb, parsed.state].join('|').toLowerCase();
+}
+
+function forgetCard(card, entry) {
+  if (cardEntries.get(card) === entry) cardEntries.delete(card);
+  const cards = entry.key && badgeRegistry.get(entry.key);
+  if (cards) cards.delete(card);
+  delete card.dataset.nbnCard;
+}
+
+// Put a card's badge in place, dropping any other badge in the card
+function attachBadge(card, entry, badge, type, score = null) {
+  card.querySelectorAll('.nbn-badge').forEach(b => { if (b !== badge) b.remove(); });
+  badge.dataset.nbnBadge = '';
+  (queryFirst(card, SITE.insertionSelectors) || card).appendChild(badge);
+  Object.assign(entry, { badge, type, score });
+  card.dataset.nbnCard = 'done';
+  setCardType(card, type, score);
+}
+
+// Process a single listing card element: get suburb/state, fetch geojson, summarise and inject badge.
+// Safe to call again for the same card: an up-to-date card only has its badge re-attached if needed.
+async function processCard(card) {
+  const parsed = parseSuburbStateFromListing(card, SITE);
+  if (!parsed || !parsed.suburb) return;
+  const signature = listingSignature(parsed);
+  const existing = cardEntries.get(card);
+  if (existing && existing.signature === signature) {
+    if (existing.badge && (!card.contains(existing.badge) || card.querySelectorAll('.nbn-badge').length > 1 || !card.dataset.nbnType)) {
+      attachBadge(card, existing, existing.badge, existing.type, existing.score);
+    }
+    return;
+  }
+  if (existing) forgetCard(card, existing);
+  const entry = { signature, parsed, key: null, badge: null, type: null, score: null };
+  cardEntries.set(card, entry);
+  card.dataset.nbnCard = 'pending';
+  const current = () => card.isConnected && cardEntries.get(card) === entry;
+
+  const place = await resolveSuburb(parsed.suburb, parsed.state, parsed.postcode);
+  if (!current()) return forgetCard(card, entry);
+  if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) {
+    const badge = makeStatusBadge(place);
+    attachBadge(card, entry, badge, 'Non-NBN');
+    recordResult(card, parsed, { match: place.status === 'not-found' || place.status === 'ambiguous' ? place.status : 'state-unknown', error: badge.title });
+    return;
+  }
+  entry.suburb = place.suburb;
+  entry.state = place.state;
+  entry.key = `${place.state}|${toRepoSlug(place.suburb)}`;
+  if (!badgeRegistry.has(entry.key)) badgeRegistry.set(entry.key, new Set());
+  badgeRegistry.get(entry.key).add(card);
+
+  // fetch and summarise; a card that leaves the page stops asking for its suburb
+  try {
+    const suburbEntry = await loadSuburb(entry.suburb, entry.state, false, { priority: () => (current() ? viewportDistance(card) : null) });
+    if (!current()) return forgetCard(card, entry);
+    await renderCard(card, entry, suburbEntry);
+  } catch (err) {
+    // cancelled (navigation, or the card went away): forget the card so a later scan can pick it up again
+    if (err.name === 'AbortError') return forgetCard(card, entry);
+    // no suburb file or fetch failed: add a small gray badge
+    attachBadge(card, entry, makeStatusBadge({ status: 'failed', suburb: entry.suburb, state: entry.state }, err), 'Non-NBN');
+    recordResult(card, { ...parsed, suburb: entry.suburb, state: entry.state }, { match: 'failed', error: err.message });
+  }
+}
+
+// Match the card's listing against a loaded suburb and (re)draw its badge
+async function renderCard(card, entry, suburbEntry) {
+  const { parsed, suburb, state } = entry;
+  const { geojson, summary } = suburbEntry;
+  const addressIndex = suburbAddressIndex(suburbEntry, suburb);
+  const latLng = extractListingCoordinates(card);
+  const match = matchListingAddressToFeature(parsed.street, addressIndex, { suburb, geojson, latLng });
+  const streetSummary = summarizeStreet(parsed.street, addressIndex, { suburb, geojson, latLng });
+  const history = await getSuburbHistory(entry.key);
+  const listing = { url: listingUrl(card), address: parsed.street || '' };
+  const dataDate = digestDate(suburbEntry.digest);
+  const badge = makeBadgeElement(summary, suburb, state, suburbEntry.source, {
+    match, streetSummary, history, geojson, latLng, listing, dataDate, warnings: suburbEntry.digest.warnings || []
+  });
+  const score = badge.dataset.score === undefined ? null : Number(badge.dataset.score);
+  const shortlisted = listing.url && (await loadShortlist()).has(listing.url);
+  if (shortlisted) badge.dataset.shortlisted = 'true';
+  if (cardEntries.get(card) !== entry) return;
+  attachBadge(card, entry, badge, badge.dataset.type, score);
+
+  const record = {
+    suburb, state,
+    technology: badge.dataset.type,
+    match: badge.dataset.match,
+    confidence: match ? match.confidence : null,
+    score,
+    premise: match ? featureAddress(match.feature.properties) : null,
+    upgrade: badge.dataset.upgrade || null,
+    counts: summary.counts,
+    total: summary.total,
+    dataDate
+  };
+  recordResult(card, parsed, record);
+  if (shortlisted) {
+    checkShortlistItem(listing.url, {
+      technology: record.technology, match: record.match, confidence: record.confidence,
+      dataDate: dataDate ? dataDate.toISOString() : null
+    });
+  }
+}
+
+// nbn:data-updated listener for all cards: a refreshed suburb re-renders every card showing it, matches included
+export async function onSuburbUpdated(ev) {
+  const d = ev.detail || {};
+  const key = `${d.state}|${toRepoSlug(d.suburb || '')}`;
+  const cards = badgeRegistry.get(key);
+  if (!cards || !cards.size) return;
+  let suburbEntry;
+  try {
+    suburbEntry = await loadSuburb(d.suburb, d.state);
+  } catch (e) {
+    console.warn('NBN refresh: reload failed', key, e);
+    return;
+  }
+  for (const card of [...cards]) {
+    const entry = cardEntries.get(card);
+    if (!card.isConnected || !entry || entry.key !== key) {
+      cards.delete(card);
+      continue;
+    }
+    renderCard(card, entry, suburbEntry).catch(e => console.warn('NBN refresh: render failed', e));
+  }
+}
+
+// Gray badge for cards we couldn't look up, saying why
+function makeStatusBadge(place, err = null) {
+  const badge = document.createElement('span');
+  badge.className = 'nbn-badge';
+  badge.style.background = '#6b7280';
+  badge.dataset.status = place.status;
+  const { label, message } = describeLookupStatus(place, err);
+  badge.textContent = label;
+  badge.title = message;
+  // nothing to open, so not a button; the reason is part of the label since the title only shows on hover
+  badge.setAttribute('role', 'note');
+  badge.setAttribute('aria-label', `${badge.textContent}. ${badge.title}`);
+  return badge;
+}
+
+// Initial scan + MutationObserver to catch dynamically loaded results
+export function initialScan() {
+  ensureLegend();
+  scanPage();
+}
+
+// Process new cards and re-check known ones (badge wiped by a re-render, card now showing another listing)
+function scanPage() {
+  const result = findCards(document, SITE);
+  const fresh = result.cards.filter(card => !cardEntries.has(card));
+  if (fresh.length || !cardDetection.count) noteDetectedCards({ cards: fresh, via: result.via });
+  result.cards.forEach(card => processCard(card));
+  for (const [key, cards] of badgeRegistry) {
+    for (const card of cards) if (!card.isConnected) cards.delete(card);
+    if (!cards.size) badgeRegistry.delete(key);
+  }
+}
+
+// Rescans are batched: sites re-render in bursts of mutations
+const RESCAN_DELAY_MS = 300;
+let rescanTimer = null;
+function scheduleScan(delay = RESCAN_DELAY_MS) {
+  clearTimeout(rescanTimer);
+  rescanTimer = setTimeout(scanPage, delay);
+}
+
+// After a client-side navigation: drop what belonged to the old page and scan the new one once it has rendered
+const NAVIGATION_SCAN_DELAY_MS = 800;
+export function onNavigated() {
+  closeBadgePopup();
+  document.querySelectorAll('.nbn-detail-panel').forEach(n => n.remove());
+  for (const card of resultRecords.keys()) if (!card.isConnected) resultRecords.delete(card);
+  cardDetection.via = null;
+  cardDetection.count = 0;
+  forgetFailedDownloads();
+  scheduleScan(NAVIGATION_SCAN_DELAY_MS);
+  setTimeout(() => {
+    processDetailPage();
+    updateDetectionStatus();
+  }, NAVIGATION_SCAN_DELAY_MS);
+}
+
+// Observe the results container and body for additions
+export function observePage() {
+  const mo = new MutationObserver((mutations) => {
+    checkNavigation();
+    for (const m of mutations) {
+      // a badge wiped by the site re-rendering a card: put it back
+      for (const n of m.removedNodes) {
+        if (n instanceof HTMLElement && (n.classList.contains('nbn-badge') || n.querySelector('.nbn-badge'))) scheduleScan();
+      }
+      for (const n of m.addedNodes) {
+        if (!(n instanceof HTMLElement)) continue;
+        if (n.closest('.nbn-legend, .nbn-popup, .nbn-settings, .nbn-detail-panel') || n.classList.contains('nbn-badge')) continue;
+        // new cards are picked up straight away; anything else may be a card re-rendering in place
+        const result = findCards(n, SITE);
+        const fresh = result.cards.filter(card => !cardEntries.has(card));
+        if (fresh.length) {
+          noteDetectedCards({ cards: fresh, via: result.via });
+          fresh.forEach(card => processCard(card));
+        } else {
+          scheduleScan();
+        }
+      }
+    }
+  });
+  mo.observe(document.body, { childList: true, subtree: true });
+}
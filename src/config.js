@@ -0,0 +1,82 @@
+// Config. The tunables live in DEFAULT_SETTINGS and can be changed from the settings dialog;
+// user overrides are stored with GM_setValue so they survive script updates.
+// The database name predates the digest schema; its version number tracks the schema (see openDb)
+export const CACHE_DB = 'nbnRepoCache_v1';
+export const CACHE_DB_VERSION = 4;
+export const CACHE_STORE = 'digests';
+export const HISTORY_STORE = 'history';
+export const SHORTLIST_STORE = 'shortlist';
+export const LEGACY_CACHE_STORE = 'suburbs'; // v1: full GeoJSON per suburb
+export const MEMORY_CACHE_MAX = 30; // suburbs kept inflated in memory
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const SETTINGS_KEY = 'nbnSettings_v1';
+// Connection-quality model: a 0-100 score per LEGEND technology and the typical download/upload range in Mbps
+// across the retail tiers it supports. Rough real-world figures; editable in the settings dialog.
+export const QUALITY_MODEL = {
+  'FTTP': { score: 95, down: [25, 1000], up: [5, 400] },
+  'HFC': { score: 85, down: [25, 1000], up: [5, 50] },
+  'FTTC': { score: 70, down: [25, 100], up: [5, 40] },
+  'FTTB': { score: 65, down: [25, 100], up: [5, 40] },
+  'FTTN': { score: 45, down: [12, 100], up: [1, 40] },
+  'Fixed Wireless': { score: 40, down: [25, 200], up: [5, 20] },
+  'Satellite': { score: 20, down: [25, 100], up: [1, 5] },
+  'Non-NBN': { score: 0, down: null, up: null }
+};
+export const DEFAULT_SETTINGS = {
+  repoRawBase: 'https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/main/results',
+  cacheTtlDays: 7, // re-fetch suburbs older than this
+  cacheExpiryDays: 28, // delete cached suburbs older than this
+  maxConcurrentFetches: 4,
+  cacheMaxEntries: 100, // Limit the number of cached suburbs
+  palette: 'default', // key of PALETTES
+  colors: {}, // per-technology colour overrides on top of the palette
+  providers: [{ type: 'github' }], // data-source providers in priority order, see PROVIDER_TYPES
+  // list of suburbs in the dataset; either the GitHub tree of the repo or a JSON table of
+  // { STATE: [name | { name, postcode }] }. Empty disables the index and falls back to guessing filenames.
+  suburbIndexUrl: 'https://api.github.com/repos/LukePrior/nbn-upgrade-map/git/trees/main?recursive=1',
+  qualityScore: true, // show the connection-quality score on badges and sort by it
+  qualityModel: QUALITY_MODEL,
+  useWorker: true, // fetch, parse and index suburb files in a background worker (falls back to the page thread)
+  // GeoJSON properties holding each field we read, tried in order (see UPSTREAM_SCHEMA)
+  propertyMapping: {
+    address: ['name', 'address', 'full_address', 'premise_address', 'ADDRESS', 'addr', 'street_address'],
+    technology: ['tech', 'nbn_technology', 'technology', 'connection_type', 'nbn_type', 'service_type']
+  }
+};
+
+// Numeric settings and their allowed ranges (used by the settings dialog for validation)
+export const NUMERIC_SETTINGS = {
+  cacheTtlDays: { label: 'Re-fetch suburbs after (days)', min: 0, max: 365 },
+  cacheExpiryDays: { label: 'Delete cached suburbs after (days)', min: 1, max: 365 },
+  maxConcurrentFetches: { label: 'Parallel downloads', min: 1, max: 16, integer: true },
+  cacheMaxEntries: { label: 'Max cached suburbs', min: 1, max: 5000, integer: true }
+};
+
+// Legend mapping: connection type token -> { color, label, description }
+// These are modelled after the map legend in the repo README; adjust as needed.
+export const LEGEND = {
+  'FTTP': { color: '#1f7a1f', label: 'FTTP', desc: 'Address already has FTTP technology, or has been upgraded to FTTP' }, // dark green
+  'FTTN': { color: '#f97316', label: 'FTTN', desc: 'Fibre to the node (copper last mile)' }, // orange
+  'FTTC': { color: '#f59e0b', label: 'FTTC', desc: 'Fibre to the curb (short copper lead-in)' }, // amber
+  'HFC': { color: '#7c3aed', label: 'HFC', desc: 'Hybrid Fibre Coaxial (cable)' }, // purple
+  'FTTB': { color: '#0ea5a0', label: 'FTTB', desc: 'Fibre to the building' }, // teal
+  'Fixed Wireless': { color: '#2563eb', label: 'Fixed Wireless', desc: 'Fixed wireless service' }, // blue
+  'Satellite': { color: '#374151', label: 'Satellite', desc: 'Satellite service' }, // gray
+  'Non-NBN': { color: '#6b7280', label: 'Non-NBN/Unknown', desc: 'No NBN service or unknown technology' } // neutral
+};
+
+// Badge palettes. 'colorblind' is based on the Okabe-Ito palette, which stays distinguishable
+// for the common forms of colour blindness.
+export const PALETTES = {
+  default: Object.fromEntries(Object.entries(LEGEND).map(([k, v]) => [k, v.color])),
+  colorblind: {
+    'FTTP': '#009e73',
+    'FTTN': '#d55e00',
+    'FTTC': '#b08800',
+    'HFC': '#cc79a7',
+    'FTTB': '#56b4e9',
+    'Fixed Wireless': '#0072b2',
+    'Satellite': '#000000',
+    'Non-NBN': '#6b7280'
+  }
+};
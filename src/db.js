@@ -0,0 +1,110 @@
+// IndexedDB access for the suburb cache, history and shortlist stores
+import {
+  CACHE_DB, CACHE_DB_VERSION, CACHE_STORE, HISTORY_STORE, LEGACY_CACHE_STORE, SHORTLIST_STORE
+} from './config.js';
+import { SUBURB_INDEX_KEY } from './suburbs.js';
+import { buildSuburbDigest } from './suburb-cache.js';
+
+// Utility: promisify IDB open/get/put
+export function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(CACHE_DB, CACHE_DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CACHE_STORE)) {
+        db.createObjectStore(CACHE_STORE);
+      }
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        db.createObjectStore(HISTORY_STORE);
+      }
+      if (!db.objectStoreNames.contains(SHORTLIST_STORE)) {
+        db.createObjectStore(SHORTLIST_STORE);
+      }
+      if (event.oldVersion < 2 && db.objectStoreNames.contains(LEGACY_CACHE_STORE)) {
+        migrateLegacyStore(db, req.transaction);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+export async function idbGet(key, storeName = CACHE_STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const req = store.get(key);
+    req.onsuccess = () => { resolve(req.result); db.close(); };
+    req.onerror = () => { reject(req.error); db.close(); };
+  });
+}
+export async function idbSet(key, value, storeName = CACHE_STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const req = store.put(value, key);
+    req.onsuccess = () => { resolve(req.result); db.close(); };
+    req.onerror = () => { reject(req.error); db.close(); };
+  });
+}
+export async function idbDelete(key, storeName = CACHE_STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const req = tx.objectStore(storeName).delete(key);
+    req.onsuccess = () => { resolve(); db.close(); };
+    req.onerror = () => { reject(req.error); db.close(); };
+  });
+}
+export async function idbClear() {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, 'readwrite');
+    const req = tx.objectStore(CACHE_STORE).clear();
+    req.onsuccess = () => { resolve(); db.close(); };
+    req.onerror = () => { reject(req.error); db.close(); };
+  });
+}
+// All { key, value } pairs in the store
+export async function idbEntries(storeName = CACHE_STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const tx = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor) {
+        entries.push({ key: cursor.key, value: cursor.value });
+        cursor.continue();
+      } else {
+        resolve(entries);
+        db.close();
+      }
+    };
+    req.onerror = () => { reject(req.error); db.close(); };
+  });
+}
+
+// v1 -> v2: convert each cached GeoJSON into a digest, then drop the old store.
+// Runs inside the upgrade transaction, so a failure rolls the whole upgrade back.
+function migrateLegacyStore(db, tx) {
+  const legacy = tx.objectStore(LEGACY_CACHE_STORE);
+  const target = tx.objectStore(CACHE_STORE);
+  legacy.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      db.deleteObjectStore(LEGACY_CACHE_STORE);
+      return;
+    }
+    const value = cursor.value || {};
+    if (cursor.key === SUBURB_INDEX_KEY) {
+      target.put(value, cursor.key);
+    } else if (value.data && Array.isArray(value.data.features)) {
+      const { data, ...meta } = value;
+      target.put(buildSuburbDigest(data, meta), cursor.key);
+    }
+    cursor.continue();
+  };
+}
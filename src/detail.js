@@ -0,0 +1,237 @@
+// Detail-page mode: a single property page gets a full per-address panel instead of a card badge
+import { LEGEND } from './config.js';
+import { elementText, queryFirst, SITE } from './sites.js';
+import { describeLookupStatus, resolveSuburb, toRepoSlug } from './suburbs.js';
+import { isHttpUrl, loadSuburb, suburbAddressIndex } from './suburb-cache.js';
+import { formatSince, getSuburbHistory, makeHistorySection, premiseChange } from './history.js';
+import {
+  describeMatch, extractSuburbStateFromText, featureAddress, matchListingAddressToFeature, nearestFeatures,
+  summarizeStreet
+} from './address.js';
+import { describeUpgrade, featureType, featureUpgrade, UPGRADE_PROPERTY_PATTERN } from './schema.js';
+import { makeUpgradeSection } from './badge.js';
+
+export function isDetailPage(adapter = SITE) {
+  return !!(adapter.detail && adapter.detail.pathPattern && adapter.detail.pathPattern.test(location.pathname));
+}
+
+// Find the listing's coordinates on a detail page: JSON-LD geo, geo meta tags, data attributes or a maps link
+export function extractListingCoordinates(root = document) {
+  for (const script of root.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const stack = [JSON.parse(script.textContent)];
+      while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object') continue;
+        if (node.latitude != null && node.longitude != null && isFinite(node.latitude) && isFinite(node.longitude)) {
+          return [Number(node.latitude), Number(node.longitude)];
+        }
+        stack.push(...Object.values(node));
+      }
+    } catch (e) { /* ignore malformed JSON-LD */ }
+  }
+  const metaLat = root.querySelector('meta[property="place:location:latitude"], meta[name="geo.position"]');
+  if (metaLat) {
+    const parts = metaLat.name === 'geo.position'
+      ? metaLat.content.split(/[;,]/)
+      : [metaLat.content, (root.querySelector('meta[property="place:location:longitude"]') || {}).content];
+    if (parts.length === 2 && isFinite(parts[0]) && isFinite(parts[1])) return [Number(parts[0]), Number(parts[1])];
+  }
+  const dataEl = root.querySelector('[data-lat][data-lng], [data-latitude][data-longitude]');
+  if (dataEl) {
+    const lat = dataEl.dataset.lat || dataEl.dataset.latitude;
+    const lng = dataEl.dataset.lng || dataEl.dataset.longitude;
+    if (isFinite(lat) && isFinite(lng)) return [Number(lat), Number(lng)];
+  }
+  for (const a of root.querySelectorAll('a[href*="maps"]')) {
+    const m = a.href.match(/[?&@=](-?\d{1,2}\.\d+),\s*(-?\d{2,3}\.\d+)/);
+    if (m) return [Number(m[1]), Number(m[2])];
+  }
+  return null;
+}
+
+function appendDetailRow(parent, type, text, right = '') {
+  const row = document.createElement('div');
+  row.className = 'row';
+  const left = document.createElement('div');
+  const dot = document.createElement('span');
+  dot.className = 'type-dot';
+  dot.style.background = (LEGEND[type] && LEGEND[type].color) || '#6b7280';
+  left.appendChild(dot);
+  left.appendChild(document.createTextNode(text));
+  row.appendChild(left);
+  if (right) {
+    const r = document.createElement('div');
+    r.className = 'muted';
+    r.textContent = right;
+    row.appendChild(r);
+  }
+  parent.appendChild(row);
+}
+
+function appendDetailHeading(parent, text) {
+  const h = document.createElement('h3');
+  h.textContent = text;
+  parent.appendChild(h);
+}
+
+// Build the detail panel for a parsed address and its loaded suburb (see loadSuburb)
+function makeDetailPanel(parsed, entry, listingLatLng, history = null) {
+  const { geojson, summary, source: sourceUrl } = entry;
+  const addressIndex = suburbAddressIndex(entry, parsed.suburb);
+  const matchOptions = { suburb: parsed.suburb, geojson, latLng: listingLatLng };
+  const match = matchListingAddressToFeature(parsed.street, addressIndex, matchOptions);
+  const streetSummary = summarizeStreet(parsed.street, addressIndex, matchOptions);
+
+  const panel = document.createElement('div');
+  panel.className = 'nbn-detail-panel';
+  const title = document.createElement('div');
+  title.style.fontWeight = '700';
+  title.textContent = `NBN — ${parsed.street ? `${parsed.street}, ` : ''}${parsed.suburb} ${parsed.state}`;
+  panel.appendChild(title);
+
+  appendDetailHeading(panel, 'This address');
+  if (match) {
+    const props = match.feature.properties || {};
+    const type = featureType(match.feature);
+    appendDetailRow(panel, type, ` ${type} (${describeMatch(match)})`, featureAddress(props));
+    const change = premiseChange(history, featureAddress(props));
+    if (change) appendDetailRow(panel, change.to, ` Changed ${change.from} → ${change.to}`, `since ${formatSince(change.at)}`);
+    const upgrade = type !== 'FTTP' ? featureUpgrade(match.feature) : null;
+    if (upgrade && upgrade.status !== 'unknown') {
+      appendDetailRow(panel, upgrade.target || type, ` Upgrade: ${describeUpgrade(upgrade)}`, upgrade.program || upgrade.serviceClass || '');
+    }
+    const upgradeKeys = Object.keys(props).filter(k => UPGRADE_PROPERTY_PATTERN.test(k) && props[k] != null && props[k] !== '');
+    if (upgradeKeys.length) {
+      appendDetailHeading(panel, 'Upgrade / eligibility');
+      for (const k of upgradeKeys) {
+        const row = document.createElement('div');
+        row.className = 'row';
+        const key = document.createElement('div');
+        key.className = 'muted';
+        key.textContent = k;
+        const val = document.createElement('div');
+        val.textContent = String(props[k]);
+        row.appendChild(key);
+        row.appendChild(val);
+        panel.appendChild(row);
+      }
+    }
+  } else {
+    const p = document.createElement('div');
+    p.className = 'muted';
+    p.textContent = 'No match for this address in the suburb file.';
+    panel.appendChild(p);
+  }
+
+  if (streetSummary) {
+    appendDetailHeading(panel, `Street breakdown — ${streetSummary.label} (${streetSummary.total} premises)`);
+    for (const [type, cnt] of Object.entries(streetSummary.counts).sort((a, b) => b[1] - a[1])) {
+      appendDetailRow(panel, type, ` ${type}`, `${cnt} (${Math.round(cnt / streetSummary.total * 100)}%)`);
+    }
+  }
+
+  appendDetailHeading(panel, `Suburb breakdown (${summary.total} premises)`);
+  if (summary.total === 0) {
+    const p = document.createElement('div');
+    p.textContent = 'No address data in suburb file.';
+    panel.appendChild(p);
+  }
+  for (const [type, cnt] of Object.entries(summary.counts).sort((a, b) => b[1] - a[1])) {
+    const pct = summary.total ? Math.round(cnt / summary.total * 100) : 0;
+    appendDetailRow(panel, type, ` ${type}`, `${cnt} (${pct}%)`);
+  }
+  const upgradeSection = makeUpgradeSection(summary);
+  if (upgradeSection) panel.appendChild(upgradeSection);
+
+  if (!match || match.method !== 'exact') {
+    appendDetailHeading(panel, 'Nearest known premises');
+    const nearest = nearestFeatures(geojson, listingLatLng, 5);
+    if (!nearest.length) {
+      const p = document.createElement('div');
+      p.className = 'muted';
+      p.textContent = listingLatLng ? 'No premises with coordinates in the suburb file.' : 'Listing coordinates not found on this page.';
+      panel.appendChild(p);
+    }
+    for (const { feature, distance } of nearest) {
+      const type = featureType(feature);
+      appendDetailRow(panel, type, ` ${type} — ${featureAddress(feature.properties) || 'unnamed premise'}`, `${Math.round(distance)} m`);
+    }
+  }
+
+  const historySection = makeHistorySection(history, 15);
+  if (historySection) panel.appendChild(historySection);
+
+  const warnings = (entry.digest && entry.digest.warnings) || [];
+  if (warnings.length) {
+    const p = document.createElement('div');
+    p.className = 'muted';
+    p.style.marginTop = '8px';
+    p.textContent = `⚠ Data file warnings: ${warnings.join(' ')}`;
+    panel.appendChild(p);
+  }
+
+  if (isHttpUrl(sourceUrl)) {
+    const link = document.createElement('a');
+    link.href = sourceUrl;
+    link.target = '_blank';
+    link.textContent = 'View source file';
+    link.style.display = 'inline-block';
+    link.style.marginTop = '8px';
+    link.style.color = '#2563eb';
+    panel.appendChild(link);
+  }
+  return panel;
+}
+
+// The listing shown in the detail panel, { parsed, key }, once its suburb has loaded
+let detailListing = null;
+
+// Read the property's address from the page, fetch its suburb and render the panel under the address heading
+export async function processDetailPage(adapter = SITE) {
+  if (!isDetailPage(adapter) || document.querySelector('.nbn-detail-panel')) return;
+  const addressEl = queryFirst(document, adapter.detail.addressSelectors);
+  const parsed = extractSuburbStateFromText(elementText(addressEl));
+  if (!parsed || !parsed.suburb) return;
+  const anchor = queryFirst(document, adapter.detail.insertionSelectors) || addressEl;
+  const place = await resolveSuburb(parsed.suburb, parsed.state, parsed.postcode);
+  parsed.suburb = place.suburb;
+  parsed.state = place.state;
+
+  let panel;
+  detailListing = null;
+  try {
+    if (place.status === 'not-found' || place.status === 'ambiguous' || !place.state) {
+      throw new Error(describeLookupStatus(place).message);
+    }
+    const key = `${parsed.state}|${toRepoSlug(parsed.suburb)}`;
+    const entry = await loadSuburb(parsed.suburb, parsed.state, false, { priority: () => -1 });
+    const history = await getSuburbHistory(key);
+    panel = makeDetailPanel(parsed, entry, extractListingCoordinates(document), history);
+    detailListing = { parsed, key };
+  } catch (err) {
+    panel = document.createElement('div');
+    panel.className = 'nbn-detail-panel';
+    panel.textContent = `NBN: no data found for ${parsed.suburb} ${parsed.state}. ${err.message}`;
+  }
+  if (document.querySelector('.nbn-detail-panel')) return;
+  anchor.insertAdjacentElement('afterend', panel);
+}
+
+// nbn:data-updated listener for the detail panel: a refreshed suburb redraws the panel from the new data
+export async function onDetailSuburbUpdated(ev) {
+  const d = ev.detail || {};
+  const listing = detailListing;
+  const panel = document.querySelector('.nbn-detail-panel');
+  if (!listing || !panel || listing.key !== `${d.state}|${toRepoSlug(d.suburb || '')}`) return;
+  const { parsed, key } = listing;
+  let next;
+  try {
+    const entry = await loadSuburb(parsed.suburb, parsed.state);
+    next = makeDetailPanel(parsed, entry, extractListingCoordinates(document), await getSuburbHistory(key));
+  } catch (e) {
+    console.warn('NBN refresh: detail panel reload failed', key, e);
+    return;
+  }
+  if (panel.isConnected && detailListing === listing) panel.replaceWith(next);
+}
@@ -0,0 +1,71 @@
+// Dialogs: the badge popup and the settings, cache and shortlist windows
+
+// The open dialog: { dialog, close }. Only one is shown at a time.
+let activeDialog = null;
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+export function closeDialog() {
+  if (activeDialog) activeDialog.close({ restoreFocus: false });
+}
+
+// Show an element as a dialog labelled by its `title` element: focus moves into it and Tab cycles inside it,
+// Escape closes it, and focus returns to `opener` (by default whatever had focus when it opened). Opening another
+// dialog closes this one. `onClose` runs once it has been removed. Pass modal: false for a dialog that leaves the
+// page usable (the badge popup). Returns close({ restoreFocus = true }).
+export function openDialog(dialog, { title, opener = document.activeElement, onClose = null, modal = true }) {
+  closeDialog();
+  dialog.setAttribute('role', 'dialog');
+  if (modal) dialog.setAttribute('aria-modal', 'true');
+  dialog.setAttribute('aria-labelledby', title.id);
+  dialog.tabIndex = -1;
+  const onKeyDown = (ev) => {
+    if (ev.key === 'Escape') {
+      ev.preventDefault();
+      ev.stopPropagation();
+      close();
+    } else if (ev.key === 'Tab') {
+      trapFocus(dialog, ev);
+    }
+  };
+  function close({ restoreFocus = true } = {}) {
+    if (!activeDialog || activeDialog.dialog !== dialog) return;
+    activeDialog = null;
+    document.removeEventListener('keydown', onKeyDown, true);
+    dialog.remove();
+    if (onClose) onClose();
+    if (restoreFocus && opener && opener.isConnected) opener.focus();
+  }
+  activeDialog = { dialog, close };
+  if (!dialog.isConnected) document.body.appendChild(dialog);
+  document.addEventListener('keydown', onKeyDown, true);
+  dialog.focus();
+  return close;
+}
+
+// The × button in a dialog's header
+export function makeCloseButton(onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'nbn-popup-close';
+  button.textContent = '×';
+  button.setAttribute('aria-label', 'Close');
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Keep Tab and Shift+Tab within the dialog
+function trapFocus(dialog, ev) {
+  const focusable = [...dialog.querySelectorAll(FOCUSABLE)].filter(el => !el.closest('[hidden]'));
+  if (!focusable.length) {
+    ev.preventDefault();
+    dialog.focus();
+    return;
+  }
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const current = document.activeElement;
+  if (!dialog.contains(current) || (ev.shiftKey ? current === first || current === dialog : current === last)) {
+    ev.preventDefault();
+    (ev.shiftKey ? last : first).focus();
+  }
+}
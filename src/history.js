@@ -0,0 +1,138 @@
+// Technology changes recorded across downloads of a suburb
+import { DAY_MS, HISTORY_STORE } from './config.js';
+import { idbGet, idbSet } from './db.js';
+import { digestDate } from './suburb-cache.js';
+
+// Technology history. Whenever a download replaces a cached suburb, the old and new digests are diffed per address
+// and the result appended to the suburb's record in HISTORY_STORE (same key as the cache):
+//   changes    [{ at, address, from, to }] oldest first; `at` is the snapshot date of the newer data
+//   snapshots  [{ at, counts }] suburb counts for each distinct snapshot seen
+// History outlives the cache: deleting or clearing cached suburbs leaves it alone.
+const HISTORY_MAX_CHANGES = 1000;
+const HISTORY_MAX_SNAPSHOTS = 52;
+const HISTORY_RECENT_DAYS = 180;
+const historyCache = new Map();
+
+// Premises present in both digests whose technology differs
+function diffDigests(prev, next) {
+  const before = new Map();
+  for (const [address, type] of prev.premises || []) {
+    if (address) before.set(String(address).toUpperCase().trim(), type);
+  }
+  const changes = [];
+  for (const [address, type] of next.premises || []) {
+    if (!address) continue;
+    const old = before.get(String(address).toUpperCase().trim());
+    if (old && type && old !== type) changes.push({ address, from: old, to: type });
+  }
+  return changes;
+}
+
+function sameCounts(a = {}, b = {}) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(k => (a[k] || 0) === (b[k] || 0));
+}
+
+// A file republished under the same data date can still have changed: it then replaces that date's snapshot
+export async function recordSuburbHistory(key, prev, next) {
+  try {
+    const record = (await getSuburbHistory(key)) || { changes: [], snapshots: [] };
+    const snapshot = (digest) => ({ at: (digestDate(digest) || new Date()).getTime(), counts: digest.summary.counts });
+    if (prev && !record.snapshots.length) record.snapshots.push(snapshot(prev));
+    const latest = snapshot(next);
+    const last = record.snapshots[record.snapshots.length - 1];
+    const changes = prev ? diffDigests(prev, next) : [];
+    const sameDate = last && last.at === latest.at;
+    if (sameDate && !changes.length && sameCounts(last.counts, latest.counts)) return;
+    if (sameDate) record.snapshots[record.snapshots.length - 1] = latest;
+    else record.snapshots.push(latest);
+    record.changes.push(...changes.map(c => ({ at: latest.at, ...c })));
+    record.snapshots = record.snapshots.slice(-HISTORY_MAX_SNAPSHOTS);
+    record.changes = record.changes.slice(-HISTORY_MAX_CHANGES);
+    historyCache.set(key, record);
+    await idbSet(key, record, HISTORY_STORE);
+  } catch (e) {
+    console.warn('NBN history error', e);
+  }
+}
+
+export async function getSuburbHistory(key) {
+  if (!historyCache.has(key)) {
+    let record = null;
+    try { record = (await idbGet(key, HISTORY_STORE)) || null; } catch (e) { console.warn('NBN history read error', e); }
+    if (historyCache.has(key)) return historyCache.get(key);
+    historyCache.set(key, record);
+  }
+  return historyCache.get(key);
+}
+
+// Changes within the last HISTORY_RECENT_DAYS, newest first
+export function recentChanges(history) {
+  const since = Date.now() - HISTORY_RECENT_DAYS * DAY_MS;
+  return ((history && history.changes) || []).filter(c => c.at >= since).reverse();
+}
+
+export function premiseChange(history, address) {
+  if (!address) return null;
+  const wanted = String(address).toUpperCase().trim();
+  return recentChanges(history).find(c => String(c.address).toUpperCase().trim() === wanted) || null;
+}
+
+// "March", or "March 2024" outside the current year
+export function formatSince(at) {
+  const d = new Date(at);
+  return d.toLocaleDateString('en-AU', d.getFullYear() === new Date().getFullYear() ? { month: 'long' } : { month: 'long', year: 'numeric' });
+}
+
+// Popup / detail panel section: recent per-premise changes, then suburb counts per snapshot
+export function makeHistorySection(history, limit = 8) {
+  const section = document.createElement('div');
+  section.className = 'nbn-history';
+  const recent = recentChanges(history);
+  const snapshots = (history && history.snapshots) || [];
+  if (!recent.length && snapshots.length < 2) return null;
+
+  const title = document.createElement('div');
+  title.className = 'nbn-history-title';
+  title.textContent = recent.length
+    ? `Recent changes (${recent.length} since ${formatSince(recent[recent.length - 1].at)})`
+    : 'Changes over time';
+  section.appendChild(title);
+  for (const c of recent.slice(0, limit)) {
+    const row = document.createElement('div');
+    row.className = 'nbn-history-row';
+    row.textContent = `${String(c.address).slice(0, 80)}: ${c.from} → ${c.to}`;
+    row.title = new Date(c.at).toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' });
+    section.appendChild(row);
+  }
+  if (recent.length > limit) {
+    const more = document.createElement('div');
+    more.className = 'nbn-history-row';
+    more.textContent = `…and ${recent.length - limit} more`;
+    section.appendChild(more);
+  }
+
+  if (snapshots.length >= 2) {
+    const totals = {};
+    for (const snap of snapshots) {
+      for (const [type, n] of Object.entries(snap.counts || {})) totals[type] = (totals[type] || 0) + n;
+    }
+    const types = Object.keys(totals).sort((a, b) => totals[b] - totals[a]).slice(0, 4);
+    const table = document.createElement('table');
+    table.className = 'nbn-tiers';
+    const head = table.createTHead().insertRow();
+    for (const c of ['Snapshot', ...types]) {
+      const th = document.createElement('th');
+      th.textContent = c;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const snap of snapshots.slice(-6).reverse()) {
+      const row = body.insertRow();
+      row.insertCell().textContent = new Date(snap.at).toLocaleDateString('en-AU', { month: 'short', year: 'numeric' });
+      for (const type of types) row.insertCell().textContent = String((snap.counts || {})[type] || 0);
+    }
+    section.appendChild(table);
+  }
+  return section;
+}
@@ -0,0 +1,322 @@
+// Legend, card filtering/sorting and detection status
+import { LEGEND } from './config.js';
+import { storageGet, storageSet } from './settings.js';
+import { cardDetection } from './sites.js';
+import { openSettingsDialog } from './settings-dialog.js';
+import { openCacheManager } from './cache-manager.js';
+import { makeExportControls } from './results.js';
+import { openShortlist, updateShortlistLink } from './shortlist.js';
+import { isDetailPage } from './detail.js';
+
+// Create or reuse a small persistent legend in the corner. It can be collapsed to its title bar and dragged
+// elsewhere by it (double-click the title bar to put it back); both are remembered, see legendState.
+export function ensureLegend() {
+  if (document.querySelector('.nbn-legend')) return;
+  const box = document.createElement('div');
+  box.className = 'nbn-legend';
+  box.setAttribute('role', 'region');
+  box.setAttribute('aria-label', 'NBN badge legend');
+  const header = document.createElement('div');
+  header.className = 'nbn-legend-header';
+  header.title = 'Drag to move; double-click to put back in the corner';
+  const title = document.createElement('div');
+  title.className = 'nbn-legend-title';
+  title.textContent = 'NBN badge legend';
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'nbn-legend-toggle';
+  toggle.setAttribute('aria-controls', LEGEND_BODY_ID);
+  header.appendChild(title);
+  header.appendChild(toggle);
+  box.appendChild(header);
+
+  const body = document.createElement('div');
+  body.className = 'nbn-legend-body';
+  body.id = LEGEND_BODY_ID;
+  const links = document.createElement('div');
+  links.className = 'nbn-legend-links';
+  for (const [text, action, extraClass] of [['Settings', openSettingsDialog, ''], ['Cache', openCacheManager, ''],
+    ['Shortlist', openShortlist, ' nbn-shortlist-link']]) {
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = `small-link${extraClass}`;
+    link.textContent = text;
+    link.addEventListener('click', action);
+    links.appendChild(link);
+  }
+  body.appendChild(links);
+  for (const [k, v] of Object.entries(LEGEND)) {
+    const row = document.createElement('label');
+    row.className = 'legend-row';
+    // unchecked technologies are hidden or dimmed in the results
+    const include = document.createElement('input');
+    include.type = 'checkbox';
+    include.checked = !filterState.excluded.includes(k);
+    include.title = `Show listings with ${v.label}`;
+    include.addEventListener('change', () => {
+      filterState.excluded = filterState.excluded.filter(t => t !== k);
+      if (!include.checked) filterState.excluded.push(k);
+      saveFilterState();
+      applyFilters();
+    });
+    const dot = document.createElement('span');
+    dot.className = 'dot';
+    dot.style.background = v.color;
+    const label = document.createElement('div');
+    label.style.flex = '1';
+    label.textContent = `${v.label} — ${v.desc}`;
+    row.appendChild(include);
+    row.appendChild(dot);
+    row.appendChild(label);
+    body.appendChild(row);
+  }
+  body.appendChild(makeFilterControls());
+  if (!isDetailPage()) body.appendChild(makeExportControls());
+  box.appendChild(body);
+  // outside the collapsible part, so detection warnings still show when the legend is collapsed
+  const status = document.createElement('div');
+  status.className = 'nbn-legend-status';
+  status.hidden = true;
+  box.appendChild(status);
+
+  const setCollapsed = (collapsed) => {
+    body.hidden = collapsed;
+    box.classList.toggle('collapsed', collapsed);
+    toggle.textContent = collapsed ? '▸' : '▾';
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    toggle.setAttribute('aria-label', collapsed ? 'Expand legend' : 'Collapse legend');
+  };
+  setCollapsed(legendState.collapsed);
+  toggle.addEventListener('click', () => {
+    legendState.collapsed = !legendState.collapsed;
+    saveLegendState();
+    setCollapsed(legendState.collapsed);
+    placeLegend(box);
+  });
+  document.body.appendChild(box);
+  placeLegend(box);
+  makeLegendDraggable(box, header);
+  updateShortlistLink();
+}
+
+// Legend position and collapsed state, kept across page loads:
+//   collapsed   only the title bar is shown
+//   position    { left, top } in viewport pixels once dragged; null for the default bottom-right corner
+const LEGEND_STORAGE_KEY = 'nbnLegendState_v1';
+const LEGEND_BODY_ID = 'nbn-legend-body';
+const LEGEND_MARGIN = 4; // the legend is kept at least this far inside the viewport
+const legendState = loadLegendState();
+
+function loadLegendState() {
+  const saved = storageGet(LEGEND_STORAGE_KEY, null);
+  const position = saved && saved.position;
+  return {
+    collapsed: !!(saved && saved.collapsed),
+    position: position && Number.isFinite(position.left) && Number.isFinite(position.top)
+      ? { left: position.left, top: position.top }
+      : null
+  };
+}
+
+function saveLegendState() {
+  storageSet(LEGEND_STORAGE_KEY, legendState);
+}
+
+// Apply the saved position, pulled back inside the viewport (the window may be smaller than when it was saved)
+function placeLegend(box) {
+  if (!legendState.position) {
+    box.style.left = box.style.top = box.style.right = box.style.bottom = '';
+    return;
+  }
+  const maxLeft = (document.documentElement.clientWidth || window.innerWidth) - box.offsetWidth - LEGEND_MARGIN;
+  const maxTop = window.innerHeight - box.offsetHeight - LEGEND_MARGIN;
+  box.style.left = `${Math.round(Math.max(LEGEND_MARGIN, Math.min(legendState.position.left, maxLeft)))}px`;
+  box.style.top = `${Math.round(Math.max(LEGEND_MARGIN, Math.min(legendState.position.top, maxTop)))}px`;
+  box.style.right = box.style.bottom = 'auto';
+}
+
+// Drag the legend by its title bar with a mouse, pen or finger
+function makeLegendDraggable(box, handle) {
+  handle.addEventListener('pointerdown', (ev) => {
+    if (ev.button !== 0 || ev.target.closest('button')) return;
+    ev.preventDefault();
+    const rect = box.getBoundingClientRect();
+    const offsetX = ev.clientX - rect.left;
+    const offsetY = ev.clientY - rect.top;
+    const onMove = (move) => {
+      legendState.position = { left: move.clientX - offsetX, top: move.clientY - offsetY };
+      placeLegend(box);
+    };
+    const onUp = () => {
+      document.removeEventListener('pointermove', onMove);
+      document.removeEventListener('pointerup', onUp);
+      document.removeEventListener('pointercancel', onUp);
+      box.classList.remove('dragging');
+      if (legendState.position) {
+        // store where it ended up rather than where the pointer tried to take it
+        legendState.position = { left: parseInt(box.style.left, 10), top: parseInt(box.style.top, 10) };
+      }
+      saveLegendState();
+    };
+    box.classList.add('dragging');
+    document.addEventListener('pointermove', onMove);
+    document.addEventListener('pointerup', onUp);
+    document.addEventListener('pointercancel', onUp);
+  });
+  handle.addEventListener('dblclick', (ev) => {
+    if (ev.target.closest('button')) return;
+    legendState.position = null;
+    saveLegendState();
+    placeLegend(box);
+  });
+  const onResize = () => {
+    if (box.isConnected) placeLegend(box);
+    else window.removeEventListener('resize', onResize);
+  };
+  window.addEventListener('resize', onResize);
+}
+
+// Filtering and sorting of result cards by badge technology. State persists across page loads.
+//   excluded  LEGEND keys whose cards are hidden/dimmed
+//   mode      'dim' or 'hide'
+//   sort      reorder cards so the best technology comes first
+const FILTER_STORAGE_KEY = 'nbnFilterState_v1';
+const TECH_RANK = ['FTTP', 'HFC', 'FTTC', 'FTTB', 'FTTN', 'Fixed Wireless', 'Satellite', 'Non-NBN'];
+const filterState = loadFilterState();
+let cardOrderCounter = 0;
+let sortTimer = null;
+
+function loadFilterState() {
+  const saved = storageGet(FILTER_STORAGE_KEY, null);
+  if (!saved || typeof saved !== 'object') return { excluded: [], mode: 'dim', sort: false };
+  return {
+    excluded: Array.isArray(saved.excluded) ? saved.excluded.filter(t => LEGEND[t]) : [],
+    mode: saved.mode === 'hide' ? 'hide' : 'dim',
+    sort: !!saved.sort
+  };
+}
+
+function saveFilterState() {
+  storageSet(FILTER_STORAGE_KEY, filterState);
+}
+
+// Mode selector and sort toggle shown under the legend rows
+function makeFilterControls() {
+  const controls = document.createElement('div');
+  controls.className = 'nbn-filter-controls';
+  const mode = document.createElement('select');
+  mode.setAttribute('aria-label', 'Listings whose technology is unchecked');
+  for (const [value, text] of [['dim', 'Dim unchecked'], ['hide', 'Hide unchecked']]) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    mode.appendChild(opt);
+  }
+  mode.value = filterState.mode;
+  mode.addEventListener('change', () => {
+    filterState.mode = mode.value;
+    saveFilterState();
+    applyFilters();
+  });
+  const sortLabel = document.createElement('label');
+  const sort = document.createElement('input');
+  sort.type = 'checkbox';
+  sort.checked = filterState.sort;
+  sort.addEventListener('change', () => {
+    filterState.sort = sort.checked;
+    saveFilterState();
+    applyFilters();
+  });
+  sortLabel.appendChild(sort);
+  sortLabel.appendChild(document.createTextNode(' Best technology first'));
+  controls.appendChild(mode);
+  controls.appendChild(sortLabel);
+  return controls;
+}
+
+// Record a card's badge technology (and quality score, if shown) so filters and sorting can use it
+export function setCardType(card, type, score = null) {
+  if (!card.dataset.nbnOrder) card.dataset.nbnOrder = String(cardOrderCounter++);
+  card.dataset.nbnType = type;
+  if (score == null) delete card.dataset.nbnScore;
+  else card.dataset.nbnScore = String(score);
+  applyFilters();
+}
+
+// The element to hide/move for a card: climb while the parent wraps only this card
+// (e.g. realestate.com.au nests each card in li > div > div)
+function cardListItem(card) {
+  let el = card;
+  for (let depth = 0; depth < 4; depth++) {
+    if (!el.parentElement || el.parentElement === document.body || el.parentElement.children.length !== 1) break;
+    el = el.parentElement;
+  }
+  return el;
+}
+
+function applyFilters() {
+  const cards = document.querySelectorAll('[data-nbn-type]');
+  for (const card of cards) {
+    const item = cardListItem(card);
+    const excluded = filterState.excluded.includes(card.dataset.nbnType);
+    item.classList.toggle('nbn-filter-dim', excluded && filterState.mode === 'dim');
+    item.classList.toggle('nbn-filter-hide', excluded && filterState.mode === 'hide');
+  }
+  // cards keep streaming in; batch the reordering
+  clearTimeout(sortTimer);
+  sortTimer = setTimeout(sortCards, 150);
+}
+
+// Reorder cards within each results list when sorting is on: by quality score where cards have one, then by
+// technology rank; original order when off
+function sortCards() {
+  const groups = new Map();
+  for (const card of document.querySelectorAll('[data-nbn-order]')) {
+    const item = cardListItem(card);
+    if (!item.parentElement) continue;
+    if (!groups.has(item.parentElement)) groups.set(item.parentElement, []);
+    groups.get(item.parentElement).push({ item, card });
+  }
+  const rank = (type) => {
+    const i = TECH_RANK.indexOf(type);
+    return i === -1 ? TECH_RANK.length : i;
+  };
+  for (const [parent, entries] of groups) {
+    const sorted = entries.slice().sort((a, b) => {
+      if (filterState.sort) {
+        const score = (card) => (card.dataset.nbnScore === undefined ? -1 : Number(card.dataset.nbnScore));
+        const diff = (score(b.card) - score(a.card)) || (rank(a.card.dataset.nbnType) - rank(b.card.dataset.nbnType));
+        if (diff) return diff;
+      }
+      return Number(a.card.dataset.nbnOrder) - Number(b.card.dataset.nbnOrder);
+    });
+    // only touch the DOM when the order actually changes
+    const current = Array.from(parent.children).filter(c => entries.some(e => e.item === c));
+    if (sorted.every((e, i) => e.item === current[i])) continue;
+    const anchor = current[0].previousSibling;
+    let ref = anchor ? anchor.nextSibling : parent.firstChild;
+    for (const { item } of sorted) {
+      parent.insertBefore(item, ref);
+      ref = item.nextSibling;
+    }
+  }
+}
+
+// Show a warning in the legend when card detection finds nothing (usually a site redesign),
+// and a note when only the heuristic scanner is finding cards
+export function updateDetectionStatus() {
+  const status = document.querySelector('.nbn-legend .nbn-legend-status');
+  if (!status) return;
+  status.classList.remove('warning');
+  if (cardDetection.count === 0 && !isDetailPage()) {
+    status.hidden = false;
+    status.classList.add('warning');
+    status.textContent = `⚠ 0 cards matched on ${location.hostname} — the site markup may have changed.`;
+  } else if (cardDetection.via === 'heuristic') {
+    status.hidden = false;
+    status.textContent = `${cardDetection.count} cards found by heuristic scan (selectors out of date).`;
+  } else {
+    status.hidden = true;
+    status.textContent = '';
+  }
+}
@@ -0,0 +1,36 @@
+// Entry point
+import { SITE } from './sites.js';
+import { watchNavigation } from './scheduler.js';
+import { cleanupCache } from './suburb-cache.js';
+import { injectStyles } from './styles.js';
+import { openSettingsDialog } from './settings-dialog.js';
+import { openCacheManager } from './cache-manager.js';
+import { NBN_EVENTS } from './results.js';
+import { openShortlist, recheckShortlist } from './shortlist.js';
+import { initialScan, observePage, onSuburbUpdated } from './cards.js';
+import { onDetailSuburbUpdated, processDetailPage } from './detail.js';
+import { installApi } from './api.js';
+
+// Start-up: styles, watchers and the API straight away; the first scan after a small delay.
+// Nothing to do on hosts without an adapter (the @match list should prevent this).
+if (!SITE) {
+  console.warn('NBN: no site adapter for', location.hostname);
+} else {
+  injectStyles();
+  watchNavigation();
+  observePage();
+  document.addEventListener(NBN_EVENTS.dataUpdated, onSuburbUpdated);
+  document.addEventListener(NBN_EVENTS.dataUpdated, onDetailSuburbUpdated);
+  if (typeof GM_registerMenuCommand === 'function') {
+    GM_registerMenuCommand('NBN badge settings…', openSettingsDialog);
+    GM_registerMenuCommand('NBN cache manager…', openCacheManager);
+    GM_registerMenuCommand('NBN shortlist…', openShortlist);
+  }
+  installApi();
+  setTimeout(() => {
+    initialScan();
+    processDetailPage();
+    cleanupCache().catch(e => console.warn('NBN cache cleanup error', e));
+    recheckShortlist().catch(e => console.warn('NBN shortlist check error', e));
+  }, 1200);
+}
@@ -0,0 +1,82 @@
+// ==UserScript==
+// @name         NBN quick badges (LukePrior repo) — realestate.com.au, domain.com.au & more
+// @namespace    https://github.com/dakomi/nbn-userscript
+// @version      0.3
+// @description  Inject NBN connection-type badges into property listing search results using per-suburb GeoJSON files from LukePrior/nbn-upgrade-map (cached in IndexedDB). Focused on suburb->address-level data supplied in the repo. Sites are supported through small site adapters.
+// @author       dakomi
+// @match        https://www.realestate.com.au/*
+// @match        https://www.domain.com.au/*
+// @match        https://www.allhomes.com.au/*
+// @match        https://www.rent.com.au/*
+// @grant        GM_addStyle
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_registerMenuCommand
+// @grant        unsafeWindow
+// @connect      raw.githubusercontent.com
+// ==/UserScript==
+
+/*
+What this script does (high level)
+- Pick a site adapter by hostname (realestate.com.au, domain.com.au, allhomes.com.au, rent.com.au).
+- For each listing card in the search results, extract the displayed suburb/state from the listing DOM (not the page URL).
+- Fetch the corresponding suburb GeoJSON from LukePrior/nbn-upgrade-map (raw.githubusercontent.com) and cache it in IndexedDB.
+- Summarise address-level connection types in that suburb and insert a concise colored badge into the listing.
+- Clicking the badge shows a small popup with counts per type and links to view the raw suburb file or refresh cache.
+  Badges are buttons labelled for screen readers (technology, match confidence); the popup is a dialog that keeps
+  focus while open, closes on Escape and stays inside the viewport as the page scrolls.
+- On a single-property page, render a panel under the address heading with the matched premise, its upgrade details,
+  the suburb breakdown and (when there is no exact match) the nearest known premises.
+- Listing addresses are matched to premises exactly, then by a scored fuzzy match on unit/number/street, then by
+  proximity when the listing exposes coordinates. Badges say which: "(Confirmed)", "(Likely 86%)" or "(Nearby ~25 m)".
+- Without a premise match, the badge uses the listing's street (or a radius around it) before the suburb majority.
+  The popup shows the suburb, street and premise tiers side by side, and a small offline map of the suburb's premises
+  coloured by technology with the listing marked.
+- The legend doubles as a filter panel: untick technologies to dim or hide their listings, and optionally sort
+  each results list so the best technology comes first. The choice is remembered. The legend can be collapsed to its
+  title bar and dragged elsewhere (double-click the title bar to put it back); it remembers both.
+- Badges can carry a 0-100 connection-quality score with typical speed ranges (a configurable table per technology);
+  confirmed premises count fully, street/suburb guesses are averaged. Sorting uses the score.
+- Cache lifetimes, download concurrency, the data source URL and badge colours (including a colour-blind safe
+  palette) are editable from the legend's Settings link or the userscript menu, and stored with GM_setValue.
+- Suburb files are checked against the upstream schema; the properties holding the address and technology can be
+  remapped in Settings. Unexpected fields or unrecognised technology values are reported in the console and popup.
+- The legend's "Export results" links download every processed listing on the page (including ones loaded later)
+  as CSV or JSON: link, address, technology, match confidence, suburb breakdown and data date.
+- Listings can be starred from the badge popup onto a shortlist kept in IndexedDB (legend → Shortlist). Each visit
+  re-checks shortlisted listings against the cached suburb data and flags any whose technology changed.
+- Client-side navigation is followed (History API, popstate, URL polling): pending lookups are cancelled and the
+  page rescanned. Cards the site re-renders get their badge re-attached once; refreshing a suburb updates every
+  badge showing it.
+- Other scripts can consume the results: a versioned window.nbnUserscript API (lookupAddress, getSuburbSummary,
+  getCardResult, cache controls), nbn:ready / nbn:badge-rendered / nbn:lookup-failed / nbn:data-updated events with
+  plain-data payloads, and data-nbn-* attributes on each card for CSS. See "Public API" near the end of the script.
+- Concurrency, caching and filename normalization are implemented for robustness.
+- Downloading, parsing, summarising and address-indexing suburb files happen in a Web Worker built from a Blob URL,
+  so large files don't stall scrolling; the page only receives compact digests and indexes. Where workers are
+  blocked (page CSP) or turned off in Settings, the same code runs on the page thread.
+- IndexedDB holds a compact digest per suburb (summary, address -> technology, point coordinates) rather than the raw
+  GeoJSON, with an in-memory LRU in front. Caches from the v1 schema are converted on first open.
+- The cache manager (legend → Cache, or the userscript menu) lists cached suburbs, refreshes/deletes them, prefetches
+  suburbs or whole states for offline use, and exports/imports the cache as a JSON file.
+- When a refresh replaces a cached suburb, per-address technology changes are diffed and kept as history in
+  IndexedDB. Badges flag recent changes ("FTTN → FTTP since March") and the popup lists them with counts over time.
+- Upgrade attributes (eligibility, target technology, planned date, program) are read per premise: confirmed-address
+  badges show the premise's upgrade status and the popup counts e.g. FTTN eligible vs. not eligible per technology.
+- Expired suburbs are shown from cache straight away and revalidated in the background (the browser sends
+  If-None-Match); badges update in place if the data changed. Each badge notes the date of the snapshot it shows.
+
+Notes:
+- Suburb filenames in the repo are lowercase, hyphenated (e.g. "acacia-ridge.geojson"). Suburbs are resolved against the
+  repo's file list (cached weekly), handling St/Saint-style variants, state-from-postcode and duplicate names across
+  states. Only when that list can't be loaded does the script fall back to trying multiple slug forms.
+- The script uses the repo snapshot (not live NBN API). This is Approach 2 as requested.
+- Data comes from providers tried in priority order (Settings → Data sources): the GitHub repo (default), the repo
+  pinned at a commit, or any mirror/local server given as a URL template such as http://localhost:8000/{STATE}/{slug}.geojson.
+- You may need to tweak DOM selectors in SITE_ADAPTERS if a site changes markup.
+- To support another site, add an adapter to SITE_ADAPTERS (and a matching @match line).
+- This file is built: the code lives in src/ as ES modules and `npm run build` bundles them back into one script.
+  `npm test` runs the Node tests in test/ (jsdom, fake-indexeddb and fixture suburb files, plus a run of the built
+  script against the saved results page in Rendered_page.html).
+*/
+
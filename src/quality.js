@@ -0,0 +1,53 @@
+// Connection-quality scores
+import { QUALITY_MODEL } from './config.js';
+import { settings } from './settings.js';
+import { featureType } from './schema.js';
+
+// Connection quality (see QUALITY_MODEL). Suburb and street estimates are the count-weighted average score of the
+// technologies there; a fuzzy or proximity match is blended with that average by its confidence, so only a
+// confirmed premise gets its technology's full score (or lack of it).
+function qualityOf(type) {
+  return settings.qualityModel[type] || QUALITY_MODEL[type] || QUALITY_MODEL['Non-NBN'];
+}
+
+export function averageQuality(counts) {
+  let sum = 0, n = 0;
+  for (const [type, c] of Object.entries(counts || {})) {
+    sum += qualityOf(type).score * c;
+    n += c;
+  }
+  return n ? sum / n : 0;
+}
+
+// { score, basis: 'confirmed' | 'likely' | 'street' | 'suburb', type, down, up }
+export function estimateQuality(summary, streetSummary, match) {
+  const area = streetSummary && streetSummary.total ? streetSummary : summary;
+  const areaBasis = area === summary ? 'suburb' : 'street';
+  let type, score, basis;
+  if (match) {
+    type = featureType(match.feature);
+    const c = match.method === 'exact' ? 1 : Math.max(0, Math.min(1, match.confidence || 0));
+    score = c * qualityOf(type).score + (1 - c) * averageQuality(area.counts);
+    basis = match.method === 'exact' ? 'confirmed' : 'likely';
+  } else {
+    type = selectPrimaryType(area.counts);
+    score = averageQuality(area.counts);
+    basis = areaBasis;
+  }
+  const q = qualityOf(type);
+  return { score: Math.round(score), basis, type, down: q.down, up: q.up };
+}
+
+export function describeQuality(quality) {
+  const speeds = quality.down && quality.up
+    ? `${quality.type} typically ${quality.down[0]}–${quality.down[1]} Mbps down / ${quality.up[0]}–${quality.up[1]} Mbps up`
+    : `no NBN speed tiers for ${quality.type}`;
+  const basis = { confirmed: 'this premise', likely: 'likely premise match', street: 'street estimate', suburb: 'suburb estimate' }[quality.basis];
+  return `Connection quality ${quality.score}/100 (${basis}) — ${speeds}`;
+}
+
+export function selectPrimaryType(counts) {
+  if (!counts || Object.keys(counts).length === 0) return 'Non-NBN';
+  const entries = Object.entries(counts).sort((a,b)=>b[1]-a[1]);
+  return entries[0][0];
+}
@@ -0,0 +1,157 @@
+// Per-card results, nbn:* events and the results export
+import { LEGEND } from './config.js';
+import { SITE } from './sites.js';
+import { downloadFile } from './cache-manager.js';
+
+// Export of the search results with their NBN data. processCard records every card it finishes (including cards
+// added later by infinite scroll); the export covers the ones still on the page, in page order.
+//   url, address, suburb, state, technology, match ('exact' | 'fuzzy' | 'proximity' | 'street' | 'suburb' or a
+//   lookup status), confidence, score (connection quality), premise (matched premise address), upgrade (its upgrade
+//   status), counts (suburb breakdown), total, dataDate, error (why a lookup failed)
+// The same records are what the public API returns and the events carry (see publicResult).
+export const resultRecords = new Map();
+
+// Events for other scripts, all CustomEvents that bubble, with plain-data detail:
+//   nbn:ready           on document once window.nbnUserscript is installed; detail { version }
+//   nbn:badge-rendered  from a card when its badge is drawn or redrawn; detail is the card's result
+//   nbn:lookup-failed   from a card whose suburb couldn't be resolved or downloaded; detail is the result, with error
+//   nbn:data-updated    on document when a suburb's data is refreshed and changed; detail as getSuburbSummary()
+export const NBN_EVENTS = {
+  ready: 'nbn:ready',
+  badgeRendered: 'nbn:badge-rendered',
+  lookupFailed: 'nbn:lookup-failed',
+  dataUpdated: 'nbn:data-updated'
+};
+
+export function emitEvent(target, name, detail) {
+  target.dispatchEvent(new CustomEvent(name, { detail: toPage(detail), bubbles: true }));
+}
+
+// Firefox userscript managers run the script in a sandbox, and page scripts can't read objects (or call functions)
+// created there. Event details and the public API are cloned into the page's window where cloneInto exists;
+// elsewhere they are handed over as they are.
+export const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+
+export function toPage(value) {
+  if (typeof cloneInto !== 'function' || value === null || typeof value !== 'object') return value;
+  return cloneInto(value, pageWindow, { cloneFunctions: true });
+}
+
+const LOOKUP_FAILURES = new Set(['not-found', 'ambiguous', 'state-unknown', 'failed']);
+
+export function listingUrl(card, adapter = SITE) {
+  for (const a of card.querySelectorAll('a[href]')) {
+    if (adapter.listingLinkPattern && adapter.listingLinkPattern.test(a.getAttribute('href'))) return a.href;
+  }
+  const first = card.querySelector('a[href]');
+  return first ? first.href : '';
+}
+
+export function makeResult(parsed, record) {
+  return {
+    url: '',
+    address: parsed.street || '',
+    suburb: parsed.suburb || '',
+    state: parsed.state || '',
+    technology: '',
+    match: '',
+    confidence: null,
+    score: null,
+    premise: null,
+    upgrade: null,
+    counts: {},
+    total: 0,
+    dataDate: null,
+    error: null,
+    ...record
+  };
+}
+
+// Plain-data copy of a result for other scripts: no Dates or shared objects, so it survives sandbox boundaries
+export function publicResult(result) {
+  return JSON.parse(JSON.stringify(result));
+}
+
+// Publish a card's outcome: its export row, data-nbn-* attributes on the card, and an nbn:badge-rendered or
+// nbn:lookup-failed event dispatched from the card
+export function recordResult(card, parsed, record) {
+  const result = makeResult(parsed, { url: listingUrl(card), ...record });
+  resultRecords.set(card, result);
+  const attributes = {
+    nbnMatch: result.match,
+    nbnSuburb: result.suburb,
+    nbnState: result.state,
+    nbnConfidence: result.confidence == null ? null : result.confidence.toFixed(2),
+    nbnUpgrade: result.upgrade,
+    nbnDataDate: result.dataDate ? result.dataDate.toISOString().slice(0, 10) : null
+  };
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value == null || value === '') delete card.dataset[name];
+    else card.dataset[name] = value;
+  }
+  const failed = LOOKUP_FAILURES.has(result.match);
+  emitEvent(card, failed ? NBN_EVENTS.lookupFailed : NBN_EVENTS.badgeRendered, publicResult(result));
+}
+
+function resultRows() {
+  return [...resultRecords.entries()]
+    .filter(([card]) => card.isConnected)
+    .sort((a, b) => Number(a[0].dataset.nbnOrder || 0) - Number(b[0].dataset.nbnOrder || 0))
+    .map(([, record]) => record);
+}
+
+// Text from listing pages could start a spreadsheet formula: such cells get a leading ' and are quoted
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  const formula = typeof value === 'string' && /^[=+\-@\t\r]/.test(text);
+  if (formula) text = `'${text}`;
+  return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function resultsToCsv(rows) {
+  const types = Object.keys(LEGEND);
+  const header = ['url', 'address', 'suburb', 'state', 'technology', 'match', 'confidence', 'quality_score', 'data_date', 'suburb_total',
+    ...types.map(t => `suburb_${t.replace(/\W+/g, '_')}`)];
+  const lines = [header.join(',')];
+  for (const r of rows) {
+    lines.push([
+      r.url, r.address, r.suburb, r.state, r.technology, r.match,
+      r.confidence == null ? '' : r.confidence.toFixed(2),
+      r.score == null ? '' : r.score,
+      r.dataDate ? r.dataDate.toISOString().slice(0, 10) : '',
+      r.total,
+      ...types.map(t => r.counts[t] || 0)
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function exportResults(format) {
+  const rows = resultRows();
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    downloadFile(`nbn-results-${stamp}.csv`, resultsToCsv(rows), 'text/csv');
+  } else {
+    const data = { page: location.href, exportedAt: new Date().toISOString(), results: rows };
+    downloadFile(`nbn-results-${stamp}.json`, JSON.stringify(data, null, 2));
+  }
+  return rows.length;
+}
+
+export function makeExportControls() {
+  const controls = document.createElement('div');
+  controls.className = 'nbn-export-controls';
+  controls.appendChild(document.createTextNode('Export results:'));
+  for (const [format, text] of [['csv', 'CSV'], ['json', 'JSON']]) {
+    const link = document.createElement('button');
+    link.type = 'button';
+    link.className = 'small-link';
+    link.textContent = text;
+    link.addEventListener('click', () => {
+      const n = exportResults(format);
+      link.title = `${n} listing${n === 1 ? '' : 's'} exported`;
+    });
+    controls.appendChild(link);
+  }
+  return controls;
+}
@@ -0,0 +1,146 @@
+// Fetch scheduling, retries and navigation tracking
+import { settings } from './settings.js';
+import { onNavigated } from './cards.js';
+
+// Fetch scheduler: a priority queue with a concurrency limit.
+// Each job has one or more priority callbacks (lower runs first), evaluated when a slot frees up so cards
+// scrolled into view overtake off-screen ones. A callback returns null once its requester no longer wants the
+// result (e.g. the card left the page); a queued job nobody wants any more is dropped. Jobs are tied to an AbortSignal: when it aborts (the user
+// navigated away) queued jobs are dropped and running ones see the signal.
+export const FETCH_TIMEOUT_MS = 15000;
+export const FETCH_MAX_RETRIES = 3;
+export const FETCH_BACKOFF_BASE_MS = 1000;
+let active = 0;
+const queue = [];
+let navigation = new AbortController();
+let lastHref = location.href;
+
+export function abortError() {
+  const err = new Error('NBN lookup cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+export function enqueue(fn, { priority = () => 0, signal = navigation.signal } = {}) {
+  const item = { fn, priorities: [priority], signal };
+  const promise = new Promise((resolve, reject) => {
+    item.resolve = resolve;
+    item.reject = reject;
+    if (signal.aborted) return reject(abortError());
+    signal.addEventListener('abort', () => {
+      const i = queue.indexOf(item);
+      if (i !== -1) {
+        queue.splice(i, 1);
+        reject(abortError());
+      }
+    }, { once: true });
+    queue.push(item);
+    processQueue();
+  });
+  promise.job = item;
+  return promise;
+}
+
+// Lowest priority among the job's requesters, or null when none of them wants it any more
+function jobPriority(item) {
+  const wanted = item.priorities.map(p => {
+    try { return p(); } catch (e) { return Infinity; }
+  }).filter(p => p !== null);
+  return wanted.length ? Math.min(...wanted) : null;
+}
+
+export function processQueue() {
+  for (let i = queue.length - 1; i >= 0; i--) {
+    if (jobPriority(queue[i]) === null) queue.splice(i, 1)[0].reject(abortError());
+  }
+  while (active < settings.maxConcurrentFetches && queue.length) {
+    let next = 0;
+    let best = Infinity;
+    queue.forEach((item, i) => {
+      const p = jobPriority(item);
+      if (p < best) { best = p; next = i; }
+    });
+    const [item] = queue.splice(next, 1);
+    active++;
+    item.fn(item.signal).then(item.resolve, item.reject).finally(() => {
+      active--;
+      processQueue();
+    });
+  }
+}
+
+// Distance in px from the viewport (0 when visible); detached elements sort last
+export function viewportDistance(el) {
+  if (!el || !el.isConnected) return Infinity;
+  const rect = el.getBoundingClientRect();
+  if (rect.bottom < 0) return -rect.bottom;
+  if (rect.top > window.innerHeight) return rect.top - window.innerHeight;
+  return 0;
+}
+
+// Cancel outstanding lookups and rescan when the page URL changes (client-side navigation to another search page)
+export function checkNavigation() {
+  if (location.href === lastHref) return;
+  lastHref = location.href;
+  navigation.abort();
+  navigation = new AbortController();
+  onNavigated();
+}
+
+// SPA route changes go through the History API. Wrapping it catches them immediately where the userscript shares
+// the page's history object; the poll covers sandboxes where it doesn't.
+const NAVIGATION_POLL_MS = 1000;
+export function watchNavigation() {
+  window.addEventListener('popstate', checkNavigation);
+  window.addEventListener('hashchange', checkNavigation);
+  window.addEventListener('pagehide', () => navigation.abort());
+  for (const method of ['pushState', 'replaceState']) {
+    try {
+      const original = history[method];
+      history[method] = function (...args) {
+        const result = original.apply(this, args);
+        setTimeout(checkNavigation, 0);
+        return result;
+      };
+    } catch (e) { /* not writable here; the poll still notices */ }
+  }
+  setInterval(checkNavigation, NAVIGATION_POLL_MS);
+}
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms);
+  if (signal) signal.addEventListener('abort', () => { clearTimeout(t); reject(abortError()); }, { once: true });
+});
+
+// fetch() with a per-attempt timeout and exponential backoff on 429, 5xx and network errors.
+// 4xx other than 429 are returned as-is (a missing suburb file isn't worth retrying).
+export async function fetchWithRetry(url, { signal, cache } = {}) {
+  let lastErr = null;
+  for (let attempt = 0; attempt <= FETCH_MAX_RETRIES; attempt++) {
+    if (signal && signal.aborted) throw abortError();
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => { timedOut = true; controller.abort(); }, FETCH_TIMEOUT_MS);
+    let retryAfterMs = 0;
+    try {
+      const res = await fetch(url, cache ? { signal: controller.signal, cache } : { signal: controller.signal });
+      if (res.status !== 429 && res.status < 500) return res;
+      lastErr = new Error(`HTTP ${res.status} for ${url}`);
+      const retryAfter = Number(res.headers && res.headers.get('Retry-After'));
+      if (retryAfter > 0) retryAfterMs = retryAfter * 1000;
+    } catch (err) {
+      if (signal && signal.aborted) throw abortError();
+      lastErr = timedOut ? new Error(`Timed out after ${FETCH_TIMEOUT_MS / 1000}s: ${url}`) : err;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+    if (attempt < FETCH_MAX_RETRIES) {
+      const backoff = FETCH_BACKOFF_BASE_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      await sleep(Math.max(backoff, retryAfterMs), signal);
+    }
+  }
+  throw lastErr;
+}
@@ -0,0 +1,188 @@
+// GeoJSON schema: technology and upgrade properties, validation and summaries
+import { LEGEND } from './config.js';
+import { settings } from './settings.js';
+import { DIGEST_TYPE_KEY } from './suburb-cache.js';
+import { featureAddress, featureLatLng } from './address.js';
+
+// Summarize geojson features into counts per known type, and derive top types and sample addresses
+export function summarizeGeoJSON(geojson) {
+  if (!geojson || !Array.isArray(geojson.features)) return { counts: {}, examples: {}, total: 0 };
+  return summarizeFeatures(geojson.features);
+}
+
+// Upstream schema: per-suburb files from LukePrior/nbn-upgrade-map are FeatureCollections of Point features with
+// these properties. settings.propertyMapping says where the address and technology live; validateGeoJSON() reports
+// anything that doesn't fit so a format change upstream shows up as a warning rather than as odd badges.
+export const UPSTREAM_SCHEMA = {
+  properties: ['name', 'locID', 'tech', 'upgrade', 'gnaf_pid', 'tech_change_status', 'program_type', 'target_eligibility_quarter'],
+  technologies: ['FTTP', 'FTTN', 'FTTC', 'FTTB', 'HFC', 'WIRELESS', 'SATELLITE']
+};
+
+// Technology values (lowercased) -> LEGEND key. Acronyms are also recognised as whole words inside longer values.
+export const TECHNOLOGY_ALIASES = {
+  'fttp': 'FTTP', 'fibre to the premises': 'FTTP', 'fiber to the premises': 'FTTP',
+  'fttn': 'FTTN', 'fibre to the node': 'FTTN', 'fiber to the node': 'FTTN',
+  'fttc': 'FTTC', 'fibre to the curb': 'FTTC', 'fibre to the kerb': 'FTTC', 'fiber to the curb': 'FTTC',
+  'fttb': 'FTTB', 'fibre to the building': 'FTTB', 'fiber to the building': 'FTTB',
+  'hfc': 'HFC', 'hybrid fibre coaxial': 'HFC', 'hybrid fiber coaxial': 'HFC',
+  'wireless': 'Fixed Wireless', 'fixed wireless': 'Fixed Wireless', 'fixedwireless': 'Fixed Wireless', 'fw': 'Fixed Wireless',
+  'satellite': 'Satellite', 'sat': 'Satellite', 'sky muster': 'Satellite',
+  'non nbn': 'Non-NBN', 'no nbn': 'Non-NBN', 'not nbn': 'Non-NBN', 'none': 'Non-NBN', 'unknown': 'Non-NBN'
+};
+export const TECHNOLOGY_ACRONYM_RE = /\b(fttp|fttn|fttc|fttb|hfc)\b/;
+
+// Raw technology value of a feature from the first mapped technology property, or null
+export function featureTechnologyValue(props) {
+  for (const key of settings.propertyMapping.technology) {
+    const v = props[key];
+    if (v == null || v === '') continue;
+    return Array.isArray(v) ? v.join(', ') : String(v);
+  }
+  return null;
+}
+
+// Technology of a single feature, normalized to a LEGEND key when possible
+export function featureType(feature) {
+  const props = (feature && feature.properties) || {};
+  if (props[DIGEST_TYPE_KEY]) return props[DIGEST_TYPE_KEY];
+  return normalizeTypeString(featureTechnologyValue(props));
+}
+
+// Check a suburb file against UPSTREAM_SCHEMA and the property mapping. Returns
+//   { warnings: [text], unexpected: [property], unmapped: { value: count }, missing: { address, technology } }
+export function validateGeoJSON(geojson) {
+  const report = { warnings: [], unexpected: [], unmapped: {}, missing: { address: 0, technology: 0 } };
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    report.warnings.push('Not a GeoJSON FeatureCollection.');
+    return report;
+  }
+  const known = new Set([...UPSTREAM_SCHEMA.properties, ...settings.propertyMapping.address, ...settings.propertyMapping.technology]);
+  const unexpected = new Set();
+  for (const f of geojson.features) {
+    const props = (f && f.properties) || {};
+    for (const k of Object.keys(props)) {
+      if (!known.has(k) && !UPGRADE_PROPERTY_PATTERN.test(k)) unexpected.add(k);
+    }
+    if (!featureAddress(props)) report.missing.address++;
+    const raw = featureTechnologyValue(props);
+    if (raw == null) report.missing.technology++;
+    else if (!LEGEND[normalizeTypeString(raw)]) report.unmapped[raw] = (report.unmapped[raw] || 0) + 1;
+  }
+  report.unexpected = [...unexpected].sort();
+  const total = geojson.features.length;
+  if (report.unexpected.length) {
+    report.warnings.push(`Unexpected properties: ${report.unexpected.slice(0, 8).join(', ')}${report.unexpected.length > 8 ? '…' : ''}.`);
+  }
+  for (const field of ['address', 'technology']) {
+    if (report.missing[field]) {
+      report.warnings.push(`${report.missing[field]} of ${total} features have no ${field} (looked for ${settings.propertyMapping[field].join(', ')}).`);
+    }
+  }
+  const unmapped = Object.entries(report.unmapped).sort((a, b) => b[1] - a[1]);
+  if (unmapped.length) {
+    report.warnings.push(`Unrecognised technology values: ${unmapped.slice(0, 5).map(([v, n]) => `"${v}" (${n})`).join(', ')}.`);
+  }
+  return report;
+}
+
+// Upgrade outlook of a premise, from whichever upgrade attributes the file carries:
+//   status       'eligible' (can order the upgrade now), 'planned', 'not-eligible' or 'unknown'
+//   target       technology it would be upgraded to, e.g. 'FTTP'
+//   date         planned / target eligibility date as given (e.g. 'Jun 2025')
+//   program, serviceClass   passed through when present
+// The upstream files use `upgrade` codes such as FTTP_SA / FTTP_NA / NULL_NA plus tech_change_status,
+// program_type and target_eligibility_quarter; anything unrecognised leaves the field unknown.
+export const UPGRADE_STATUSES = ['eligible', 'planned', 'not-eligible', 'unknown'];
+export const UPGRADE_STATUS_LABELS = { eligible: 'eligible', planned: 'planned', 'not-eligible': 'not eligible', unknown: 'unknown' };
+
+export function featureUpgrade(feature) {
+  const props = (feature && feature.properties) || {};
+  const upgrade = { status: 'unknown', target: null, date: null, program: null, serviceClass: null };
+  const text = (v) => (v == null || v === '' ? null : String(v).trim());
+
+  const code = text(props.upgrade);
+  if (code) {
+    const m = code.match(/^([a-z ]+?)[_ -]([a-z]{2})$/i);
+    if (m) {
+      if (!/^(null|none)$/i.test(m[1])) upgrade.target = normalizeTypeString(m[1]);
+      upgrade.status = /^na$/i.test(m[2]) || !upgrade.target ? 'not-eligible' : 'eligible';
+    } else if (/^(true|yes|eligible)$/i.test(code)) {
+      upgrade.status = 'eligible';
+    } else if (/^(false|no|not eligible|none)$/i.test(code)) {
+      upgrade.status = 'not-eligible';
+    }
+  }
+  for (const k of ['upgrade_eligible', 'eligible', 'fttp_eligible']) {
+    if (typeof props[k] === 'boolean' && upgrade.status === 'unknown') upgrade.status = props[k] ? 'eligible' : 'not-eligible';
+  }
+
+  const changeStatus = text(props.tech_change_status || props.upgrade_status);
+  if (changeStatus) {
+    if (/eligible to order|available|complete/i.test(changeStatus)) upgrade.status = 'eligible';
+    else if (/not (planned|eligible)|ineligible|excluded/i.test(changeStatus)) upgrade.status = 'not-eligible';
+    else if (upgrade.status !== 'eligible') upgrade.status = 'planned';
+  }
+
+  upgrade.target = upgrade.target || (text(props.target_technology || props.upgrade_technology) && normalizeTypeString(props.target_technology || props.upgrade_technology));
+  upgrade.date = text(props.target_eligibility_quarter || props.target_eligibility_date || props.planned_date || props.upgrade_date);
+  upgrade.program = text(props.program_type || props.program);
+  upgrade.serviceClass = text(props.service_class || props.serviceClass);
+  if (upgrade.status === 'unknown' && upgrade.date) upgrade.status = 'planned';
+  return upgrade;
+}
+
+// "eligible for FTTP upgrade", "FTTP upgrade planned (Jun 2025)", "not eligible for upgrade"
+export function describeUpgrade(upgrade) {
+  if (!upgrade || upgrade.status === 'unknown') return '';
+  const target = upgrade.target ? `${upgrade.target} ` : '';
+  if (upgrade.status === 'eligible') return `eligible for ${target}upgrade`;
+  if (upgrade.status === 'planned') return `${target}upgrade planned${upgrade.date ? ` (${upgrade.date})` : ''}`;
+  return 'not eligible for upgrade';
+}
+
+// Summarize any list of features (a suburb, a street, a radius) into counts per type and sample addresses.
+// upgrades[type] counts premises of that type by upgrade status (FTTP premises have nothing to upgrade to);
+// upgradeTargets[type] counts the technologies they'd be upgraded to.
+export function summarizeFeatures(features) {
+  const counts = {};
+  const examples = {};
+  const upgrades = {};
+  const upgradeTargets = {};
+  for (const f of features || []) {
+    const props = f.properties || {};
+    const type = featureType(f);
+
+    counts[type] = (counts[type] || 0) + 1;
+    if (type !== 'FTTP') {
+      const upgrade = featureUpgrade(f);
+      upgrades[type] = upgrades[type] || { eligible: 0, planned: 0, 'not-eligible': 0, unknown: 0 };
+      upgrades[type][upgrade.status]++;
+      if (upgrade.target && upgrade.status !== 'not-eligible') {
+        upgradeTargets[type] = upgradeTargets[type] || {};
+        upgradeTargets[type][upgrade.target] = (upgradeTargets[type][upgrade.target] || 0) + 1;
+      }
+    }
+    if (!examples[type]) {
+      // attempt to get address text, else say where the premise is
+      const address = featureAddress(props);
+      const pos = address ? null : featureLatLng(f);
+      examples[type] = address || (pos ? `unnamed premise at ${pos[0].toFixed(5)}, ${pos[1].toFixed(5)}` : '');
+    }
+  }
+  const total = Object.values(counts).reduce((s, v) => s + v, 0);
+  return { counts, examples, total, upgrades, upgradeTargets };
+}
+
+// Normalize type strings into keys that match LEGEND; unrecognised values are returned as given
+// (validateGeoJSON reports them)
+export function normalizeTypeString(s) {
+  if (!s) return 'Non-NBN';
+  const t = String(s).toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim().replace(/^nbn /, '');
+  if (TECHNOLOGY_ALIASES[t]) return TECHNOLOGY_ALIASES[t];
+  const acronym = t.match(TECHNOLOGY_ACRONYM_RE);
+  if (acronym) return TECHNOLOGY_ALIASES[acronym[1]];
+  return String(s).trim();
+}
+
+// Property names that carry upgrade details (eligibility, target technology, planned date, program)
+export const UPGRADE_PROPERTY_PATTERN = /upgrade|eligib|program|target|tech_change|planned|quarter|service_?class/i;
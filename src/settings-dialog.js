@@ -0,0 +1,198 @@
+// Settings dialog
+import { DEFAULT_SETTINGS, LEGEND, NUMERIC_SETTINGS, PALETTES, QUALITY_MODEL, SETTINGS_KEY } from './config.js';
+import {
+  applyLegendColors, formatProviderLines, formatQualityLines, parseProviderLines, parseQualityLines, settings,
+  storageSet, validateSettings
+} from './settings.js';
+import { idbClear } from './db.js';
+import { processQueue } from './scheduler.js';
+import { resetSuburbIndex } from './suburbs.js';
+import { memoryCache } from './suburb-cache.js';
+import { stopWorker } from './worker.js';
+import { ensureLegend, updateDetectionStatus } from './legend.js';
+import { openDialog } from './dialog.js';
+
+// Settings dialog: edits DEFAULT_SETTINGS overrides, validates them and applies them without a reload
+export function openSettingsDialog() {
+  document.querySelectorAll('.nbn-settings').forEach(n => n.remove());
+  const dialog = document.createElement('div');
+  dialog.className = 'nbn-settings';
+  const form = document.createElement('form');
+  const heading = document.createElement('div');
+  heading.id = 'nbn-settings-title';
+  heading.style.fontWeight = '700';
+  heading.textContent = 'NBN badge settings';
+  form.appendChild(heading);
+
+  const addField = (labelText, input) => {
+    const row = document.createElement('label');
+    row.className = 'field';
+    const span = document.createElement('span');
+    span.textContent = labelText;
+    row.appendChild(span);
+    row.appendChild(input);
+    form.appendChild(row);
+    return input;
+  };
+
+  const base = document.createElement('input');
+  base.type = 'url';
+  base.value = settings.repoRawBase;
+  addField('GitHub results folder URL', base);
+
+  const providers = document.createElement('textarea');
+  providers.rows = 3;
+  providers.value = formatProviderLines(settings.providers);
+  providers.title = 'One per line, highest priority first: github | pinned <commit> | template <url with {STATE} and {slug}>';
+  addField('Data sources (in priority order)', providers);
+
+  const suburbIndex = document.createElement('input');
+  suburbIndex.type = 'url';
+  suburbIndex.value = settings.suburbIndexUrl;
+  suburbIndex.placeholder = 'empty = guess filenames';
+  addField('Suburb index URL', suburbIndex);
+
+  // property mapping: comma-separated property names, tried in order
+  const mappingInputs = {};
+  for (const [field, label] of [['address', 'Address properties'], ['technology', 'Technology properties']]) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = settings.propertyMapping[field].join(', ');
+    input.title = 'Comma-separated GeoJSON property names, tried in order';
+    mappingInputs[field] = addField(label, input);
+  }
+
+  const numbers = {};
+  for (const [key, rule] of Object.entries(NUMERIC_SETTINGS)) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(rule.min);
+    input.max = String(rule.max);
+    input.step = rule.integer ? '1' : 'any';
+    input.value = String(settings[key]);
+    numbers[key] = addField(rule.label, input);
+  }
+
+  const palette = document.createElement('select');
+  for (const [value, text] of [['default', 'Default'], ['colorblind', 'Colour-blind safe (Okabe-Ito)']]) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    palette.appendChild(opt);
+  }
+  palette.value = settings.palette;
+  addField('Badge palette', palette);
+
+  const qualityToggle = document.createElement('input');
+  qualityToggle.type = 'checkbox';
+  qualityToggle.checked = settings.qualityScore;
+  addField('Show connection-quality score', qualityToggle);
+
+  const qualityModel = document.createElement('textarea');
+  qualityModel.rows = 4;
+  qualityModel.value = formatQualityLines({ ...QUALITY_MODEL, ...settings.qualityModel });
+  qualityModel.title = 'One technology per line: "FTTN: 45; 12-100 / 1-40" = score 0-100; download range / upload range in Mbps';
+  addField('Quality model (score; down / up Mbps)', qualityModel);
+
+  const workerToggle = document.createElement('input');
+  workerToggle.type = 'checkbox';
+  workerToggle.checked = settings.useWorker;
+  addField('Parse suburb files in a background worker', workerToggle);
+
+  // colour pickers start from the palette; only colours that differ from it are saved as overrides
+  const colorInputs = {};
+  const paletteColor = (type) => (PALETTES[palette.value] || PALETTES.default)[type];
+  for (const [type, entry] of Object.entries(LEGEND)) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = entry.color;
+    colorInputs[type] = addField(`${entry.label} colour`, input);
+  }
+  palette.addEventListener('change', () => {
+    for (const [type, input] of Object.entries(colorInputs)) input.value = paletteColor(type);
+  });
+
+  const errorBox = document.createElement('div');
+  errorBox.className = 'errors';
+  form.appendChild(errorBox);
+
+  const actions = document.createElement('div');
+  actions.className = 'actions';
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.textContent = 'Save';
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.textContent = 'Reset to defaults';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.textContent = 'Cancel';
+  actions.appendChild(save);
+  actions.appendChild(reset);
+  actions.appendChild(cancel);
+  form.appendChild(actions);
+
+  cancel.addEventListener('click', () => close());
+  reset.addEventListener('click', () => {
+    saveSettings({ ...DEFAULT_SETTINGS, colors: {} });
+    close();
+  });
+  form.addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    const candidate = {
+      repoRawBase: base.value,
+      suburbIndexUrl: suburbIndex.value,
+      palette: palette.value,
+      colors: {},
+      providers: parseProviderLines(providers.value),
+      propertyMapping: {},
+      qualityScore: qualityToggle.checked,
+      qualityModel: parseQualityLines(qualityModel.value),
+      useWorker: workerToggle.checked
+    };
+    for (const [field, input] of Object.entries(mappingInputs)) candidate.propertyMapping[field] = input.value.split(',');
+    for (const [key, input] of Object.entries(numbers)) candidate[key] = input.value === '' ? NaN : Number(input.value);
+    for (const [type, input] of Object.entries(colorInputs)) {
+      if (input.value.toLowerCase() !== paletteColor(type)) candidate.colors[type] = input.value;
+    }
+    const { settings: valid, errors } = validateSettings(candidate);
+    if (errors.length) {
+      errorBox.textContent = errors.join(' ');
+      return;
+    }
+    saveSettings(valid);
+    close();
+  });
+
+  dialog.appendChild(form);
+  const close = openDialog(dialog, { title: heading });
+}
+
+// Persist new settings and apply them to the running page
+function saveSettings(next) {
+  const mappingChanged = JSON.stringify(next.propertyMapping) !== JSON.stringify(settings.propertyMapping);
+  Object.assign(settings, next);
+  storageSet(SETTINGS_KEY, settings);
+  applyLegendColors();
+  // recolour existing badges and rebuild the legend with the new colours
+  document.querySelectorAll('.nbn-badge[data-type]').forEach(b => {
+    const entry = LEGEND[b.dataset.type];
+    if (entry) b.style.background = entry.color;
+  });
+  const legend = document.querySelector('.nbn-legend');
+  if (legend) {
+    legend.remove();
+    ensureLegend();
+    updateDetectionStatus();
+  }
+  // the suburb index URL may have changed
+  resetSuburbIndex();
+  // cached digests were built with the old property mapping; drop them so suburbs are re-read with the new one
+  if (mappingChanged) {
+    memoryCache.clear();
+    idbClear().catch(e => console.warn('NBN cache clear error', e));
+  }
+  if (!settings.useWorker) stopWorker();
+  // a higher concurrency limit can start queued downloads straight away
+  processQueue();
+}
@@ -0,0 +1,217 @@
+// Settings: storage, data-source providers, validation and the live `settings` object
+import { DEFAULT_SETTINGS, LEGEND, NUMERIC_SETTINGS, PALETTES, SETTINGS_KEY } from './config.js';
+import { candidateFilenames, toRepoSlug } from './suburbs.js';
+
+// Persistent storage: GM storage when the userscript manager grants it, localStorage otherwise
+export function storageGet(key, fallback) {
+  try {
+    const raw = typeof GM_getValue === 'function' ? GM_getValue(key, null) : localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    console.warn('NBN storage read error', e);
+    return fallback;
+  }
+}
+export function storageSet(key, value) {
+  try {
+    const raw = JSON.stringify(value);
+    if (typeof GM_setValue === 'function') GM_setValue(key, raw);
+    else localStorage.setItem(key, raw);
+  } catch (e) {
+    console.warn('NBN storage write error', e);
+  }
+}
+
+// Data-source providers. A provider turns a suburb into candidate URLs, parses what comes back and reports
+// freshness metadata. fetchSuburbGeoJSON tries the configured providers in priority order and fails over
+// to the next one when a provider has no file for the suburb or is unreachable.
+//   id                         stable identifier, stored with cached entries
+//   name                       shown in the popup and settings
+//   urls(suburb, state, file)  candidate URLs, most likely first; `file` is the suburb's path in the dataset
+//                              ("QLD/chermside.geojson", see indexedFilename) or null when it isn't known
+//   parse(text, url)           parsed GeoJSON (throws on anything else)
+//   freshness(data, res)       { generatedAt, etag, lastModified }
+// Self-hosted mirrors must send CORS headers, since requests are made with the page's fetch.
+export const PROVIDER_TYPES = {
+  // the upstream repo (or a mirror of its results folder) via the base URL in settings
+  github: () => repoProvider('github', 'LukePrior/nbn-upgrade-map', settings.repoRawBase),
+  // the upstream repo frozen at a commit, for reproducible results
+  pinned: (cfg) => repoProvider(`pinned:${cfg.commit}`, `nbn-upgrade-map @ ${cfg.commit.slice(0, 7)}`,
+    `https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/${cfg.commit}/results`),
+  // any server laid out by state and suburb, e.g. "http://localhost:8000/{STATE}/{slug}.geojson"
+  template: (cfg) => ({
+    id: `template:${cfg.template}`,
+    name: cfg.template.replace(/^https?:\/\//, ''),
+    urls: (suburb, state) => [fillProviderTemplate(cfg.template, suburb, state)],
+    parse: parseGeoJSONText,
+    freshness: responseFreshness
+  })
+};
+
+function repoProvider(id, name, base) {
+  return {
+    id,
+    name,
+    urls: (suburb, state, file) => (file ? [file] : candidateFilenames(suburb, state)).map(p => `${base}/${p}`),
+    parse: parseGeoJSONText,
+    freshness: responseFreshness
+  };
+}
+
+// Placeholders: {STATE} (QLD), {state} (qld), {slug} (acacia-ridge), {suburb} (URL-encoded display name)
+function fillProviderTemplate(template, suburb, state) {
+  return template
+    .replace(/\{STATE\}/g, encodeURIComponent((state || '').toUpperCase()))
+    .replace(/\{state\}/g, encodeURIComponent((state || '').toLowerCase()))
+    .replace(/\{slug\}/g, encodeURIComponent(toRepoSlug(suburb)))
+    .replace(/\{suburb\}/g, encodeURIComponent(suburb || ''));
+}
+
+export function parseGeoJSONText(text, url) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.features)) throw new Error(`Not a GeoJSON FeatureCollection: ${url}`);
+  return data;
+}
+
+export function responseFreshness(data, res) {
+  return {
+    generatedAt: data.generated || data.generated_at || null,
+    etag: (res && res.headers && res.headers.get('ETag')) || null,
+    lastModified: (res && res.headers && res.headers.get('Last-Modified')) || null
+  };
+}
+
+// Returns an error message for a bad provider config, or null
+function validateProviderConfig(cfg) {
+  if (!cfg || !PROVIDER_TYPES[cfg.type]) return `Unknown data source type "${cfg && cfg.type}".`;
+  if (cfg.type === 'pinned' && !/^[0-9a-f]{7,40}$/i.test(cfg.commit || '')) return 'Pinned data source needs a git commit hash.';
+  if (cfg.type === 'template') {
+    if (!/^https?:\/\/\S+$/.test(cfg.template || '')) return 'Template data source must be an http(s) URL.';
+    if (!/\{(slug|suburb)\}/.test(cfg.template)) return 'Template data source must contain {slug} or {suburb}.';
+  }
+  return null;
+}
+
+// One provider per line in the settings dialog: "github", "pinned <commit>" or "template <url>"
+export function parseProviderLines(text) {
+  return String(text || '').split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+    const [type, ...rest] = line.split(/\s+/);
+    const arg = rest.join(' ');
+    if (type === 'pinned') return { type, commit: arg };
+    if (type === 'template') return { type, template: arg };
+    return { type };
+  });
+}
+export function formatProviderLines(providers) {
+  return providers.map(p => p.type === 'pinned' ? `pinned ${p.commit}` : p.type === 'template' ? `template ${p.template}` : p.type).join('\n');
+}
+
+// One technology per line in the settings dialog: "FTTN: 45; 12-100 / 1-40" (score; down / up Mbps)
+export function parseQualityLines(text) {
+  const model = {};
+  for (const line of String(text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+    const m = line.match(/^(.+?)\s*:\s*([\d.]+)\s*(?:;\s*([\d.]+)\s*-\s*([\d.]+)\s*\/\s*([\d.]+)\s*-\s*([\d.]+))?$/);
+    if (!m) {
+      model[line] = null;
+      continue;
+    }
+    model[m[1]] = {
+      score: Number(m[2]),
+      down: m[3] ? [Number(m[3]), Number(m[4])] : null,
+      up: m[5] ? [Number(m[5]), Number(m[6])] : null
+    };
+  }
+  return model;
+}
+export function formatQualityLines(model) {
+  return Object.entries(model).map(([type, q]) =>
+    `${type}: ${q.score}${q.down && q.up ? `; ${q.down[0]}-${q.down[1]} / ${q.up[0]}-${q.up[1]}` : ''}`).join('\n');
+}
+
+export function getProviders() {
+  return settings.providers.map(cfg => PROVIDER_TYPES[cfg.type](cfg));
+}
+
+// Check a settings object; returns { settings, errors } with invalid fields reset to their defaults
+export function validateSettings(input) {
+  const errors = [];
+  const out = { ...DEFAULT_SETTINGS, colors: {} };
+  const src = input && typeof input === 'object' ? input : {};
+  for (const [key, rule] of Object.entries(NUMERIC_SETTINGS)) {
+    if (src[key] === undefined) continue;
+    const n = Number(src[key]);
+    if (!isFinite(n) || n < rule.min || n > rule.max || (rule.integer && !Number.isInteger(n))) {
+      errors.push(`${rule.label} must be ${rule.integer ? 'a whole number' : 'a number'} between ${rule.min} and ${rule.max}.`);
+    } else {
+      out[key] = n;
+    }
+  }
+  if (src.repoRawBase !== undefined) {
+    const base = String(src.repoRawBase).trim().replace(/\/+$/, '');
+    if (/^https?:\/\/[^\s/]+/.test(base)) out.repoRawBase = base;
+    else errors.push('Data source must be an http(s) URL.');
+  }
+  if (src.suburbIndexUrl !== undefined) {
+    const url = String(src.suburbIndexUrl).trim();
+    if (!url || /^https?:\/\/\S+$/.test(url)) out.suburbIndexUrl = url;
+    else errors.push('Suburb index must be an http(s) URL (or empty to disable it).');
+  }
+  if (src.palette !== undefined) {
+    if (PALETTES[src.palette]) out.palette = src.palette;
+    else errors.push(`Unknown palette "${src.palette}".`);
+  }
+  if (src.providers !== undefined) {
+    const providers = Array.isArray(src.providers) ? src.providers : [];
+    const problems = providers.map(validateProviderConfig).filter(Boolean);
+    if (!providers.length) errors.push('At least one data source is required.');
+    else if (problems.length) errors.push(...problems);
+    else out.providers = providers.map(p => ({ ...p }));
+  }
+  if (src.qualityScore !== undefined) out.qualityScore = !!src.qualityScore;
+  if (src.useWorker !== undefined) out.useWorker = !!src.useWorker;
+  if (src.qualityModel !== undefined) {
+    const model = src.qualityModel && typeof src.qualityModel === 'object' ? src.qualityModel : {};
+    const validRange = (r) => r === null || (Array.isArray(r) && r.length === 2 && r.every(n => isFinite(n) && n >= 0) && r[0] <= r[1]);
+    const problems = [];
+    for (const [type, q] of Object.entries(model)) {
+      if (!LEGEND[type]) problems.push(`Quality model: unknown technology "${type}".`);
+      else if (!q || !isFinite(q.score) || q.score < 0 || q.score > 100) problems.push(`Quality model: ${type} needs a score from 0 to 100.`);
+      else if (!validRange(q.down || null) || !validRange(q.up || null)) problems.push(`Quality model: ${type} has an invalid speed range.`);
+    }
+    if (problems.length) errors.push(...problems);
+    else out.qualityModel = Object.fromEntries(Object.entries(model).map(([type, q]) => [type, { score: Number(q.score), down: q.down || null, up: q.up || null }]));
+  }
+  if (src.propertyMapping !== undefined) {
+    const mapping = src.propertyMapping && typeof src.propertyMapping === 'object' ? src.propertyMapping : {};
+    const next = {};
+    for (const field of Object.keys(DEFAULT_SETTINGS.propertyMapping)) {
+      const names = Array.isArray(mapping[field]) ? mapping[field].map(n => String(n).trim()).filter(Boolean) : [];
+      if (!names.length) errors.push(`At least one ${field} property is required.`);
+      else if (names.some(n => !/^[\w.:-]+$/.test(n))) errors.push(`Invalid ${field} property name.`);
+      else next[field] = names;
+    }
+    if (Object.keys(next).length === Object.keys(DEFAULT_SETTINGS.propertyMapping).length) out.propertyMapping = next;
+  }
+  for (const [type, color] of Object.entries(src.colors || {})) {
+    if (LEGEND[type] && /^#[0-9a-f]{6}$/i.test(color)) out.colors[type] = color.toLowerCase();
+    else errors.push(`Invalid colour for ${type}.`);
+  }
+  return { settings: out, errors };
+}
+
+function loadSettings() {
+  const { settings: loaded, errors } = validateSettings(storageGet(SETTINGS_KEY, {}));
+  if (errors.length) console.warn('NBN settings: ignoring invalid values', errors);
+  return loaded;
+}
+
+export const settings = loadSettings();
+applyLegendColors();
+
+// Copy the active palette (plus per-type overrides) into LEGEND
+export function applyLegendColors() {
+  const palette = PALETTES[settings.palette] || PALETTES.default;
+  for (const [type, entry] of Object.entries(LEGEND)) {
+    entry.color = settings.colors[type] || palette[type] || PALETTES.default[type];
+  }
+}
@@ -0,0 +1,185 @@
+// Shortlist of starred listings
+import { SHORTLIST_STORE } from './config.js';
+import { settings } from './settings.js';
+import { idbDelete, idbEntries, idbSet } from './db.js';
+import { toRepoSlug } from './suburbs.js';
+import { cachedDigest, digestDate, memoryCache, rememberSuburb, suburbAddressIndex } from './suburb-cache.js';
+import { featureAddress, matchListingAddressToFeature, summarizeStreet } from './address.js';
+import { featureType, featureUpgrade } from './schema.js';
+import { formatAge } from './cache-manager.js';
+import { estimateQuality, selectPrimaryType } from './quality.js';
+import { makeCloseButton, openDialog } from './dialog.js';
+
+// Shortlist: listings starred from their badge popup, kept in SHORTLIST_STORE keyed by listing URL:
+//   url, address, suburb, state, technology, match, confidence, dataDate, savedAt, checkedAt
+//   latLng     the listing's coordinates, if it had any: re-checks find the same nearby premise without an address
+//   changedFrom, changedAt   set when a later check classifies the listing differently
+// On each visit shortlisted listings are re-checked against the cached suburb data (no downloads), and again
+// whenever one of them shows up in the results.
+let shortlistPromise = null;
+
+export function loadShortlist() {
+  if (!shortlistPromise) {
+    shortlistPromise = idbEntries(SHORTLIST_STORE)
+      .then(entries => new Map(entries.map(e => [e.key, e.value])))
+      .catch(e => {
+        console.warn('NBN shortlist read error', e);
+        return new Map();
+      });
+  }
+  return shortlistPromise;
+}
+
+export async function saveShortlistItem(item) {
+  const list = await loadShortlist();
+  list.set(item.url, item);
+  try { await idbSet(item.url, item, SHORTLIST_STORE); } catch (e) { console.warn('NBN shortlist write error', e); }
+  updateShortlistLink();
+  return item;
+}
+
+export async function removeShortlistItem(url) {
+  const list = await loadShortlist();
+  list.delete(url);
+  try { await idbDelete(url, SHORTLIST_STORE); } catch (e) { console.warn('NBN shortlist write error', e); }
+  updateShortlistLink();
+}
+
+// Record a fresh classification of a shortlisted listing, flagging a change of technology
+export async function checkShortlistItem(url, result) {
+  const list = await loadShortlist();
+  const item = list.get(url);
+  if (!item) return null;
+  const next = { ...item, ...result, checkedAt: Date.now() };
+  if (result.technology && item.technology && result.technology !== item.technology) {
+    next.changedFrom = item.technology;
+    next.changedAt = Date.now();
+  }
+  return saveShortlistItem(next);
+}
+
+// What a listing's badge would say against a loaded suburb, using the same premise -> street -> suburb tiers:
+//   { technology, match, confidence, score, premise, upgrade } as in the result records
+export function classifyListing(entry, suburb, street, latLng = null) {
+  const addressIndex = suburbAddressIndex(entry, suburb);
+  const opts = { suburb, geojson: entry.geojson, latLng };
+  const match = matchListingAddressToFeature(street, addressIndex, opts);
+  const streetSummary = summarizeStreet(street, addressIndex, opts);
+  const quality = settings.qualityScore ? estimateQuality(entry.summary, streetSummary, match) : null;
+  const score = quality ? quality.score : null;
+  if (match) {
+    const technology = featureType(match.feature);
+    const upgrade = technology !== 'FTTP' ? featureUpgrade(match.feature).status : 'unknown';
+    return {
+      technology, match: match.method, confidence: match.confidence, score,
+      premise: featureAddress(match.feature.properties), upgrade: upgrade === 'unknown' ? null : upgrade
+    };
+  }
+  const area = streetSummary && streetSummary.total ? streetSummary : null;
+  return {
+    technology: selectPrimaryType((area || entry.summary).counts), match: area ? 'street' : 'suburb', confidence: null, score,
+    premise: null, upgrade: null
+  };
+}
+
+export async function recheckShortlist() {
+  const list = await loadShortlist();
+  for (const item of [...list.values()]) {
+    const key = `${item.state}|${toRepoSlug(item.suburb)}`;
+    const digest = await cachedDigest(key);
+    if (!digest) continue;
+    const entry = memoryCache.get(key) || rememberSuburb(key, digest);
+    const date = digestDate(digest);
+    const result = classifyListing(entry, item.suburb, item.address, item.latLng || null);
+    await checkShortlistItem(item.url, { ...result, dataDate: date ? date.toISOString() : null });
+  }
+  updateShortlistLink();
+}
+
+// Legend link, with the number of shortlisted listings whose technology changed
+export async function updateShortlistLink() {
+  const link = document.querySelector('.nbn-legend .nbn-shortlist-link');
+  if (!link) return;
+  const list = await loadShortlist();
+  const changed = [...list.values()].filter(i => i.changedFrom).length;
+  link.textContent = `Shortlist (${list.size})${changed ? ` · ${changed} changed` : ''}`;
+  link.classList.toggle('changed', changed > 0);
+}
+
+export async function openShortlist() {
+  document.querySelectorAll('.nbn-shortlist').forEach(n => n.remove());
+  const dialog = document.createElement('div');
+  dialog.className = 'nbn-settings nbn-cache-manager nbn-shortlist';
+  const header = document.createElement('div');
+  header.style.display = 'flex';
+  header.style.justifyContent = 'space-between';
+  const heading = document.createElement('div');
+  heading.id = 'nbn-shortlist-title';
+  heading.style.fontWeight = '700';
+  const close = openDialog(dialog, { title: heading });
+  header.appendChild(heading);
+  header.appendChild(makeCloseButton(() => close()));
+  dialog.appendChild(header);
+
+  const table = document.createElement('table');
+  table.className = 'nbn-cache-table';
+  dialog.appendChild(table);
+
+  const render = async () => {
+    const items = [...(await loadShortlist()).values()].sort((a, b) => b.savedAt - a.savedAt);
+    heading.textContent = `NBN shortlist — ${items.length} listing${items.length === 1 ? '' : 's'}`;
+    table.textContent = '';
+    if (!items.length) {
+      table.insertRow().insertCell().textContent = 'Nothing shortlisted yet: use "☆ Shortlist" in a badge popup.';
+      return;
+    }
+    const head = table.createTHead().insertRow();
+    for (const c of ['Listing', 'Suburb', 'NBN', 'Checked', '']) {
+      const th = document.createElement('th');
+      th.textContent = c;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const item of items) {
+      const row = body.insertRow();
+      if (item.changedFrom) row.className = 'changed';
+      const link = document.createElement('a');
+      link.href = item.url;
+      link.target = '_blank';
+      link.textContent = item.address || item.url;
+      row.insertCell().appendChild(link);
+      row.insertCell().textContent = `${item.suburb} ${item.state}`;
+      const tech = row.insertCell();
+      tech.textContent = item.changedFrom ? `${item.changedFrom} → ${item.technology}` : item.technology;
+      tech.title = `Matched by ${item.match}${item.dataDate ? `; data as of ${item.dataDate.slice(0, 10)}` : ''}` +
+        (item.changedAt ? `; changed ${new Date(item.changedAt).toLocaleDateString('en-AU')}` : '');
+      row.insertCell().textContent = item.checkedAt ? `${formatAge(Date.now() - item.checkedAt)} ago` : '–';
+      const actions = row.insertCell();
+      if (item.changedFrom) {
+        const ack = document.createElement('button');
+        ack.type = 'button';
+        ack.className = 'small-link';
+        ack.textContent = 'Dismiss change';
+        ack.addEventListener('click', async () => {
+          const { changedFrom, changedAt, ...rest } = item;
+          await saveShortlistItem(rest);
+          render();
+        });
+        actions.appendChild(ack);
+      }
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'small-link';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', async () => {
+        await removeShortlistItem(item.url);
+        document.querySelectorAll('.nbn-badge[data-shortlisted]').forEach(b => {
+          if (b.dataset.listingUrl === item.url) delete b.dataset.shortlisted;
+        });
+        render();
+      });
+      actions.appendChild(remove);
+    }
+  };
+  render();
+}
@@ -0,0 +1,177 @@
+// Site adapters and listing-card detection
+import { updateDetectionStatus } from './legend.js';
+
+// Site adapters: one per listing portal. The fetch/summarise/badge pipeline is shared; adapters only describe
+// where things live in each site's markup.
+//   hosts               hostnames (or parent domains) the adapter applies to
+//   cardSelectors       listing cards on search-result pages, newest markup generation first; the first
+//                       selector that matches anything on the page wins
+//   listingLinkPattern  href pattern of a single-listing link, used by the heuristic card scanner
+//   locationSelectors   element inside a card holding "Suburb, STATE postcode" (or the full address);
+//                       alt/aria-label text is used when the element has no text (e.g. images)
+//   streetSelectors     element inside a card holding the street address only
+//   insertionSelectors  where to append the badge inside a card (first match wins, falls back to the card)
+//   detail              detail-page handling: pathPattern identifies a single-property page,
+//                       addressSelectors/insertionSelectors locate the address heading on it
+//   parseListing        optional override returning { suburb, state, street } for a card
+export const SITE_ADAPTERS = [
+  {
+    id: 'realestate',
+    hosts: ['realestate.com.au'],
+    cardSelectors: [
+      '[data-testid="ResidentialCard"]',
+      '[data-testid="residential-card-container"]',
+      'article.residential-card',
+      'article.results-card'
+    ],
+    listingLinkPattern: /realestate\.com\.au\/property-[a-z0-9+%-]+-\d+/,
+    locationSelectors: [
+      '[data-testid="property-card-location"]',
+      'img.property-image__img[alt]',
+      '[data-testid="PropertyImage"] img[alt]'
+    ],
+    streetSelectors: ['[data-testid="property-card-street-address"]'],
+    insertionSelectors: [
+      '[data-testid="property-card-price"]',
+      '.listingCard__price',
+      '.property-price',
+      '.residential-card__header',
+      '.detail-card__head',
+      '.card__header',
+      '.card__info',
+      '.residential-card__content'
+    ],
+    detail: {
+      pathPattern: /^\/property-[a-z0-9+%-]+-\d+\/?$/,
+      addressSelectors: ['h1.property-info-address', '.property-info-address', 'h1'],
+      insertionSelectors: ['.property-info__header', '.property-info-address']
+    }
+  },
+  {
+    id: 'domain',
+    hosts: ['domain.com.au'],
+    cardSelectors: ['[data-testid^="listing-card-wrapper"]', 'li[data-testid^="listing-"]'],
+    listingLinkPattern: /domain\.com\.au\/[a-z0-9-]+-\d{7,}\/?$/,
+    locationSelectors: ['[data-testid="address-line2"]', '[data-testid="address-wrapper"]'],
+    streetSelectors: ['[data-testid="address-line1"]'],
+    insertionSelectors: ['[data-testid="listing-card-price-wrapper"]', '[data-testid="listing-card-price"]', '[data-testid="address-wrapper"]'],
+    detail: {
+      pathPattern: /-\d{7,}\/?$/,
+      addressSelectors: ['[data-testid="listing-details__button-copy-wrapper"] h1', 'h1'],
+      insertionSelectors: ['[data-testid="listing-details__button-copy-wrapper"]', '[data-testid="listing-details__summary-title"]']
+    }
+  },
+  {
+    id: 'allhomes',
+    hosts: ['allhomes.com.au'],
+    cardSelectors: ['[data-testid="listing-card"]', '.css-listing-card', 'article[class*="ListingCard"]'],
+    listingLinkPattern: /allhomes\.com\.au\/[a-z0-9-]+-\d{5,}\/?$/,
+    locationSelectors: ['[data-testid="listing-card-address"]', '[class*="Address"]'],
+    streetSelectors: [],
+    insertionSelectors: ['[data-testid="listing-card-price"]', '[class*="Price"]'],
+    detail: {
+      pathPattern: /^\/[a-z0-9-]+-\d{5,}\/?$/,
+      addressSelectors: ['[data-testid="listing-address"]', 'h1'],
+      insertionSelectors: ['[data-testid="listing-address"]']
+    }
+  },
+  {
+    id: 'rent',
+    hosts: ['rent.com.au'],
+    cardSelectors: ['article.property-cell', '.property-cell'],
+    listingLinkPattern: /rent\.com\.au\/property\//,
+    locationSelectors: ['.address', 'h2'],
+    streetSelectors: [],
+    insertionSelectors: ['.price', '.property-cell__price', '.address'],
+    detail: {
+      pathPattern: /^\/property\//,
+      addressSelectors: ['h1.address', 'h1'],
+      insertionSelectors: ['.price', 'h1']
+    }
+  }
+];
+
+// Pick the adapter whose host list matches the current hostname (exact or subdomain match)
+function getSiteAdapter(hostname = location.hostname) {
+  const host = (hostname || '').toLowerCase();
+  return SITE_ADAPTERS.find(a => a.hosts.some(h => host === h || host.endsWith(`.${h}`))) || null;
+}
+
+export const SITE = getSiteAdapter();
+
+// Return the first element inside root matching any selector in the list
+export function queryFirst(root, selectors) {
+  for (const sel of selectors || []) {
+    const el = root.querySelector(sel);
+    if (el) return el;
+  }
+  return null;
+}
+
+// Visible text of an element, falling back to alt / aria-label for images and labelled containers
+export function elementText(el) {
+  if (!el) return '';
+  const text = (el.textContent || '').trim();
+  if (text) return text;
+  return (el.getAttribute('alt') || el.getAttribute('aria-label') || '').trim();
+}
+
+// Card detection. Selector generations are tried in order; if none match, a structural heuristic looks for
+// "image + address line + single property link" containers. The active mode is remembered so the
+// MutationObserver keeps using whatever worked for the initial scan.
+const HEURISTIC_MAX_DEPTH = 8;
+const ADDRESS_LINE_RE = /\d+[A-Za-z]?(?:[\/-]\d+[A-Za-z]?)?\s+[A-Za-z][A-Za-z'.\- ]+,\s*[A-Za-z]/;
+export const cardDetection = { via: null, count: 0 };
+
+function heuristicFindCards(root, adapter = SITE) {
+  const pattern = adapter.listingLinkPattern;
+  if (!pattern || !root || !root.querySelectorAll) return [];
+  const cards = new Set();
+  const links = Array.from(root.querySelectorAll('a[href]')).filter(a => pattern.test(a.href));
+  if (root.matches && root.matches('a[href]') && pattern.test(root.href)) links.push(root);
+  for (const link of links) {
+    let best = null;
+    let el = link.parentElement;
+    for (let depth = 0; el && el !== document.body && depth < HEURISTIC_MAX_DEPTH; depth++, el = el.parentElement) {
+      // stop once the container holds more than one listing: we've climbed into the results list
+      const hrefs = new Set(Array.from(el.querySelectorAll('a[href]')).map(a => a.href).filter(h => pattern.test(h)));
+      if (hrefs.size > 1) break;
+      if (!el.querySelector('img')) continue;
+      const hasAddress = ADDRESS_LINE_RE.test(el.textContent || '') ||
+        Array.from(el.querySelectorAll('img[alt], [aria-label]')).some(n => ADDRESS_LINE_RE.test(elementText(n)));
+      if (hasAddress) best = el;
+    }
+    if (best) cards.add(best);
+  }
+  return Array.from(cards);
+}
+
+// Find cards in root (and root itself), using the detection mode chosen by the first successful scan
+export function findCards(root = document, adapter = SITE) {
+  const found = new Set();
+  const collect = (sel) => {
+    if (root.matches && root.matches(sel)) found.add(root);
+    if (root.querySelectorAll) root.querySelectorAll(sel).forEach(el => found.add(el));
+  };
+  if (cardDetection.via === 'heuristic') {
+    heuristicFindCards(root, adapter).forEach(el => found.add(el));
+    return { cards: Array.from(found), via: 'heuristic' };
+  }
+  if (cardDetection.via) {
+    collect(cardDetection.via);
+    return { cards: Array.from(found), via: cardDetection.via };
+  }
+  for (const sel of adapter.cardSelectors) {
+    collect(sel);
+    if (found.size) return { cards: Array.from(found), via: sel };
+  }
+  const cards = heuristicFindCards(root, adapter);
+  return { cards, via: cards.length ? 'heuristic' : null };
+}
+
+// Record detection results and reflect them in the legend's status line
+export function noteDetectedCards(result) {
+  if (result.via && !cardDetection.via) cardDetection.via = result.via;
+  cardDetection.count += result.cards.length;
+  updateDetectionStatus();
+}
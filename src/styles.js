@@ -0,0 +1,152 @@
+// UI helpers: style injection
+const styles = `
+  .nbn-badge {
+    display:inline-block;
+    padding:3px 8px;
+    border-radius:12px;
+    color:#fff;
+    font-weight:600;
+    font-size:12px;
+    margin-left:6px;
+    cursor:pointer;
+    box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    border:0;
+    font-family:inherit;
+    line-height:inherit;
+    text-align:left;
+  }
+  .nbn-badge[data-status] { cursor:default; }
+  .nbn-popup {
+    position: fixed;
+    z-index: 9999999;
+    background: #fff;
+    color: #111;
+    border: 1px solid #ddd;
+    box-shadow: 0 8px 24px rgba(0,0,0,0.15);
+    border-radius: 6px;
+    padding: 8px 10px;
+    min-width:220px;
+    max-width:calc(100vw - 16px);
+    max-height:calc(100vh - 16px);
+    overflow:auto;
+    box-sizing:border-box;
+    font-size:13px;
+  }
+  .nbn-popup .nbn-popup-header { display:flex; justify-content:space-between; align-items:center; gap:8px; }
+  .nbn-popup .nbn-popup-close, .nbn-settings .nbn-popup-close { background:none; border:0; padding:0 4px; font-size:20px; line-height:1; color:inherit; cursor:pointer; }
+  .nbn-popup button.small-link, .nbn-legend button.small-link, .nbn-settings button.small-link { background:none; border:0; padding:0; font-family:inherit; }
+  .nbn-badge:focus-visible, .nbn-popup :focus-visible, .nbn-legend :focus-visible, .nbn-settings :focus-visible { outline:2px solid #2563eb; outline-offset:2px; }
+  .nbn-popup:focus, .nbn-settings:focus { outline:none; }
+  .nbn-popup .row { margin:4px 0; display:flex; justify-content:space-between; align-items:center; }
+  .nbn-popup .type-dot { width:10px; height:10px; border-radius:50%; display:inline-block; margin-right:8px; vertical-align:middle; }
+  .nbn-badge .nbn-asof { font-weight:400; opacity:0.85; font-size:11px; }
+  .nbn-popup .nbn-popup-asof { color:#6b7280; font-size:12px; margin-top:2px; }
+  .nbn-badge .nbn-change { font-weight:700; }
+  .nbn-badge .nbn-upgrade { font-weight:400; }
+  .nbn-badge .nbn-score { font-weight:700; }
+  .nbn-popup .nbn-quality { margin:6px 0; font-size:12px; }
+  .nbn-popup .nbn-minimap { display:block; margin:6px 0; background:#f8fafc; border:1px solid #e5e7eb; border-radius:4px; }
+  .nbn-popup .nbn-minimap .nbn-minimap-focus { fill:none; stroke:#111; stroke-width:2; }
+  .nbn-popup .nbn-warnings { margin-top:8px; font-size:12px; color:#92400e; }
+  .nbn-upgrades { margin-top:8px; }
+  .nbn-upgrades .nbn-upgrades-title { font-weight:700; margin-bottom:2px; }
+  .nbn-upgrades .nbn-upgrades-row { font-size:12px; margin:2px 0; }
+  .nbn-upgrades .type-dot { width:8px; height:8px; border-radius:50%; display:inline-block; margin-right:6px; }
+  .nbn-history { margin-top:8px; }
+  .nbn-history .nbn-history-title { font-weight:700; margin-bottom:2px; }
+  .nbn-history .nbn-history-row { font-size:12px; margin:2px 0; }
+  .nbn-history .nbn-tiers { border-collapse:collapse; margin-top:6px; }
+  .nbn-history .nbn-tiers th, .nbn-history .nbn-tiers td { text-align:left; font-size:12px; padding:2px 8px 2px 0; }
+  .nbn-popup .nbn-tiers { border-collapse:collapse; width:100%; margin:6px 0; }
+  .nbn-popup .nbn-tiers th { text-align:left; font-size:11px; color:#6b7280; font-weight:600; padding:2px 6px 2px 0; }
+  .nbn-popup .nbn-tiers td { padding:2px 6px 2px 0; white-space:nowrap; }
+  .nbn-popup .small-link { color: #2563eb; text-decoration: underline; cursor:pointer; margin-left:8px; font-size:12px; }
+  .nbn-legend {
+    position: fixed;
+    right: 12px;
+    bottom: 12px;
+    z-index: 9999999;
+    background: rgba(255,255,255,0.95);
+    padding:8px 10px;
+    border-radius:8px;
+    border:1px solid #e5e7eb;
+    font-size:12px;
+    color:#111;
+    max-width:260px;
+    box-shadow: 0 8px 24px rgba(0,0,0,0.12);
+  }
+  .nbn-legend .nbn-legend-header { display:flex; align-items:center; gap:6px; cursor:move; user-select:none; touch-action:none; }
+  .nbn-legend .nbn-legend-title { flex:1; font-weight:700; }
+  .nbn-legend .nbn-legend-toggle { background:none; border:0; padding:0 2px; font-size:14px; line-height:1; color:inherit; cursor:pointer; }
+  .nbn-legend .nbn-legend-links { margin-top:6px; }
+  .nbn-legend .nbn-legend-links .small-link:first-child { margin-left:0; }
+  .nbn-legend.dragging { opacity:0.85; }
+  .nbn-legend .legend-row { display:flex; gap:8px; align-items:center; margin:6px 0; }
+  .nbn-legend .dot { width:12px; height:12px; border-radius:3px; display:inline-block; }
+  .nbn-detail-panel {
+    margin: 10px 0;
+    padding: 10px 12px;
+    border: 1px solid #e5e7eb;
+    border-radius: 8px;
+    background: #fff;
+    color: #111;
+    font-size: 13px;
+    max-width: 560px;
+  }
+  .nbn-detail-panel h3 { font-size:14px; font-weight:700; margin:8px 0 4px; }
+  .nbn-detail-panel .row { margin:3px 0; display:flex; justify-content:space-between; gap:12px; }
+  .nbn-detail-panel .type-dot { width:10px; height:10px; border-radius:50%; display:inline-block; margin-right:8px; vertical-align:middle; }
+  .nbn-detail-panel .muted { color:#6b7280; }
+  .nbn-legend .legend-row input { margin:0; }
+  .nbn-legend .small-link { color: #2563eb; text-decoration: underline; cursor:pointer; margin-left:8px; font-size:12px; font-weight:400; }
+  .nbn-settings {
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    z-index: 10000000;
+    background: #fff;
+    color: #111;
+    border: 1px solid #ddd;
+    border-radius: 8px;
+    box-shadow: 0 12px 32px rgba(0,0,0,0.2);
+    padding: 12px 14px;
+    font-size: 13px;
+    width: 360px;
+    max-height: 90vh;
+    overflow: auto;
+  }
+  .nbn-settings .field { display:flex; justify-content:space-between; align-items:center; gap:10px; margin:6px 0; }
+  .nbn-settings .field input[type=url], .nbn-settings .field textarea { flex:1; min-width:0; font-family:monospace; font-size:12px; }
+  .nbn-settings .field input[type=number] { width:80px; }
+  .nbn-settings .errors { color:#b91c1c; margin:6px 0; }
+  .nbn-settings .actions { display:flex; gap:8px; justify-content:flex-end; margin-top:8px; }
+  .nbn-settings .muted { color:#6b7280; margin-top:6px; }
+  .nbn-cache-manager { width:620px; max-width:95vw; }
+  .nbn-cache-table { border-collapse:collapse; width:100%; margin:8px 0; font-size:12px; }
+  .nbn-cache-table th { text-align:left; color:#6b7280; font-weight:600; border-bottom:1px solid #e5e7eb; padding:3px 6px 3px 0; }
+  .nbn-cache-table td { padding:3px 6px 3px 0; border-bottom:1px solid #f3f4f6; white-space:nowrap; }
+  .nbn-settings .small-link { color:#2563eb; text-decoration:underline; cursor:pointer; margin-right:8px; font-size:12px; }
+  .nbn-badge[data-shortlisted]::before { content:'★ '; }
+  .nbn-legend .nbn-shortlist-link.changed { color:#b91c1c; font-weight:600; }
+  .nbn-shortlist tr.changed td { background:#fef2f2; }
+  .nbn-cache-manager .prefetch { display:flex; gap:8px; align-items:flex-start; margin-top:8px; }
+  .nbn-cache-manager .prefetch textarea { flex:1; min-width:0; }
+  .nbn-legend .nbn-filter-controls { display:flex; gap:8px; align-items:center; margin-top:6px; }
+  .nbn-legend .nbn-export-controls { margin-top:6px; font-size:12px; }
+  .nbn-filter-dim { opacity:0.35; transition:opacity .2s; }
+  .nbn-filter-dim:hover { opacity:1; }
+  .nbn-filter-hide { display:none !important; }
+  .nbn-legend .nbn-legend-status { margin-top:6px; padding-top:6px; border-top:1px solid #e5e7eb; color:#374151; }
+  .nbn-legend .nbn-legend-status.warning { color:#b91c1c; font-weight:600; }
+`;
+
+export function injectStyles() {
+  if (typeof GM_addStyle === 'function') {
+    GM_addStyle(styles);
+  } else {
+    const styleEl = document.createElement('style');
+    styleEl.textContent = styles;
+    document.head.appendChild(styleEl);
+  }
+}
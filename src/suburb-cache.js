@@ -0,0 +1,383 @@
+// Suburb data: downloads, digests and the memory/IndexedDB cache
+import { CACHE_STORE, DAY_MS, MEMORY_CACHE_MAX } from './config.js';
+import { getProviders, parseGeoJSONText, responseFreshness, settings } from './settings.js';
+import { idbGet, idbSet, openDb } from './db.js';
+import { enqueue, fetchWithRetry } from './scheduler.js';
+import { indexedFilename, SUBURB_INDEX_KEY, toRepoSlug } from './suburbs.js';
+import { callWorker, expandAddressIndex, prepareAddressIndex } from './worker.js';
+import { recordSuburbHistory } from './history.js';
+import { featureAddress, featureLatLng, indexGeojsonAddresses } from './address.js';
+import { featureType, summarizeGeoJSON, UPGRADE_PROPERTY_PATTERN, validateGeoJSON } from './schema.js';
+import { emitEvent, NBN_EVENTS } from './results.js';
+import { averageQuality, selectPrimaryType } from './quality.js';
+
+// Downloads in flight, keyed like the cache: concurrent lookups of one suburb share a single request
+const inflight = new Map();
+// Downloads that failed, by key: the other cards of that suburb get the same error instead of another round of
+// requests. Kept for the rest of the scan (until a navigation, or FAILED_DOWNLOAD_MS); a forced load retries.
+const FAILED_DOWNLOAD_MS = 5 * 60 * 1000;
+const failedDownloads = new Map();
+
+// Cached suburbs are stored as digests rather than raw GeoJSON:
+//   v, fetchedAt, generatedAt, etag, lastModified, provider, source   metadata
+//   warnings   validateGeoJSON() findings for the file, if any
+//   summary    precomputed summarizeGeoJSON() result
+//   premises   [address, technology, lat, lng, upgradeProps | 0] per feature
+// inflateDigest() turns a digest back into minimal Point features so the matching code can use it unchanged.
+export const DIGEST_VERSION = 2;
+// inflated features carry the already-mapped address and technology under these keys, whatever the source schema
+export const DIGEST_ADDRESS_KEY = '_nbnAddress';
+export const DIGEST_TYPE_KEY = '_nbnType';
+
+export function buildSuburbDigest(geojson, meta = {}) {
+  const premises = [];
+  for (const f of (geojson && geojson.features) || []) {
+    const props = f.properties || {};
+    const pos = featureLatLng(f);
+    const extra = {};
+    for (const k of Object.keys(props)) {
+      if (UPGRADE_PROPERTY_PATTERN.test(k) && props[k] != null && props[k] !== '') extra[k] = props[k];
+    }
+    premises.push([
+      featureAddress(props),
+      featureType(f),
+      pos ? Number(pos[0].toFixed(6)) : null,
+      pos ? Number(pos[1].toFixed(6)) : null,
+      Object.keys(extra).length ? extra : 0
+    ]);
+  }
+  return { ...meta, v: DIGEST_VERSION, summary: summarizeGeoJSON(geojson), premises };
+}
+
+export function inflateDigest(digest) {
+  const features = (digest.premises || []).map(([address, type, lat, lng, extra]) => ({
+    type: 'Feature',
+    properties: { ...(extra || {}), [DIGEST_ADDRESS_KEY]: address, [DIGEST_TYPE_KEY]: type },
+    geometry: lat == null ? null : { type: 'Point', coordinates: [lng, lat] }
+  }));
+  return { type: 'FeatureCollection', generated: digest.generatedAt || null, features };
+}
+
+// A digest from outside this script (an imported cache file) checked against the shape buildSuburbDigest() gives;
+// returns a copy with only the keys it sets, or throws saying what's wrong with it
+const DIGEST_TEXT_KEYS = ['generatedAt', 'etag', 'lastModified', 'provider', 'source', 'contentHash'];
+
+export function checkDigest(digest) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isCount = (value) => Number.isFinite(value) && value >= 0;
+  const isCounts = (value) => isObject(value) && Object.values(value).every(isCount);
+  const fail = (message) => { throw new Error(message); };
+  if (!isObject(digest)) fail('not a digest');
+  if (digest.v !== DIGEST_VERSION) fail(`digest version ${digest.v}, expected ${DIGEST_VERSION}`);
+  if (!Number.isFinite(digest.fetchedAt)) fail('no download time');
+  for (const key of DIGEST_TEXT_KEYS) {
+    if (digest[key] != null && typeof digest[key] !== 'string') fail(`${key} is not text`);
+  }
+  const warnings = digest.warnings || [];
+  if (!Array.isArray(warnings) || !warnings.every(w => typeof w === 'string')) fail('warnings are not a list of text');
+  const { summary } = digest;
+  if (!isObject(summary) || !isCounts(summary.counts) || !isCount(summary.total)) fail('summary has no valid counts');
+  const { examples = {}, upgrades = {}, upgradeTargets = {} } = summary;
+  if (!isObject(examples) || !Object.values(examples).every(e => typeof e === 'string')) fail('summary examples are not text');
+  if (!isObject(upgrades) || !Object.values(upgrades).every(isCounts)) fail('summary upgrades have invalid counts');
+  if (!isObject(upgradeTargets) || !Object.values(upgradeTargets).every(isCounts)) fail('summary upgrade targets have invalid counts');
+  if (!Array.isArray(digest.premises)) fail('no premises');
+  const isCoordinate = (value) => value === null || Number.isFinite(value);
+  for (const p of digest.premises) {
+    if (!Array.isArray(p) || p.length !== 5 || typeof p[0] !== 'string' || typeof p[1] !== 'string' ||
+        !isCoordinate(p[2]) || !isCoordinate(p[3]) || !(p[4] === 0 || isObject(p[4]))) {
+      fail('premises are not [address, technology, lat, lng, upgrade]');
+    }
+  }
+  const clean = { v: digest.v, fetchedAt: digest.fetchedAt };
+  for (const key of DIGEST_TEXT_KEYS) if (digest[key] != null) clean[key] = digest[key];
+  return {
+    ...clean, warnings,
+    summary: { counts: summary.counts, examples, total: summary.total, upgrades, upgradeTargets },
+    premises: digest.premises
+  };
+}
+
+// Digest sources end up as link targets, and an imported cache file can carry anything: only http(s) URLs are used
+export function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+// In-memory LRU of inflated suburbs in front of IndexedDB: { digest, geojson, summary, source, indexes, indexing }
+export const memoryCache = new Map();
+
+export function rememberSuburb(key, digest) {
+  const entry = { digest, geojson: inflateDigest(digest), summary: digest.summary, source: digest.source || '', indexes: new Map(), indexing: new Map() };
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+  while (memoryCache.size > MEMORY_CACHE_MAX) memoryCache.delete(memoryCache.keys().next().value);
+  return entry;
+}
+
+// Address index for a loaded suburb, built once per suburb spelling
+export function suburbAddressIndex(entry, suburb) {
+  if (!entry.indexes.has(suburb)) entry.indexes.set(suburb, indexGeojsonAddresses(entry.geojson, suburb));
+  return entry.indexes.get(suburb);
+}
+
+export function isFresh(digest) {
+  return digest && digest.v === DIGEST_VERSION && Date.now() - (digest.fetchedAt || 0) < settings.cacheTtlDays * DAY_MS;
+}
+
+// Fetch suburb GeoJSON (with cache & TTL). Returns parsed JSON or throws.
+export async function fetchSuburbGeoJSON(suburb, state, force = false, options = {}) {
+  return (await loadSuburb(suburb, state, force, options)).geojson;
+}
+
+// Load a suburb as { digest, geojson, summary, source, indexes }: memory, then IndexedDB, then the network.
+// Stale-while-revalidate: an expired cached copy is returned straight away and refreshed in the background;
+// if the data changed, an nbn:data-updated event updates the badges in place.
+// options.priority is a callback for the scheduler (lower = sooner), e.g. the card's distance from the viewport.
+export async function loadSuburb(suburb, state, force = false, options = {}) {
+  const key = `${state}|${toRepoSlug(suburb)}`;
+  const priority = options.priority || (() => 0);
+  if (force) failedDownloads.delete(key);
+  else {
+    let entry = memoryCache.get(key) || null;
+    if (entry) {
+      memoryCache.delete(key);
+      memoryCache.set(key, entry);
+    } else {
+      try {
+        const cached = await idbGet(key);
+        if (cached && cached.v === DIGEST_VERSION) entry = rememberSuburb(key, cached);
+      } catch (e) {
+        console.warn('NBN cache read error', e);
+      }
+    }
+    if (entry) {
+      if (!isFresh(entry.digest)) revalidateSuburb(suburb, state, entry.digest);
+      await prepareAddressIndex(entry, suburb);
+      return entry;
+    }
+  }
+  const entry = await downloadSuburb(suburb, state, { priority });
+  await prepareAddressIndex(entry, suburb);
+  return entry;
+}
+
+// Background refresh of a stale suburb, at most once per page load
+const revalidated = new Set();
+function revalidateSuburb(suburb, state, previous) {
+  const key = `${state}|${toRepoSlug(suburb)}`;
+  if (revalidated.has(key) || inflight.has(key)) return;
+  revalidated.add(key);
+  downloadSuburb(suburb, state, { priority: () => Number.MAX_SAFE_INTEGER, previous })
+    .then(entry => {
+      if (entry.changed) announceSuburbUpdate(suburb, state, entry);
+    })
+    .catch(err => {
+      if (err.name !== 'AbortError') console.warn('NBN background refresh failed', key, err);
+    });
+}
+
+// Re-download a suburb now; every badge showing it is updated
+export async function refreshSuburb(suburb, state) {
+  const entry = await loadSuburb(suburb, state, true, { priority: () => -1 });
+  announceSuburbUpdate(suburb, state, entry);
+  return entry;
+}
+
+// nbn:data-updated: the page's badges for the suburb re-render from it, and other scripts get its new summary
+function announceSuburbUpdate(suburb, state, entry) {
+  emitEvent(document, NBN_EVENTS.dataUpdated, suburbPayload(suburb, state, entry));
+}
+
+// Plain-data description of a loaded suburb, as given by getSuburbSummary() and nbn:data-updated
+export function suburbPayload(suburb, state, entry) {
+  const { counts = {}, examples = {}, total = 0, upgrades = {}, upgradeTargets = {} } = entry.summary || {};
+  const dataDate = digestDate(entry.digest);
+  return JSON.parse(JSON.stringify({
+    suburb, state,
+    source: entry.source,
+    dataDate: dataDate ? dataDate.toISOString() : null,
+    fetchedAt: entry.digest.fetchedAt ? new Date(entry.digest.fetchedAt).toISOString() : null,
+    total, counts, examples, upgrades, upgradeTargets,
+    technology: selectPrimaryType(counts),
+    score: settings.qualityScore ? Math.round(averageQuality(counts)) : null,
+    warnings: entry.digest.warnings || []
+  }));
+}
+
+// FNV-1a hash of a file's text, to tell whether a re-download actually changed anything
+export function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+// Download a suburb through the scheduler. With `previous` (a stale digest) this is a revalidation: its source URL
+// is tried first with cache: 'no-cache', which lets the browser revalidate with If-None-Match/If-Modified-Since.
+// An unchanged ETag or content hash only bumps fetchedAt. The resolved entry has `changed` set accordingly.
+function downloadSuburb(suburb, state, { priority = () => 0, previous = null } = {}) {
+  const key = `${state}|${toRepoSlug(suburb)}`;
+  const pending = inflight.get(key);
+  if (pending) {
+    pending.job.priorities.push(priority);
+    return pending;
+  }
+  const failure = failedDownloads.get(key);
+  if (failure && Date.now() - failure.at < FAILED_DOWNLOAD_MS) return Promise.reject(failure.error);
+
+  // try each provider, and each of its candidate URLs, until one succeeds
+  const tryFetch = async (signal) => {
+    const targets = [];
+    const file = await indexedFilename(suburb, state);
+    for (const provider of getProviders()) {
+      for (const url of provider.urls(suburb, state, file)) targets.push({ provider, url });
+    }
+    if (previous && previous.source) {
+      targets.sort((a, b) => (b.url === previous.source) - (a.url === previous.source));
+    }
+    let lastErr = null;
+    for (const { provider, url } of targets) {
+      try {
+        const revalidating = !!previous && url === previous.source;
+        const result = await fetchDigest(provider, url, { signal, suburb, previous: revalidating ? previous : null });
+        if (!result.ok) {
+          lastErr = new Error(`HTTP ${result.status} for ${url}`);
+          continue;
+        }
+        if (result.unchanged) {
+          const digest = { ...previous, fetchedAt: Date.now() };
+          try { await idbSet(key, digest); } catch (e) { console.warn('NBN cache set error', e); }
+          return Object.assign(rememberSuburb(key, digest), { changed: false });
+        }
+        const { digest } = result;
+        if (digest.warnings.length) console.warn('NBN data warnings for', url, digest.warnings);
+        // store cache, keeping the copy it replaces long enough to record what changed
+        const replaced = previous || await cachedDigest(key);
+        try { await idbSet(key, digest); } catch (e) { console.warn('NBN cache set error', e); }
+        await recordSuburbHistory(key, replaced, digest);
+        const entry = rememberSuburb(key, digest);
+        if (result.index) entry.indexes.set(suburb, expandAddressIndex(result.index, entry.geojson.features));
+        return Object.assign(entry, { changed: true });
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        lastErr = err;
+        continue;
+      }
+    }
+    throw lastErr || new Error('No candidate returned');
+  };
+
+  const job = enqueue(tryFetch, { priority });
+  inflight.set(key, job);
+  const clear = () => { if (inflight.get(key) === job) inflight.delete(key); };
+  job.then(() => {
+    clear();
+    failedDownloads.delete(key);
+  }, err => {
+    clear();
+    if (err.name !== 'AbortError') failedDownloads.set(key, { error: err, at: Date.now() });
+  });
+  return job;
+}
+
+// A new page gets a fresh try at suburbs that failed on the last one
+export function forgetFailedDownloads() {
+  failedDownloads.clear();
+}
+
+// Fetch one candidate file and digest it. Resolves to { ok, status } plus, for a 2xx response, either
+// unchanged: true (same content hash or ETag as `previous`) or the new digest. Self-contained apart from the
+// parsing helpers so that the worker can run it as well.
+export async function fetchSuburbDigest(url, { signal, cache, previous = null, meta = {}, parse = parseGeoJSONText, freshness = responseFreshness } = {}) {
+  const res = await fetchWithRetry(url, { signal, cache });
+  if (!res.ok) return { ok: false, status: res.status };
+  const text = await res.text();
+  const contentHash = hashText(text);
+  const etag = (res.headers && res.headers.get('ETag')) || null;
+  if (previous && (contentHash === previous.contentHash || (etag && etag === previous.etag))) {
+    return { ok: true, status: res.status, unchanged: true };
+  }
+  const data = parse(text, url);
+  const { warnings } = validateGeoJSON(data);
+  const digest = buildSuburbDigest(data, { fetchedAt: Date.now(), ...freshness(data, res), contentHash, ...meta, warnings });
+  return { ok: true, status: res.status, digest };
+}
+
+// fetchSuburbDigest() in the worker, which also returns the address index for `suburb`; inline when the worker is
+// unavailable or the provider parses files its own way. `previous` is the digest being revalidated, if any.
+async function fetchDigest(provider, url, { signal, suburb, previous = null }) {
+  const options = {
+    cache: previous ? 'no-cache' : undefined,
+    previous: previous && { contentHash: previous.contentHash || null, etag: previous.etag || null },
+    meta: { provider: provider.id, source: url }
+  };
+  if (provider.parse === parseGeoJSONText && provider.freshness === responseFreshness) {
+    try {
+      return await callWorker({ op: 'fetch', url, suburb, ...options }, signal);
+    } catch (err) {
+      if (err.name !== 'WorkerError') throw err;
+    }
+  }
+  return fetchSuburbDigest(url, { ...options, signal, parse: provider.parse, freshness: provider.freshness });
+}
+
+export async function cachedDigest(key) {
+  const mem = memoryCache.get(key);
+  if (mem) return mem.digest;
+  try {
+    const cached = await idbGet(key);
+    return cached && cached.v === DIGEST_VERSION ? cached : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// When a suburb's data is from: the dataset's generated timestamp, else the file's Last-Modified, else when we fetched it
+export function digestDate(digest) {
+  if (!digest) return null;
+  for (const v of [digest.generatedAt, digest.lastModified, digest.fetchedAt]) {
+    if (!v) continue;
+    const d = new Date(v);
+    if (!isNaN(d)) return d;
+  }
+  return null;
+}
+
+// Cache cleanup: delete suburbs older than cacheExpiryDays, then the least recently downloaded ones beyond
+// cacheMaxEntries, in one transaction. Resolves to the number deleted.
+export async function cleanupCache() {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, 'readwrite');
+    const store = tx.objectStore(CACHE_STORE);
+    const now = Date.now();
+    const entries = [];
+    let deleted = 0;
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (cursor) {
+        // the suburb index lives in the same store but isn't a suburb entry
+        if (cursor.key !== SUBURB_INDEX_KEY) entries.push({ key: cursor.key, fetchedAt: cursor.value.fetchedAt || 0 });
+        cursor.continue();
+        return;
+      }
+      // oldest first: expired entries, then any over the limit
+      entries.sort((a, b) => a.fetchedAt - b.fetchedAt);
+      const expired = entries.filter(e => now - e.fetchedAt > settings.cacheExpiryDays * DAY_MS).length;
+      const excess = Math.max(0, entries.length - expired - settings.cacheMaxEntries);
+      const toDelete = entries.slice(0, expired + excess);
+      for (const entry of toDelete) store.delete(entry.key);
+      deleted = toDelete.length;
+    };
+    tx.oncomplete = () => { resolve(deleted); db.close(); };
+    // a failed request aborts the transaction
+    tx.onabort = () => { reject(tx.error); db.close(); };
+  });
+}
@@ -0,0 +1,194 @@
+// Suburb names: repo filenames, the suburb index and state resolution
+import { DAY_MS } from './config.js';
+import { settings } from './settings.js';
+import { idbGet, idbSet } from './db.js';
+import { fetchWithRetry } from './scheduler.js';
+
+// Normalize suburb to likely repo filename: lowercase, spaces -> '-', strip punctuation, simple diacritics removal
+export function toRepoSlug(name) {
+  if (!name) return '';
+  // Remove newline and surrounding whitespace
+  name = name.trim().toLowerCase();
+  // Replace & with 'and'
+  name = name.replace(/&/g, 'and');
+  // normalize diacritics
+  name = name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  // remove anything that's not letter, number, space or dash
+  name = name.replace(/[^a-z0-9\s-]/g, '');
+  // collapse spaces
+  name = name.replace(/\s+/g, '-');
+  // collapse multiple dashes
+  name = name.replace(/-+/g, '-');
+  return name;
+}
+
+// Try likely candidate filenames for a suburb
+export function candidateFilenames(suburb, state) {
+  const s = suburb || '';
+  const slug = toRepoSlug(s);
+  // repo uses uppercase state folder names: QLD, NSW etc.
+  const st = (state || '').toUpperCase();
+  const names = [
+    `${st}/${slug}.geojson`,
+    `${st}/${encodeURIComponent(s)}.geojson`,
+    `${st}/${slug.replace(/-/g, '_')}.geojson`,
+    `${st}/${s.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g,'')}.geojson`
+  ];
+  // uniq
+  return Array.from(new Set(names));
+}
+
+// Suburb resolution against the dataset's own suburb list, so we request exactly one file per suburb
+// instead of guessing filenames. The index is cached in IndexedDB under SUBURB_INDEX_KEY.
+export const SUBURB_INDEX_KEY = 'index|suburbs';
+const SUBURB_INDEX_TTL_MS = 7 * DAY_MS;
+export const STATES = ['NSW', 'VIC', 'QLD', 'SA', 'WA', 'TAS', 'ACT', 'NT'];
+// Australia Post postcode ranges -> state ([from, to] inclusive)
+const POSTCODE_RANGES = [
+  ['ACT', 200, 299], ['NT', 800, 999], ['NSW', 1000, 2599], ['ACT', 2600, 2618], ['NSW', 2619, 2899],
+  ['ACT', 2900, 2920], ['NSW', 2921, 2999], ['VIC', 3000, 3999], ['QLD', 4000, 4999], ['SA', 5000, 5999],
+  ['WA', 6000, 6999], ['TAS', 7000, 7999], ['VIC', 8000, 8999], ['QLD', 9000, 9999]
+];
+// Interchangeable slug words: listings and the dataset don't always agree on abbreviations
+const SLUG_VARIANTS = [['st', 'saint'], ['mt', 'mount'], ['pt', 'point'], ['nth', 'north'], ['sth', 'south'], ['ck', 'creek']];
+const SUBURB_INDEX_RETRY_MS = 10 * 60 * 1000; // wait this long before retrying a failed index download
+let suburbIndexPromise = null;
+let suburbIndexFailedAt = 0;
+
+function stateFromPostcode(postcode) {
+  const n = parseInt(postcode, 10);
+  if (isNaN(n)) return '';
+  const hit = POSTCODE_RANGES.find(([, from, to]) => n >= from && n <= to);
+  return hit ? hit[0] : '';
+}
+
+// Every spelling of a slug we should look up, the original first
+function slugVariants(slug) {
+  const out = [slug];
+  for (const [a, b] of SLUG_VARIANTS) {
+    for (const current of out.slice()) {
+      const tokens = current.split('-');
+      if (tokens.includes(a)) out.push(tokens.map(t => t === a ? b : t).join('-'));
+      if (tokens.includes(b)) out.push(tokens.map(t => t === b ? a : t).join('-'));
+    }
+  }
+  return Array.from(new Set(out));
+}
+
+// Build { bySlug: { slug: [{ state, postcode, file }] } } from either a GitHub tree listing or a { STATE: [...] }
+// table. `file` is the name of the suburb's file in its state folder, without ".geojson": as listed in the tree,
+// else the slug.
+function parseSuburbIndex(raw) {
+  const bySlug = {};
+  const add = (state, name, postcode, file) => {
+    const slug = toRepoSlug(name);
+    if (!slug || !STATES.includes(state)) return;
+    (bySlug[slug] = bySlug[slug] || []).push({ state, postcode: postcode ? String(postcode) : '', file: file || slug });
+  };
+  if (raw && Array.isArray(raw.tree)) {
+    for (const entry of raw.tree) {
+      const m = /^results\/([A-Z]+)\/(.+)\.geojson$/.exec(entry.path || '');
+      if (m) add(m[1], m[2].replace(/-/g, ' '), '', m[2]);
+    }
+  } else if (raw && typeof raw === 'object') {
+    for (const [state, list] of Object.entries(raw)) {
+      for (const item of Array.isArray(list) ? list : []) {
+        if (typeof item === 'string') add(state.toUpperCase(), item);
+        else if (item && (item.name || item.suburb)) add(state.toUpperCase(), item.name || item.suburb, item.postcode);
+      }
+    }
+  }
+  return { bySlug };
+}
+
+// Load the suburb index from cache or network. Resolves to null when no index is available.
+export function loadSuburbIndex() {
+  if (!settings.suburbIndexUrl) return Promise.resolve(null);
+  if (suburbIndexPromise) return suburbIndexPromise;
+  if (Date.now() - suburbIndexFailedAt < SUBURB_INDEX_RETRY_MS) return Promise.resolve(null);
+  suburbIndexPromise = (async () => {
+    try {
+      const cached = await idbGet(SUBURB_INDEX_KEY);
+      if (cached && cached.url === settings.suburbIndexUrl && Date.now() - cached.fetchedAt < SUBURB_INDEX_TTL_MS) {
+        return cached.index;
+      }
+    } catch (e) {
+      console.warn('NBN cache read error', e);
+    }
+    try {
+      const res = await fetchWithRetry(settings.suburbIndexUrl);
+      if (!res.ok) throw new Error(`HTTP ${res.status} for ${settings.suburbIndexUrl}`);
+      const index = parseSuburbIndex(JSON.parse(await res.text()));
+      if (!Object.keys(index.bySlug).length) throw new Error('Suburb index is empty');
+      try { await idbSet(SUBURB_INDEX_KEY, { fetchedAt: Date.now(), url: settings.suburbIndexUrl, index }); } catch (e) { console.warn('NBN cache set error', e); }
+      return index;
+    } catch (e) {
+      console.warn('NBN suburb index unavailable, falling back to filename guessing', e);
+      suburbIndexPromise = null; // retry on a later card, after a cool-down
+      suburbIndexFailedAt = Date.now();
+      return null;
+    }
+  })();
+  return suburbIndexPromise;
+}
+
+// The dataset's path for a suburb ("QLD/acacia-ridge.geojson") when the index lists it in that state, else null.
+// Providers request just this file; they only guess filenames without an index.
+export async function indexedFilename(suburb, state) {
+  const index = await loadSuburbIndex();
+  const slug = toRepoSlug(suburb);
+  const entry = index && (index.bySlug[slug] || []).find(e => e.state === state);
+  return entry ? `${state}/${entry.file || slug}.geojson` : null;
+}
+
+// Forget the loaded (or failed) index so the next lookup fetches it again
+export function resetSuburbIndex() {
+  suburbIndexPromise = null;
+  suburbIndexFailedAt = 0;
+}
+
+// State mentioned in the page URL (e.g. realestate.com.au search URLs "in-chermside,+qld+4032")
+function pageStateHint() {
+  const m = decodeURIComponent(location.href).toUpperCase().match(/[,+\s\/-](NSW|VIC|QLD|SA|WA|TAS|ACT|NT)[+\s-]\d{4}/);
+  return m ? m[1] : '';
+}
+
+// Resolve a listing's suburb to a file in the dataset.
+// Returns { status: 'resolved' | 'unindexed' | 'not-found' | 'ambiguous', suburb, state, states? }.
+// 'unindexed' means no index could be loaded: the caller should fall back to guessing filenames.
+export async function resolveSuburb(suburb, state, postcode = '') {
+  const hint = (state || '').toUpperCase() || stateFromPostcode(postcode);
+  const index = await loadSuburbIndex();
+  if (!index) return { status: 'unindexed', suburb, state: hint };
+  for (const slug of slugVariants(toRepoSlug(suburb))) {
+    const entries = index.bySlug[slug];
+    if (!entries) continue;
+    const name = slug === toRepoSlug(suburb) ? suburb : slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    const states = Array.from(new Set(entries.map(e => e.state)));
+    const pick = (st) => ({ status: 'resolved', suburb: name, state: st });
+    if (hint && states.includes(hint)) return pick(hint);
+    // postcode listed in the index settles duplicates across states
+    const byPostcode = postcode && entries.find(e => e.postcode === String(postcode));
+    if (byPostcode) return pick(byPostcode.state);
+    if (states.length === 1 && !state) return pick(states[0]); // the hint only came from the postcode (border towns)
+    if (!hint) {
+      const pageHint = pageStateHint();
+      if (pageHint && states.includes(pageHint)) return pick(pageHint);
+      if (states.length > 1) return { status: 'ambiguous', suburb: name, state: '', states };
+    }
+  }
+  return { status: 'not-found', suburb, state: hint };
+}
+
+// Why a suburb couldn't be looked up, as { label, message }: the short badge text and the explanation behind it.
+// `place` is a resolveSuburb() result; any other status counts as a failed download, with `err` saying why.
+export function describeLookupStatus(place, err = null) {
+  if (place.status === 'not-found') {
+    return { label: 'NBN: suburb not in dataset', message: `"${place.suburb}${place.state ? ` ${place.state}` : ''}" is not in the NBN upgrade dataset.` };
+  }
+  if (place.status === 'ambiguous') {
+    return { label: 'NBN: which state?', message: `"${place.suburb}" exists in ${place.states.join(', ')} and the listing doesn't say which.` };
+  }
+  if (!place.state) return { label: 'NBN: state unknown', message: `Couldn't work out the state for "${place.suburb}".` };
+  return { label: 'NBN: unknown', message: err ? `Lookup failed: ${err.message}` : 'Lookup failed' };
+}
@@ -0,0 +1,183 @@
+// Parsing and indexing suburb files off the main thread
+import { LEGEND } from './config.js';
+import { parseGeoJSONText, responseFreshness, settings } from './settings.js';
+import {
+  abortError, FETCH_BACKOFF_BASE_MS, FETCH_MAX_RETRIES, FETCH_TIMEOUT_MS, fetchWithRetry, sleep
+} from './scheduler.js';
+import { toRepoSlug } from './suburbs.js';
+import {
+  buildSuburbDigest, DIGEST_ADDRESS_KEY, DIGEST_TYPE_KEY, DIGEST_VERSION, fetchSuburbDigest, hashText,
+  inflateDigest
+} from './suburb-cache.js';
+import {
+  featureAddress, featureLatLng, indexGeojsonAddresses, normalizeAddress, parseAddressParts, STATE_WORDS,
+  STREET_TYPES, streetKeyOf, UNIT_WORDS
+} from './address.js';
+import {
+  featureTechnologyValue, featureType, featureUpgrade, normalizeTypeString, summarizeFeatures, summarizeGeoJSON,
+  TECHNOLOGY_ACRONYM_RE, TECHNOLOGY_ALIASES, UPGRADE_PROPERTY_PATTERN, UPSTREAM_SCHEMA, validateGeoJSON
+} from './schema.js';
+
+// Background worker. Parsing a large suburb file and indexing its addresses takes long enough to make the page
+// stutter while scrolling, so both run in a worker built from a Blob URL (userscripts have no worker file to
+// point at). Its source is the pure functions below plus the constants they read; only digests and compact
+// address indexes come back. When workers are unavailable (blocked by the page's CSP, or turned off in settings)
+// callWorker() rejects with a WorkerError and callers run the same functions inline.
+let worker; // undefined until first needed, null when unavailable
+let workerCallId = 0;
+const workerCalls = new Map(); // id -> { resolve, reject }
+
+function workerError(message) {
+  const err = new Error(message);
+  err.name = 'WorkerError';
+  return err;
+}
+
+function workerValue(value) {
+  if (value instanceof Set) return `new Set(${JSON.stringify([...value])})`;
+  if (value instanceof RegExp) return String(value);
+  return JSON.stringify(value);
+}
+
+export function workerSource() {
+  const constants = {
+    FETCH_TIMEOUT_MS, FETCH_MAX_RETRIES, FETCH_BACKOFF_BASE_MS, DIGEST_VERSION, DIGEST_ADDRESS_KEY, DIGEST_TYPE_KEY,
+    UPGRADE_PROPERTY_PATTERN, UPSTREAM_SCHEMA, TECHNOLOGY_ALIASES, TECHNOLOGY_ACRONYM_RE, LEGEND,
+    STREET_TYPES, UNIT_WORDS, STATE_WORDS
+  };
+  const functions = {
+    abortError, sleep, fetchWithRetry, hashText, parseGeoJSONText, responseFreshness, fetchSuburbDigest,
+    validateGeoJSON, buildSuburbDigest, inflateDigest, summarizeGeoJSON, summarizeFeatures, featureAddress,
+    featureTechnologyValue, featureType, featureLatLng, featureUpgrade, normalizeTypeString, toRepoSlug,
+    normalizeAddress, parseAddressParts, streetKeyOf, indexGeojsonAddresses, compactAddressIndex, indexDigest
+  };
+  return [
+    "'use strict';",
+    'let settings = {};',
+    ...Object.entries(constants).map(([name, value]) => `const ${name} = ${workerValue(value)};`),
+    ...Object.entries(functions).map(([name, fn]) => `const ${name} = ${fn};`),
+    `const controllers = new Map();
+    self.onmessage = async ({ data }) => {
+      if (data.op === 'abort') {
+        if (controllers.has(data.id)) controllers.get(data.id).abort();
+        return;
+      }
+      settings = { propertyMapping: data.propertyMapping };
+      const controller = new AbortController();
+      controllers.set(data.id, controller);
+      try {
+        let result;
+        if (data.op === 'fetch') {
+          result = await fetchSuburbDigest(data.url, { signal: controller.signal, cache: data.cache, previous: data.previous, meta: data.meta });
+          if (result.digest) result.index = indexDigest(result.digest, data.suburb);
+        } else {
+          result = { index: indexDigest({ premises: data.premises }, data.suburb) };
+        }
+        self.postMessage({ id: data.id, result });
+      } catch (err) {
+        self.postMessage({ id: data.id, error: { name: err.name, message: err.message } });
+      } finally {
+        controllers.delete(data.id);
+      }
+    };`
+  ].join('\n');
+}
+
+function getWorker() {
+  if (worker !== undefined) return worker;
+  worker = null;
+  if (!settings.useWorker || typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
+  try {
+    const url = URL.createObjectURL(new Blob([workerSource()], { type: 'text/javascript' }));
+    const w = new Worker(url);
+    w.onmessage = ({ data }) => {
+      const call = workerCalls.get(data.id);
+      if (!call) return;
+      workerCalls.delete(data.id);
+      if (!data.error) call.resolve(data.result);
+      else if (data.error.name === 'AbortError') call.reject(abortError());
+      else call.reject(new Error(data.error.message));
+    };
+    // the worker script failed to load or start (e.g. blob: workers are blocked); retry its calls inline
+    w.onerror = (ev) => {
+      console.warn('NBN worker failed, parsing on the page thread from now on', ev.message || ev);
+      stopWorker();
+      worker = null;
+    };
+    worker = w;
+  } catch (e) {
+    console.warn('NBN worker unavailable, parsing on the page thread', e);
+  }
+  return worker;
+}
+
+export function stopWorker() {
+  if (worker) worker.terminate();
+  worker = undefined;
+  for (const call of workerCalls.values()) call.reject(workerError('NBN worker stopped'));
+  workerCalls.clear();
+}
+
+// Post a request to the worker; rejects with a WorkerError when there is no worker to run it
+export function callWorker(message, signal) {
+  const w = getWorker();
+  if (!w) return Promise.reject(workerError('NBN worker unavailable'));
+  if (signal && signal.aborted) return Promise.reject(abortError());
+  const id = ++workerCallId;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      workerCalls.delete(id);
+      w.postMessage({ op: 'abort', id });
+      reject(abortError());
+    };
+    const done = (fn) => (value) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      fn(value);
+    };
+    workerCalls.set(id, { resolve: done(resolve), reject: done(reject) });
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    w.postMessage({ ...message, id, propertyMapping: settings.propertyMapping });
+  });
+}
+
+// Address indexes cross threads with each feature replaced by its position in the suburb's inflated feature list
+function compactAddressIndex(index, features) {
+  const position = new Map(features.map((f, i) => [f, i]));
+  return {
+    exact: [...index.exact].map(([address, f]) => [address, position.get(f)]),
+    byNumber: [...index.byNumber].map(([num, list]) => [num, list.map(e => [position.get(e.feature), e.parts])]),
+    byStreet: [...index.byStreet].map(([key, street]) => [key, street.name, street.type, street.features.map(f => position.get(f))])
+  };
+}
+
+export function expandAddressIndex(compact, features) {
+  return {
+    exact: new Map(compact.exact.map(([address, i]) => [address, features[i]])),
+    byNumber: new Map(compact.byNumber.map(([num, list]) => [num, list.map(([i, parts]) => ({ feature: features[i], parts }))])),
+    byStreet: new Map(compact.byStreet.map(([key, name, type, list]) => [key, { name, type, features: list.map(i => features[i]) }]))
+  };
+}
+
+// Compact address index of a digest's premises, in the same order inflateDigest() gives the main thread
+function indexDigest(digest, suburb) {
+  const geojson = inflateDigest(digest);
+  return compactAddressIndex(indexGeojsonAddresses(geojson, suburb), geojson.features);
+}
+
+// Build a suburb's address index for `suburb` in the worker ahead of suburbAddressIndex(), which otherwise builds
+// it inline. Concurrent requests for the same spelling share one worker call.
+export function prepareAddressIndex(entry, suburb) {
+  if (entry.indexes.has(suburb)) return Promise.resolve();
+  if (!entry.indexing.has(suburb)) {
+    const job = callWorker({ op: 'index', premises: entry.digest.premises || [], suburb })
+      .then(({ index }) => {
+        if (!entry.indexes.has(suburb)) entry.indexes.set(suburb, expandAddressIndex(index, entry.geojson.features));
+      })
+      .catch(err => {
+        if (err.name !== 'WorkerError') console.warn('NBN worker index error', err);
+      })
+      .finally(() => entry.indexing.delete(suburb));
+    entry.indexing.set(suburb, job);
+  }
+  return entry.indexing.get(suburb);
+}
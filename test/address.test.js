@@ -0,0 +1,73 @@
+// Address parsing, suburb filenames and listing-to-premise matching. Run with: npm test
+import './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/fixtures.js';
+import { candidateFilenames, toRepoSlug } from '../src/suburbs.js';
+import {
+  describeMatch, extractSuburbStateFromText, featureLatLng, indexGeojsonAddresses, matchListingAddressToFeature,
+  normalizeAddress, parseAddressParts, summarizeStreet
+} from '../src/address.js';
+
+const chermside = loadFixture('upstream-chermside.geojson');
+const index = indexGeojsonAddresses(chermside, 'Chermside');
+
+test('suburb and state are read from listing text', () => {
+  assert.deepEqual(extractSuburbStateFromText('275 Hamilton Road, Chermside, QLD 4032'),
+    { suburb: 'Chermside', state: 'QLD', street: '275 Hamilton Road', postcode: '4032' });
+  assert.deepEqual(extractSuburbStateFromText('Chermside West QLD'), { suburb: 'Chermside West', state: 'QLD', postcode: '' });
+  assert.deepEqual(extractSuburbStateFromText('Zillmere 4034'), { suburb: 'Zillmere', state: '', postcode: '4034' });
+  assert.equal(extractSuburbStateFromText(''), null);
+});
+
+test('suburb names map to repo filenames', () => {
+  assert.equal(toRepoSlug('Chermside West'), 'chermside-west');
+  assert.equal(toRepoSlug("O'Connor"), 'oconnor');
+  assert.equal(candidateFilenames('Chermside', 'QLD')[0], 'QLD/chermside.geojson');
+});
+
+test('addresses normalise abbreviations and unit numbers', () => {
+  assert.equal(normalizeAddress('3/40 Gympie Rd, Chermside'), 'unit 3 40 gympie road chermside');
+  assert.deepEqual(parseAddressParts('Unit 3 / 40 Gympie Rd, Chermside QLD 4032', 'Chermside'),
+    { unit: '3', number: '40', lot: false, streetName: 'gympie', streetType: 'road' });
+  assert.deepEqual(parseAddressParts('3/40 GYMPIE ROAD CHERMSIDE QLD 4032', 'Chermside'),
+    parseAddressParts('Unit 3 / 40 Gympie Rd, Chermside QLD 4032', 'Chermside'));
+});
+
+test('a listing address matches its premise exactly', () => {
+  const match = matchListingAddressToFeature('275 Hamilton Road Chermside QLD 4032', index, { suburb: 'Chermside' });
+  assert.equal(match.method, 'exact');
+  assert.equal(match.confidence, 1);
+  assert.equal(match.feature.properties.locID, 'LOC000012345678');
+  assert.equal(describeMatch(match), 'Confirmed');
+});
+
+test('a misspelt street is a fuzzy match, a different number is none', () => {
+  const match = matchListingAddressToFeature('12 Kitchner Rd, Chermside', index, { suburb: 'Chermside' });
+  assert.equal(match.method, 'fuzzy');
+  assert.ok(match.confidence >= 0.75 && match.confidence < 1);
+  assert.equal(match.feature.properties.name, '12 KITCHENER ROAD CHERMSIDE QLD 4032');
+  assert.match(describeMatch(match), /^Likely \d+%$/);
+  assert.equal(matchListingAddressToFeature('14 Kitchener Road, Chermside', index, { suburb: 'Chermside' }), null);
+});
+
+test('another unit at the same street number is not a match', () => {
+  assert.equal(matchListingAddressToFeature('3/40 Gympie Rd, Chermside', index, { suburb: 'Chermside' }).method, 'exact');
+  assert.equal(matchListingAddressToFeature('5/40 Gympie Road, Chermside', index, { suburb: 'Chermside' }), null);
+});
+
+test('coordinates find the nearest premise when the address is unknown', () => {
+  const latLng = featureLatLng(chermside.features[2]);
+  const match = matchListingAddressToFeature('', index, { latLng, geojson: chermside });
+  assert.equal(match.method, 'proximity');
+  assert.equal(match.feature, chermside.features[2]);
+  assert.equal(describeMatch(match), 'Nearby ~0 m');
+});
+
+test('the street tier summarises premises on the listing street', () => {
+  const street = summarizeStreet('281 Hamilton Rd, Chermside', index, { suburb: 'Chermside' });
+  assert.equal(street.label, 'Hamilton Road');
+  assert.equal(street.total, 2);
+  assert.deepEqual(street.counts, { FTTN: 2 });
+  assert.equal(summarizeStreet('5 Nowhere Street, Chermside', index, { suburb: 'Chermside' }), null);
+});
@@ -0,0 +1,9 @@
+// The committed userscript must be the bundle of src/. Run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { bundle, OUTPUT } from '../build.js';
+
+test('nbn-re.com.au.userscript.user.js is up to date with src/', () => {
+  assert.ok(readFileSync(OUTPUT, 'utf8') === bundle(), 'run `npm run build` and commit the result');
+});
@@ -0,0 +1,31 @@
+// The detail-page panel for a single listing. Run with: npm test
+import { serveFiles } from './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/fixtures.js';
+import { refreshSuburb } from '../src/suburb-cache.js';
+import { onDetailSuburbUpdated, processDetailPage } from '../src/detail.js';
+
+const INDEX_URL = 'https://api.github.com/repos/LukePrior/nbn-upgrade-map/git/trees/main?recursive=1';
+const CHERMSIDE_URL = 'https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/main/results/QLD/chermside.geojson';
+const chermside = loadFixture('upstream-chermside.geojson');
+// any page counts as a detail page, with the address in its heading
+const ADAPTER = { detail: { pathPattern: /./, addressSelectors: ['h1'], insertionSelectors: ['h1'] } };
+
+test('the detail panel redraws when its suburb is refreshed with new data', async () => {
+  document.body.innerHTML = '<h1>12 Kitchener Road, Chermside QLD 4032</h1>';
+  serveFiles({ [INDEX_URL]: loadFixture('suburb-tree.json'), [CHERMSIDE_URL]: chermside });
+  await processDetailPage(ADAPTER);
+  assert.match(document.querySelector('.nbn-detail-panel').textContent, /FTTP \(Confirmed\)/);
+
+  const updated = structuredClone(chermside);
+  updated.features[2].properties.tech = 'FTTN';
+  serveFiles({ [CHERMSIDE_URL]: updated });
+  let redraw = null;
+  document.addEventListener('nbn:data-updated', (ev) => { redraw = onDetailSuburbUpdated(ev); });
+  await refreshSuburb('Chermside', 'QLD');
+  await redraw;
+  const panels = document.querySelectorAll('.nbn-detail-panel');
+  assert.equal(panels.length, 1);
+  assert.match(panels[0].textContent, /FTTN \(Confirmed\)/);
+});
@@ -0,0 +1,33 @@
+// Browser-like globals for importing src/ modules under Node: a jsdom window on a realestate.com.au search page,
+// fake-indexeddb, and GM_* storage backed by a Map. Import this before any module from src/.
+import 'fake-indexeddb/auto';
+import { JSDOM } from 'jsdom';
+
+export const PAGE_URL = 'https://www.realestate.com.au/buy/in-chermside,+qld+4032/list-1';
+
+const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', { url: PAGE_URL, pretendToBeVisual: true });
+const { window } = dom;
+
+for (const name of ['window', 'document', 'location', 'history', 'localStorage', 'HTMLElement', 'Node',
+  'CustomEvent', 'Event', 'MutationObserver', 'getComputedStyle']) {
+  Object.defineProperty(globalThis, name, { value: name === 'window' ? window : window[name], configurable: true, writable: true });
+}
+
+export const gmStore = new Map();
+globalThis.GM_getValue = (key, fallback) => (gmStore.has(key) ? gmStore.get(key) : fallback);
+globalThis.GM_setValue = (key, value) => gmStore.set(key, value);
+globalThis.GM_addStyle = () => {};
+globalThis.GM_registerMenuCommand = () => {};
+
+// Replace fetch with one answering from `files` (url -> parsed JSON); anything else is a 404. Returns the list of
+// requested URLs.
+export function serveFiles(files) {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    const body = files[String(url)];
+    if (body === undefined) return new Response('Not found', { status: 404 });
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+  return requested;
+}
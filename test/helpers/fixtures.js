@@ -0,0 +1,8 @@
+// Fixture files under test/fixtures
+import { readFileSync } from 'node:fs';
+
+export const FIXTURES = new URL('../fixtures/', import.meta.url);
+
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(name, FIXTURES), 'utf8'));
+}
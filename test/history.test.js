@@ -0,0 +1,33 @@
+// Technology history across downloads of a suburb. Run with: npm test
+import './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/fixtures.js';
+import { buildSuburbDigest } from '../src/suburb-cache.js';
+import { getSuburbHistory, recordSuburbHistory } from '../src/history.js';
+
+const chermside = loadFixture('upstream-chermside.geojson');
+const GENERATED = '2024-06-01T00:00:00Z';
+
+// Chermside with 277 Hamilton Road moved from FTTN to `tech`
+function withTech(tech) {
+  const geojson = structuredClone(chermside);
+  geojson.features[1].properties.tech = tech;
+  return buildSuburbDigest(geojson, { generatedAt: GENERATED });
+}
+
+test('a changed file keeps its changes even when its data date is the same', async () => {
+  const key = 'QLD|chermside';
+  const before = buildSuburbDigest(chermside, { generatedAt: GENERATED });
+  const after = withTech('FTTP');
+  await recordSuburbHistory(key, before, after);
+  const history = await getSuburbHistory(key);
+  assert.deepEqual(history.changes.map(({ address, from, to }) => [address, from, to]),
+    [['277 HAMILTON ROAD CHERMSIDE QLD 4032', 'FTTN', 'FTTP']]);
+  assert.equal(history.snapshots.length, 1);
+  assert.deepEqual(history.snapshots[0].counts, after.summary.counts);
+
+  // downloading the same content again records nothing
+  await recordSuburbHistory(key, after, withTech('FTTP'));
+  assert.equal((await getSuburbHistory(key)).changes.length, 1);
+});
@@ -0,0 +1,255 @@
+// The built userscript on the saved realestate.com.au results page (Rendered_page.html), with fixture suburb files
+// served in place of GitHub. Run with: npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { JSDOM } from 'jsdom';
+import { loadFixture } from './helpers/fixtures.js';
+
+const PAGE = new URL('../Rendered_page.html', import.meta.url);
+const SCRIPT = new URL('../nbn-re.com.au.userscript.user.js', import.meta.url);
+const INDEX_URL = 'https://api.github.com/repos/LukePrior/nbn-upgrade-map/git/trees/main?recursive=1';
+const RAW = 'https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/main/results/';
+// the suburb index lists Aspley, Chermside and Zillmere; Aspley's file is missing
+const FILES = {
+  [INDEX_URL]: loadFixture('suburb-tree.json'),
+  [`${RAW}QLD/chermside.geojson`]: loadFixture('upstream-chermside.geojson'),
+  [`${RAW}QLD/zillmere.geojson`]: loadFixture('legacy-keys.geojson')
+};
+const CARD_COUNT = 10;
+
+// Load the page, run the script and resolve once every card has a result (or reject after `timeout` ms).
+// `storage` seeds the script's saved state (localStorage, as there are no GM_* functions here). With `sandbox`
+// ({ cloned: [], exported: [] }), stand-ins for Firefox's cloneInto/exportFunction record what the page is given.
+async function runPage({ timeout = 15000, storage = {}, sandbox = null } = {}) {
+  const dom = new JSDOM(readFileSync(PAGE, 'utf8'), {
+    url: 'https://www.realestate.com.au/rent/list-1', runScripts: 'outside-only', pretendToBeVisual: true
+  });
+  const { window } = dom;
+  // the page was saved with an older version of the script running; drop the legend it left behind
+  window.document.querySelectorAll('.nbn-legend').forEach(n => n.remove());
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+  for (const [key, value] of Object.entries(storage)) window.localStorage.setItem(key, JSON.stringify(value));
+  if (sandbox) {
+    window.cloneInto = (value) => { sandbox.cloned.push(value); return value; };
+    window.exportFunction = (fn) => { sandbox.exported.push(fn); return fn; };
+  }
+  const requested = [];
+  window.fetch = async (url) => {
+    requested.push(String(url));
+    const body = FILES[String(url)];
+    return body ? new Response(JSON.stringify(body)) : new Response('Not found', { status: 404 });
+  };
+  const events = [];
+  for (const name of ['nbn:ready', 'nbn:badge-rendered', 'nbn:lookup-failed']) {
+    window.document.addEventListener(name, (ev) => events.push({ name, detail: ev.detail, target: ev.target }));
+  }
+  window.eval(readFileSync(SCRIPT, 'utf8'));
+  const done = () => window.document.querySelectorAll('[data-nbn-match]').length >= CARD_COUNT;
+  const started = Date.now();
+  while (!done()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for the badges');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return { window, requested, events };
+}
+
+// Stop the script's timers and observers; clearing the page first keeps the observer from firing mid-teardown
+async function closePage(window) {
+  window.document.body.replaceChildren();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  window.close();
+}
+
+const cardsFor = (window, suburb) => [...window.document.querySelectorAll(`[data-nbn-suburb="${suburb}"]`)];
+const badgeText = (card) => card.querySelector('.nbn-badge').textContent;
+
+test('badges render for every listing on the saved results page', async (t) => {
+  const { window, requested, events } = await runPage();
+  t.after(() => closePage(window));
+
+  const [chermside] = cardsFor(window, 'Chermside');
+  assert.equal(chermside.dataset.nbnMatch, 'exact');
+  assert.equal(chermside.dataset.nbnUpgrade, 'eligible');
+  assert.match(badgeText(chermside), /^FTTN \(Confirmed\) · .* · eligible for FTTP upgrade · 45\/100$/);
+
+  const zillmere = cardsFor(window, 'Zillmere');
+  assert.equal(zillmere.length, 3);
+  for (const card of zillmere) {
+    assert.equal(card.dataset.nbnMatch, 'suburb');
+    assert.match(badgeText(card), /^FTTP \(4\) · /);
+  }
+
+  const aspley = cardsFor(window, 'Aspley');
+  assert.equal(aspley.length, 2);
+  assert.ok(aspley.every(card => card.dataset.nbnMatch === 'failed'));
+  for (const suburb of ['Geebung', 'Chermside West', 'Kedron', 'Northgate']) {
+    const [card] = cardsFor(window, suburb);
+    assert.equal(card.dataset.nbnMatch, 'not-found');
+    assert.equal(badgeText(card), 'NBN: suburb not in dataset');
+  }
+
+  // the index once, then each indexed suburb's file once, in card order: no guessed names, no retries of Aspley
+  // for its second card, and suburbs missing from the index are never requested
+  assert.deepEqual(requested, [INDEX_URL, `${RAW}QLD/chermside.geojson`, `${RAW}QLD/zillmere.geojson`, `${RAW}QLD/aspley.geojson`]);
+
+  assert.equal(events.filter(ev => ev.name === 'nbn:ready').length, 1);
+  assert.equal(events.filter(ev => ev.name === 'nbn:badge-rendered').length, 4);
+  assert.equal(events.filter(ev => ev.name === 'nbn:lookup-failed').length, 6);
+  const rendered = events.find(ev => ev.name === 'nbn:badge-rendered' && ev.target === chermside);
+  assert.equal(rendered.detail.technology, 'FTTN');
+  assert.equal(rendered.detail.premise, '275 HAMILTON ROAD CHERMSIDE QLD 4032');
+});
+
+test('the public API and badge popup expose the same result', async (t) => {
+  const { window } = await runPage();
+  t.after(() => closePage(window));
+
+  const [chermside] = cardsFor(window, 'Chermside');
+  const result = window.nbnUserscript.getCardResult(chermside);
+  assert.equal(window.nbnUserscript.version, 1);
+  assert.equal(result.technology, 'FTTN');
+  assert.equal(result.match, 'exact');
+  // spread into a plain object: the result comes from the page's realm
+  assert.deepEqual({ ...result.counts }, { FTTN: 2, FTTP: 1, HFC: 1, 'Fixed Wireless': 1 });
+
+  chermside.querySelector('.nbn-badge').click();
+  const popup = window.document.querySelector('.nbn-popup');
+  assert.ok(popup, 'clicking the badge opens its popup');
+  assert.match(popup.textContent, /275 HAMILTON ROAD CHERMSIDE QLD 4032/);
+  assert.match(popup.textContent, /eligible/);
+});
+
+test('from a sandbox, the API, its results and event details are cloned into the page', async (t) => {
+  const sandbox = { cloned: [], exported: [] };
+  const { window, events } = await runPage({ sandbox });
+  t.after(() => closePage(window));
+  const api = window.nbnUserscript;
+  assert.ok(sandbox.cloned.includes(api));
+  for (const name of ['nbn:ready', 'nbn:badge-rendered', 'nbn:lookup-failed']) {
+    assert.ok(sandbox.cloned.includes(events.find(ev => ev.name === name).detail), name);
+  }
+
+  const summary = await api.getSuburbSummary('Chermside', 'QLD');
+  assert.equal(summary.technology, 'FTTN');
+  assert.ok(sandbox.cloned.includes(summary));
+  assert.equal(sandbox.exported.length, 1);
+  await assert.rejects(api.getSuburbSummary('Nowhere', 'QLD'), /"Nowhere QLD" is not in the NBN upgrade dataset/);
+});
+
+test('badges are buttons that open a keyboard-operable dialog', async (t) => {
+  const { window } = await runPage();
+  t.after(() => closePage(window));
+  const { document } = window;
+  const key = (target, name, init = {}) => target.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...init }));
+
+  const [chermside] = cardsFor(window, 'Chermside');
+  const badge = chermside.querySelector('.nbn-badge');
+  assert.equal(badge.tagName, 'BUTTON');
+  assert.equal(badge.getAttribute('aria-expanded'), 'false');
+  assert.match(badge.getAttribute('aria-label'), /^NBN FTTN, confirmed for this address, eligible for FTTP upgrade, .*connection quality 45 out of 100/);
+  const [zillmere] = cardsFor(window, 'Zillmere');
+  assert.match(zillmere.querySelector('.nbn-badge').getAttribute('aria-label'), /most common in Zillmere, address not matched/);
+  const [kedron] = cardsFor(window, 'Kedron');
+  assert.equal(kedron.querySelector('.nbn-badge').getAttribute('role'), 'note');
+
+  badge.focus();
+  badge.click();
+  const popup = document.querySelector('.nbn-popup');
+  assert.equal(popup.getAttribute('role'), 'dialog');
+  assert.equal(popup.hasAttribute('aria-modal'), false);
+  assert.equal(document.getElementById(popup.getAttribute('aria-labelledby')).textContent, 'Chermside QLD — NBN summary');
+  assert.equal(badge.getAttribute('aria-expanded'), 'true');
+  assert.equal(document.activeElement, popup);
+
+  // Tab wraps around inside the dialog
+  const buttons = [...popup.querySelectorAll('a[href], button')];
+  buttons[buttons.length - 1].focus();
+  key(document.activeElement, 'Tab');
+  assert.equal(document.activeElement, buttons[0]);
+  key(document.activeElement, 'Tab', { shiftKey: true });
+  assert.equal(document.activeElement, buttons[buttons.length - 1]);
+
+  key(document.activeElement, 'Escape');
+  assert.equal(document.querySelector('.nbn-popup'), null);
+  assert.equal(badge.getAttribute('aria-expanded'), 'false');
+  assert.equal(document.activeElement, badge);
+
+  badge.click();
+  document.querySelector('.nbn-popup-close').click();
+  assert.equal(document.querySelector('.nbn-popup'), null);
+});
+
+test('the cache and shortlist windows are dialogs with real buttons', async (t) => {
+  const { window } = await runPage();
+  t.after(() => closePage(window));
+  const { document } = window;
+  const key = (target, name, init = {}) => target.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...init }));
+  const legendLink = (text) => [...document.querySelectorAll('.nbn-legend .small-link')].find(b => b.textContent.startsWith(text));
+
+  const cacheLink = legendLink('Cache');
+  cacheLink.focus();
+  cacheLink.click();
+  const manager = document.querySelector('.nbn-cache-manager');
+  assert.equal(manager.getAttribute('role'), 'dialog');
+  assert.equal(manager.getAttribute('aria-modal'), 'true');
+  assert.equal(document.activeElement, manager);
+  // wait for the table, which is read from IndexedDB
+  while (!manager.querySelector('tbody tr')) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.match(document.getElementById(manager.getAttribute('aria-labelledby')).textContent, /^NBN cache — 2 suburbs/);
+  const rowActions = [...manager.querySelectorAll('tbody .small-link')];
+  assert.ok(rowActions.length && rowActions.every(el => el.tagName === 'BUTTON'));
+  assert.equal(manager.querySelector('.nbn-popup-close').tagName, 'BUTTON');
+  key(document.activeElement, 'Tab', { shiftKey: true });
+  assert.ok(manager.contains(document.activeElement), 'Shift+Tab stays in the dialog');
+  key(document.activeElement, 'Escape');
+  assert.equal(document.querySelector('.nbn-cache-manager'), null);
+  assert.equal(document.activeElement, cacheLink);
+
+  const shortlistLink = legendLink('Shortlist');
+  shortlistLink.focus();
+  shortlistLink.click();
+  const shortlist = document.querySelector('.nbn-shortlist');
+  assert.equal(shortlist.getAttribute('role'), 'dialog');
+  shortlist.querySelector('.nbn-popup-close').click();
+  assert.equal(document.querySelector('.nbn-shortlist'), null);
+  assert.equal(document.activeElement, shortlistLink);
+});
+
+test('the legend collapses and moves, and remembers both', async (t) => {
+  const { window } = await runPage({ storage: { nbnLegendState_v1: { collapsed: true, position: { left: 40, top: 30 } } } });
+  t.after(() => closePage(window));
+  const { document } = window;
+  const saved = () => JSON.parse(window.localStorage.getItem('nbnLegendState_v1'));
+
+  const legend = document.querySelector('.nbn-legend');
+  const toggle = legend.querySelector('.nbn-legend-toggle');
+  assert.equal(legend.querySelector('.nbn-filter-controls select').getAttribute('aria-label'), 'Listings whose technology is unchecked');
+  const body = document.getElementById(toggle.getAttribute('aria-controls'));
+  assert.equal(body.hidden, true);
+  assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+  assert.equal(legend.style.left, '40px');
+  assert.equal(legend.style.top, '30px');
+
+  toggle.click();
+  assert.equal(body.hidden, false);
+  assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+  assert.equal(saved().collapsed, false);
+
+  const header = legend.querySelector('.nbn-legend-header');
+  // jsdom doesn't lay anything out; report the legend where its styles put it
+  legend.getBoundingClientRect = () => ({ left: parseInt(legend.style.left, 10), top: parseInt(legend.style.top, 10) });
+  const pointer = (target, type, x, y) => target.dispatchEvent(new window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientX: x, clientY: y }));
+  pointer(header, 'pointerdown', 50, 35);
+  pointer(document, 'pointermove', 150, 235);
+  pointer(document, 'pointerup', 150, 235);
+  assert.equal(legend.style.left, '140px');
+  assert.equal(legend.style.top, '230px');
+  assert.deepEqual({ ...saved().position }, { left: 140, top: 230 });
+
+  header.dispatchEvent(new window.MouseEvent('dblclick', { bubbles: true }));
+  assert.equal(legend.style.left, '');
+  assert.equal(saved().position, null);
+});
@@ -0,0 +1,26 @@
+// Exported results. Run with: npm test
+import './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resultsToCsv } from '../src/results.js';
+
+const row = (fields) => ({
+  url: 'https://www.realestate.com.au/property-house-qld-chermside-1', address: '275 Hamilton Road', suburb: 'Chermside',
+  state: 'QLD', technology: 'FTTN', match: 'exact', confidence: 1, score: 45, dataDate: new Date('2024-06-01'), total: 5,
+  counts: { FTTN: 2, FTTP: 1 }, ...fields
+});
+
+test('CSV cells are quoted where needed', () => {
+  const [header, line] = resultsToCsv([row({ address: '3/40 Gympie Road, "The Gables"' })]).split('\r\n');
+  assert.match(header, /^url,address,suburb,state,technology,match,confidence,quality_score,data_date,suburb_total,suburb_FTTP,/);
+  assert.match(line, /^https:\/\/\S+,"3\/40 Gympie Road, ""The Gables""",Chermside,QLD,FTTN,exact,1\.00,45,2024-06-01,5,1,2,/);
+});
+
+test('listing text that would start a spreadsheet formula is escaped', () => {
+  const [, line] = resultsToCsv([row({ address: '=HYPERLINK("http://evil.example","Click")', suburb: '+Chermside' })]).split('\r\n');
+  assert.match(line, /,"'=HYPERLINK\(""http:\/\/evil\.example"",""Click""\)","'\+Chermside",QLD,/);
+  for (const start of ['-', '@', '\t', '\r']) {
+    const [, cell] = resultsToCsv([row({ address: `${start}1+1` })]).split('\r\n')[1].split(',');
+    assert.equal(cell, `"'${start}1+1"`);
+  }
+});
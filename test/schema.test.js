@@ -0,0 +1,69 @@
+// Schema, property mapping and validation tests against fixture suburb files. Run with: npm test
+import './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/fixtures.js';
+import { settings } from '../src/settings.js';
+import { featureType, featureUpgrade, normalizeTypeString, summarizeGeoJSON, validateGeoJSON } from '../src/schema.js';
+
+test('upstream file validates cleanly and summarises by the tech property', () => {
+  const geojson = loadFixture('upstream-chermside.geojson');
+  const report = validateGeoJSON(geojson);
+  assert.deepEqual(report.warnings, []);
+  const summary = summarizeGeoJSON(geojson);
+  assert.deepEqual(summary.counts, { FTTN: 2, FTTP: 1, HFC: 1, 'Fixed Wireless': 1 });
+  assert.equal(summary.examples.FTTP, '12 KITCHENER ROAD CHERMSIDE QLD 4032');
+});
+
+test('upstream upgrade codes are modelled per premise', () => {
+  const [eligible, notEligible, , unknown] = loadFixture('upstream-chermside.geojson').features;
+  assert.equal(featureUpgrade(eligible).status, 'eligible');
+  assert.equal(featureUpgrade(eligible).target, 'FTTP');
+  assert.equal(featureUpgrade(eligible).date, 'Jun 2024');
+  assert.equal(featureUpgrade(notEligible).status, 'not-eligible');
+  assert.equal(featureUpgrade(unknown).status, 'unknown');
+  const summary = summarizeGeoJSON(loadFixture('upstream-chermside.geojson'));
+  assert.equal(summary.upgrades.FTTN.eligible, 1);
+  assert.equal(summary.upgrades.FTTN['not-eligible'], 1);
+});
+
+test('long-form technology names normalise to legend keys', () => {
+  const geojson = loadFixture('legacy-keys.geojson');
+  const types = geojson.features.map(f => featureType(f));
+  assert.deepEqual(types, ['FTTP', 'FTTC', 'Fixed Wireless', 'HFC']);
+  assert.deepEqual(validateGeoJSON(geojson).warnings, []);
+});
+
+test('substrings no longer produce false matches', () => {
+  assert.equal(normalizeTypeString('Satisfactory'), 'Satisfactory');
+  assert.equal(normalizeTypeString('Not Connected'), 'Not Connected');
+  assert.equal(normalizeTypeString('FTTP'), 'FTTP');
+  assert.equal(normalizeTypeString('NON_NBN'), 'Non-NBN');
+});
+
+test('status is not used as a technology, and odd files are reported', () => {
+  const geojson = loadFixture('unexpected-fields.geojson');
+  const report = validateGeoJSON(geojson);
+  assert.deepEqual(report.unexpected, ['colour', 'status']);
+  assert.equal(report.missing.address, 1);
+  assert.equal(report.missing.technology, 1);
+  assert.equal(report.unmapped['Mobile 5G'], 2);
+  assert.equal(report.warnings.length, 4);
+  assert.equal(featureType(geojson.features[3]), 'Non-NBN');
+});
+
+test('a user property mapping replaces the defaults', (t) => {
+  const defaults = settings.propertyMapping;
+  settings.propertyMapping = { address: ['name'], technology: ['status'] };
+  t.after(() => { settings.propertyMapping = defaults; });
+  const geojson = loadFixture('unexpected-fields.geojson');
+  assert.equal(featureType(geojson.features[0]), 'Not Connected');
+  const report = validateGeoJSON(geojson);
+  assert.deepEqual(report.unexpected, ['colour']);
+  assert.deepEqual(report.unmapped, { 'Not Connected': 1, Connected: 1, Satisfactory: 1 });
+  assert.equal(report.missing.technology, 1);
+});
+
+test('a malformed file is rejected', () => {
+  assert.deepEqual(validateGeoJSON({ type: 'Feature' }).warnings, ['Not a GeoJSON FeatureCollection.']);
+});
@@ -0,0 +1,28 @@
+// Shortlisted listings re-checked against cached suburb data. Run with: npm test
+import './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/fixtures.js';
+import { idbSet } from '../src/db.js';
+import { buildSuburbDigest } from '../src/suburb-cache.js';
+import { featureLatLng } from '../src/address.js';
+import { loadShortlist, recheckShortlist, saveShortlistItem } from '../src/shortlist.js';
+
+const chermside = loadFixture('upstream-chermside.geojson');
+
+test('a listing matched by its coordinates keeps that match when re-checked', async () => {
+  await idbSet('QLD|chermside', buildSuburbDigest(chermside, { fetchedAt: Date.now() }));
+  // no street address, so only the coordinates lead to 12 Kitchener Road's FTTP; the suburb as a whole is mostly FTTN
+  const url = 'https://www.realestate.com.au/property-house-qld-chermside-1';
+  await saveShortlistItem({
+    url, address: '', suburb: 'Chermside', state: 'QLD', technology: 'FTTP', match: 'proximity', confidence: 1,
+    latLng: featureLatLng(chermside.features[2]), dataDate: null, savedAt: Date.now(), checkedAt: Date.now()
+  });
+
+  await recheckShortlist();
+  const item = (await loadShortlist()).get(url);
+  assert.equal(item.technology, 'FTTP');
+  assert.equal(item.match, 'proximity');
+  assert.equal(item.premise, '12 KITCHENER ROAD CHERMSIDE QLD 4032');
+  assert.equal(item.changedFrom, undefined);
+});
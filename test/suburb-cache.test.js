@@ -0,0 +1,161 @@
+// Suburb digests and the memory/IndexedDB cache, downloading from a stubbed fetch. Run with: npm test
+import { serveFiles } from './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers/fixtures.js';
+import { idbGet, idbSet } from '../src/db.js';
+import {
+  buildSuburbDigest, cleanupCache, DIGEST_VERSION, inflateDigest, loadSuburb, memoryCache, suburbAddressIndex
+} from '../src/suburb-cache.js';
+import { importCache, prefetchSuburbs } from '../src/cache-manager.js';
+import { featureAddress, matchListingAddressToFeature } from '../src/address.js';
+import { featureType, featureUpgrade } from '../src/schema.js';
+
+const INDEX_URL = 'https://api.github.com/repos/LukePrior/nbn-upgrade-map/git/trees/main?recursive=1';
+const RAW = 'https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/main/results/';
+const CHERMSIDE_URL = `${RAW}QLD/chermside.geojson`;
+const chermside = loadFixture('upstream-chermside.geojson');
+// lists Aspley, Chermside and Zillmere; loaded by the first download and kept for the rest of the file
+const suburbIndex = loadFixture('suburb-tree.json');
+
+test('a digest keeps the summary, addresses, technologies and upgrade details', () => {
+  const digest = buildSuburbDigest(chermside, { source: CHERMSIDE_URL });
+  assert.equal(digest.v, DIGEST_VERSION);
+  assert.equal(digest.source, CHERMSIDE_URL);
+  assert.deepEqual(digest.summary.counts, { FTTN: 2, FTTP: 1, HFC: 1, 'Fixed Wireless': 1 });
+  assert.equal(digest.premises.length, 5);
+
+  const inflated = inflateDigest(digest);
+  chermside.features.forEach((feature, i) => {
+    const copy = inflated.features[i];
+    assert.equal(featureAddress(copy.properties), featureAddress(feature.properties));
+    assert.equal(featureType(copy), featureType(feature));
+    assert.deepEqual(featureUpgrade(copy), featureUpgrade(feature));
+    assert.deepEqual(copy.geometry.coordinates, feature.geometry.coordinates);
+  });
+});
+
+test('a suburb is downloaded once, then served from memory and IndexedDB', async () => {
+  const requested = serveFiles({ [INDEX_URL]: suburbIndex, [CHERMSIDE_URL]: chermside });
+  const entry = await loadSuburb('Chermside', 'QLD');
+  assert.deepEqual(requested, [INDEX_URL, CHERMSIDE_URL]);
+  assert.equal(entry.source, CHERMSIDE_URL);
+  assert.equal(entry.summary.total, 5);
+  const match = matchListingAddressToFeature('275 Hamilton Rd, Chermside', suburbAddressIndex(entry, 'Chermside'));
+  assert.equal(match.method, 'exact');
+
+  assert.equal(await loadSuburb('Chermside', 'QLD'), entry);
+  const stored = await idbGet('QLD|chermside');
+  assert.equal(stored.v, DIGEST_VERSION);
+  assert.deepEqual(stored.summary.counts, entry.summary.counts);
+
+  memoryCache.clear();
+  const fromDb = await loadSuburb('Chermside', 'QLD');
+  assert.notEqual(fromDb, entry);
+  assert.deepEqual(fromDb.summary, entry.summary);
+  assert.equal(requested.length, 2);
+
+  await loadSuburb('Chermside', 'QLD', true);
+  assert.deepEqual(requested, [INDEX_URL, CHERMSIDE_URL, CHERMSIDE_URL]);
+});
+
+test('concurrent lookups of one suburb share a download', async () => {
+  memoryCache.clear();
+  const requested = serveFiles({ [CHERMSIDE_URL]: chermside });
+  const [a, b] = await Promise.all([loadSuburb('Chermside', 'QLD', true), loadSuburb('Chermside', 'QLD', true)]);
+  assert.equal(a, b);
+  assert.equal(requested.length, 1);
+});
+
+test('a suburb in the index is requested by its one listed file', async () => {
+  const requested = serveFiles({});
+  await assert.rejects(loadSuburb('Aspley', 'QLD'), /HTTP 404/);
+  assert.deepEqual(requested, [`${RAW}QLD/aspley.geojson`]);
+});
+
+test('a failed download is shared by later lookups until a forced retry', async () => {
+  const requested = serveFiles({});
+  const first = await loadSuburb('Aspley', 'QLD', true).catch(err => err);
+  const second = await loadSuburb('Aspley', 'QLD').catch(err => err);
+  assert.equal(second, first);
+  assert.deepEqual(requested, [`${RAW}QLD/aspley.geojson`]);
+
+  await assert.rejects(loadSuburb('Aspley', 'QLD', true), /HTTP 404/);
+  assert.equal(requested.length, 2);
+});
+
+test('a suburb the index does not list falls back to guessed file names', async () => {
+  const requested = serveFiles({});
+  await assert.rejects(loadSuburb('Mount Nowhere', 'QLD'), /HTTP 404/);
+  assert.ok(requested.length > 1);
+  assert.ok(requested.every(url => url.includes('/results/QLD/')));
+  assert.equal(await idbGet('QLD|mount-nowhere'), undefined);
+});
+
+test('an imported cache keeps only http(s) sources', async () => {
+  const digest = buildSuburbDigest(chermside, { fetchedAt: Date.now() });
+  const text = JSON.stringify({
+    format: 'nbn-userscript-cache',
+    entries: {
+      'QLD|chermside': { ...digest, source: CHERMSIDE_URL },
+      'QLD|zillmere': { ...digest, source: 'javascript:alert(document.cookie)' }
+    }
+  });
+  assert.deepEqual(await importCache(text), { imported: 2, skipped: [] });
+  assert.equal((await idbGet('QLD|chermside')).source, CHERMSIDE_URL);
+  assert.equal((await idbGet('QLD|zillmere')).source, '');
+});
+
+test('an imported cache skips records that are not digests', async () => {
+  const digest = buildSuburbDigest(chermside, { fetchedAt: Date.now(), source: CHERMSIDE_URL });
+  const text = JSON.stringify({
+    format: 'nbn-userscript-cache',
+    entries: {
+      'QLD|chermside': { ...digest, injected: '<img src=x>' },
+      'QLD|geebung': { ...digest, summary: { total: 5 } },
+      'QLD|kedron': { ...digest, summary: { ...digest.summary, counts: { FTTN: 'lots' } } },
+      'QLD|northgate': { ...digest, premises: [['1 MAIN ST', 'FTTN']] },
+      'QLD|aspley': { ...digest, v: 1 },
+      'not a key': digest
+    }
+  });
+  const { imported, skipped } = await importCache(text);
+  assert.equal(imported, 1);
+  assert.deepEqual(skipped, [
+    'QLD|geebung: summary has no valid counts',
+    'QLD|kedron: summary has no valid counts',
+    'QLD|northgate: premises are not [address, technology, lat, lng, upgrade]',
+    `QLD|aspley: digest version 1, expected ${DIGEST_VERSION}`,
+    'not a key: not a suburb key'
+  ]);
+  const stored = await idbGet('QLD|chermside');
+  assert.equal(stored.injected, undefined);
+  assert.deepEqual(stored.summary, digest.summary);
+  assert.equal(await idbGet('QLD|kedron'), undefined);
+});
+
+test('a prefetch reports the suburbs that failed and stops when cancelled', async () => {
+  serveFiles({ [CHERMSIDE_URL]: chermside });
+  const result = await prefetchSuburbs([{ suburb: 'Chermside', state: 'QLD' }, { suburb: 'Aspley', state: 'QLD' }]);
+  assert.deepEqual(result, { done: 1, failed: 1, failures: ['Aspley QLD'], cancelled: false });
+
+  // a state's worth of suburbs goes in chunks; stopping after the first leaves the rest alone
+  const list = Array.from({ length: 30 }, (_, i) => ({ suburb: `Nowhere ${i}`, state: 'QLD' }));
+  const controller = new AbortController();
+  const progress = [];
+  const stopped = await prefetchSuburbs(list, (done, failed, total) => {
+    progress.push([done, failed, total]);
+    controller.abort();
+  }, { signal: controller.signal });
+  assert.equal(progress.length, 1);
+  assert.equal(stopped.cancelled, true);
+  assert.ok(stopped.failed > 0 && stopped.failed < list.length);
+});
+
+test('cache cleanup deletes expired suburbs', async () => {
+  await idbSet('QLD|chermside', buildSuburbDigest(chermside, { fetchedAt: Date.now() }));
+  await idbSet('QLD|oldtown', buildSuburbDigest(chermside, { fetchedAt: 1 }));
+  assert.equal(await cleanupCache(), 1);
+  assert.equal(await idbGet('QLD|oldtown'), undefined);
+  assert.ok(await idbGet('QLD|chermside'));
+});
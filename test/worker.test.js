@@ -0,0 +1,43 @@
+// The worker's source, run in a separate context the way the page would start it, against the inline path.
+// Run with: npm test
+import { serveFiles } from './helpers/env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { loadFixture } from './helpers/fixtures.js';
+import { settings } from '../src/settings.js';
+import { fetchSuburbDigest, inflateDigest } from '../src/suburb-cache.js';
+import { expandAddressIndex, workerSource } from '../src/worker.js';
+import { indexGeojsonAddresses } from '../src/address.js';
+
+const CHERMSIDE_URL = 'https://raw.githubusercontent.com/LukePrior/nbn-upgrade-map/main/results/QLD/chermside.geojson';
+
+// Start workerSource() in its own context; resolves to a function posting one message and awaiting the reply,
+// which comes back structured-cloned as it would from a real worker
+function startWorker() {
+  let reply = null;
+  const self = { postMessage: (message) => reply(structuredClone(message)) };
+  vm.runInNewContext(workerSource(), { self, fetch, AbortController, setTimeout, clearTimeout, console });
+  return (data) => new Promise((resolve) => {
+    reply = resolve;
+    self.onmessage({ data: { ...data, propertyMapping: settings.propertyMapping } });
+  });
+}
+
+test('the worker digests and indexes a suburb file exactly as the page thread does', async () => {
+  serveFiles({ [CHERMSIDE_URL]: loadFixture('upstream-chermside.geojson') });
+  const meta = { provider: 'github', source: CHERMSIDE_URL };
+  const post = startWorker();
+  const { result, error } = await post({ op: 'fetch', id: 1, url: CHERMSIDE_URL, suburb: 'Chermside', previous: null, meta });
+  assert.equal(error, undefined);
+  const inline = await fetchSuburbDigest(CHERMSIDE_URL, { meta });
+
+  assert.equal(result.ok, true);
+  const { fetchedAt, ...digest } = result.digest;
+  const { fetchedAt: inlineFetchedAt, ...inlineDigest } = inline.digest;
+  assert.deepEqual(digest, inlineDigest);
+  assert.equal(digest.summary.total, 5);
+
+  const { features } = inflateDigest(inline.digest);
+  assert.deepEqual(expandAddressIndex(result.index, features), indexGeojsonAddresses({ features }, 'Chermside'));
+});